@@ -0,0 +1,461 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const db = require('./database');
+const SSHManager = require('./SSHManager');
+const VideoSSHManager = require('./VideoSSHManager');
+const VideoConversionManager = require('./VideoConversionManager');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv'];
+const MAX_FILE_SIZE = 10 * 1024 * 1024 * 1024;
+// Tamanho máximo de cada parte enviada pelo navegador
+const CHUNK_SIZE = (parseInt(process.env.UPLOAD_CHUNK_SIZE_MB) || 8) * 1024 * 1024;
+// Uploads sem novas partes por este período são cancelados e liberam o espaço reservado
+const EXPIRATION = (parseInt(process.env.UPLOAD_EXPIRATION_HOURS) || 24) * 60 * 60 * 1000;
+const CLEANUP_INTERVAL = 15 * 60 * 1000;
+
+const UPLOAD_COLUMNS = `
+    codigo as id,
+    codigo_pasta as id_pasta,
+    nome_original as nome,
+    tamanho,
+    recebido,
+    checksum,
+    converter,
+    status,
+    progresso,
+    codigo_video as id_video,
+    erro,
+    data_criacao,
+    data_atualizacao`;
+
+class ChunkedUploadManager {
+    constructor() {
+        this.tempDir = '/tmp/video-uploads/chunked';
+        this.interval = null;
+        // Uploads recebendo uma parte ou sendo finalizados neste momento
+        this.busy = new Set();
+    }
+
+    start() {
+        if (this.interval) return;
+
+        this.resumePendingUploads();
+        this.interval = setInterval(() => this.expireStaleUploads(), CLEANUP_INTERVAL);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    getChunkSize() {
+        return CHUNK_SIZE;
+    }
+
+    // Validar os dados de um novo upload; retorna a mensagem de erro ou null
+    validateUpload({ nome, tamanho, checksum }) {
+        const fileSize = parseInt(tamanho);
+        if (!fileSize || fileSize <= 0) {
+            return 'Tamanho do arquivo inválido';
+        }
+
+        if (fileSize > MAX_FILE_SIZE) {
+            return `Arquivo muito grande. Máximo: ${MAX_FILE_SIZE / (1024 * 1024 * 1024)}GB`;
+        }
+
+        const extension = path.extname(String(nome || '')).toLowerCase();
+        if (!VIDEO_EXTENSIONS.includes(extension)) {
+            return `Tipo de arquivo não suportado. Extensões aceitas: ${VIDEO_EXTENSIONS.join(', ')}`;
+        }
+
+        if (checksum && !/^[a-f0-9]{64}$/i.test(checksum)) {
+            return 'Checksum deve ser um SHA-256 em hexadecimal';
+        }
+
+        return null;
+    }
+
+    getTempPath(uploadId) {
+        return path.join(this.tempDir, `${uploadId}.upload`);
+    }
+
+    /**
+     * Iniciar um upload reservando o espaço na pasta. A reserva é atômica para que
+     * uploads simultâneos não ultrapassem o espaço do plano.
+     */
+    async createUpload({ userId, userLogin, folder, nome, tamanho, checksum, converter }) {
+        const fileSize = parseInt(tamanho);
+        const folderId = folder.codigo;
+        const spaceMB = Math.ceil(fileSize / (1024 * 1024));
+
+        const [reserveResult] = await db.execute(
+            'UPDATE streamings SET espaco_usado = espaco_usado + ? WHERE codigo = ? AND espaco - espaco_usado >= ?',
+            [spaceMB, folderId, spaceMB]
+        );
+
+        if (reserveResult.affectedRows === 0) {
+            return {
+                success: false,
+                error: `Espaço insuficiente. Necessário: ${spaceMB}MB, Disponível: ${folder.espaco - folder.espaco_usado}MB`
+            };
+        }
+
+        const sanitizedName = String(nome)
+            .replace(/[^a-zA-Z0-9.-]/g, '_')
+            .replace(/_{2,}/g, '_');
+
+        const [result] = await db.execute(
+            `INSERT INTO uploads_videos (
+                codigo_stm, codigo_pasta, codigo_servidor, login, nome_original, arquivo,
+                tamanho, recebido, reservado_mb, checksum, converter, status, progresso
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, 'receiving', 0)`,
+            [
+                userId,
+                folderId,
+                folder.codigo_servidor || 1,
+                userLogin,
+                String(nome).substring(0, 255),
+                `${Date.now()}_${sanitizedName}`,
+                fileSize,
+                spaceMB,
+                checksum ? checksum.toLowerCase() : null,
+                converter ? 1 : 0
+            ]
+        );
+
+        await fs.mkdir(this.tempDir, { recursive: true });
+        await fs.writeFile(this.getTempPath(result.insertId), '');
+
+        return { success: true, upload: await this.getUpload(result.insertId, userId) };
+    }
+
+    async getUpload(uploadId, userId) {
+        const [rows] = await db.execute(
+            `SELECT ${UPLOAD_COLUMNS} FROM uploads_videos WHERE codigo = ? AND codigo_stm = ?`,
+            [uploadId, userId]
+        );
+
+        if (rows.length === 0) return null;
+
+        const upload = rows[0];
+        if (upload.status === 'receiving') {
+            upload.recebido = await this.getReceivedBytes(upload.id);
+        }
+
+        return { ...upload, chunk_size: CHUNK_SIZE };
+    }
+
+    async listUploads(userId) {
+        const [rows] = await db.execute(
+            `SELECT ${UPLOAD_COLUMNS} FROM uploads_videos
+             WHERE codigo_stm = ?
+             ORDER BY codigo DESC
+             LIMIT 50`,
+            [userId]
+        );
+
+        return rows;
+    }
+
+    // O arquivo temporário é a referência do que já foi recebido (sobrevive a reinícios do backend)
+    async getReceivedBytes(uploadId) {
+        try {
+            const stats = await fs.stat(this.getTempPath(uploadId));
+            return stats.size;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    async updateUpload(uploadId, fields) {
+        const columns = Object.keys(fields);
+        if (columns.length === 0) return;
+
+        await db.execute(
+            `UPDATE uploads_videos SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE codigo = ?`,
+            [...columns.map(c => fields[c]), uploadId]
+        );
+    }
+
+    /**
+     * Acrescentar uma parte ao upload. A parte só é aceita no offset atual e,
+     * quando enviado, com o SHA-256 informado pelo cliente (cabeçalho Upload-Checksum).
+     */
+    async appendChunk(uploadId, userId, { offset, data, checksum }) {
+        if (this.busy.has(uploadId)) {
+            return { success: false, statusCode: 409, error: 'Outra parte deste upload está sendo processada' };
+        }
+
+        this.busy.add(uploadId);
+
+        try {
+            const [rows] = await db.execute(
+                'SELECT tamanho, status FROM uploads_videos WHERE codigo = ? AND codigo_stm = ?',
+                [uploadId, userId]
+            );
+
+            if (rows.length === 0) {
+                return { success: false, statusCode: 404, error: 'Upload não encontrado' };
+            }
+
+            const upload = rows[0];
+            if (upload.status !== 'receiving') {
+                return { success: false, statusCode: 409, error: `Upload não está recebendo partes (status: ${upload.status})` };
+            }
+
+            const received = await this.getReceivedBytes(uploadId);
+            if (offset !== received) {
+                return { success: false, statusCode: 409, error: `Offset inválido. Esperado: ${received}`, offset: received };
+            }
+
+            if (!Buffer.isBuffer(data) || data.length === 0) {
+                return { success: false, statusCode: 400, error: 'Parte vazia' };
+            }
+
+            if (received + data.length > Number(upload.tamanho)) {
+                return { success: false, statusCode: 400, error: 'Parte ultrapassa o tamanho declarado do arquivo' };
+            }
+
+            if (checksum) {
+                const [algorithm, expected] = String(checksum).split(' ');
+                if (algorithm !== 'sha256' || !expected) {
+                    return { success: false, statusCode: 400, error: 'Upload-Checksum deve ter o formato "sha256 <base64>"' };
+                }
+
+                const actual = crypto.createHash('sha256').update(data).digest('base64');
+                if (actual !== expected) {
+                    return { success: false, statusCode: 460, error: 'Checksum da parte não confere', offset: received };
+                }
+            }
+
+            await fs.mkdir(this.tempDir, { recursive: true });
+            await fs.appendFile(this.getTempPath(uploadId), data);
+
+            const newOffset = received + data.length;
+            const complete = newOffset === Number(upload.tamanho);
+
+            await this.updateUpload(uploadId, {
+                recebido: newOffset,
+                status: complete ? 'verifying' : 'receiving'
+            });
+
+            if (complete) {
+                this.finalize(uploadId);
+            }
+
+            return { success: true, offset: newOffset, complete };
+        } finally {
+            this.busy.delete(uploadId);
+        }
+    }
+
+    async computeChecksum(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            const stream = createReadStream(filePath);
+
+            stream.on('data', chunk => hash.update(chunk));
+            stream.on('error', reject);
+            stream.on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+
+    // Montagem concluída: verificar o arquivo completo, enviar ao Wowza e registrar o vídeo
+    async finalize(uploadId) {
+        if (this.busy.has(`finalize:${uploadId}`)) return;
+        this.busy.add(`finalize:${uploadId}`);
+
+        const localFile = this.getTempPath(uploadId);
+        let committed = false;
+
+        try {
+            const [rows] = await db.execute('SELECT * FROM uploads_videos WHERE codigo = ?', [uploadId]);
+            if (rows.length === 0) return;
+
+            const upload = rows[0];
+
+            await this.updateUpload(uploadId, { status: 'verifying', progresso: 0, erro: null });
+
+            const stats = await fs.stat(localFile);
+            if (stats.size !== Number(upload.tamanho)) {
+                throw new Error(`Arquivo montado com ${stats.size} bytes, esperado ${upload.tamanho}`);
+            }
+
+            const checksum = await this.computeChecksum(localFile);
+            if (upload.checksum && upload.checksum !== checksum) {
+                throw new Error('Checksum do arquivo completo não confere');
+            }
+
+            await this.updateUpload(uploadId, { checksum, status: 'transferring' });
+
+            const [folderRows] = await db.execute(
+                'SELECT identificacao FROM streamings WHERE codigo = ?',
+                [upload.codigo_pasta]
+            );
+
+            if (folderRows.length === 0) {
+                throw new Error('Pasta não encontrada');
+            }
+
+            const serverId = upload.codigo_servidor || 1;
+            const userLogin = upload.login;
+            const folderName = folderRows[0].identificacao;
+            const remotePath = `/usr/local/WowzaStreamingEngine/content/${userLogin}/${folderName}/${upload.arquivo}`;
+
+            await SSHManager.createUserDirectory(serverId, userLogin);
+            await SSHManager.createUserFolder(serverId, userLogin, folderName);
+
+            let lastProgress = -1;
+            await SSHManager.uploadFile(serverId, localFile, remotePath, (transferred, total) => {
+                const progress = total > 0 ? Math.floor((transferred / total) * 100) : 0;
+                if (progress !== lastProgress) {
+                    lastProgress = progress;
+                    this.updateUpload(uploadId, { progresso: progress }).catch(() => {});
+                }
+            });
+
+            console.log(`✅ Upload ${uploadId} montado e enviado para: ${remotePath}`);
+
+            const videoInfo = await VideoSSHManager.getVideoInfo(serverId, remotePath) || {};
+            const duracao = Math.round(videoInfo.duration || 0);
+            const relativePath = `/${userLogin}/${folderName}/${upload.arquivo}`;
+
+            // Registrar o vídeo e transferir a reserva para o espaço usado na mesma transação;
+            // só depois descartar o arquivo local
+            const connection = await db.pool.getConnection();
+            let videoResult;
+
+            try {
+                await connection.beginTransaction();
+
+                [videoResult] = await connection.execute(
+                    `INSERT INTO playlists_videos (
+                        codigo_playlist, path_video, video, width, height,
+                        bitrate, duracao, duracao_segundos, tipo, ordem, tamanho_arquivo
+                    ) VALUES (0, ?, ?, ?, ?, ?, ?, ?, 'video', 0, ?)`,
+                    [
+                        relativePath,
+                        upload.nome_original,
+                        videoInfo.width || 0,
+                        videoInfo.height || 0,
+                        videoInfo.bitrate || 0,
+                        VideoSSHManager.formatDuration(duracao),
+                        duracao,
+                        upload.tamanho
+                    ]
+                );
+
+                // O espaço reservado na criação passa a ser o espaço usado pelo vídeo
+                await connection.execute(
+                    `UPDATE uploads_videos SET status = 'done', progresso = 100, reservado_mb = 0, codigo_video = ?
+                     WHERE codigo = ?`,
+                    [videoResult.insertId, uploadId]
+                );
+
+                await connection.commit();
+                committed = true;
+            } catch (error) {
+                await connection.rollback().catch(() => {});
+                throw error;
+            } finally {
+                connection.release();
+            }
+
+            await fs.unlink(localFile).catch(() => {});
+
+            if (upload.converter) {
+                const [planRows] = await db.execute('SELECT bitrate FROM streamings WHERE codigo = ?', [upload.codigo_stm]);
+
+                await VideoConversionManager.createJob({
+                    userId: upload.codigo_stm,
+                    folderId: upload.codigo_pasta,
+                    videoId: videoResult.insertId,
+                    serverId,
+                    relativePath,
+                    planBitrate: planRows.length > 0 ? planRows[0].bitrate : 0
+                }).catch(error => console.error(`Erro ao enfileirar conversão do upload ${uploadId}:`, error));
+            }
+        } catch (error) {
+            console.error(`❌ Falha ao finalizar upload ${uploadId}:`, error.message);
+
+            // Vídeo já registrado: a reserva virou espaço usado e não deve ser liberada
+            if (committed) return;
+
+            await fs.unlink(localFile).catch(() => {});
+            await this.releaseReservation(uploadId);
+            await this.updateUpload(uploadId, { status: 'failed', erro: error.message.substring(0, 1000) });
+        } finally {
+            this.busy.delete(`finalize:${uploadId}`);
+        }
+    }
+
+    async releaseReservation(uploadId) {
+        const [rows] = await db.execute(
+            'SELECT codigo_pasta, reservado_mb FROM uploads_videos WHERE codigo = ?',
+            [uploadId]
+        );
+
+        if (rows.length === 0 || !rows[0].reservado_mb) return;
+
+        await db.execute(
+            'UPDATE streamings SET espaco_usado = GREATEST(espaco_usado - ?, 0) WHERE codigo = ?',
+            [rows[0].reservado_mb, rows[0].codigo_pasta]
+        );
+        await this.updateUpload(uploadId, { reservado_mb: 0 });
+    }
+
+    async cancelUpload(uploadId) {
+        await fs.unlink(this.getTempPath(uploadId)).catch(() => {});
+        await this.releaseReservation(uploadId);
+        await this.updateUpload(uploadId, { status: 'cancelled' });
+    }
+
+    // Finalizar uploads que já estavam completos quando o backend foi reiniciado
+    async resumePendingUploads() {
+        try {
+            const [rows] = await db.execute(
+                `SELECT codigo FROM uploads_videos WHERE status IN ('verifying', 'transferring') ORDER BY codigo`
+            );
+
+            for (const row of rows) {
+                this.finalize(row.codigo);
+            }
+
+            if (rows.length > 0) {
+                console.log(`📤 ${rows.length} upload(s) completo(s) retomado(s) para finalização`);
+            }
+        } catch (error) {
+            console.error('Erro ao retomar uploads pendentes:', error);
+        }
+    }
+
+    async expireStaleUploads() {
+        try {
+            const [rows] = await db.execute(
+                `SELECT codigo FROM uploads_videos
+                 WHERE status = 'receiving' AND data_atualizacao < DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+                [Math.floor(EXPIRATION / 1000)]
+            );
+
+            for (const row of rows) {
+                if (this.busy.has(row.codigo)) continue;
+
+                await fs.unlink(this.getTempPath(row.codigo)).catch(() => {});
+                await this.releaseReservation(row.codigo);
+                await this.updateUpload(row.codigo, { status: 'expired' });
+            }
+
+            if (rows.length > 0) {
+                console.log(`🧹 ${rows.length} upload(s) abandonado(s) expirado(s)`);
+            }
+        } catch (error) {
+            console.error('Erro ao expirar uploads abandonados:', error);
+        }
+    }
+}
+
+module.exports = new ChunkedUploadManager();
@@ -0,0 +1,403 @@
+const path = require('path');
+const db = require('./database');
+const SSHManager = require('./SSHManager');
+const VideoSSHManager = require('./VideoSSHManager');
+const RecordingManager = require('./RecordingManager');
+const remoteFfmpeg = require('./remoteFfmpeg');
+
+const CONTENT_ROOT = '/usr/local/WowzaStreamingEngine/content';
+const MAX_RANGES = 20;
+const MIN_RANGE_SECONDS = 1;
+
+// Codecs que podem ser copiados sem recodificação para o MP4 de saída
+const COPY_VIDEO_CODECS = ['h264'];
+const COPY_AUDIO_CODECS = ['aac'];
+
+// Nome do arquivo do corte, seguro para o servidor e sempre com extensão .mp4
+function sanitizeClipName(name) {
+    const base = path.basename(String(name || '').trim(), '.mp4')
+        .replace(/[^a-zA-Z0-9_.-]/g, '_')
+        .replace(/^\.+/, '')
+        .substring(0, 200);
+
+    return base ? `${base}.mp4` : null;
+}
+
+const JOB_COLUMNS = `
+    codigo as id,
+    codigo_gravacao as id_gravacao,
+    codigo_pasta as id_pasta,
+    codigo_video as id_video,
+    arquivo_origem,
+    arquivo_destino,
+    trechos,
+    duracao,
+    modo,
+    status,
+    progresso,
+    erro,
+    data_criacao,
+    data_atualizacao`;
+
+const toMB = bytes => Math.ceil((bytes || 0) / (1024 * 1024));
+
+// Segundos a partir de número ou "HH:MM:SS(.mmm)", "MM:SS" ou "SS"
+function parseTimestamp(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+
+    const match = /^(?:(?:(\d+):)?(\d{1,2}):)?(\d{1,2}(?:\.\d{1,3})?)$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    return (parseInt(match[1]) || 0) * 3600 + (parseInt(match[2]) || 0) * 60 + parseFloat(match[3]);
+}
+
+class ClipJobManager {
+    constructor() {
+        this.concurrency = parseInt(process.env.CLIP_JOB_CONCURRENCY) || 1;
+        this.queue = [];
+        this.running = new Set();
+    }
+
+    /**
+     * Validar os trechos do corte. Retorna { trechos } em segundos ou { error }.
+     */
+    validateRanges(ranges, recordingDuration = 0) {
+        if (!Array.isArray(ranges) || ranges.length === 0) {
+            return { error: 'Informe o início e o fim do corte' };
+        }
+        if (ranges.length > MAX_RANGES) {
+            return { error: `Máximo de ${MAX_RANGES} trechos por corte` };
+        }
+
+        const trechos = [];
+        for (const range of ranges) {
+            const inicio = parseTimestamp(range && range.inicio);
+            const fim = parseTimestamp(range && range.fim);
+
+            if (inicio === null || fim === null) {
+                return { error: 'Tempos devem estar em segundos ou no formato HH:MM:SS' };
+            }
+            if (fim - inicio < MIN_RANGE_SECONDS) {
+                return { error: `Cada trecho deve ter ao menos ${MIN_RANGE_SECONDS} segundo e terminar depois do início` };
+            }
+            if (recordingDuration > 0 && fim > recordingDuration + 1) {
+                return { error: `Trecho ultrapassa a duração da gravação (${VideoSSHManager.formatDuration(recordingDuration)})` };
+            }
+
+            trechos.push({ inicio: Math.round(inicio * 1000) / 1000, fim: Math.round(fim * 1000) / 1000 });
+        }
+
+        return { trechos };
+    }
+
+    async createJob({ userId, userLogin, recordingId, folderId, nome, ranges, preciso = false }) {
+        // Arquivo ainda em gravação não tem o índice MP4 finalizado
+        const found = await RecordingManager.getIdleRecording(recordingId, userId, userLogin);
+        if (!found.success) return found;
+
+        const { recording } = found;
+
+        const { trechos, error } = this.validateRanges(ranges, recording.duracao_segundos);
+        if (error) {
+            return { success: false, statusCode: 400, error };
+        }
+
+        const [folderRows] = await db.execute(
+            'SELECT codigo, identificacao, espaco, espaco_usado FROM streamings WHERE codigo = ? AND codigo_cliente = ?',
+            [folderId, userId]
+        );
+        if (folderRows.length === 0) {
+            return { success: false, statusCode: 404, error: 'Pasta não encontrada' };
+        }
+
+        const folder = folderRows[0];
+        const duracao = Math.round(trechos.reduce((total, trecho) => total + trecho.fim - trecho.inicio, 0));
+
+        // Estimativa pelo bitrate médio da gravação; o tamanho real é conferido ao final
+        if (recording.duracao_segundos > 0) {
+            const estimatedMB = toMB(recording.tamanho * duracao / recording.duracao_segundos);
+            const available = folder.espaco - folder.espaco_usado;
+            if (estimatedMB > available) {
+                return {
+                    success: false,
+                    statusCode: 400,
+                    error: `Espaço insuficiente na pasta. Estimado: ${estimatedMB}MB, disponível: ${available}MB`
+                };
+            }
+        }
+
+        const defaultName = `${path.basename(recording.arquivo, '.mp4')}_corte`;
+        const fileName = sanitizeClipName(nome || defaultName) || `${defaultName}.mp4`;
+
+        const [result] = await db.execute(
+            `INSERT INTO cortes_gravacoes (
+                codigo_stm, codigo_gravacao, codigo_servidor, codigo_pasta, arquivo_origem,
+                arquivo_destino, trechos, duracao, modo, status, progresso
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'queued', 0)`,
+            [
+                userId,
+                recording.codigo,
+                recording.codigo_servidor,
+                folder.codigo,
+                `/${userLogin}/recordings/${recording.arquivo}`,
+                `/${userLogin}/${folder.identificacao}/${fileName}`,
+                JSON.stringify(trechos),
+                duracao,
+                preciso ? 'recodificado' : 'copia'
+            ]
+        );
+
+        this.enqueue(result.insertId);
+        return { success: true, job: await this.getJob(result.insertId, userId) };
+    }
+
+    formatJob(row) {
+        return { ...row, trechos: JSON.parse(row.trechos || '[]') };
+    }
+
+    async getJob(jobId, userId) {
+        const [rows] = await db.execute(
+            `SELECT ${JOB_COLUMNS} FROM cortes_gravacoes WHERE codigo = ? AND codigo_stm = ?`,
+            [jobId, userId]
+        );
+
+        return rows.length > 0 ? this.formatJob(rows[0]) : null;
+    }
+
+    async listJobs(userId, limit = 50) {
+        const [rows] = await db.execute(
+            `SELECT ${JOB_COLUMNS} FROM cortes_gravacoes
+             WHERE codigo_stm = ?
+             ORDER BY codigo DESC
+             LIMIT ${parseInt(limit) || 50}`,
+            [userId]
+        );
+
+        return rows.map(row => this.formatJob(row));
+    }
+
+    // Recolocar na fila cortes interrompidos; ffmpeg em andamento volta a ser acompanhado
+    async resumePendingJobs() {
+        try {
+            const [rows] = await db.execute(
+                `SELECT codigo, status FROM cortes_gravacoes
+                 WHERE status IN ('queued', 'probing', 'cutting')
+                 ORDER BY codigo`
+            );
+
+            for (const row of rows) {
+                if (row.status === 'probing') {
+                    await this.updateJob(row.codigo, { status: 'queued', progresso: 0 });
+                }
+                this.enqueue(row.codigo);
+            }
+
+            if (rows.length > 0) {
+                console.log(`✂️ ${rows.length} corte(s) de gravação pendente(s) retomado(s)`);
+            }
+        } catch (error) {
+            console.error('Erro ao retomar cortes de gravação pendentes:', error);
+        }
+    }
+
+    enqueue(jobId) {
+        if (!this.queue.includes(jobId) && !this.running.has(jobId)) {
+            this.queue.push(jobId);
+        }
+        this.processQueue();
+    }
+
+    processQueue() {
+        while (this.running.size < this.concurrency && this.queue.length > 0) {
+            const jobId = this.queue.shift();
+            this.running.add(jobId);
+
+            this.runJob(jobId)
+                .catch(error => console.error(`Erro inesperado no corte ${jobId}:`, error))
+                .finally(() => {
+                    this.running.delete(jobId);
+                    this.processQueue();
+                });
+        }
+    }
+
+    async updateJob(jobId, fields) {
+        const columns = Object.keys(fields);
+        if (columns.length === 0) return;
+
+        await db.execute(
+            `UPDATE cortes_gravacoes SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE codigo = ?`,
+            [...columns.map(c => fields[c]), jobId]
+        );
+    }
+
+    // Cópia direta quando os codecs permitem: rápida, mas os cortes alinham ao keyframe mais próximo
+    canCopy(videoInfo) {
+        return COPY_VIDEO_CODECS.includes(videoInfo.codec) &&
+            (!videoInfo.audioCodec || COPY_AUDIO_CODECS.includes(videoInfo.audioCodec));
+    }
+
+    // Lista do concat demuxer com inpoint/outpoint: todos os trechos em um único ffmpeg
+    async writeConcatList(serverId, workPrefix, remotePath, trechos) {
+        const lines = trechos.map(trecho =>
+            `file '${remotePath}'\ninpoint ${trecho.inicio}\noutpoint ${trecho.fim}`
+        ).join('\n');
+
+        await SSHManager.executeCommand(serverId, `cat > "${workPrefix}.txt" << 'LISTA'\n${lines}\nLISTA`);
+    }
+
+    buildCopyArgs(workPrefix) {
+        return [
+            `-f concat -safe 0 -i "${workPrefix}.txt"`,
+            '-map 0:v:0 -map "0:a?" -c copy',
+            '-avoid_negative_ts make_zero -movflags +faststart'
+        ];
+    }
+
+    // Corte exato: trim/atrim de cada trecho e concatenação, recodificando em H.264/AAC
+    buildEncodeArgs(remotePath, trechos, hasAudio) {
+        const filters = [];
+        const outputs = [];
+
+        trechos.forEach((trecho, index) => {
+            filters.push(`[0:v]trim=start=${trecho.inicio}:end=${trecho.fim},setpts=PTS-STARTPTS[v${index}]`);
+            outputs.push(`[v${index}]`);
+
+            if (hasAudio) {
+                filters.push(`[0:a]atrim=start=${trecho.inicio}:end=${trecho.fim},asetpts=PTS-STARTPTS[a${index}]`);
+                outputs.push(`[a${index}]`);
+            }
+        });
+
+        filters.push(`${outputs.join('')}concat=n=${trechos.length}:v=1:a=${hasAudio ? 1 : 0}[v]${hasAudio ? '[a]' : ''}`);
+
+        return [
+            `-i "${remotePath}"`,
+            `-filter_complex "${filters.join(';')}"`,
+            `-map "[v]"${hasAudio ? ' -map "[a]"' : ''}`,
+            '-c:v libx264 -preset veryfast -crf 20 -pix_fmt yuv420p',
+            hasAudio ? '-c:a aac -b:a 128k -ac 2' : '',
+            '-movflags +faststart'
+        ].filter(Boolean);
+    }
+
+    async runJob(jobId) {
+        const [jobRows] = await db.execute('SELECT * FROM cortes_gravacoes WHERE codigo = ?', [jobId]);
+        if (jobRows.length === 0) return;
+
+        const job = jobRows[0];
+        const serverId = job.codigo_servidor || 1;
+        const remotePath = `${CONTENT_ROOT}${job.arquivo_origem}`;
+        const [, userLogin, folderName] = job.arquivo_destino.split('/');
+        const folderDir = `${CONTENT_ROOT}/${userLogin}/${folderName}`;
+        const workPrefix = `${folderDir}/.corte_${jobId}`;
+        const trechos = JSON.parse(job.trechos || '[]');
+
+        try {
+            const resuming = job.status === 'cutting';
+
+            if (!resuming) {
+                await this.updateJob(jobId, { status: 'probing', progresso: 0, erro: null });
+
+                const videoInfo = await VideoSSHManager.getVideoInfo(serverId, remotePath);
+                if (!videoInfo || !videoInfo.size) {
+                    throw new Error('Gravação não encontrada no servidor');
+                }
+
+                const modo = job.modo === 'copia' && this.canCopy(videoInfo) ? 'copia' : 'recodificado';
+
+                await SSHManager.createUserFolder(serverId, userLogin, folderName);
+                await remoteFfmpeg.cleanupWorkFiles(serverId, workPrefix, ['txt']);
+
+                let args;
+                if (modo === 'copia') {
+                    await this.writeConcatList(serverId, workPrefix, remotePath, trechos);
+                    args = this.buildCopyArgs(workPrefix);
+                } else {
+                    args = this.buildEncodeArgs(remotePath, trechos, !!videoInfo.audioCodec);
+                }
+
+                await this.updateJob(jobId, { status: 'cutting', modo, progresso: 0 });
+                await remoteFfmpeg.startDetached(serverId, args, workPrefix);
+
+                console.log(`✂️ Corte ${jobId} iniciado (${modo}, ${trechos.length} trecho(s)): ${job.arquivo_origem}`);
+            } else {
+                console.log(`✂️ Acompanhando corte ${jobId} em andamento: ${job.arquivo_origem}`);
+            }
+
+            await remoteFfmpeg.waitForCompletion(
+                serverId,
+                workPrefix,
+                job.duracao,
+                progresso => this.updateJob(jobId, { progresso }),
+                job.progresso || 0
+            );
+
+            // Conferir o espaço da pasta com o tamanho real do corte
+            const outputInfo = await SSHManager.getFileInfo(serverId, `${workPrefix}.mp4`);
+            const sizeMB = toMB(outputInfo.size);
+            const [folderRows] = await db.execute(
+                'SELECT espaco, espaco_usado FROM streamings WHERE codigo = ?',
+                [job.codigo_pasta]
+            );
+            if (folderRows.length === 0) {
+                throw new Error('Pasta de destino não existe mais');
+            }
+            if (folderRows[0].espaco_usado + sizeMB > folderRows[0].espaco) {
+                throw new Error(`Espaço insuficiente na pasta para o corte (${sizeMB}MB)`);
+            }
+
+            // Não sobrescrever vídeos da pasta com o mesmo nome
+            let relativePath = job.arquivo_destino;
+            const existing = await SSHManager.getFileInfo(serverId, `${CONTENT_ROOT}${relativePath}`);
+            if (existing.exists) {
+                relativePath = `/${userLogin}/${folderName}/${Date.now()}_${path.posix.basename(relativePath)}`;
+            }
+
+            await SSHManager.executeCommand(serverId, `mv -f "${workPrefix}.mp4" "${CONTENT_ROOT}${relativePath}"`);
+            await remoteFfmpeg.cleanupWorkFiles(serverId, workPrefix, ['txt']);
+
+            const videoInfo = await VideoSSHManager.getVideoInfo(serverId, `${CONTENT_ROOT}${relativePath}`) || {};
+            const duracao = Math.round(videoInfo.duration || job.duracao);
+
+            const [result] = await db.execute(
+                `INSERT INTO playlists_videos (
+                    codigo_playlist, path_video, video, width, height,
+                    bitrate, duracao, duracao_segundos, tipo, ordem, tamanho_arquivo
+                ) VALUES (0, ?, ?, ?, ?, ?, ?, ?, 'video', 0, ?)`,
+                [
+                    relativePath,
+                    path.posix.basename(relativePath, '.mp4'),
+                    videoInfo.width || 0,
+                    videoInfo.height || 0,
+                    videoInfo.bitrate || 0,
+                    VideoSSHManager.formatDuration(duracao),
+                    duracao,
+                    outputInfo.size
+                ]
+            );
+
+            await db.execute(
+                'UPDATE streamings SET espaco_usado = espaco_usado + ? WHERE codigo = ?',
+                [sizeMB, job.codigo_pasta]
+            );
+
+            await this.updateJob(jobId, {
+                status: 'done',
+                progresso: 100,
+                codigo_video: result.insertId,
+                arquivo_destino: relativePath
+            });
+            console.log(`✅ Corte ${jobId} concluído: ${relativePath}`);
+        } catch (error) {
+            console.error(`❌ Falha no corte ${jobId}:`, error.message);
+
+            await remoteFfmpeg.cleanupWorkFiles(serverId, workPrefix, ['txt']);
+            await this.updateJob(jobId, { status: 'failed', erro: error.message.substring(0, 1000) });
+        }
+    }
+}
+
+module.exports = new ClipJobManager();
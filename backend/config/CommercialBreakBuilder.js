@@ -0,0 +1,162 @@
+const db = require('./database');
+
+class CommercialBreakBuilder {
+    async getConfig(userId, playlistId) {
+        const [rows] = await db.execute(
+            `SELECT codigo, codigo_pasta_comerciais, quantidade_comerciais, intervalo_videos
+             FROM comerciais_config
+             WHERE codigo_stm = ? AND codigo_playlist = ? AND ativo = 1
+             ORDER BY codigo
+             LIMIT 1`,
+            [userId, playlistId]
+        );
+
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    // Comerciais da pasta, começando pelos exibidos há mais tempo (ou nunca exibidos)
+    async getCommercials(config, userLogin) {
+        const [folderRows] = await db.execute(
+            'SELECT identificacao FROM streamings WHERE codigo = ?',
+            [config.codigo_pasta_comerciais]
+        );
+
+        if (folderRows.length === 0) {
+            return [];
+        }
+
+        const folderPath = `/${userLogin}/${folderRows[0].identificacao}/`;
+
+        const [rows] = await db.execute(
+            `SELECT
+                pv.*,
+                pv.video as nome,
+                pv.path_video as url,
+                (SELECT MAX(ce.data_exibicao) FROM comerciais_exibicoes ce
+                 WHERE ce.codigo_config = ? AND ce.codigo_video = pv.codigo) as ultima_exibicao
+             FROM playlists_videos pv
+             WHERE pv.codigo_playlist = 0 AND pv.path_video LIKE ?
+             ORDER BY ultima_exibicao IS NOT NULL, ultima_exibicao, pv.codigo`,
+            [config.codigo, `%${folderPath}%`]
+        );
+
+        return rows;
+    }
+
+    // Intercalar N comerciais a cada M vídeos da playlist
+    async buildPlayoutList({ userId, userLogin, playlistId, videos, config = null }) {
+        config = config || await this.getConfig(userId, playlistId);
+
+        const playout = {
+            config,
+            items: videos.map(video => ({ ...video, tipo_item: 'video' }))
+        };
+
+        if (!config) {
+            return playout;
+        }
+
+        const commercials = await this.getCommercials(config, userLogin);
+        const quantidade = Math.max(parseInt(config.quantidade_comerciais) || 1, 1);
+        const intervalo = Math.max(parseInt(config.intervalo_videos) || 1, 1);
+
+        if (commercials.length === 0) {
+            console.warn(`⚠️ Pasta de comerciais ${config.codigo_pasta_comerciais} sem vídeos para a playlist ${playlistId}`);
+            return playout;
+        }
+
+        const items = [];
+        let cursor = 0;
+
+        videos.forEach((video, index) => {
+            items.push({ ...video, tipo_item: 'video' });
+
+            // Nenhum intervalo após o último vídeo da playlist
+            if ((index + 1) % intervalo !== 0 || index === videos.length - 1) return;
+
+            for (let i = 0; i < quantidade; i++) {
+                const commercial = commercials[cursor % commercials.length];
+                cursor++;
+                items.push({ ...commercial, tipo_item: 'comercial', codigo_config: config.codigo });
+            }
+        });
+
+        playout.items = items;
+        return playout;
+    }
+
+    // Calcular o horário previsto de cada item a partir do início informado
+    withTimestamps(items, startTime = new Date()) {
+        let offset = 0;
+
+        return items.map((item, index) => {
+            const duracao = parseInt(item.duracao_segundos) || 0;
+            const entry = {
+                posicao: index + 1,
+                tipo: item.tipo_item,
+                id_video: item.codigo,
+                nome: item.nome || item.video,
+                url: item.url || item.path_video,
+                duracao,
+                inicio_segundos: offset,
+                inicio: new Date(startTime.getTime() + offset * 1000).toISOString()
+            };
+
+            offset += duracao;
+            return entry;
+        });
+    }
+
+    // Espectadores conectados ao stream (e à versão com logo) na última coleta do ViewerCollector
+    async countViewers(userId, streamName) {
+        const [rows] = await db.execute(
+            `SELECT COUNT(*) as total FROM espectadores_conectados
+             WHERE codigo_stm = ? AND encerrada = 0 AND (sessao LIKE ? OR sessao LIKE ?)`,
+            [userId, `${userId}:${streamName}:%`, `${userId}:${streamName}_logo:%`]
+        );
+        return rows[0] ? parseInt(rows[0].total) || 0 : 0;
+    }
+
+    // Início da última exibição registrada da transmissão
+    async getLastPlayTime(streamId) {
+        const [rows] = await db.execute(
+            'SELECT MAX(data_exibicao) as ultima FROM comerciais_exibicoes WHERE wowza_stream_id = ?',
+            [streamId]
+        );
+        return rows[0] && rows[0].ultima ? new Date(rows[0].ultima).getTime() : null;
+    }
+
+    /**
+     * Registrar a exibição (proof-of-play) de um comercial que entrou no ar pela agenda
+     * do playout. A chave única (wowza_stream_id, data_exibicao) evita registros
+     * duplicados quando o intervalo é reprocessado após um reinício.
+     */
+    async recordPlay({ userId, streamId, streamName, playlistId, item, posicao, inicio }) {
+        const [transmissionRows] = await db.execute(
+            'SELECT codigo FROM transmissoes WHERE wowza_stream_id = ? ORDER BY codigo DESC LIMIT 1',
+            [streamId]
+        );
+
+        await db.execute(
+            `INSERT IGNORE INTO comerciais_exibicoes (
+                codigo_stm, codigo_config, codigo_video, video, codigo_playlist,
+                codigo_transmissao, wowza_stream_id, posicao, duracao_segundos, espectadores, data_exibicao
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                userId,
+                item.codigo_config,
+                item.id,
+                item.nome,
+                playlistId || 0,
+                transmissionRows.length > 0 ? transmissionRows[0].codigo : null,
+                streamId,
+                posicao,
+                item.duracao,
+                await this.countViewers(userId, streamName),
+                inicio
+            ]
+        );
+    }
+}
+
+module.exports = new CommercialBreakBuilder();
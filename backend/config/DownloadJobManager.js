@@ -0,0 +1,510 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const db = require('./database');
+const SSHManager = require('./SSHManager');
+const VideoSSHManager = require('./VideoSSHManager');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv'];
+const YTDLP_FORMAT = 'bv*[ext=mp4]+ba[ext=m4a]/b[ext=mp4]/b';
+// Trecho final do stderr mantido para a mensagem de erro
+const MAX_STDERR_LENGTH = 4096;
+const PROBE_TIMEOUT = 60 * 1000;
+// Download sem nenhuma saída do yt-dlp por este período é considerado travado
+const DOWNLOAD_STALL_TIMEOUT = 10 * 60 * 1000;
+
+// Entregar a saída de um processo linha a linha, mesmo quando uma linha chega em vários pedaços
+function onLines(stream, callback) {
+    let buffer = '';
+
+    stream.on('data', (data) => {
+        buffer += data.toString();
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(callback);
+    });
+
+    stream.on('end', () => {
+        if (buffer) callback(buffer);
+        buffer = '';
+    });
+}
+
+function appendTail(text, line) {
+    const result = `${text}${line}\n`;
+    return result.length > MAX_STDERR_LENGTH ? result.slice(-MAX_STDERR_LENGTH) : result;
+}
+
+// Downloader padrão: yt-dlp (caminho do binário configurável via YTDLP_PATH)
+const ytDlpDownloader = {
+    name: 'yt-dlp',
+
+    canHandle(url) {
+        return /^(https?:\/\/)?(www\.|m\.)?(youtube\.com|youtu\.be)\/.+/.test(url);
+    },
+
+    // Tamanho estimado (bytes) do formato escolhido, ou null quando o site não informa
+    probeSize({ url }) {
+        const binary = process.env.YTDLP_PATH || 'yt-dlp';
+        const args = [
+            '-f', YTDLP_FORMAT,
+            '--no-playlist',
+            '--simulate',
+            '--print', '%(filesize,filesize_approx)s',
+            url
+        ];
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(binary, args);
+            let size = null;
+            let stderr = '';
+
+            const timer = setTimeout(() => child.kill('SIGKILL'), PROBE_TIMEOUT);
+
+            onLines(child.stdout, (line) => {
+                const bytes = parseInt(line.trim());
+                if (bytes > 0) size = bytes;
+            });
+            onLines(child.stderr, (line) => {
+                stderr = appendTail(stderr, line);
+            });
+
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(new Error(`Não foi possível executar ${binary}: ${error.message}`));
+            });
+
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve(size);
+                } else {
+                    reject(new Error(`${binary} falhou com código ${code}: ${stderr.trim().split('\n').pop() || 'sem detalhes'}`));
+                }
+            });
+        });
+    },
+
+    download({ url, outputDir, filePrefix, onProgress }) {
+        const binary = process.env.YTDLP_PATH || 'yt-dlp';
+        // --print ativa o modo silencioso, que manda o progresso para o stderr;
+        // o template garante uma linha de progresso própria em qualquer saída
+        const args = [
+            '-f', YTDLP_FORMAT,
+            '--merge-output-format', 'mp4',
+            '--no-playlist',
+            '--restrict-filenames',
+            '--newline',
+            '--progress',
+            '--progress-template', 'download:[progresso] %(progress._percent_str)s',
+            '--print', 'after_move:%(filepath)s\t%(title)s',
+            '-o', path.join(outputDir, `${filePrefix}_%(title).80s.%(ext)s`),
+            url
+        ];
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(binary, args);
+            let result = null;
+            let stderr = '';
+            let stalled = false;
+            let timer = null;
+
+            const resetTimer = () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    stalled = true;
+                    child.kill('SIGKILL');
+                }, DOWNLOAD_STALL_TIMEOUT);
+            };
+            resetTimer();
+
+            const handleLine = (line) => {
+                resetTimer();
+                const progressMatch = line.match(/^\[progresso\]\s+([\d.]+)%/);
+                if (progressMatch) {
+                    onProgress(parseFloat(progressMatch[1]));
+                    return true;
+                }
+                return false;
+            };
+
+            onLines(child.stdout, (line) => {
+                if (handleLine(line)) return;
+                if (line.includes('\t') && !line.startsWith('[')) {
+                    const [filePath, title] = line.trim().split('\t');
+                    result = { filePath, title };
+                }
+            });
+
+            onLines(child.stderr, (line) => {
+                if (!handleLine(line)) {
+                    stderr = appendTail(stderr, line);
+                }
+            });
+
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(new Error(`Não foi possível executar ${binary}: ${error.message}`));
+            });
+
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                if (stalled) {
+                    reject(new Error(`${binary} interrompido: sem progresso por ${DOWNLOAD_STALL_TIMEOUT / 60000} minutos`));
+                } else if (code === 0 && result) {
+                    resolve(result);
+                } else {
+                    reject(new Error(`${binary} falhou com código ${code}: ${stderr.trim().split('\n').pop() || 'sem detalhes'}`));
+                }
+            });
+        });
+    }
+};
+
+// Downloader para links diretos de arquivos de vídeo (http/https)
+const httpDownloader = {
+    name: 'http',
+
+    canHandle(url) {
+        try {
+            const parsedUrl = new URL(url);
+            return ['http:', 'https:'].includes(parsedUrl.protocol) &&
+                VIDEO_EXTENSIONS.includes(path.extname(parsedUrl.pathname).toLowerCase());
+        } catch {
+            return false;
+        }
+    },
+
+    async probeSize({ url }) {
+        const response = await fetch(url, { method: 'HEAD', timeout: 30000 });
+        if (!response.ok) return null;
+
+        return parseInt(response.headers.get('content-length')) || null;
+    },
+
+    async download({ url, outputDir, filePrefix, onProgress }) {
+        const response = await fetch(url, { timeout: 30000 });
+
+        if (!response.ok) {
+            throw new Error(`Servidor de origem respondeu com status ${response.status}`);
+        }
+
+        const originalName = path.basename(new URL(url).pathname);
+        const title = path.parse(originalName).name;
+        const filePath = path.join(outputDir, `${filePrefix}_${originalName.replace(/[^a-zA-Z0-9.-]/g, '_')}`);
+        const totalBytes = parseInt(response.headers.get('content-length')) || 0;
+        let downloadedBytes = 0;
+
+        await new Promise((resolve, reject) => {
+            const writeStream = createWriteStream(filePath);
+
+            response.body.on('data', (chunk) => {
+                downloadedBytes += chunk.length;
+                if (totalBytes > 0) {
+                    onProgress((downloadedBytes / totalBytes) * 100);
+                }
+            });
+
+            response.body.on('error', reject);
+            writeStream.on('error', reject);
+            writeStream.on('finish', resolve);
+
+            response.body.pipe(writeStream);
+        });
+
+        return { filePath, title };
+    }
+};
+
+class DownloadJobManager {
+    constructor() {
+        this.tempDir = '/tmp/youtube-downloads';
+        this.concurrency = parseInt(process.env.DOWNLOAD_CONCURRENCY) || 2;
+        this.downloaders = [];
+        this.queue = [];
+        this.running = new Set();
+
+        this.registerDownloader(ytDlpDownloader);
+        this.registerDownloader(httpDownloader);
+    }
+
+    // Registrar um downloader: { name, canHandle(url), probeSize({ url }), download({ url, outputDir, filePrefix, onProgress }) }
+    registerDownloader(downloader) {
+        this.downloaders = this.downloaders.filter(d => d.name !== downloader.name);
+        this.downloaders.push(downloader);
+    }
+
+    getDownloader(url) {
+        return this.downloaders.find(d => d.canHandle(url)) || null;
+    }
+
+    async createJob({ userId, userLogin, folderId, url }) {
+        const downloader = this.getDownloader(url);
+        if (!downloader) {
+            throw new Error('URL não suportada para download');
+        }
+
+        const [result] = await db.execute(
+            `INSERT INTO downloads_youtube (
+                codigo_stm, codigo_pasta, login, url, downloader, status, progresso
+            ) VALUES (?, ?, ?, ?, ?, 'queued', 0)`,
+            [userId, folderId, userLogin, url, downloader.name]
+        );
+
+        this.enqueue(result.insertId);
+        return this.getJob(result.insertId, userId);
+    }
+
+    async getJob(jobId, userId) {
+        const [rows] = await db.execute(
+            `SELECT
+                codigo as id,
+                codigo_pasta as id_pasta,
+                url,
+                downloader,
+                titulo,
+                status,
+                progresso,
+                codigo_video as id_video,
+                erro,
+                data_criacao,
+                data_atualizacao
+             FROM downloads_youtube
+             WHERE codigo = ? AND codigo_stm = ?`,
+            [jobId, userId]
+        );
+
+        return rows[0] || null;
+    }
+
+    async listJobs(userId, limit = 50) {
+        const [rows] = await db.execute(
+            `SELECT
+                codigo as id,
+                codigo_pasta as id_pasta,
+                url,
+                downloader,
+                titulo,
+                status,
+                progresso,
+                codigo_video as id_video,
+                erro,
+                data_criacao,
+                data_atualizacao
+             FROM downloads_youtube
+             WHERE codigo_stm = ?
+             ORDER BY codigo DESC
+             LIMIT ${parseInt(limit) || 50}`,
+            [userId]
+        );
+
+        return rows;
+    }
+
+    // Recolocar na fila jobs interrompidos por reinício do backend
+    async resumePendingJobs() {
+        try {
+            const [rows] = await db.execute(
+                `SELECT codigo FROM downloads_youtube
+                 WHERE status IN ('queued', 'downloading', 'uploading')
+                 ORDER BY codigo`
+            );
+
+            for (const row of rows) {
+                await this.updateJob(row.codigo, { status: 'queued', progresso: 0 });
+                this.enqueue(row.codigo);
+            }
+
+            if (rows.length > 0) {
+                console.log(`📥 ${rows.length} download(s) pendente(s) recolocado(s) na fila`);
+            }
+        } catch (error) {
+            console.error('Erro ao retomar downloads pendentes:', error);
+        }
+    }
+
+    enqueue(jobId) {
+        if (!this.queue.includes(jobId) && !this.running.has(jobId)) {
+            this.queue.push(jobId);
+        }
+        this.processQueue();
+    }
+
+    processQueue() {
+        while (this.running.size < this.concurrency && this.queue.length > 0) {
+            const jobId = this.queue.shift();
+            this.running.add(jobId);
+
+            this.runJob(jobId)
+                .catch(error => console.error(`Erro inesperado no download ${jobId}:`, error))
+                .finally(() => {
+                    this.running.delete(jobId);
+                    this.processQueue();
+                });
+        }
+    }
+
+    async updateJob(jobId, fields) {
+        const columns = Object.keys(fields);
+        if (columns.length === 0) return;
+
+        await db.execute(
+            `UPDATE downloads_youtube SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE codigo = ?`,
+            [...columns.map(c => fields[c]), jobId]
+        );
+    }
+
+    // Atualiza o progresso apenas quando o percentual inteiro muda, para não sobrecarregar o banco
+    createProgressReporter(jobId) {
+        let lastProgress = -1;
+
+        return (percentage) => {
+            const progress = Math.min(100, Math.floor(percentage));
+            if (progress !== lastProgress) {
+                lastProgress = progress;
+                this.updateJob(jobId, { progresso: progress }).catch(() => {});
+            }
+        };
+    }
+
+    async runJob(jobId) {
+        const [jobRows] = await db.execute(
+            'SELECT * FROM downloads_youtube WHERE codigo = ?',
+            [jobId]
+        );
+
+        if (jobRows.length === 0) return;
+
+        const job = jobRows[0];
+        const filePrefix = `${jobId}_${Date.now()}`;
+        let localFile = null;
+
+        try {
+            const [folderRows] = await db.execute(
+                'SELECT identificacao, codigo_servidor, espaco, espaco_usado FROM streamings WHERE codigo = ? AND codigo_cliente = ?',
+                [job.codigo_pasta, job.codigo_stm]
+            );
+
+            if (folderRows.length === 0) {
+                throw new Error('Pasta não encontrada');
+            }
+
+            const folder = folderRows[0];
+            const folderName = folder.identificacao;
+            const serverId = folder.codigo_servidor || 1;
+            const userLogin = job.login;
+
+            const downloader = this.downloaders.find(d => d.name === job.downloader) || this.getDownloader(job.url);
+            if (!downloader) {
+                throw new Error('Nenhum downloader disponível para esta URL');
+            }
+
+            const availableSpace = folder.espaco - folder.espaco_usado;
+
+            // Etapa 1: download para diretório temporário local, se o tamanho esperado couber na pasta
+            await this.updateJob(jobId, { status: 'downloading', progresso: 0, erro: null });
+
+            const expectedBytes = downloader.probeSize ? await downloader.probeSize({ url: job.url }) : null;
+            if (expectedBytes) {
+                const expectedMB = Math.ceil(expectedBytes / (1024 * 1024));
+                if (expectedMB > availableSpace) {
+                    throw new Error(`Espaço insuficiente. Necessário: ${expectedMB}MB, Disponível: ${availableSpace}MB`);
+                }
+            }
+
+            await fs.mkdir(this.tempDir, { recursive: true });
+
+            console.log(`⬇️ Iniciando download ${jobId} (${downloader.name}): ${job.url}`);
+
+            const downloaded = await downloader.download({
+                url: job.url,
+                outputDir: this.tempDir,
+                filePrefix,
+                onProgress: this.createProgressReporter(jobId)
+            });
+
+            localFile = downloaded.filePath;
+            const videoTitle = (downloaded.title || path.parse(localFile).name).substring(0, 255);
+            const stats = await fs.stat(localFile);
+
+            await this.updateJob(jobId, { titulo: videoTitle, progresso: 100 });
+
+            // Conferir o tamanho real antes de enviar, já que a estimativa pode faltar ou variar
+            const spaceMB = Math.ceil(stats.size / (1024 * 1024));
+
+            if (spaceMB > availableSpace) {
+                throw new Error(`Espaço insuficiente. Necessário: ${spaceMB}MB, Disponível: ${availableSpace}MB`);
+            }
+
+            // Etapa 2: envio para o servidor Wowza via SSH
+            await this.updateJob(jobId, { status: 'uploading', progresso: 0 });
+
+            await SSHManager.createUserDirectory(serverId, userLogin);
+            await SSHManager.createUserFolder(serverId, userLogin, folderName);
+
+            const fileName = path.basename(localFile);
+            const remotePath = `/usr/local/WowzaStreamingEngine/content/${userLogin}/${folderName}/${fileName}`;
+            const reportUpload = this.createProgressReporter(jobId);
+
+            await SSHManager.uploadFile(serverId, localFile, remotePath, (transferred, total) => {
+                if (total > 0) {
+                    reportUpload((transferred / total) * 100);
+                }
+            });
+
+            await fs.unlink(localFile).catch(() => {});
+            localFile = null;
+
+            console.log(`✅ Download ${jobId} enviado para ${remotePath}`);
+
+            // Etapa 3: metadados reais via ffprobe no servidor
+            const videoInfo = await VideoSSHManager.getVideoInfo(serverId, remotePath) || {};
+            const duracao = videoInfo.duration || 0;
+            const relativePath = `/${userLogin}/${folderName}/${fileName}`;
+
+            const [videoResult] = await db.execute(
+                `INSERT INTO playlists_videos (
+                    codigo_playlist, path_video, video, width, height,
+                    bitrate, duracao, duracao_segundos, tipo, ordem, tamanho_arquivo
+                ) VALUES (0, ?, ?, ?, ?, ?, ?, ?, 'video', 0, ?)`,
+                [
+                    relativePath,
+                    videoTitle,
+                    videoInfo.width || 0,
+                    videoInfo.height || 0,
+                    videoInfo.bitrate || 0,
+                    VideoSSHManager.formatDuration(duracao),
+                    duracao,
+                    stats.size
+                ]
+            );
+
+            await db.execute(
+                'UPDATE streamings SET espaco_usado = espaco_usado + ? WHERE codigo = ?',
+                [spaceMB, job.codigo_pasta]
+            );
+
+            await this.updateJob(jobId, { status: 'done', progresso: 100, codigo_video: videoResult.insertId });
+        } catch (error) {
+            console.error(`❌ Falha no download ${jobId}:`, error.message);
+
+            if (localFile) {
+                await fs.unlink(localFile).catch(() => {});
+            }
+
+            // Remove arquivos parciais (.part, .ytdl, fragmentos) deixados pelo download interrompido
+            const leftovers = await fs.readdir(this.tempDir).catch(() => []);
+            for (const name of leftovers) {
+                if (name.startsWith(`${filePrefix}_`)) {
+                    await fs.unlink(path.join(this.tempDir, name)).catch(() => {});
+                }
+            }
+
+            await this.updateJob(jobId, { status: 'failed', erro: error.message.substring(0, 1000) });
+        }
+    }
+}
+
+module.exports = new DownloadJobManager();
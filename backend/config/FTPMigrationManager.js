@@ -0,0 +1,584 @@
+const ftp = require('basic-ftp');
+const crypto = require('crypto');
+const path = require('path');
+const db = require('./database');
+const SSHManager = require('./SSHManager');
+const VideoSSHManager = require('./VideoSSHManager');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv'];
+const MAX_ATTEMPTS = 3;
+const MAX_SCAN_DEPTH = 10;
+const MAX_SCAN_FILES = 5000;
+
+// Chave da senha do FTP guardada enquanto a migração está na fila
+const CREDENTIALS_KEY = crypto
+    .createHash('sha256')
+    .update(process.env.FTP_CREDENTIALS_SECRET || process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui')
+    .digest();
+
+function encryptPassword(password) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', CREDENTIALS_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(String(password), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptPassword(stored) {
+    const [iv, tag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', CREDENTIALS_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+class FTPMigrationManager {
+    constructor() {
+        this.queue = [];
+        this.running = new Set();
+        this.concurrency = parseInt(process.env.FTP_MIGRATION_CONCURRENCY) || 1;
+    }
+
+    isVideoFile(fileName) {
+        return VIDEO_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+    }
+
+    // Converter dados de conexão enviados pelo painel para o formato do basic-ftp
+    buildAccessOptions({ ip, usuario, senha, porta, seguro }) {
+        return {
+            host: ip,
+            port: parseInt(porta) || 21,
+            user: usuario,
+            password: senha,
+            secure: Boolean(seguro),
+            secureOptions: { rejectUnauthorized: false }
+        };
+    }
+
+    async openClient(connection) {
+        const client = new ftp.Client(30000);
+        await client.access(this.buildAccessOptions(connection));
+        return client;
+    }
+
+    async listDirectory(connection, directoryPath = '/') {
+        const client = await this.openClient(connection);
+
+        try {
+            const currentPath = directoryPath || '/';
+            const entries = await client.list(currentPath);
+            const files = [];
+
+            if (currentPath !== '/') {
+                files.push({
+                    name: '..',
+                    type: 'directory',
+                    path: path.posix.dirname(currentPath),
+                    size: 0,
+                    isVideo: false
+                });
+            }
+
+            for (const entry of entries) {
+                if (entry.name === '.' || entry.name === '..') continue;
+
+                files.push({
+                    name: entry.name,
+                    type: entry.isDirectory ? 'directory' : 'file',
+                    path: path.posix.join(currentPath, entry.name),
+                    size: entry.size || 0,
+                    isVideo: entry.isFile && this.isVideoFile(entry.name)
+                });
+            }
+
+            // Diretórios primeiro, depois arquivos em ordem alfabética
+            files.sort((a, b) => {
+                if (a.name === '..') return -1;
+                if (b.name === '..') return 1;
+                if (a.type !== b.type) return a.type === 'directory' ? -1 : 1;
+                return a.name.localeCompare(b.name);
+            });
+
+            return { files, currentPath };
+        } finally {
+            client.close();
+        }
+    }
+
+    async scanDirectory(connection, directoryPath) {
+        const client = await this.openClient(connection);
+        const videos = [];
+
+        const scan = async (currentPath, depth) => {
+            if (depth > MAX_SCAN_DEPTH || videos.length >= MAX_SCAN_FILES) return;
+
+            const entries = await client.list(currentPath);
+
+            for (const entry of entries) {
+                if (entry.name === '.' || entry.name === '..') continue;
+
+                const entryPath = path.posix.join(currentPath, entry.name);
+
+                if (entry.isDirectory) {
+                    await scan(entryPath, depth + 1);
+                } else if (entry.isFile && this.isVideoFile(entry.name)) {
+                    videos.push({
+                        name: entry.name,
+                        path: entryPath,
+                        size: entry.size || 0,
+                        directory: currentPath
+                    });
+                }
+
+                if (videos.length >= MAX_SCAN_FILES) return;
+            }
+        };
+
+        try {
+            await scan(directoryPath || '/', 0);
+            return videos;
+        } finally {
+            client.close();
+        }
+    }
+
+    async createMigration({ userId, userLogin, folderId, connection, files }) {
+        const [result] = await db.execute(
+            `INSERT INTO ftp_migracoes (
+                codigo_stm, codigo_pasta, login, ftp_host, ftp_porta, ftp_usuario,
+                ftp_senha, ftp_seguro, status, total_arquivos
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)`,
+            [
+                userId,
+                folderId,
+                userLogin,
+                connection.ip,
+                parseInt(connection.porta) || 21,
+                connection.usuario,
+                encryptPassword(connection.senha),
+                connection.seguro ? 1 : 0,
+                files.length
+            ]
+        );
+
+        const migrationId = result.insertId;
+
+        for (const filePath of files) {
+            await db.execute(
+                `INSERT INTO ftp_migracoes_arquivos (
+                    codigo_migracao, caminho_origem, nome, status
+                ) VALUES (?, ?, ?, 'pending')`,
+                [migrationId, filePath, path.posix.basename(filePath)]
+            );
+        }
+
+        this.enqueue(migrationId);
+        return this.getMigration(migrationId, userId);
+    }
+
+    async getMigration(migrationId, userId) {
+        const [rows] = await db.execute(
+            `SELECT
+                codigo as id,
+                codigo_pasta as id_pasta,
+                ftp_host,
+                ftp_usuario,
+                status,
+                total_arquivos,
+                arquivos_migrados,
+                arquivos_erro,
+                data_criacao,
+                data_fim
+             FROM ftp_migracoes
+             WHERE codigo = ? AND codigo_stm = ?`,
+            [migrationId, userId]
+        );
+
+        if (rows.length === 0) return null;
+
+        const [fileRows] = await db.execute(
+            `SELECT
+                codigo as id,
+                caminho_origem as path,
+                nome,
+                tamanho,
+                bytes_transferidos,
+                progresso,
+                status,
+                tentativas,
+                erro,
+                codigo_video as id_video
+             FROM ftp_migracoes_arquivos
+             WHERE codigo_migracao = ?
+             ORDER BY codigo`,
+            [migrationId]
+        );
+
+        return { ...rows[0], arquivos: fileRows };
+    }
+
+    async listMigrations(userId) {
+        const [rows] = await db.execute(
+            `SELECT
+                codigo as id,
+                codigo_pasta as id_pasta,
+                ftp_host,
+                ftp_usuario,
+                status,
+                total_arquivos,
+                arquivos_migrados,
+                arquivos_erro,
+                data_criacao,
+                data_fim
+             FROM ftp_migracoes
+             WHERE codigo_stm = ?
+             ORDER BY codigo DESC
+             LIMIT 50`,
+            [userId]
+        );
+
+        return rows;
+    }
+
+    /**
+     * Recolocar arquivos com erro na fila e reprocessar a migração. A senha do FTP é
+     * descartada ao fim de cada migração, por isso precisa ser informada novamente.
+     */
+    async retryMigration(migrationId, userId, senha) {
+        const id = parseInt(migrationId);
+        const migration = await this.getMigration(id, userId);
+        if (!migration) return null;
+
+        await db.execute(
+            `UPDATE ftp_migracoes_arquivos SET status = 'pending', tentativas = 0, erro = NULL
+             WHERE codigo_migracao = ? AND status = 'error'`,
+            [id]
+        );
+
+        await db.execute(
+            `UPDATE ftp_migracoes SET status = 'pending', ftp_senha = ?, data_fim = NULL WHERE codigo = ?`,
+            [encryptPassword(senha), id]
+        );
+
+        this.enqueue(id);
+        return this.getMigration(id, userId);
+    }
+
+    // Retomar migrações interrompidas por reinício do backend
+    async resumePendingMigrations() {
+        try {
+            const [rows] = await db.execute(
+                `SELECT codigo FROM ftp_migracoes WHERE status IN ('pending', 'running') ORDER BY codigo`
+            );
+
+            for (const row of rows) {
+                this.enqueue(row.codigo);
+            }
+
+            if (rows.length > 0) {
+                console.log(`📂 ${rows.length} migração(ões) FTP retomada(s)`);
+            }
+        } catch (error) {
+            console.error('Erro ao retomar migrações FTP:', error);
+        }
+    }
+
+    enqueue(migrationId) {
+        if (!this.queue.includes(migrationId) && !this.running.has(migrationId)) {
+            this.queue.push(migrationId);
+        }
+        this.processQueue();
+    }
+
+    processQueue() {
+        while (this.running.size < this.concurrency && this.queue.length > 0) {
+            const migrationId = this.queue.shift();
+            this.running.add(migrationId);
+
+            this.runMigration(migrationId)
+                .catch(error => console.error(`Erro inesperado na migração ${migrationId}:`, error))
+                .finally(() => {
+                    this.running.delete(migrationId);
+                    this.processQueue();
+                });
+        }
+    }
+
+    async updateFile(fileId, fields) {
+        const columns = Object.keys(fields);
+        if (columns.length === 0) return;
+
+        await db.execute(
+            `UPDATE ftp_migracoes_arquivos SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE codigo = ?`,
+            [...columns.map(c => fields[c]), fileId]
+        );
+    }
+
+    async refreshCounters(migrationId) {
+        await db.execute(
+            `UPDATE ftp_migracoes SET
+                arquivos_migrados = (SELECT COUNT(*) FROM ftp_migracoes_arquivos WHERE codigo_migracao = ? AND status = 'completed'),
+                arquivos_erro = (SELECT COUNT(*) FROM ftp_migracoes_arquivos WHERE codigo_migracao = ? AND status = 'error')
+             WHERE codigo = ?`,
+            [migrationId, migrationId, migrationId]
+        );
+    }
+
+    async runMigration(migrationId) {
+        const [migrationRows] = await db.execute(
+            'SELECT * FROM ftp_migracoes WHERE codigo = ?',
+            [migrationId]
+        );
+
+        if (migrationRows.length === 0) return;
+
+        const migration = migrationRows[0];
+        let senha;
+        try {
+            senha = decryptPassword(migration.ftp_senha);
+        } catch (error) {
+            console.error(`Senha do FTP indisponível para a migração ${migrationId}:`, error.message);
+            await this.finishMigration(migrationId, 'error');
+            return;
+        }
+
+        const connection = {
+            ip: migration.ftp_host,
+            porta: migration.ftp_porta,
+            usuario: migration.ftp_usuario,
+            senha,
+            seguro: migration.ftp_seguro === 1
+        };
+
+        await db.execute(`UPDATE ftp_migracoes SET status = 'running' WHERE codigo = ?`, [migrationId]);
+        console.log(`📂 Iniciando migração FTP ${migrationId} de ${connection.ip}`);
+
+        const [fileRows] = await db.execute(
+            `SELECT * FROM ftp_migracoes_arquivos
+             WHERE codigo_migracao = ? AND status IN ('pending', 'downloading')
+             ORDER BY codigo`,
+            [migrationId]
+        );
+
+        let client = null;
+
+        try {
+            for (const file of fileRows) {
+                // Tentativa interrompida por reinício do backend não conta como falha
+                let attempt = file.status === 'downloading'
+                    ? Math.max(0, (file.tentativas || 0) - 1)
+                    : file.tentativas || 0;
+                const firstAttempt = attempt + 1;
+
+                while (attempt < MAX_ATTEMPTS) {
+                    attempt++;
+
+                    try {
+                        if (!client || client.closed) {
+                            client = await this.openClient(connection);
+                        }
+
+                        await this.updateFile(file.codigo, { status: 'downloading', tentativas: attempt, erro: null });
+                        await this.migrateFile(client, migration, file, attempt > firstAttempt);
+                        break;
+                    } catch (error) {
+                        console.error(`❌ Erro ao migrar ${file.caminho_origem} (tentativa ${attempt}):`, error.message);
+
+                        // Conexão pode ter ficado inconsistente após a falha
+                        if (client) {
+                            client.close();
+                            client = null;
+                        }
+
+                        if (attempt >= MAX_ATTEMPTS || error.permanent) {
+                            await this.updateFile(file.codigo, { status: 'error', erro: error.message.substring(0, 1000) });
+                            break;
+                        }
+
+                        await this.updateFile(file.codigo, { erro: error.message.substring(0, 1000) });
+                        await new Promise(resolve => setTimeout(resolve, 2000 * Math.pow(2, attempt - 1)));
+                    }
+                }
+
+                await this.refreshCounters(migrationId);
+            }
+        } finally {
+            if (client) {
+                client.close();
+            }
+        }
+
+        const [errorRows] = await db.execute(
+            `SELECT COUNT(*) as count FROM ftp_migracoes_arquivos WHERE codigo_migracao = ? AND status = 'error'`,
+            [migrationId]
+        );
+
+        await this.finishMigration(migrationId, errorRows[0].count > 0 ? 'error' : 'completed');
+        console.log(`✅ Migração FTP ${migrationId} finalizada`);
+    }
+
+    // Encerrar a migração descartando a senha do FTP e os arquivos parciais dos que falharam
+    async finishMigration(migrationId, status) {
+        await db.execute(
+            `UPDATE ftp_migracoes_arquivos SET status = 'error', erro = COALESCE(erro, 'Migração encerrada')
+             WHERE codigo_migracao = ? AND status IN ('pending', 'downloading')`,
+            [migrationId]
+        );
+        await this.removePartialFiles(migrationId);
+        await this.refreshCounters(migrationId);
+        await db.execute(
+            'UPDATE ftp_migracoes SET status = ?, ftp_senha = NULL, data_fim = NOW() WHERE codigo = ?',
+            [status, migrationId]
+        );
+    }
+
+    /**
+     * Remover do servidor os arquivos parciais dos arquivos com erro. Eles não entram no
+     * espaço usado da pasta; uma nova tentativa (retryMigration) recomeça do zero.
+     */
+    async removePartialFiles(migrationId) {
+        const [rows] = await db.execute(
+            `SELECT a.codigo, a.caminho_destino, s.codigo_servidor
+             FROM ftp_migracoes_arquivos a
+             JOIN ftp_migracoes m ON m.codigo = a.codigo_migracao
+             LEFT JOIN streamings s ON s.codigo = m.codigo_pasta
+             WHERE a.codigo_migracao = ? AND a.status = 'error' AND a.caminho_destino IS NOT NULL`,
+            [migrationId]
+        );
+
+        for (const row of rows) {
+            try {
+                await SSHManager.deleteFile(row.codigo_servidor || 1, row.caminho_destino);
+                await this.updateFile(row.codigo, { caminho_destino: null, bytes_transferidos: 0, progresso: 0 });
+            } catch (error) {
+                console.warn(`Aviso: não foi possível remover o arquivo parcial ${row.caminho_destino}:`, error.message);
+            }
+        }
+    }
+
+    async migrateFile(client, migration, file, isRetry) {
+        const [folderRows] = await db.execute(
+            'SELECT identificacao, codigo_servidor, espaco, espaco_usado FROM streamings WHERE codigo = ? AND codigo_cliente = ?',
+            [migration.codigo_pasta, migration.codigo_stm]
+        );
+
+        if (folderRows.length === 0) {
+            throw Object.assign(new Error('Pasta de destino não encontrada'), { permanent: true });
+        }
+
+        const folder = folderRows[0];
+        const folderName = folder.identificacao;
+        const serverId = folder.codigo_servidor || 1;
+        const userLogin = migration.login;
+
+        const totalBytes = await client.size(file.caminho_origem);
+        const spaceMB = Math.ceil(totalBytes / (1024 * 1024));
+        const availableSpace = folder.espaco - folder.espaco_usado;
+
+        if (spaceMB > availableSpace) {
+            throw Object.assign(
+                new Error(`Espaço insuficiente. Necessário: ${spaceMB}MB, Disponível: ${availableSpace}MB`),
+                { permanent: true }
+            );
+        }
+
+        // Definir caminho de destino uma única vez para permitir retomada
+        let remotePath = file.caminho_destino;
+        if (!remotePath) {
+            const sanitizedName = file.nome
+                .replace(/[^a-zA-Z0-9.-]/g, '_')
+                .replace(/_{2,}/g, '_');
+            remotePath = `/usr/local/WowzaStreamingEngine/content/${userLogin}/${folderName}/${Date.now()}_${sanitizedName}`;
+            await this.updateFile(file.codigo, { caminho_destino: remotePath, tamanho: totalBytes });
+            file.caminho_destino = remotePath;
+        }
+
+        await SSHManager.createUserDirectory(serverId, userLogin);
+        await SSHManager.createUserFolder(serverId, userLogin, folderName);
+
+        // Retomar a partir do arquivo parcial apenas na primeira tentativa; em novas tentativas, recomeçar
+        let startAt = 0;
+        if (!isRetry) {
+            const partialInfo = await SSHManager.getFileInfo(serverId, remotePath);
+            if (partialInfo.exists && partialInfo.size > 0 && partialInfo.size < totalBytes) {
+                startAt = partialInfo.size;
+                console.log(`⏯️ Retomando ${file.nome} a partir de ${startAt} bytes`);
+            }
+        }
+
+        const writeStream = await SSHManager.createWriteStream(
+            serverId,
+            remotePath,
+            startAt > 0 ? { flags: 'r+', start: startAt } : {}
+        );
+
+        // O arquivo só está completo no servidor quando o stream SFTP é fechado
+        const writeClosed = new Promise((resolve, reject) => {
+            writeStream.on('close', resolve);
+            writeStream.on('error', reject);
+        });
+        writeClosed.catch(() => {});
+
+        let lastProgress = -1;
+        client.trackProgress(info => {
+            const transferred = startAt + info.bytes;
+            const progress = totalBytes > 0 ? Math.min(100, Math.floor((transferred / totalBytes) * 100)) : 0;
+
+            if (progress !== lastProgress) {
+                lastProgress = progress;
+                this.updateFile(file.codigo, { progresso: progress, bytes_transferidos: transferred }).catch(() => {});
+            }
+        });
+
+        try {
+            await client.downloadTo(writeStream, file.caminho_origem, startAt);
+        } catch (error) {
+            writeStream.destroy();
+            throw error;
+        } finally {
+            client.trackProgress();
+        }
+
+        if (!writeStream.writableEnded) {
+            writeStream.end();
+        }
+        await writeClosed;
+
+        console.log(`✅ Arquivo migrado: ${file.caminho_origem} → ${remotePath}`);
+
+        // Obter metadados reais via ffprobe
+        const videoInfo = await VideoSSHManager.getVideoInfo(serverId, remotePath) || {};
+        const duracao = videoInfo.duration || 0;
+        const relativePath = remotePath.replace('/usr/local/WowzaStreamingEngine/content', '');
+
+        const [videoResult] = await db.execute(
+            `INSERT INTO playlists_videos (
+                codigo_playlist, path_video, video, width, height,
+                bitrate, duracao, duracao_segundos, tipo, ordem, tamanho_arquivo
+            ) VALUES (0, ?, ?, ?, ?, ?, ?, ?, 'video', 0, ?)`,
+            [
+                relativePath,
+                file.nome,
+                videoInfo.width || 0,
+                videoInfo.height || 0,
+                videoInfo.bitrate || 0,
+                VideoSSHManager.formatDuration(duracao),
+                duracao,
+                totalBytes
+            ]
+        );
+
+        await db.execute(
+            'UPDATE streamings SET espaco_usado = espaco_usado + ? WHERE codigo = ?',
+            [spaceMB, migration.codigo_pasta]
+        );
+
+        await this.updateFile(file.codigo, {
+            status: 'completed',
+            progresso: 100,
+            bytes_transferidos: totalBytes,
+            codigo_video: videoResult.insertId,
+            erro: null
+        });
+    }
+}
+
+module.exports = new FTPMigrationManager();
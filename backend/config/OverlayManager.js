@@ -0,0 +1,240 @@
+const db = require('./database');
+const SSHManager = require('./SSHManager');
+const VideoSSHManager = require('./VideoSSHManager');
+const StreamSessionStore = require('./StreamSessionStore');
+
+const CONTENT_ROOT = '/usr/local/WowzaStreamingEngine/content';
+const OVERLAY_NAME = 'logo';
+// Formatos de imagem aceitos pelo overlay do transcoder do Wowza
+const OVERLAY_MIME_TYPES = ['image/png', 'image/jpeg', 'image/jpg', 'image/gif'];
+const PREVIEW_WIDTH = 960;
+
+// Largura da logo em relação à largura do quadro
+const SIZE_FACTORS = {
+    small: 0.1,
+    medium: 0.15,
+    large: 0.25
+};
+
+// Quadro de referência para posicionar a logo, pela resolução da configuração
+const FRAME_SIZES = {
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 },
+    '1440p': { width: 2560, height: 1440 },
+    '4k': { width: 3840, height: 2160 }
+};
+
+const WOWZA_ALIGN = {
+    'top-left': 'left,top',
+    'top-right': 'right,top',
+    'bottom-left': 'left,bottom',
+    'bottom-right': 'right,bottom',
+    center: 'center,middle'
+};
+
+const clamp = (value, min, max, fallback) => {
+    const number = parseInt(value);
+    return Number.isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+};
+
+/**
+ * Logo sobreposta aos streams: a configuração de transmissão escolhida pela conta
+ * vira um overlay no template do transcoder do Wowza, aplicado antes de todas as
+ * renditions. A gravação continua usando o stream de origem, sem a logo.
+ */
+class OverlayManager {
+    // Nome do stream com a logo gerado pelo transcoder quando não há ABR
+    getOverlayStreamName(streamName) {
+        return `${streamName}_${OVERLAY_NAME}`;
+    }
+
+    /**
+     * Normalizar os campos de logo de uma configuração de transmissão (ou do corpo
+     * da requisição de preview) com a logo correspondente.
+     */
+    normalize(settings, logo, userLogin) {
+        const posicao = WOWZA_ALIGN[settings.logo_posicao] ? settings.logo_posicao : 'top-right';
+
+        return {
+            id_logo: logo.codigo,
+            logo_path: `${CONTENT_ROOT}/${userLogin}${logo.arquivo}`,
+            posicao,
+            opacidade: clamp(settings.logo_opacidade, 0, 100, 80),
+            tamanho: SIZE_FACTORS[settings.logo_tamanho] ? settings.logo_tamanho : 'medium',
+            margem_x: clamp(settings.logo_margem_x, 0, 1000, 20),
+            margem_y: clamp(settings.logo_margem_y, 0, 1000, 20),
+            resolucao: FRAME_SIZES[settings.resolucao] ? settings.resolucao : '1080p'
+        };
+    }
+
+    async getLogo(logoId, userId) {
+        const [rows] = await db.execute(
+            'SELECT codigo, arquivo, tipo_arquivo FROM logos WHERE codigo = ? AND codigo_stm = ?',
+            [logoId, userId]
+        );
+        return rows[0] || null;
+    }
+
+    validateLogo(logo) {
+        if (!logo) {
+            return 'Logo não encontrada';
+        }
+        if (logo.tipo_arquivo && !OVERLAY_MIME_TYPES.includes(logo.tipo_arquivo)) {
+            return 'Formato de logo não suportado no overlay. Use PNG, JPG ou GIF';
+        }
+        return null;
+    }
+
+    // Configuração de transmissão usada como overlay da conta (null quando não há logo)
+    async getAccountOverlay(userId, userLogin) {
+        const [rows] = await db.execute(
+            `SELECT ts.*, l.codigo as logo_codigo, l.arquivo as logo_arquivo
+             FROM streamings s
+             JOIN transmission_settings ts ON ts.codigo = s.codigo_config_logo AND ts.codigo_stm = s.codigo
+             JOIN logos l ON l.codigo = ts.codigo_logo
+             WHERE s.codigo = ?`,
+            [userId]
+        );
+
+        if (rows.length === 0) return null;
+
+        const row = rows[0];
+        return {
+            id_configuracao: row.codigo,
+            ...this.normalize(row, { codigo: row.logo_codigo, arquivo: row.logo_arquivo }, userLogin)
+        };
+    }
+
+    /**
+     * Stream entregue aos players e às plataformas: a versão com a logo quando o
+     * transcoder a gera. Playlists usam a logo definida no início da transmissão;
+     * o stream do OBS, a logo da conta quando não há ABR.
+     */
+    async getDeliveryStreamName(userId, streamName) {
+        if (!userId || !streamName || streamName.endsWith(`_${OVERLAY_NAME}`)) return streamName;
+
+        const session = await StreamSessionStore.findByStreamName(streamName);
+        if (session && session.tipo === 'playlist') {
+            return (session.estado && session.estado.outputStreamName) || streamName;
+        }
+
+        if (!streamName.endsWith('_live')) return streamName;
+
+        const [rows] = await db.execute('SELECT transcoder FROM streamings WHERE codigo = ?', [userId]);
+        if (rows.length === 0 || rows[0].transcoder === 'sim') return streamName;
+
+        const overlay = await this.getAccountOverlay(userId, streamName.replace(/_live$/, ''));
+        return overlay ? this.getOverlayStreamName(streamName) : streamName;
+    }
+
+    /**
+     * Posição e tamanho da logo no quadro de referência. A altura segue a proporção
+     * da imagem enviada, lida com ffprobe no servidor.
+     */
+    async computeGeometry(serverId, overlay) {
+        const frame = FRAME_SIZES[overlay.resolucao];
+        const imageInfo = await VideoSSHManager.getVideoInfo(serverId, overlay.logo_path);
+
+        if (!imageInfo || !imageInfo.width || !imageInfo.height) {
+            throw new Error('Imagem da logo não encontrada no servidor');
+        }
+
+        const width = Math.round(frame.width * SIZE_FACTORS[overlay.tamanho] / 2) * 2;
+        const height = Math.round(width * imageInfo.height / imageInfo.width / 2) * 2;
+        const centered = overlay.posicao === 'center';
+
+        return {
+            frameWidth: frame.width,
+            frameHeight: frame.height,
+            width,
+            height,
+            align: WOWZA_ALIGN[overlay.posicao],
+            // Com alinhamento à direita/embaixo o Wowza conta o deslocamento a partir daquela borda
+            x: centered ? 0 : overlay.margem_x,
+            y: centered ? 0 : overlay.margem_y
+        };
+    }
+
+    buildOverlayDecode(overlay, geometry) {
+        return {
+            name: OVERLAY_NAME,
+            enable: true,
+            description: 'Logo da transmissão',
+            index: 0,
+            imagePath: overlay.logo_path,
+            opacity: overlay.opacidade,
+            checkForUpdates: true,
+            align: geometry.align,
+            x: geometry.x,
+            y: geometry.y,
+            width: geometry.width,
+            height: geometry.height
+        };
+    }
+
+    // Overlay no estágio de decodificação do template: vale para todas as renditions
+    async applyToTemplate(wowzaService, applicationName, templateName, overlay) {
+        const geometry = await this.computeGeometry(wowzaService.serverId, overlay);
+
+        const result = await wowzaService.makeWowzaRequest(
+            `/applications/${applicationName}/transcoder/templates/${templateName}/overlayDecodes/${OVERLAY_NAME}`,
+            'POST',
+            this.buildOverlayDecode(overlay, geometry)
+        );
+
+        if (!result.success) {
+            throw new Error('Falha ao aplicar a logo no template de transcodificação');
+        }
+
+        return geometry;
+    }
+
+    // Mesma posição do overlay do Wowza em expressões do filtro overlay do ffmpeg
+    buildOverlayPosition(overlay) {
+        const { margem_x: mx, margem_y: my } = overlay;
+
+        switch (overlay.posicao) {
+            case 'top-left': return `${mx}:${my}`;
+            case 'bottom-left': return `${mx}:H-h-${my}`;
+            case 'bottom-right': return `W-w-${mx}:H-h-${my}`;
+            case 'center': return '(W-w)/2:(H-h)/2';
+            default: return `W-w-${mx}:${my}`;
+        }
+    }
+
+    /**
+     * Renderizar um quadro com a logo aplicada, no servidor Wowza. A base é um vídeo da
+     * biblioteca (quadro em `segundo`) ou uma imagem de teste na resolução da configuração.
+     * Retorna o JPEG em base64.
+     */
+    async renderPreview(serverId, overlay, { videoPath = null, segundo = 5 } = {}) {
+        const geometry = await this.computeGeometry(serverId, overlay);
+        const { frameWidth: fw, frameHeight: fh } = geometry;
+        const output = `/tmp/preview_logo_${Date.now()}_${Math.floor(Math.random() * 10000)}.jpg`;
+
+        const input = videoPath
+            ? `-ss ${segundo} -i "${videoPath}"`
+            : `-f lavfi -i "testsrc2=size=${fw}x${fh}:rate=1"`;
+
+        const filter = [
+            `[0:v]scale=${fw}:${fh}:force_original_aspect_ratio=decrease,pad=${fw}:${fh}:(ow-iw)/2:(oh-ih)/2[base]`,
+            `[1:v]scale=${geometry.width}:${geometry.height},format=rgba,colorchannelmixer=aa=${(overlay.opacidade / 100).toFixed(2)}[logo]`,
+            `[base][logo]overlay=${this.buildOverlayPosition(overlay)},scale=${PREVIEW_WIDTH}:-2`
+        ].join(';');
+
+        try {
+            await SSHManager.executeCommand(
+                serverId,
+                `ffmpeg -y -nostdin -hide_banner -loglevel error ${input} -i "${overlay.logo_path}" ` +
+                `-filter_complex "${filter}" -frames:v 1 -q:v 3 "${output}"`
+            );
+
+            const result = await SSHManager.executeCommand(serverId, `base64 -w 0 "${output}"`);
+            return { imagem: result.stdout.trim(), geometria: geometry };
+        } finally {
+            await SSHManager.executeCommand(serverId, `rm -f "${output}"`).catch(() => {});
+        }
+    }
+}
+
+module.exports = new OverlayManager();
@@ -0,0 +1,614 @@
+const db = require('./database');
+const WowzaStreamingService = require('./WowzaStreamingService');
+const StreamSessionStore = require('./StreamSessionStore');
+const transmissionPreset = require('./transmissionPreset');
+const {
+    DEFAULT_TIMEZONE,
+    getZonedParts,
+    zonedTimeToDate,
+    addDays,
+    getWeekday,
+    isValidTimezone,
+    getAccountTimezone,
+    formatZoned
+} = require('./timezone');
+
+const TICK_INTERVAL = 30 * 1000;
+// Janela mínima para disparar um agendamento quando a playlist não tem duração conhecida
+const MIN_SLOT_WINDOW = 60 * 1000;
+// Período analisado na detecção de conflitos entre agendamentos
+const CONFLICT_HORIZON_DAYS = 60;
+const MAX_CONFLICTS = 50;
+
+const FREQUENCIA_DIARIAMENTE = 1;
+const FREQUENCIA_DIAS_DA_SEMANA = 2;
+const FREQUENCIA_UMA_VEZ = 3;
+
+const frequenciaLabels = {
+    [FREQUENCIA_DIARIAMENTE]: 'diariamente',
+    [FREQUENCIA_DIAS_DA_SEMANA]: 'dias_da_semana',
+    [FREQUENCIA_UMA_VEZ]: 'uma_vez'
+};
+
+class PlaylistScheduler {
+    constructor() {
+        this.interval = null;
+        this.ticking = false;
+        // Execuções em andamento por conta (codigo_stm)
+        this.runs = new Map();
+    }
+
+    async start() {
+        if (this.interval) return;
+
+        await this.recoverRunningExecutions();
+        await this.tick();
+
+        this.interval = setInterval(() => this.tick(), TICK_INTERVAL);
+        console.log('⏰ Agendador de playlists iniciado');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+
+        for (const run of this.runs.values()) {
+            if (run.timer) clearTimeout(run.timer);
+        }
+    }
+
+    // Verificar se o agendamento ocorre na data local informada
+    occursOn(agendamento, dateStr) {
+        const frequencia = parseInt(agendamento.frequencia);
+
+        if (frequencia === FREQUENCIA_UMA_VEZ) {
+            return dateStr === agendamento.data_inicio;
+        }
+
+        if (dateStr < agendamento.data_inicio) {
+            return false;
+        }
+
+        if (frequencia === FREQUENCIA_DIAS_DA_SEMANA) {
+            const dias = (agendamento.dias || '')
+                .split(',')
+                .filter(d => d !== '')
+                .map(d => parseInt(d));
+            return dias.includes(getWeekday(dateStr));
+        }
+
+        return frequencia === FREQUENCIA_DIARIAMENTE;
+    }
+
+    getSlotStart(agendamento, dateStr) {
+        return zonedTimeToDate(
+            dateStr,
+            parseInt(agendamento.hora) || 0,
+            parseInt(agendamento.minuto) || 0,
+            agendamento.timezone
+        );
+    }
+
+    // Data/hora local do slot, usada para registrar e deduplicar execuções
+    getSlotKey(agendamento, dateStr) {
+        const hora = String(agendamento.hora).padStart(2, '0');
+        const minuto = String(agendamento.minuto).padStart(2, '0');
+        return `${dateStr} ${hora}:${minuto}:00`;
+    }
+
+    getSlotWindow(agendamento) {
+        return Math.max((agendamento.duracao_total || 0) * 1000, MIN_SLOT_WINDOW);
+    }
+
+    async loadAgendamentos(userId = null) {
+        let query = `
+            SELECT
+                pa.codigo,
+                pa.codigo_stm,
+                pa.codigo_playlist,
+                pa.frequencia,
+                DATE_FORMAT(pa.data, '%Y-%m-%d') as data_inicio,
+                pa.hora,
+                pa.minuto,
+                pa.dias,
+                pa.shuffle,
+                pa.finalizacao,
+                pa.codigo_playlist_finalizacao,
+                pa.codigo_config_transmissao,
+                p.nome as nome_playlist,
+                p.duracao_total,
+                pf.nome as nome_playlist_finalizacao,
+                COALESCE(us.timezone, s.timezone) as timezone
+            FROM playlists_agendamentos pa
+            JOIN playlists p ON pa.codigo_playlist = p.id
+            LEFT JOIN playlists pf ON pa.codigo_playlist_finalizacao = pf.id
+            LEFT JOIN user_settings us ON us.codigo_stm = pa.codigo_stm
+            LEFT JOIN streamings s ON s.codigo = pa.codigo_stm
+        `;
+        const params = [];
+
+        if (userId) {
+            query += ' WHERE pa.codigo_stm = ?';
+            params.push(userId);
+        }
+
+        const [rows] = await db.execute(query, params);
+
+        return rows.map(row => ({
+            ...row,
+            timezone: row.timezone && isValidTimezone(row.timezone) ? row.timezone : DEFAULT_TIMEZONE
+        }));
+    }
+
+    // Listar próximas execuções a partir de agora
+    async getUpcomingExecutions(userId, limit = 10, days = 30) {
+        const agendamentos = await this.loadAgendamentos(userId);
+        const now = new Date();
+        const executions = [];
+
+        for (const agendamento of agendamentos) {
+            const today = getZonedParts(now, agendamento.timezone).date;
+
+            for (let offset = 0; offset <= days; offset++) {
+                const dateStr = addDays(today, offset);
+                if (!this.occursOn(agendamento, dateStr)) continue;
+
+                const slotStart = this.getSlotStart(agendamento, dateStr);
+                if (slotStart <= now) continue;
+
+                executions.push({
+                    id_agendamento: agendamento.codigo,
+                    id_playlist: agendamento.codigo_playlist,
+                    nome_playlist: agendamento.nome_playlist,
+                    id_playlist_finalizacao: agendamento.codigo_playlist_finalizacao || null,
+                    nome_playlist_finalizacao: agendamento.nome_playlist_finalizacao || null,
+                    frequencia: frequenciaLabels[agendamento.frequencia] || 'uma_vez',
+                    shuffle: agendamento.shuffle === 'sim',
+                    inicio: this.getSlotKey(agendamento, dateStr),
+                    inicio_utc: slotStart.toISOString(),
+                    timezone: agendamento.timezone,
+                    duracao_segundos: agendamento.duracao_total || 0
+                });
+
+                if (parseInt(agendamento.frequencia) === FREQUENCIA_UMA_VEZ) break;
+            }
+        }
+
+        executions.sort((a, b) => a.inicio_utc.localeCompare(b.inicio_utc));
+        return executions.slice(0, limit);
+    }
+
+    // Expandir as ocorrências de um agendamento a partir da data local informada
+    expandOccurrences(agendamento, fromDate, days) {
+        const occurrences = [];
+        const window = this.getSlotWindow(agendamento);
+
+        for (let offset = 0; offset <= days; offset++) {
+            const dateStr = addDays(fromDate, offset);
+            if (!this.occursOn(agendamento, dateStr)) continue;
+
+            const start = this.getSlotStart(agendamento, dateStr);
+            occurrences.push({ start, end: new Date(start.getTime() + window) });
+        }
+
+        return occurrences;
+    }
+
+    // Encontrar ocorrências de outros agendamentos que se sobrepõem ao agendamento informado
+    async findConflicts(userId, candidate, excludeId = null) {
+        const timezone = await getAccountTimezone(userId);
+
+        const [playlistRows] = await db.execute(
+            'SELECT nome, duracao_total FROM playlists WHERE id = ? AND codigo_stm = ?',
+            [candidate.codigo_playlist, userId]
+        );
+
+        const novo = {
+            ...candidate,
+            timezone,
+            duracao_total: playlistRows.length > 0 ? playlistRows[0].duracao_total : 0
+        };
+
+        const agendamentos = (await this.loadAgendamentos(userId))
+            .filter(a => !excludeId || a.codigo !== parseInt(excludeId));
+
+        // Começar um dia antes para considerar ocorrências que atravessam a meia-noite
+        const today = getZonedParts(new Date(), timezone).date;
+        const fromDate = addDays(novo.data_inicio > today ? novo.data_inicio : today, -1);
+        const novasOcorrencias = this.expandOccurrences(novo, fromDate, CONFLICT_HORIZON_DAYS);
+        const formatLocal = date => formatZoned(date, timezone);
+
+        const conflitos = [];
+
+        for (const agendamento of agendamentos) {
+            const ocorrencias = this.expandOccurrences(agendamento, fromDate, CONFLICT_HORIZON_DAYS);
+
+            for (const ocorrencia of ocorrencias) {
+                const sobreposta = novasOcorrencias.find(n => n.start < ocorrencia.end && ocorrencia.start < n.end);
+                if (!sobreposta) continue;
+
+                conflitos.push({
+                    id_agendamento: agendamento.codigo,
+                    id_playlist: agendamento.codigo_playlist,
+                    nome_playlist: agendamento.nome_playlist,
+                    inicio: formatLocal(ocorrencia.start),
+                    fim: formatLocal(ocorrencia.end),
+                    inicio_novo: formatLocal(sobreposta.start),
+                    fim_novo: formatLocal(sobreposta.end)
+                });
+            }
+        }
+
+        conflitos.sort((a, b) => a.inicio_novo.localeCompare(b.inicio_novo));
+        return conflitos.slice(0, MAX_CONFLICTS);
+    }
+
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            const agendamentos = await this.loadAgendamentos();
+            const now = new Date();
+
+            for (const agendamento of agendamentos) {
+                const today = getZonedParts(now, agendamento.timezone).date;
+
+                // Considerar também o dia anterior para slots que atravessam a meia-noite
+                for (const dateStr of [addDays(today, -1), today]) {
+                    if (!this.occursOn(agendamento, dateStr)) continue;
+
+                    const slotStart = this.getSlotStart(agendamento, dateStr);
+                    const slotEnd = new Date(slotStart.getTime() + this.getSlotWindow(agendamento));
+
+                    if (now < slotStart || now >= slotEnd) continue;
+
+                    const slotKey = this.getSlotKey(agendamento, dateStr);
+                    const [logRows] = await db.execute(
+                        'SELECT codigo FROM playlists_agendamentos_logs WHERE codigo_agendamento = ? AND data = ?',
+                        [agendamento.codigo, slotKey]
+                    );
+
+                    if (logRows.length > 0) continue;
+
+                    await this.execute(agendamento, slotKey, slotStart);
+                }
+            }
+        } catch (error) {
+            console.error('Erro no agendador de playlists:', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async createLog(agendamento, slotKey, playlistName, status, detalhes = null, transmissionId = null) {
+        const [result] = await db.execute(
+            `INSERT INTO playlists_agendamentos_logs (
+                codigo_agendamento, codigo_stm, data, playlist, status, codigo_transmissao, detalhes, data_inicio
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [agendamento.codigo, agendamento.codigo_stm, slotKey, playlistName, status, transmissionId, detalhes]
+        );
+        return result.insertId;
+    }
+
+    async updateLog(logId, status, detalhes = null) {
+        await db.execute(
+            'UPDATE playlists_agendamentos_logs SET status = ?, detalhes = ?, data_fim = NOW() WHERE codigo = ?',
+            [status, detalhes, logId]
+        );
+    }
+
+    async execute(agendamento, slotKey, slotStart) {
+        console.log(`⏰ Executando agendamento ${agendamento.codigo} (${agendamento.nome_playlist}) - ${slotKey} ${agendamento.timezone}`);
+
+        try {
+            await this.stopCurrentRun(agendamento.codigo_stm);
+
+            const transmission = await this.startTransmission(
+                agendamento.codigo_stm,
+                agendamento.codigo_playlist,
+                `Agendamento: ${agendamento.nome_playlist}`,
+                agendamento.shuffle === 'sim',
+                agendamento.codigo,
+                agendamento.codigo_config_transmissao
+            );
+
+            const logId = await this.createLog(
+                agendamento,
+                slotKey,
+                agendamento.nome_playlist,
+                'executando',
+                null,
+                transmission.transmissionId
+            );
+
+            this.trackRun(agendamento, logId, transmission, slotStart);
+        } catch (error) {
+            console.error(`❌ Erro ao executar agendamento ${agendamento.codigo}:`, error.message);
+            await this.createLog(agendamento, slotKey, agendamento.nome_playlist, 'erro', error.message.substring(0, 255));
+        }
+    }
+
+    // Programar o fim da playlist principal para aplicar a finalização
+    trackRun(agendamento, logId, transmission, slotStart) {
+        const run = {
+            agendamentoId: agendamento.codigo,
+            logId,
+            ...transmission,
+            timer: null
+        };
+
+        const duration = (agendamento.duracao_total || 0) * 1000;
+        if (duration > 0) {
+            const remaining = Math.max(slotStart.getTime() + duration - Date.now(), 0);
+            run.timer = setTimeout(() => {
+                this.finishMainPlaylist(agendamento.codigo_stm, agendamento.codigo)
+                    .catch(error => console.error('Erro ao finalizar playlist agendada:', error));
+            }, remaining);
+        }
+
+        this.runs.set(agendamento.codigo_stm, run);
+    }
+
+    async finishMainPlaylist(userId, agendamentoId) {
+        const run = this.runs.get(userId);
+        if (!run || run.agendamentoId !== agendamentoId) return;
+
+        const [agendamentos] = await db.execute(
+            `SELECT pa.finalizacao, pa.codigo_playlist_finalizacao, pa.shuffle, pa.codigo_config_transmissao,
+                pf.nome as nome_playlist_finalizacao
+             FROM playlists_agendamentos pa
+             LEFT JOIN playlists pf ON pa.codigo_playlist_finalizacao = pf.id
+             WHERE pa.codigo = ?`,
+            [agendamentoId]
+        );
+
+        const agendamento = agendamentos[0];
+
+        // Sem playlist de finalização a playlist principal continua em repetição
+        if (!agendamento || agendamento.finalizacao !== 'playlist' || !agendamento.codigo_playlist_finalizacao) {
+            run.timer = null;
+            await this.updateLog(run.logId, 'concluido', 'Playlist principal em repetição');
+            return;
+        }
+
+        try {
+            await this.stopCurrentRun(userId);
+
+            const transmission = await this.startTransmission(
+                userId,
+                agendamento.codigo_playlist_finalizacao,
+                `Agendamento: ${agendamento.nome_playlist_finalizacao}`,
+                agendamento.shuffle === 'sim',
+                agendamentoId,
+                agendamento.codigo_config_transmissao
+            );
+
+            this.runs.set(userId, { agendamentoId, logId: run.logId, ...transmission, timer: null });
+            await this.updateLog(run.logId, 'concluido', `Finalização: ${agendamento.nome_playlist_finalizacao}`);
+            console.log(`⏰ Agendamento ${agendamentoId} alternado para playlist de finalização`);
+        } catch (error) {
+            console.error(`❌ Erro ao iniciar playlist de finalização do agendamento ${agendamentoId}:`, error.message);
+            await this.updateLog(run.logId, 'erro', `Finalização: ${error.message}`.substring(0, 255));
+        }
+    }
+
+    async startTransmission(userId, playlistId, titulo, shuffle, agendamentoId, settingsId = null) {
+        const [userConfigRows] = await db.execute(
+            `SELECT
+                email, bitrate, espectadores, espaco, espaco_usado, aplicacao,
+                status_gravando, transcoder, transcoder_qualidades
+             FROM streamings
+             WHERE codigo = ? OR codigo_cliente = ?
+             LIMIT 1`,
+            [userId, userId]
+        );
+
+        if (userConfigRows.length === 0) {
+            throw new Error('Configurações do usuário não encontradas');
+        }
+
+        const userConfig = userConfigRows[0];
+        const userLogin = userConfig.email ? userConfig.email.split('@')[0] : `user_${userId}`;
+
+        const [playlistVideos] = await db.execute(
+            `SELECT pv.*, pv.video as nome, pv.path_video as url
+             FROM playlists_videos pv
+             WHERE pv.codigo_playlist = ?
+             ORDER BY pv.ordem`,
+            [playlistId]
+        );
+
+        if (playlistVideos.length === 0) {
+            throw new Error('Playlist não possui vídeos');
+        }
+
+        // Configuração de transmissão do agendamento; removida depois, a transmissão segue sem ela
+        const preset = settingsId ? await transmissionPreset.getPreset(settingsId, userId) : null;
+
+        const wowzaService = new WowzaStreamingService();
+        const initialized = await wowzaService.initializeFromDatabase(userId);
+
+        if (!initialized) {
+            throw new Error('Erro ao conectar com servidor de streaming');
+        }
+
+        const resolved = await transmissionPreset.resolvePreset(wowzaService, userConfig, preset, {
+            titulo: preset && preset.titulo_padrao ? null : titulo,
+            // Embaralhar no agendamento vale mesmo quando o preset não embaralha
+            embaralhar_videos: shuffle || undefined
+        });
+        if (resolved.error) {
+            throw new Error(resolved.error);
+        }
+
+        const configuracao = resolved.config;
+        const allowedBitrate = configuracao.bitrate;
+        const streamId = `stream_${userId}_${Date.now()}`;
+
+        const wowzaResult = await wowzaService.startPlaylistStream({
+            streamId,
+            userId,
+            userLogin,
+            userConfig: {
+                ...userConfig,
+                bitrate: allowedBitrate,
+                gravar_stream: userConfig.status_gravando
+            },
+            playlistId,
+            titulo: configuracao.titulo,
+            overlay: await transmissionPreset.resolveOverlay(preset, userId, userLogin),
+            configuracao,
+            videos: transmissionPreset.applyPlayout(playlistVideos, configuracao),
+            platforms: []
+        });
+
+        if (!wowzaResult.success) {
+            throw new Error(wowzaResult.error || 'Erro ao iniciar stream no Wowza');
+        }
+
+        const [transmissionResult] = await db.execute(
+            `INSERT INTO transmissoes (
+                codigo_stm, titulo, descricao, codigo_playlist,
+                wowza_stream_id, status, data_inicio, settings, bitrate_usado
+            ) VALUES (?, ?, ?, ?, ?, 'ativa', NOW(), ?, ?)`,
+            [
+                userId,
+                configuracao.titulo,
+                configuracao.descricao,
+                playlistId,
+                streamId,
+                JSON.stringify({ agendamento: agendamentoId, shuffle: configuracao.embaralhar_videos, configuracao }),
+                allowedBitrate
+            ]
+        );
+
+        return {
+            transmissionId: transmissionResult.insertId,
+            streamId,
+            wowzaService
+        };
+    }
+
+    // Transmissões ativas da conta iniciadas pelo agendador (settings.agendamento)
+    async findScheduledTransmissions(userId) {
+        const [rows] = await db.execute(
+            'SELECT codigo, wowza_stream_id, settings FROM transmissoes WHERE codigo_stm = ? AND status = "ativa"',
+            [userId]
+        );
+
+        return rows
+            .filter(row => {
+                try {
+                    return !!JSON.parse(row.settings || '{}').agendamento;
+                } catch (error) {
+                    return false;
+                }
+            })
+            .map(row => ({ transmissionId: row.codigo, streamId: row.wowza_stream_id, wowzaService: null }));
+    }
+
+    /**
+     * Encerrar a transmissão do agendamento em andamento na conta antes de iniciar outra
+     * playlist. Transmissões manuais não são afetadas. Sem execução acompanhada neste
+     * processo (ex.: playlist de finalização iniciada antes de um reinício), as transmissões
+     * do agendador são localizadas no banco.
+     */
+    async stopCurrentRun(userId) {
+        const run = this.runs.get(userId);
+        let transmissions;
+
+        if (run) {
+            if (run.timer) clearTimeout(run.timer);
+            this.runs.delete(userId);
+            transmissions = run.streamId ? [run] : [];
+        } else {
+            transmissions = await this.findScheduledTransmissions(userId);
+        }
+
+        for (const transmission of transmissions) {
+            // Execuções retomadas após reinício não têm o serviço da transmissão original
+            let wowzaService = transmission.wowzaService;
+            if (!wowzaService) {
+                wowzaService = new WowzaStreamingService();
+                if (!(await wowzaService.initializeFromDatabase(userId))) {
+                    throw new Error('Erro ao conectar com servidor de streaming');
+                }
+            }
+
+            await wowzaService.stopStream(transmission.streamId);
+            await db.execute(
+                'UPDATE transmissoes SET status = "finalizada", data_fim = NOW() WHERE codigo = ? AND status = "ativa"',
+                [transmission.transmissionId]
+            );
+        }
+    }
+
+    // Retomar execuções que estavam em andamento antes do reinício do backend
+    async recoverRunningExecutions() {
+        try {
+            const [logRows] = await db.execute(
+                `SELECT codigo, codigo_agendamento, codigo_stm, codigo_transmissao, DATE_FORMAT(data, '%Y-%m-%d %H:%i:%s') as slot
+                 FROM playlists_agendamentos_logs
+                 WHERE status = 'executando'`
+            );
+
+            for (const log of logRows) {
+                const agendamentos = await this.loadAgendamentos(log.codigo_stm);
+                const agendamento = agendamentos.find(a => a.codigo === log.codigo_agendamento);
+
+                if (!agendamento) {
+                    await this.updateLog(log.codigo, 'cancelado', 'Agendamento removido');
+                    continue;
+                }
+
+                const [transmissionRows] = await db.execute(
+                    'SELECT codigo, wowza_stream_id FROM transmissoes WHERE codigo = ? AND status = "ativa"',
+                    [log.codigo_transmissao]
+                );
+
+                if (transmissionRows.length === 0) {
+                    await this.updateLog(log.codigo, 'cancelado', 'Transmissão encerrada');
+                    continue;
+                }
+
+                const transmission = {
+                    transmissionId: transmissionRows[0].codigo,
+                    streamId: transmissionRows[0].wowza_stream_id,
+                    wowzaService: null
+                };
+
+                // A reconciliação já retomou as sessões que continuam no Wowza; sem sessão ativa,
+                // a transmissão foi perdida durante a indisponibilidade
+                if (!(await StreamSessionStore.get(transmission.streamId))) {
+                    await db.execute(
+                        'UPDATE transmissoes SET status = "finalizada", data_fim = NOW() WHERE codigo = ? AND status = "ativa"',
+                        [transmission.transmissionId]
+                    );
+                    await this.updateLog(log.codigo, 'cancelado', 'Transmissão não está mais no ar');
+                    continue;
+                }
+
+                const [dateStr, time] = log.slot.split(' ');
+                const slotStart = zonedTimeToDate(
+                    dateStr,
+                    parseInt(time.substring(0, 2)),
+                    parseInt(time.substring(3, 5)),
+                    agendamento.timezone
+                );
+
+                console.log(`⏰ Retomando agendamento ${agendamento.codigo} após reinício`);
+
+                // Continuar acompanhando a transmissão em exibição; se a playlist principal terminou
+                // durante a indisponibilidade, o timer aplica a finalização imediatamente
+                this.trackRun(agendamento, log.codigo, transmission, slotStart);
+            }
+        } catch (error) {
+            console.error('Erro ao recuperar execuções agendadas:', error);
+        }
+    }
+}
+
+module.exports = new PlaylistScheduler();
@@ -0,0 +1,662 @@
+const SSHManager = require('./SSHManager');
+const StreamSessionStore = require('./StreamSessionStore');
+const CommercialBreakBuilder = require('./CommercialBreakBuilder');
+const { DEFAULT_TIMEZONE, formatZoned } = require('./timezone');
+
+const CONTENT_ROOT = '/usr/local/WowzaStreamingEngine/content';
+const STREAM_PUBLISHER_CLASS = 'com.wowza.wms.plugin.streampublisher.ModuleStreamPublisher';
+// Intervalo do registro de exibição dos comerciais a partir da agenda salva
+const PLAY_LOG_INTERVAL = 15 * 1000;
+// Atraso entre gravar o SMIL e o início previsto, para o recarregamento no Wowza
+const SCHEDULE_LEAD_SECONDS = 2;
+// Fuso do servidor Wowza: o atributo "scheduled" do SMIL é lido no horário local dele
+const WOWZA_TIMEZONE = process.env.WOWZA_SERVER_TIMEZONE || DEFAULT_TIMEZONE;
+// HTTP provider do Stream Publisher que recarrega a agenda sem reiniciar a aplicação
+const RELOAD_PATH = process.env.STREAM_PUBLISHER_RELOAD_PATH || '/schedules?appName={app}&action=reloadSchedule';
+
+const escapeXml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Playout das transmissões de playlist pelo Stream Publisher do Wowza. Cada aplicação
+ * tem um único streamschedule.smil com todos os streams de playlist do servidor; a
+ * posição atual é calculada pelo início da agenda e pela duração dos vídeos. A agenda
+ * de cada sessão fica em transmissoes_sessoes, então qualquer processo pode regravar
+ * o SMIL ou controlar a playlist.
+ */
+class PlayoutManager {
+    constructor() {
+        // Aplicações (servidor:aplicação) já conferidas com o Stream Publisher habilitado
+        this.publisherApplications = new Set();
+        // Instante até o qual as exibições de cada transmissão já foram registradas
+        this.playLogCursors = new Map();
+        // Publicações em andamento por servidor:aplicação (o SMIL é compartilhado por todas as contas)
+        this.publishQueues = new Map();
+        this.interval = null;
+        this.logging = false;
+    }
+
+    start() {
+        if (this.interval) return;
+
+        this.interval = setInterval(() => this.logCommercialPlays(), PLAY_LOG_INTERVAL);
+        console.log('📺 Registro de exibição de comerciais iniciado');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    getSmilPath(applicationName) {
+        return `${CONTENT_ROOT}/streamschedule_${applicationName}.smil`;
+    }
+
+    // Itens da playlist no formato do playout; vídeos sem duração conhecida ficam de fora
+    normalizeItems(videos) {
+        const items = [];
+
+        for (const video of videos) {
+            const duracao = parseInt(video.duracao_segundos) || 0;
+            const caminho = video.path_video || video.url;
+
+            if (!duracao || !caminho) {
+                console.warn(`Playout: vídeo sem duração ou caminho ignorado (${video.nome || video.video})`);
+                continue;
+            }
+
+            items.push({
+                id: video.codigo,
+                nome: video.nome || video.video,
+                caminho,
+                duracao,
+                tipo: video.tipo_item || 'video',
+                codigo_config: video.codigo_config || null
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * Conferir se o módulo Stream Publisher está habilitado na aplicação. O módulo e a
+     * agenda (streamPublisherSmilFile) são configurados uma vez no provisionamento do
+     * servidor (README-PRODUCAO.md): alterar e reiniciar a aplicação derruba os streams
+     * de todas as contas.
+     */
+    async checkStreamPublisher(wowzaService, applicationName) {
+        const cacheKey = `${wowzaService.serverId}:${applicationName}`;
+        if (this.publisherApplications.has(cacheKey)) return;
+
+        const current = await wowzaService.makeWowzaRequest(`/applications/${applicationName}/adv`);
+
+        if (!current.success) {
+            throw new Error(`Não foi possível ler os módulos da aplicação ${applicationName}`);
+        }
+
+        const modules = (current.data && current.data.modules) || [];
+        if (!modules.some(module => module.class === STREAM_PUBLISHER_CLASS)) {
+            throw new Error(`Stream Publisher não habilitado na aplicação ${applicationName} no provisionamento do servidor`);
+        }
+
+        this.publisherApplications.add(cacheKey);
+    }
+
+    // Entrada da agenda: item da playlist (index) ou avulso (index null), a partir de offset segundos
+    toEntry(item, index, offset = 0) {
+        return { item, index, offset };
+    }
+
+    entryDuration(entry) {
+        return entry.item.duracao - entry.offset;
+    }
+
+    fullEntries(session) {
+        return session.items.map((item, index) => this.toEntry(item, index));
+    }
+
+    buildVideoTag(entry) {
+        const src = escapeXml(entry.item.caminho.replace(/^\/+/, ''));
+        return `            <video src="mp4:${src}" start="${entry.offset}" length="${this.entryDuration(entry)}"/>`;
+    }
+
+    /**
+     * Blocos <playlist> de uma sessão: as entradas do segmento atual e, com repetição,
+     * a lista completa em loop agendada para quando o segmento termina. Em pausa, só a
+     * vinheta em loop.
+     */
+    buildSessionPlaylists(session) {
+        const blocks = [];
+
+        const block = (suffix, entries, repeat, scheduledAt) => [
+            `        <playlist name="${session.streamName}_${suffix}" playOnStream="${session.streamName}" repeat="${repeat}" scheduled="${formatZoned(scheduledAt, WOWZA_TIMEZONE)}">`,
+            ...entries.map(entry => this.buildVideoTag(entry)),
+            '        </playlist>'
+        ].join('\n');
+
+        if (session.pausa) {
+            blocks.push(block(`pausa${session.version}`, [this.toEntry(session.pausa.vinheta, null)], true, session.segmentStart));
+            return blocks;
+        }
+
+        if (session.segment.length > 0) {
+            blocks.push(block(`s${session.version}`, session.segment, false, session.segmentStart));
+        }
+
+        if (session.repetir) {
+            const segmentDuration = session.segment.reduce((total, entry) => total + this.entryDuration(entry), 0);
+            const loopStart = new Date(session.segmentStart.getTime() + segmentDuration * 1000);
+            blocks.push(block(`loop${session.version}`, this.fullEntries(session), true, loopStart));
+        }
+
+        return blocks;
+    }
+
+    buildSmil(sessions) {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<smil>',
+            '    <head></head>',
+            '    <body>',
+            ...sessions.map(session => `        <stream name="${session.streamName}"></stream>`),
+            ...sessions.flatMap(session => this.buildSessionPlaylists(session)),
+            '    </body>',
+            '</smil>',
+            ''
+        ].join('\n');
+    }
+
+    // Sessão gravada no banco, com as datas restauradas
+    reviveSession(state) {
+        return {
+            ...state,
+            inicio: new Date(state.inicio || state.segmentStart),
+            segmentStart: new Date(state.segmentStart),
+            pausa: state.pausa ? { ...state.pausa, desde: new Date(state.pausa.desde) } : null
+        };
+    }
+
+    // Carregar a sessão do banco, fonte da verdade entre processos
+    async loadSession(streamId) {
+        const stored = await StreamSessionStore.get(streamId);
+        return stored && stored.playout ? this.reviveSession(stored.playout) : null;
+    }
+
+    async persist(session) {
+        await StreamSessionStore.savePlayout(session.streamId, session);
+    }
+
+    // Regravar o SMIL da aplicação com todas as sessões do servidor e recarregar a agenda.
+    // As publicações de um mesmo servidor:aplicação são feitas uma de cada vez
+    publishSchedule(wowzaService, applicationName) {
+        const key = `${wowzaService.serverId}:${applicationName}`;
+        const previous = this.publishQueues.get(key) || Promise.resolve();
+        const current = previous
+            .catch(() => {})
+            .then(() => this.writeSchedule(wowzaService, applicationName));
+
+        this.publishQueues.set(key, current);
+        current
+            .catch(() => {})
+            .then(() => {
+                if (this.publishQueues.get(key) === current) this.publishQueues.delete(key);
+            });
+
+        return current;
+    }
+
+    async writeSchedule(wowzaService, applicationName) {
+        const stored = await StreamSessionStore.listActive({
+            serverId: wowzaService.serverId,
+            aplicacao: applicationName,
+            tipo: 'playlist'
+        });
+        const sessions = stored.filter(row => row.playout).map(row => this.reviveSession(row.playout));
+
+        const smilPath = this.getSmilPath(applicationName);
+        const tempPath = `${smilPath}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+
+        try {
+            const writeStream = await SSHManager.createWriteStream(wowzaService.serverId, tempPath);
+
+            await new Promise((resolve, reject) => {
+                writeStream.on('close', resolve);
+                writeStream.on('error', reject);
+                writeStream.end(this.buildSmil(sessions));
+            });
+
+            await SSHManager.executeCommand(wowzaService.serverId, `mv -f "${tempPath}" "${smilPath}"`);
+        } catch (error) {
+            await SSHManager.executeCommand(wowzaService.serverId, `rm -f "${tempPath}"`).catch(() => {});
+            throw error;
+        }
+
+        await this.reloadSchedule(wowzaService, applicationName);
+    }
+
+    async reloadSchedule(wowzaService, applicationName) {
+        const url = `http://${wowzaService.wowzaHost}:8086${RELOAD_PATH.replace('{app}', encodeURIComponent(applicationName))}`;
+
+        try {
+            const response = await wowzaService.client.fetch(url);
+            if (!response.ok) {
+                console.warn(`Playout: recarregamento da agenda retornou HTTP ${response.status}`);
+            }
+        } catch (error) {
+            console.warn('Playout: não foi possível recarregar a agenda do Stream Publisher:', error.message);
+        }
+    }
+
+    /**
+     * Iniciar o playout de uma transmissão já registrada em transmissoes_sessoes. Retorna
+     * a sessão criada ou lança erro quando a playlist não tem vídeos com duração conhecida.
+     */
+    async startSession(wowzaService, { streamId, streamName, userId, userLogin, playlistId = null, applicationName, videos, repetir = true }) {
+        const items = this.normalizeItems(videos);
+        if (items.length === 0) {
+            throw new Error('Nenhum vídeo da playlist tem duração conhecida para o playout');
+        }
+
+        await this.checkStreamPublisher(wowzaService, applicationName);
+
+        const segmentStart = new Date(Date.now() + SCHEDULE_LEAD_SECONDS * 1000);
+        const session = {
+            streamId,
+            streamName,
+            userId,
+            userLogin,
+            playlistId,
+            serverId: wowzaService.serverId,
+            applicationName,
+            items,
+            repetir,
+            segment: [],
+            inicio: segmentStart,
+            segmentStart,
+            pausa: null,
+            version: 1
+        };
+        session.segment = this.fullEntries(session);
+
+        try {
+            await this.persist(session);
+            await this.publishSchedule(wowzaService, applicationName);
+        } catch (error) {
+            await StreamSessionStore.savePlayout(streamId, null).catch(() => {});
+            throw error;
+        }
+
+        return session;
+    }
+
+    async stopSession(wowzaService, streamId) {
+        const session = await this.loadSession(streamId);
+        if (!session) return;
+
+        await this.recordCommercialPlays(session)
+            .catch(error => console.error(`Playout: erro ao registrar comerciais de ${session.streamName}:`, error.message));
+        this.playLogCursors.delete(streamId);
+
+        try {
+            await StreamSessionStore.savePlayout(streamId, null);
+            await this.publishSchedule(wowzaService, session.applicationName);
+        } catch (error) {
+            console.error(`Playout: erro ao remover ${session.streamName} da agenda:`, error.message);
+        }
+    }
+
+    // Posição atual da sessão pelo tempo decorrido desde o início do segmento agendado
+    locate(session, now = Date.now()) {
+        let elapsed = Math.max(0, (now - session.segmentStart.getTime()) / 1000);
+        let entryStart = session.segmentStart.getTime();
+
+        for (let position = 0; position < session.segment.length; position++) {
+            const entry = session.segment[position];
+            const duracao = this.entryDuration(entry);
+            if (elapsed < duracao) {
+                return {
+                    entry,
+                    segmentPosition: position,
+                    inicio: new Date(entryStart - entry.offset * 1000),
+                    decorrido: entry.offset + elapsed
+                };
+            }
+            elapsed -= duracao;
+            entryStart += duracao * 1000;
+        }
+
+        if (!session.repetir) {
+            return null;
+        }
+
+        const total = session.items.reduce((sum, item) => sum + item.duracao, 0);
+        const loops = Math.floor(elapsed / total);
+        elapsed -= loops * total;
+        entryStart += loops * total * 1000;
+
+        for (let index = 0; index < session.items.length; index++) {
+            const duracao = session.items[index].duracao;
+            if (elapsed < duracao) {
+                return {
+                    entry: this.toEntry(session.items[index], index),
+                    segmentPosition: null,
+                    inicio: new Date(entryStart),
+                    decorrido: elapsed
+                };
+            }
+            elapsed -= duracao;
+            entryStart += duracao * 1000;
+        }
+
+        return null;
+    }
+
+    // Entradas agendadas depois do item atual, até o fim do segmento ou da volta do loop
+    followingEntries(session, position) {
+        return position.segmentPosition !== null
+            ? session.segment.slice(position.segmentPosition + 1)
+            : this.fullEntries(session).slice(position.entry.index + 1);
+    }
+
+    /**
+     * Entradas que ainda vão ao ar quando um novo segmento entrar na agenda (após a
+     * antecedência do reagendamento), começando pelo item em exibição naquele instante.
+     */
+    remainingEntries(session) {
+        const position = this.locate(session, Date.now() + SCHEDULE_LEAD_SECONDS * 1000);
+        if (!position) return [];
+
+        const current = this.toEntry(position.entry.item, position.entry.index, Math.floor(position.decorrido));
+        return [current, ...this.followingEntries(session, position)];
+    }
+
+    // Reagendar a sessão com novas entradas, sem derrubar o stream: o Stream Publisher
+    // troca de playlist no mesmo stream
+    async applySegment(wowzaService, session, entries) {
+        session.segment = entries;
+        session.segmentStart = new Date(Date.now() + SCHEDULE_LEAD_SECONDS * 1000);
+        session.version += 1;
+
+        await this.persist(session);
+        await this.publishSchedule(wowzaService, session.applicationName);
+        return this.describe(session);
+    }
+
+    async getControllableSession(streamId) {
+        const session = await this.loadSession(streamId);
+        if (!session) {
+            return { error: { success: false, statusCode: 404, error: 'Playout não encontrado para a transmissão neste servidor' } };
+        }
+        if (session.pausa) {
+            return { error: { success: false, statusCode: 409, error: 'Transmissão em pausa. Retome antes de alterar a playlist' } };
+        }
+
+        // Registrar o que foi ao ar pela agenda atual antes de substituí-la
+        await this.recordCommercialPlays(session);
+        return { session };
+    }
+
+    // Pular para o próximo item (no fim da lista, volta ao início quando há repetição)
+    async skip(wowzaService, streamId) {
+        const { session, error } = await this.getControllableSession(streamId);
+        if (error) return error;
+
+        let entries = this.remainingEntries(session).slice(1);
+        if (entries.length === 0) {
+            if (!session.repetir) {
+                return { success: false, statusCode: 409, error: 'Não há próximo vídeo na playlist' };
+            }
+            entries = this.fullEntries(session);
+        }
+
+        return { success: true, playout: await this.applySegment(wowzaService, session, entries) };
+    }
+
+    // Ir para o item N da playlist (1 = primeiro); os avulsos ainda não exibidos são descartados
+    async jump(wowzaService, streamId, posicao) {
+        const { session, error } = await this.getControllableSession(streamId);
+        if (error) return error;
+
+        if (!Number.isInteger(posicao) || posicao < 1 || posicao > session.items.length) {
+            return { success: false, statusCode: 400, error: `Posição deve estar entre 1 e ${session.items.length}` };
+        }
+
+        const entries = this.fullEntries(session).slice(posicao - 1);
+        return { success: true, playout: await this.applySegment(wowzaService, session, entries) };
+    }
+
+    // Exibir um vídeo da biblioteca logo após o item atual, uma única vez
+    async insertNext(wowzaService, streamId, video) {
+        const { session, error } = await this.getControllableSession(streamId);
+        if (error) return error;
+
+        const [item] = this.normalizeItems([video]);
+        if (!item) {
+            return { success: false, statusCode: 400, error: 'Vídeo sem duração conhecida não pode entrar no playout' };
+        }
+
+        const entries = this.remainingEntries(session);
+        // Depois do item em exibição (ou no início, se a playlist já terminou)
+        entries.splice(Math.min(1, entries.length), 0, this.toEntry(item, null));
+
+        return { success: true, playout: await this.applySegment(wowzaService, session, entries) };
+    }
+
+    // Colocar a vinheta no ar em loop, guardando o ponto em que a playlist parou
+    async pause(wowzaService, streamId, vinheta) {
+        const { session, error } = await this.getControllableSession(streamId);
+        if (error) return error;
+
+        const [item] = this.normalizeItems([vinheta]);
+        if (!item) {
+            return { success: false, statusCode: 400, error: 'Vinheta sem duração conhecida não pode entrar no playout' };
+        }
+
+        session.pausa = {
+            vinheta: item,
+            retomar: this.remainingEntries(session),
+            desde: new Date()
+        };
+        session.segment = [];
+
+        try {
+            return { success: true, playout: await this.applySegment(wowzaService, session, []) };
+        } catch (publishError) {
+            session.segment = session.pausa.retomar;
+            session.pausa = null;
+            await this.persist(session).catch(() => {});
+            throw publishError;
+        }
+    }
+
+    // Voltar à playlist do ponto em que foi pausada
+    async resume(wowzaService, streamId) {
+        const session = await this.loadSession(streamId);
+        if (!session) {
+            return { success: false, statusCode: 404, error: 'Playout não encontrado para a transmissão neste servidor' };
+        }
+        if (!session.pausa) {
+            return { success: false, statusCode: 409, error: 'A transmissão não está em pausa' };
+        }
+
+        await this.recordCommercialPlays(session);
+
+        let entries = session.pausa.retomar;
+        if (entries.length === 0 && session.repetir) {
+            entries = this.fullEntries(session);
+        }
+
+        session.pausa = null;
+        return { success: true, playout: await this.applySegment(wowzaService, session, entries) };
+    }
+
+    /**
+     * Entradas completas (sem offset) que entraram no ar no intervalo (from, to], com o
+     * horário de início. Itens retomados do meio (offset) são a continuação de uma
+     * exibição já iniciada.
+     */
+    entriesStartedBetween(session, from, to) {
+        const started = [];
+        if (session.pausa) return started;
+
+        const add = (entry, at) => {
+            if (entry.offset === 0 && at > from && at <= to) {
+                started.push({ entry, inicio: new Date(at) });
+            }
+        };
+
+        let start = session.segmentStart.getTime();
+        for (const entry of session.segment) {
+            if (start > to) return started;
+            add(entry, start);
+            start += this.entryDuration(entry) * 1000;
+        }
+
+        const total = session.items.reduce((sum, item) => sum + item.duracao, 0) * 1000;
+        if (!session.repetir || total <= 0) return started;
+
+        // Pular as voltas completas do loop anteriores ao intervalo
+        if (start <= from) {
+            start += Math.floor((from - start) / total) * total;
+        }
+
+        while (start <= to) {
+            for (let index = 0; index < session.items.length && start <= to; index++) {
+                add(this.toEntry(session.items[index], index), start);
+                start += session.items[index].duracao * 1000;
+            }
+        }
+
+        return started;
+    }
+
+    /**
+     * Registrar as exibições dos comerciais que entraram no ar pela agenda salva da
+     * sessão até o instante informado. Sem cursor neste processo (ex.: após reinício),
+     * parte do último registro da transmissão ou do início do playout.
+     */
+    async recordCommercialPlays(session, until = Date.now()) {
+        let from = this.playLogCursors.get(session.streamId);
+        if (from === undefined) {
+            from = (await CommercialBreakBuilder.getLastPlayTime(session.streamId)) || session.inicio.getTime() - 1;
+        }
+
+        for (const { entry, inicio } of this.entriesStartedBetween(session, from, until)) {
+            if (entry.index === null || entry.item.tipo !== 'comercial' || !entry.item.codigo_config) continue;
+
+            await CommercialBreakBuilder.recordPlay({
+                userId: session.userId,
+                streamId: session.streamId,
+                streamName: session.streamName,
+                playlistId: session.playlistId,
+                item: entry.item,
+                posicao: entry.index + 1,
+                inicio
+            });
+        }
+
+        this.playLogCursors.set(session.streamId, until);
+    }
+
+    async logCommercialPlays() {
+        if (this.logging) return;
+        this.logging = true;
+
+        try {
+            const now = Date.now();
+            const stored = await StreamSessionStore.listActive({ tipo: 'playlist' });
+            const active = new Set();
+
+            for (const row of stored) {
+                if (!row.playout) continue;
+                active.add(row.chave);
+
+                try {
+                    await this.recordCommercialPlays(this.reviveSession(row.playout), now);
+                } catch (error) {
+                    console.error(`Playout: erro ao registrar comerciais de ${row.streamName}:`, error.message);
+                }
+            }
+
+            for (const streamId of this.playLogCursors.keys()) {
+                if (!active.has(streamId)) this.playLogCursors.delete(streamId);
+            }
+        } catch (error) {
+            console.error('Erro no registro de exibição de comerciais:', error);
+        } finally {
+            this.logging = false;
+        }
+    }
+
+    formatEntry(entry, inicio) {
+        return {
+            posicao: entry.index !== null ? entry.index + 1 : null,
+            id: entry.item.id,
+            nome: entry.item.nome,
+            tipo: entry.index !== null ? entry.item.tipo : 'avulso',
+            duracao: entry.item.duracao,
+            inicio: inicio ? inicio.toISOString() : null,
+            fim: inicio ? new Date(inicio.getTime() + entry.item.duracao * 1000).toISOString() : null
+        };
+    }
+
+    /**
+     * Item no ar e o próximo, para o painel. Retorna null quando a transmissão não
+     * tem playout ativo.
+     */
+    async getNowPlaying(streamId) {
+        const session = await this.loadSession(streamId);
+        return session ? this.describe(session) : null;
+    }
+
+    describe(session) {
+        const base = {
+            stream: session.streamName,
+            total_itens: session.items.length,
+            repetir: session.repetir,
+            itens: session.items.map((item, index) => ({ posicao: index + 1, id: item.id, nome: item.nome, tipo: item.tipo, duracao: item.duracao }))
+        };
+
+        if (session.pausa) {
+            const [retomar] = session.pausa.retomar;
+            return {
+                ...base,
+                pausada: true,
+                finalizada: false,
+                pausada_desde: session.pausa.desde.toISOString(),
+                atual: { ...this.formatEntry(this.toEntry(session.pausa.vinheta, null), null), tipo: 'vinheta' },
+                proximo: retomar ? this.formatEntry(retomar, null) : null
+            };
+        }
+
+        const position = this.locate(session);
+        if (!position) {
+            return { ...base, pausada: false, finalizada: true, atual: null, proximo: null };
+        }
+
+        const nextStart = new Date(position.inicio.getTime() + position.entry.item.duracao * 1000);
+        const [next] = this.followingEntries(session, position);
+        let proximo = null;
+
+        if (next) {
+            proximo = this.formatEntry(next, nextStart);
+        } else if (session.repetir) {
+            proximo = this.formatEntry(this.toEntry(session.items[0], 0), nextStart);
+        }
+
+        return {
+            ...base,
+            pausada: false,
+            finalizada: false,
+            atual: { ...this.formatEntry(position.entry, position.inicio), decorrido: Math.floor(position.decorrido) },
+            proximo
+        };
+    }
+}
+
+module.exports = new PlayoutManager();
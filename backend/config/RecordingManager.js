@@ -0,0 +1,486 @@
+const path = require('path');
+const db = require('./database');
+const SSHManager = require('./SSHManager');
+const VideoSSHManager = require('./VideoSSHManager');
+const contentSignature = require('./contentSignature');
+
+const CONTENT_ROOT = '/usr/local/WowzaStreamingEngine/content';
+const RETENTION_INTERVAL = 60 * 60 * 1000;
+// Arquivo modificado há menos tempo que isso ainda está sendo gravado pelo Wowza
+const ACTIVE_RECORDING_SECONDS = 30;
+
+// Tempo para o Wowza concluir o MP4 depois que o recorder é parado
+const FINALIZE_DELAY = 10 * 1000;
+
+const toMB = bytes => Math.ceil((bytes || 0) / (1024 * 1024));
+
+// Nome de arquivo seguro para o servidor, sempre com extensão .mp4
+function sanitizeFileName(name) {
+    const base = path.basename(String(name || '').trim(), '.mp4')
+        .replace(/[^a-zA-Z0-9_.-]/g, '_')
+        .replace(/^\.+/, '')
+        .substring(0, 200);
+
+    return base ? `${base}.mp4` : null;
+}
+
+/**
+ * Gravações do Wowza em /content/<login>/recordings. Os metadados (ffprobe) ficam em
+ * cache na tabela gravacoes e o espaço ocupado é contabilizado no registro da conta,
+ * já que a pasta de gravações não é uma pasta de vídeos do usuário.
+ */
+class RecordingManager {
+    constructor() {
+        this.interval = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.interval) return;
+
+        this.interval = setInterval(() => this.applyRetentionAll(), RETENTION_INTERVAL);
+        console.log('🎞️ Retenção de gravações agendada');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    getRecordingsDir(userLogin) {
+        return `${CONTENT_ROOT}/${userLogin}/recordings`;
+    }
+
+    async getServerId(userId) {
+        const [rows] = await db.execute(
+            'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? OR codigo = ? LIMIT 1',
+            [userId, userId]
+        );
+        return rows.length > 0 && rows[0].codigo_servidor ? rows[0].codigo_servidor : 1;
+    }
+
+    async adjustAccountUsage(userId, deltaMB) {
+        if (!deltaMB) return;
+        await db.execute(
+            'UPDATE streamings SET espaco_usado = GREATEST(CAST(espaco_usado AS SIGNED) + ?, 0) WHERE codigo = ?',
+            [deltaMB, userId]
+        );
+    }
+
+    async scanRecordings(serverId, userLogin) {
+        const dir = this.getRecordingsDir(userLogin);
+        const command = `if [ -d "${dir}" ]; then find "${dir}" -maxdepth 1 -type f -name '*.mp4' -printf '%s\\t%T@\\t%f\\n'; fi`;
+        const result = await SSHManager.executeCommand(serverId, command);
+
+        return result.stdout.split('\n').filter(Boolean).map(line => {
+            const [size, mtime, ...name] = line.split('\t');
+            return {
+                arquivo: name.join('\t'),
+                tamanho: parseInt(size) || 0,
+                data: new Date(Math.floor(parseFloat(mtime) * 1000) || Date.now())
+            };
+        });
+    }
+
+    /**
+     * Sincronizar a tabela gravacoes com os arquivos do servidor: arquivos novos ou
+     * alterados são cobrados do espaço da conta e ficam sem metadados até a análise com
+     * ffprobe (ao parar a gravação), e registros sem arquivo são removidos devolvendo o espaço.
+     */
+    async syncRecordings(userId, userLogin, serverId = null) {
+        serverId = serverId || await this.getServerId(userId);
+        const files = await this.scanRecordings(serverId, userLogin);
+
+        const [rows] = await db.execute('SELECT * FROM gravacoes WHERE codigo_stm = ?', [userId]);
+        const byName = new Map(rows.map(row => [row.arquivo, row]));
+        const seen = new Set();
+        let deltaMB = 0;
+
+        for (const file of files) {
+            seen.add(file.arquivo);
+            const row = byName.get(file.arquivo);
+
+            if (row && Number(row.tamanho) === file.tamanho) continue;
+
+            const values = [file.tamanho, 0, 0, 0, 0, file.data];
+
+            if (row) {
+                await db.execute(
+                    `UPDATE gravacoes SET tamanho = ?, duracao_segundos = ?, width = ?, height = ?, bitrate = ?,
+                        data_gravacao = ?, data_atualizacao = NOW() WHERE codigo = ?`,
+                    [...values, row.codigo]
+                );
+                deltaMB += toMB(file.tamanho) - toMB(row.tamanho);
+            } else {
+                await db.execute(
+                    `INSERT INTO gravacoes (
+                        codigo_stm, codigo_servidor, arquivo, tamanho, duracao_segundos, width, height,
+                        bitrate, data_gravacao, data_atualizacao
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+                    [userId, serverId, file.arquivo, ...values]
+                );
+                deltaMB += toMB(file.tamanho);
+            }
+        }
+
+        for (const row of rows) {
+            if (seen.has(row.arquivo)) continue;
+            await db.execute('DELETE FROM gravacoes WHERE codigo = ?', [row.codigo]);
+            deltaMB -= toMB(row.tamanho);
+        }
+
+        await this.adjustAccountUsage(userId, deltaMB);
+    }
+
+    // Gravar duração, resolução e bitrate (ffprobe) de uma gravação
+    async probeRecording(recording, userLogin) {
+        const videoInfo = await VideoSSHManager.getVideoInfo(
+            recording.codigo_servidor,
+            `${this.getRecordingsDir(userLogin)}/${recording.arquivo}`
+        ) || {};
+        const metadata = {
+            duracao_segundos: Math.round(videoInfo.duration || 0),
+            width: videoInfo.width || 0,
+            height: videoInfo.height || 0,
+            bitrate: videoInfo.bitrate || 0
+        };
+
+        await db.execute(
+            `UPDATE gravacoes SET duracao_segundos = ?, width = ?, height = ?, bitrate = ?, data_atualizacao = NOW()
+             WHERE codigo = ?`,
+            [metadata.duracao_segundos, metadata.width, metadata.height, metadata.bitrate, recording.codigo]
+        );
+
+        return { ...recording, ...metadata };
+    }
+
+    // Registrar os arquivos da conta e analisar as gravações ainda sem metadados
+    async persistRecordings(userId, userLogin, serverId = null) {
+        await this.syncRecordings(userId, userLogin, serverId);
+
+        const [rows] = await db.execute(
+            'SELECT * FROM gravacoes WHERE codigo_stm = ? AND duracao_segundos = 0',
+            [userId]
+        );
+
+        for (const row of rows) {
+            await this.probeRecording(row, userLogin);
+        }
+    }
+
+    // Chamado ao parar um recorder: o arquivo é analisado depois que o Wowza o conclui
+    recordingStopped(userId, userLogin, serverId) {
+        if (!userId || !userLogin) return;
+
+        setTimeout(() => {
+            this.persistRecordings(userId, userLogin, serverId)
+                .catch(error => console.error(`Erro ao registrar gravações de ${userLogin}:`, error.message));
+        }, FINALIZE_DELAY);
+    }
+
+    formatRecording(row, userLogin, ip = null) {
+        return {
+            id: row.codigo,
+            nome: row.arquivo,
+            tamanho: Number(row.tamanho),
+            duracao: row.duracao_segundos,
+            duracao_formatada: VideoSSHManager.formatDuration(row.duracao_segundos),
+            width: row.width,
+            height: row.height,
+            bitrate: row.bitrate,
+            data_gravacao: row.data_gravacao,
+            em_gravacao: Date.now() - new Date(row.data_gravacao).getTime() < ACTIVE_RECORDING_SECONDS * 1000,
+            url: contentSignature.signUrl(`/content/${userLogin}/recordings/${row.arquivo}`, { ip })
+        };
+    }
+
+    async listRecordings(userId, userLogin, ip = null) {
+        await this.syncRecordings(userId, userLogin);
+
+        const [rows] = await db.execute(
+            'SELECT * FROM gravacoes WHERE codigo_stm = ? ORDER BY data_gravacao DESC',
+            [userId]
+        );
+        return rows.map(row => this.formatRecording(row, userLogin, ip));
+    }
+
+    async getRecording(recordingId, userId) {
+        const [rows] = await db.execute(
+            'SELECT * FROM gravacoes WHERE codigo = ? AND codigo_stm = ?',
+            [recordingId, userId]
+        );
+        return rows[0] || null;
+    }
+
+    async remoteExists(serverId, remotePath) {
+        const result = await SSHManager.executeCommand(
+            serverId,
+            `[ -e "${remotePath}" ] && echo "EXISTS" || echo "FREE"`
+        );
+        return result.stdout.trim() === 'EXISTS';
+    }
+
+    async isBeingRecorded(serverId, remotePath) {
+        const result = await SSHManager.executeCommand(
+            serverId,
+            `echo $(( $(date +%s) - $(stat -c %Y "${remotePath}" 2>/dev/null || echo 0) ))`
+        );
+        return (parseInt(result.stdout.trim()) || 0) < ACTIVE_RECORDING_SECONDS;
+    }
+
+    // Gravação existente e finalizada, pronta para ser alterada
+    async getIdleRecording(recordingId, userId, userLogin) {
+        const recording = await this.getRecording(recordingId, userId);
+        if (!recording) {
+            return { success: false, statusCode: 404, error: 'Gravação não encontrada' };
+        }
+
+        const remotePath = `${this.getRecordingsDir(userLogin)}/${recording.arquivo}`;
+        if (await this.isBeingRecorded(recording.codigo_servidor, remotePath)) {
+            return { success: false, statusCode: 409, error: 'A gravação ainda está em andamento' };
+        }
+
+        // Gravação encerrada sem passar pela parada do recorder (ex.: encoder desconectado)
+        if (!recording.duracao_segundos) {
+            return { success: true, recording: await this.probeRecording(recording, userLogin) };
+        }
+
+        return { success: true, recording };
+    }
+
+    async renameRecording(recordingId, userId, userLogin, novoNome) {
+        const found = await this.getIdleRecording(recordingId, userId, userLogin);
+        if (!found.success) return found;
+
+        const { recording } = found;
+
+        const fileName = sanitizeFileName(novoNome);
+        if (!fileName) {
+            return { success: false, statusCode: 400, error: 'Nome inválido' };
+        }
+        if (fileName === recording.arquivo) {
+            return { success: true, recording: this.formatRecording(recording, userLogin) };
+        }
+
+        const dir = this.getRecordingsDir(userLogin);
+        if (await this.remoteExists(recording.codigo_servidor, `${dir}/${fileName}`)) {
+            return { success: false, statusCode: 409, error: 'Já existe uma gravação com esse nome' };
+        }
+
+        await SSHManager.executeCommand(
+            recording.codigo_servidor,
+            `mv "${dir}/${recording.arquivo}" "${dir}/${fileName}"`
+        );
+        await db.execute(
+            'UPDATE gravacoes SET arquivo = ?, data_atualizacao = NOW() WHERE codigo = ?',
+            [fileName, recording.codigo]
+        );
+
+        return { success: true, recording: this.formatRecording({ ...recording, arquivo: fileName }, userLogin) };
+    }
+
+    /**
+     * Mover a gravação para uma pasta de vídeos do usuário e registrá-la na biblioteca
+     * (playlists_videos). O espaço passa do registro da conta para a pasta de destino.
+     */
+    async moveToFolder(recordingId, userId, userLogin, folderId) {
+        const found = await this.getIdleRecording(recordingId, userId, userLogin);
+        if (!found.success) return found;
+
+        const { recording } = found;
+
+        const [folderRows] = await db.execute(
+            'SELECT codigo, identificacao, codigo_servidor, espaco, espaco_usado FROM streamings WHERE codigo = ? AND codigo_cliente = ?',
+            [folderId, userId]
+        );
+        if (folderRows.length === 0) {
+            return { success: false, statusCode: 404, error: 'Pasta não encontrada' };
+        }
+
+        const folder = folderRows[0];
+        const sizeMB = toMB(recording.tamanho);
+        if (folder.espaco_usado + sizeMB > folder.espaco) {
+            return {
+                success: false,
+                statusCode: 400,
+                error: `Espaço insuficiente na pasta. Necessário: ${sizeMB}MB, disponível: ${folder.espaco - folder.espaco_usado}MB`
+            };
+        }
+
+        const serverId = recording.codigo_servidor;
+        const folderPath = `/${userLogin}/${folder.identificacao}`;
+        await SSHManager.createUserFolder(serverId, userLogin, folder.identificacao);
+
+        // Não sobrescrever vídeos da pasta com o mesmo nome
+        let fileName = recording.arquivo;
+        if (await this.remoteExists(serverId, `${CONTENT_ROOT}${folderPath}/${fileName}`)) {
+            fileName = `${Date.now()}_${fileName}`;
+        }
+
+        const relativePath = `${folderPath}/${fileName}`;
+        await SSHManager.executeCommand(
+            serverId,
+            `mv "${this.getRecordingsDir(userLogin)}/${recording.arquivo}" "${CONTENT_ROOT}${relativePath}"`
+        );
+
+        const [result] = await db.execute(
+            `INSERT INTO playlists_videos (
+                codigo_playlist, path_video, video, width, height,
+                bitrate, duracao, duracao_segundos, tipo, ordem, tamanho_arquivo
+            ) VALUES (0, ?, ?, ?, ?, ?, ?, ?, 'video', 0, ?)`,
+            [
+                relativePath,
+                path.basename(fileName, '.mp4'),
+                recording.width,
+                recording.height,
+                recording.bitrate,
+                VideoSSHManager.formatDuration(recording.duracao_segundos),
+                recording.duracao_segundos,
+                recording.tamanho
+            ]
+        );
+
+        await db.execute('DELETE FROM gravacoes WHERE codigo = ?', [recording.codigo]);
+        await this.adjustAccountUsage(userId, -sizeMB);
+        await db.execute(
+            'UPDATE streamings SET espaco_usado = espaco_usado + ? WHERE codigo = ?',
+            [sizeMB, folder.codigo]
+        );
+
+        return {
+            success: true,
+            video: {
+                id: result.insertId,
+                nome: path.basename(fileName, '.mp4'),
+                path: relativePath,
+                duracao: recording.duracao_segundos,
+                tamanho: Number(recording.tamanho)
+            }
+        };
+    }
+
+    // Adicionar ao final de uma playlist; a gravação é movida antes para a pasta informada
+    async addToPlaylist(recordingId, userId, userLogin, playlistId, folderId) {
+        const [playlistRows] = await db.execute(
+            'SELECT id FROM playlists WHERE id = ? AND codigo_stm = ?',
+            [playlistId, userId]
+        );
+        if (playlistRows.length === 0) {
+            return { success: false, statusCode: 404, error: 'Playlist não encontrada' };
+        }
+
+        const moved = await this.moveToFolder(recordingId, userId, userLogin, folderId);
+        if (!moved.success) return moved;
+
+        const [orderRows] = await db.execute(
+            'SELECT COALESCE(MAX(ordem), -1) + 1 as ordem FROM playlists_videos WHERE codigo_playlist = ?',
+            [playlistId]
+        );
+
+        await db.execute(
+            `INSERT INTO playlists_videos (
+                codigo_playlist, path_video, video, width, height,
+                bitrate, duracao, duracao_segundos, tipo, ordem, tamanho_arquivo
+            ) SELECT ?, path_video, video, width, height, bitrate, duracao, duracao_segundos, tipo, ?, tamanho_arquivo
+              FROM playlists_videos WHERE codigo = ?`,
+            [playlistId, orderRows[0].ordem, moved.video.id]
+        );
+
+        const [stats] = await db.execute(
+            `SELECT COUNT(*) as total_videos, SUM(duracao_segundos) as duracao_total
+             FROM playlists_videos WHERE codigo_playlist = ?`,
+            [playlistId]
+        );
+        await db.execute(
+            'UPDATE playlists SET total_videos = ?, duracao_total = ? WHERE id = ?',
+            [stats[0].total_videos, stats[0].duracao_total || 0, playlistId]
+        );
+
+        return { ...moved, playlist_id: Number(playlistId) };
+    }
+
+    async deleteRecording(recordingId, userId, userLogin) {
+        const found = await this.getIdleRecording(recordingId, userId, userLogin);
+        if (!found.success) return found;
+
+        const { recording } = found;
+
+        await SSHManager.deleteFile(
+            recording.codigo_servidor,
+            `${this.getRecordingsDir(userLogin)}/${recording.arquivo}`
+        );
+        await db.execute('DELETE FROM gravacoes WHERE codigo = ?', [recording.codigo]);
+        await this.adjustAccountUsage(userId, -toMB(recording.tamanho));
+
+        return { success: true };
+    }
+
+    async getRetention(userId) {
+        const [rows] = await db.execute(
+            'SELECT gravacoes_retencao_dias FROM streamings WHERE codigo = ?',
+            [userId]
+        );
+        return rows.length > 0 ? rows[0].gravacoes_retencao_dias : 0;
+    }
+
+    async setRetention(userId, dias) {
+        await db.execute(
+            'UPDATE streamings SET gravacoes_retencao_dias = ? WHERE codigo = ?',
+            [dias, userId]
+        );
+    }
+
+    // Excluir gravações mais antigas que o período de retenção da conta
+    async applyRetention(userId, userLogin, dias) {
+        await this.persistRecordings(userId, userLogin);
+
+        const [rows] = await db.execute(
+            `SELECT codigo FROM gravacoes
+             WHERE codigo_stm = ? AND data_gravacao < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+            [userId, dias]
+        );
+
+        for (const row of rows) {
+            await this.deleteRecording(row.codigo, userId, userLogin);
+        }
+
+        return rows.length;
+    }
+
+    async applyRetentionAll() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const [accounts] = await db.execute(
+                `SELECT codigo, email, gravacoes_retencao_dias FROM streamings
+                 WHERE status = 1 AND gravacoes_retencao_dias > 0 AND email LIKE '%@%'`
+            );
+
+            let removed = 0;
+            for (const account of accounts) {
+                try {
+                    removed += await this.applyRetention(
+                        account.codigo,
+                        account.email.split('@')[0],
+                        account.gravacoes_retencao_dias
+                    );
+                } catch (error) {
+                    console.error(`Erro ao aplicar retenção de gravações da conta ${account.codigo}:`, error.message);
+                }
+            }
+
+            if (removed > 0) {
+                console.log(`🎞️ Retenção de gravações: ${removed} gravação(ões) removida(s)`);
+            }
+        } catch (error) {
+            console.error('Erro na retenção de gravações:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = new RecordingManager();
@@ -0,0 +1,151 @@
+const db = require('./database');
+const WowzaStreamingService = require('./WowzaStreamingService');
+const recordingPolicy = require('./recordingPolicy');
+const { getAccountTimezone } = require('./timezone');
+
+const TICK_INTERVAL = 60 * 1000;
+
+// Streams gravados: <login>_live (OBS) e <login>_playlist_<id>; renditions do transcoder e relays não
+const STREAM_NAME_REGEX = /^(.+?)_(live|playlist_\d+)$/;
+
+/**
+ * Aplica as políticas de gravação aos streams publicados: inicia e para os recorders
+ * nas janelas do modo agendado e inicia a gravação de streams OBS que começaram a
+ * publicar depois da configuração (modo "sempre" com gravação ativada na conta).
+ */
+class RecordingScheduler {
+    constructor() {
+        this.interval = null;
+        this.ticking = false;
+        // Serviços Wowza por servidor
+        this.services = new Map();
+    }
+
+    start() {
+        if (this.interval) return;
+
+        this.interval = setInterval(() => this.tick(), TICK_INTERVAL);
+        console.log('🔴 Agendador de gravações iniciado');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    async getService(serverId) {
+        if (this.services.has(serverId)) {
+            return this.services.get(serverId);
+        }
+
+        const wowzaService = new WowzaStreamingService(serverId);
+        const initialized = await wowzaService.initializeFromDatabase(null);
+
+        if (!initialized) {
+            return null;
+        }
+
+        this.services.set(serverId, wowzaService);
+        return wowzaService;
+    }
+
+    async loadAccount(userLogin) {
+        const [rows] = await db.execute(
+            'SELECT codigo, status_gravando FROM streamings WHERE email LIKE ? ORDER BY codigo LIMIT 1',
+            [`${userLogin}@%`]
+        );
+
+        if (rows.length === 0) return null;
+
+        const userId = rows[0].codigo;
+        return {
+            userId,
+            gravarStream: rows[0].status_gravando,
+            policy: await recordingPolicy.getPolicy(userId),
+            timezone: await getAccountTimezone(userId)
+        };
+    }
+
+    async getActiveTitle(userId) {
+        const [rows] = await db.execute(
+            'SELECT titulo FROM transmissoes WHERE codigo_stm = ? AND status = "ativa" ORDER BY codigo DESC LIMIT 1',
+            [userId]
+        );
+        return rows.length > 0 ? rows[0].titulo : '';
+    }
+
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            const [servers] = await db.execute('SELECT codigo FROM wowza_servers WHERE status = "ativo"');
+            const accounts = new Map();
+            const now = new Date();
+
+            for (const server of servers) {
+                try {
+                    const wowzaService = await this.getService(server.codigo);
+                    if (!wowzaService) continue;
+
+                    // O recorder é criado na aplicação em que o stream é publicado
+                    for (const applicationName of wowzaService.getLiveApplications()) {
+                        const streams = await wowzaService.listIncomingStreams(applicationName);
+                        if (!streams) continue;
+
+                        for (const streamName of streams) {
+                            const match = STREAM_NAME_REGEX.exec(streamName);
+                            if (!match) continue;
+
+                            const userLogin = match[1];
+                            if (!accounts.has(userLogin)) {
+                                accounts.set(userLogin, await this.loadAccount(userLogin));
+                            }
+
+                            const account = accounts.get(userLogin);
+                            if (account) {
+                                await this.applyPolicy(wowzaService, applicationName, streamName, userLogin, account, now);
+                            }
+                        }
+                    }
+                } catch (error) {
+                    console.error(`Erro ao aplicar políticas de gravação no servidor ${server.codigo}:`, error);
+                    this.services.delete(server.codigo);
+                }
+            }
+        } catch (error) {
+            console.error('Erro no agendador de gravações:', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async applyPolicy(wowzaService, applicationName, streamName, userLogin, { userId, gravarStream, policy, timezone }, now) {
+        const scheduled = policy.modo === 'agendado';
+        // Modo "sempre" sem gravação na conta: streams gravados por opção da transmissão não são alterados
+        if (!scheduled && gravarStream !== 'sim') return;
+
+        const shouldRecord = recordingPolicy.shouldRecord(policy, gravarStream, timezone, now);
+        const recording = await wowzaService.isRecording(streamName, applicationName);
+
+        if (shouldRecord && !recording) {
+            const result = await wowzaService.startRecording(streamName, userLogin, {
+                policy,
+                timezone,
+                titulo: await this.getActiveTitle(userId),
+                applicationName
+            });
+
+            if (result.success) {
+                console.log(`🔴 Gravação iniciada: ${streamName}${scheduled ? ' (janela agendada)' : ''}`);
+            }
+        } else if (!shouldRecord && recording && scheduled) {
+            await wowzaService.stopRecording(streamName, applicationName, { userId, userLogin });
+            console.log(`⏹️ Gravação encerrada fora da janela agendada: ${streamName}`);
+        }
+    }
+}
+
+module.exports = new RecordingScheduler();
@@ -0,0 +1,439 @@
+const net = require('net');
+const fetch = require('node-fetch');
+const db = require('./database');
+const WowzaStreamingService = require('./WowzaStreamingService');
+
+const HEALTH_INTERVAL = 15 * 1000;
+// Tempo máximo aguardando a origem entregar dados após o connect
+const CONNECT_TIMEOUT = 45 * 1000;
+const RECONNECT_BASE_DELAY = 5 * 1000;
+const RECONNECT_MAX_DELAY = 5 * 60 * 1000;
+const PROBE_TIMEOUT = 8000;
+
+// Tipo de origem -> mediaCasterType do Wowza
+const MEDIA_CASTER_TYPES = {
+    rtmp: 'rtmp',
+    hls: 'applehls',
+    srt: 'srt'
+};
+
+const STATE_CONNECTING = 'connecting';
+const STATE_LIVE = 'live';
+const STATE_SOURCE_DOWN = 'source-down';
+
+class RelayManager {
+    constructor() {
+        this.interval = null;
+        this.checking = false;
+        // Relays em execução por conta (codigo_stm)
+        this.relays = new Map();
+    }
+
+    async start() {
+        if (this.interval) return;
+
+        await this.recoverActiveRelays();
+
+        this.interval = setInterval(() => this.checkHealth(), HEALTH_INTERVAL);
+        console.log('📡 Monitor de relays iniciado');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+
+        for (const relay of this.relays.values()) {
+            if (relay.reconnectTimer) clearTimeout(relay.reconnectTimer);
+        }
+    }
+
+    // Identificar o tipo da origem pela URL (o tipo informado pelo painel é usado só como dica)
+    detectSourceType(url, hint = null) {
+        if (/^rtmps?:\/\//i.test(url)) return 'rtmp';
+        if (/^srt:\/\//i.test(url)) return 'srt';
+        if (/^https?:\/\/.+\.m3u8(\?.*)?$/i.test(url)) return 'hls';
+        if (/^https?:\/\//i.test(url) && (hint === 'hls' || hint === 'm3u8')) return 'hls';
+        return null;
+    }
+
+    // Verificar se a origem responde antes de ativar o relay
+    async probeSource(url, tipo) {
+        if (tipo === 'hls') {
+            try {
+                const response = await fetch(url, { timeout: PROBE_TIMEOUT });
+                if (!response.ok) {
+                    return { online: false, message: `Origem respondeu HTTP ${response.status}` };
+                }
+
+                const body = await response.text();
+                if (!body.includes('#EXTM3U')) {
+                    return { online: false, message: 'A URL não retornou uma playlist HLS válida' };
+                }
+
+                return { online: true, message: 'Playlist HLS acessível' };
+            } catch (error) {
+                return { online: false, message: `Origem inacessível: ${error.message}` };
+            }
+        }
+
+        if (tipo === 'rtmp') {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (error) {
+                return { online: false, message: 'URL RTMP inválida' };
+            }
+
+            const port = parseInt(parsed.port) || (parsed.protocol === 'rtmps:' ? 443 : 1935);
+
+            return new Promise((resolve) => {
+                const socket = net.connect({ host: parsed.hostname, port });
+
+                socket.setTimeout(PROBE_TIMEOUT);
+                socket.once('connect', () => {
+                    socket.destroy();
+                    resolve({ online: true, message: 'Servidor RTMP acessível' });
+                });
+                socket.once('timeout', () => {
+                    socket.destroy();
+                    resolve({ online: false, message: 'Tempo esgotado ao conectar no servidor RTMP' });
+                });
+                socket.once('error', (error) => {
+                    resolve({ online: false, message: `Servidor RTMP inacessível: ${error.message}` });
+                });
+            });
+        }
+
+        // SRT usa UDP e não permite uma verificação simples; o estado real aparece no monitoramento
+        return { online: true, message: 'Formato SRT válido (conectividade verificada após ativar)' };
+    }
+
+    getStreamFileName(userLogin) {
+        return `${userLogin}_relay`;
+    }
+
+    async getUserLogin(userId) {
+        const [rows] = await db.execute(
+            'SELECT email FROM streamings WHERE codigo = ? OR codigo_cliente = ? LIMIT 1',
+            [userId, userId]
+        );
+
+        return rows.length > 0 && rows[0].email ? rows[0].email.split('@')[0] : `user_${userId}`;
+    }
+
+    // Ativar relay da conta: cria o stream file no Wowza e conecta na origem
+    async startRelay({ userId, url, tipo, agendamentoId = 0, logId = null }) {
+        if (this.relays.has(userId)) {
+            await this.stopRelay(userId, 'Substituído por novo relay');
+        }
+
+        const wowzaService = new WowzaStreamingService();
+        const initialized = await wowzaService.initializeFromDatabase(userId);
+
+        if (!initialized) {
+            throw new Error('Erro ao conectar com servidor de streaming');
+        }
+
+        const userLogin = await this.getUserLogin(userId);
+        const streamFile = this.getStreamFileName(userLogin);
+        const application = wowzaService.wowzaApplication;
+
+        await this.removeStreamFile(wowzaService, application, streamFile);
+
+        const createResult = await wowzaService.makeWowzaRequest(
+            `/applications/${application}/streamfiles`,
+            'POST',
+            {
+                name: streamFile,
+                serverName: '_defaultServer_',
+                uri: url
+            }
+        );
+
+        if (!createResult.success) {
+            throw new Error(`Erro ao criar stream file no Wowza: ${createResult.error || createResult.statusCode}`);
+        }
+
+        if (!logId) {
+            const [logResult] = await db.execute(
+                `INSERT INTO relay_agendamentos_logs (
+                    codigo_agendamento, codigo_stm, data, servidor_relay, tipo, status
+                ) VALUES (?, ?, ?, ?, ?, ?)`,
+                [agendamentoId, userId, new Date(), url, tipo, STATE_CONNECTING]
+            );
+            logId = logResult.insertId;
+        }
+
+        const relay = {
+            userId,
+            url,
+            tipo,
+            agendamentoId,
+            logId,
+            wowzaService,
+            application,
+            streamFile,
+            streamName: `${streamFile}.stream`,
+            state: STATE_CONNECTING,
+            startedAt: new Date(),
+            connectingSince: null,
+            liveSince: null,
+            attempts: 0,
+            reconnects: 0,
+            lastError: null,
+            bitrate: 0,
+            viewers: 0,
+            reconnectTimer: null
+        };
+
+        this.relays.set(userId, relay);
+
+        await db.execute(
+            `UPDATE streamings SET relay_status = 'sim', relay_url = ? WHERE codigo_cliente = ?`,
+            [url, userId]
+        );
+
+        await this.connect(relay);
+
+        console.log(`📡 Relay iniciado para conta ${userId}: ${url} -> ${relay.streamName}`);
+        return this.getStatus(userId);
+    }
+
+    async connect(relay) {
+        relay.state = STATE_CONNECTING;
+        relay.connectingSince = Date.now();
+        relay.liveSince = null;
+
+        const mediaCasterType = MEDIA_CASTER_TYPES[relay.tipo] || 'rtmp';
+        const result = await relay.wowzaService.makeWowzaRequest(
+            `/applications/${relay.application}/streamfiles/${relay.streamFile}/actions/connect` +
+            `?connectAppName=${relay.application}&appInstance=_definst_&mediaCasterType=${mediaCasterType}`,
+            'PUT'
+        );
+
+        if (!result.success) {
+            relay.lastError = `Falha ao conectar stream file: ${result.error || result.statusCode}`;
+            await this.markSourceDown(relay);
+            return;
+        }
+
+        await this.updateLog(relay);
+    }
+
+    async disconnect(relay) {
+        await relay.wowzaService.makeWowzaRequest(
+            `/applications/${relay.application}/instances/_definst_/incomingstreams/${relay.streamName}/actions/disconnectStream`,
+            'PUT'
+        );
+    }
+
+    async removeStreamFile(wowzaService, application, streamFile) {
+        await wowzaService.makeWowzaRequest(
+            `/applications/${application}/instances/_definst_/incomingstreams/${streamFile}.stream/actions/disconnectStream`,
+            'PUT'
+        );
+        await wowzaService.makeWowzaRequest(
+            `/applications/${application}/streamfiles/${streamFile}`,
+            'DELETE'
+        );
+    }
+
+    // Desativar relay: remove a entrada do Wowza e fecha o log com a hora de término
+    async stopRelay(userId, motivo = null) {
+        const relay = this.relays.get(userId);
+        this.relays.delete(userId);
+
+        if (relay) {
+            if (relay.reconnectTimer) clearTimeout(relay.reconnectTimer);
+
+            try {
+                await this.removeStreamFile(relay.wowzaService, relay.application, relay.streamFile);
+            } catch (error) {
+                console.error(`Erro ao remover stream file do relay da conta ${userId}:`, error);
+            }
+        }
+
+        await db.execute(
+            `UPDATE relay_agendamentos_logs
+             SET status = 'finalizado', data_fim = ?, erro = COALESCE(?, erro)
+             WHERE codigo_stm = ? AND data_fim IS NULL`,
+            [new Date(), motivo, userId]
+        );
+
+        await db.execute(
+            `UPDATE streamings SET relay_status = 'nao', relay_url = '' WHERE codigo_cliente = ?`,
+            [userId]
+        );
+
+        if (relay) {
+            console.log(`📡 Relay encerrado para conta ${userId}`);
+        }
+
+        return relay ? { agendamentoId: relay.agendamentoId, logId: relay.logId } : null;
+    }
+
+    async checkHealth() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            for (const relay of this.relays.values()) {
+                try {
+                    await this.checkRelay(relay);
+                } catch (error) {
+                    console.error(`Erro ao monitorar relay da conta ${relay.userId}:`, error);
+                }
+            }
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    async checkRelay(relay) {
+        // Aguardando nova tentativa de reconexão
+        if (relay.reconnectTimer) return;
+
+        const result = await relay.wowzaService.makeWowzaRequest(
+            `/applications/${relay.application}/instances/_definst_/incomingstreams/${relay.streamName}/monitoring/current`
+        );
+
+        const receiving = result.success && result.data && (
+            (result.data.bytesInRate || 0) > 0 || (result.data.uptime || 0) > 0
+        );
+
+        if (receiving) {
+            relay.bitrate = Math.round(((result.data.bytesInRate || 0) * 8) / 1000);
+            relay.viewers = result.data.totalConnections || result.data.sessionCount || 0;
+
+            if (relay.state !== STATE_LIVE) {
+                relay.state = STATE_LIVE;
+                relay.liveSince = Date.now();
+                relay.attempts = 0;
+                relay.lastError = null;
+                await this.updateLog(relay);
+                console.log(`📡 Relay da conta ${relay.userId} ao vivo`);
+            }
+            return;
+        }
+
+        relay.bitrate = 0;
+        relay.viewers = 0;
+
+        if (relay.state === STATE_LIVE) {
+            relay.lastError = 'Origem parou de enviar dados';
+            await this.markSourceDown(relay);
+            return;
+        }
+
+        if (relay.state === STATE_CONNECTING && Date.now() - relay.connectingSince >= CONNECT_TIMEOUT) {
+            relay.lastError = 'Origem não respondeu dentro do tempo limite';
+            await this.markSourceDown(relay);
+        }
+    }
+
+    // Marcar origem como indisponível e agendar reconexão com backoff exponencial
+    async markSourceDown(relay) {
+        relay.state = STATE_SOURCE_DOWN;
+        relay.liveSince = null;
+
+        const delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, relay.attempts), RECONNECT_MAX_DELAY);
+        relay.attempts++;
+        relay.nextAttemptAt = new Date(Date.now() + delay);
+
+        await this.updateLog(relay);
+
+        console.warn(`⚠️ Relay da conta ${relay.userId} sem origem (${relay.lastError}). Nova tentativa em ${Math.round(delay / 1000)}s`);
+
+        relay.reconnectTimer = setTimeout(async () => {
+            relay.reconnectTimer = null;
+            relay.nextAttemptAt = null;
+
+            // Relay pode ter sido desativado durante a espera
+            if (this.relays.get(relay.userId) !== relay) return;
+
+            try {
+                relay.reconnects++;
+                await this.disconnect(relay);
+                await this.connect(relay);
+            } catch (error) {
+                relay.lastError = error.message;
+                await this.markSourceDown(relay);
+            }
+        }, delay);
+    }
+
+    async updateLog(relay) {
+        await db.execute(
+            'UPDATE relay_agendamentos_logs SET status = ?, erro = ?, reconexoes = ? WHERE codigo = ?',
+            [relay.state, relay.lastError, relay.reconnects, relay.logId]
+        );
+    }
+
+    getStatus(userId) {
+        const relay = this.relays.get(userId);
+
+        if (!relay) {
+            return null;
+        }
+
+        const host = relay.wowzaService.wowzaHost;
+        const uptimeSeconds = relay.liveSince ? Math.floor((Date.now() - relay.liveSince) / 1000) : 0;
+
+        return {
+            state: relay.state,
+            relay_url: relay.url,
+            relay_type: relay.tipo,
+            relay_started_at: relay.startedAt,
+            relay_error_details: relay.lastError,
+            is_live: relay.state === STATE_LIVE,
+            viewers: relay.viewers,
+            bitrate: relay.bitrate,
+            uptime: relay.wowzaService.calculateStreamUptime(uptimeSeconds),
+            reconnect_attempts: relay.attempts,
+            next_attempt_at: relay.nextAttemptAt || null,
+            codigo_agendamento: relay.agendamentoId,
+            stream_name: relay.streamName,
+            output_rtmp: `rtmp://${host}:1935/${relay.application}/${relay.streamName}`,
+            output_hls: `http://${host}:1935/${relay.application}/${relay.streamName}/playlist.m3u8`
+        };
+    }
+
+    // Reativar relays que estavam abertos antes do reinício do backend
+    async recoverActiveRelays() {
+        try {
+            const [logRows] = await db.execute(
+                `SELECT codigo, codigo_agendamento, codigo_stm, servidor_relay, tipo
+                 FROM relay_agendamentos_logs
+                 WHERE data_fim IS NULL
+                 ORDER BY codigo`
+            );
+
+            for (const log of logRows) {
+                const tipo = log.tipo || this.detectSourceType(log.servidor_relay);
+
+                try {
+                    console.log(`📡 Retomando relay da conta ${log.codigo_stm} após reinício`);
+                    await this.startRelay({
+                        userId: log.codigo_stm,
+                        url: log.servidor_relay,
+                        tipo,
+                        agendamentoId: log.codigo_agendamento,
+                        logId: log.codigo
+                    });
+                } catch (error) {
+                    console.error(`Erro ao retomar relay da conta ${log.codigo_stm}:`, error);
+                    await db.execute(
+                        `UPDATE relay_agendamentos_logs SET status = 'erro', erro = ?, data_fim = ? WHERE codigo = ?`,
+                        [error.message, new Date(), log.codigo]
+                    );
+                }
+            }
+        } catch (error) {
+            console.error('Erro ao retomar relays ativos:', error);
+        }
+    }
+}
+
+module.exports = new RelayManager();
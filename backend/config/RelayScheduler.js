@@ -0,0 +1,219 @@
+const db = require('./database');
+const RelayManager = require('./RelayManager');
+const PlaylistScheduler = require('./PlaylistScheduler');
+const {
+    DEFAULT_TIMEZONE,
+    getZonedParts,
+    addDays,
+    isValidTimezone
+} = require('./timezone');
+
+const TICK_INTERVAL = 30 * 1000;
+
+// Valores da coluna relay_agendamentos.status
+const STATUS_AGUARDANDO = 0;
+const STATUS_EXECUTANDO = 1;
+const STATUS_CONCLUIDO = 2;
+
+const statusLabels = {
+    [STATUS_AGUARDANDO]: 'aguardando',
+    [STATUS_EXECUTANDO]: 'executando',
+    [STATUS_CONCLUIDO]: 'concluido'
+};
+
+const FREQUENCIA_UMA_VEZ = 3;
+
+// Converter duração "HH:MM" em milissegundos
+function parseDuracao(duracao) {
+    const [horas, minutos] = String(duracao || '').split(':').map(value => parseInt(value) || 0);
+    return (horas * 60 + minutos) * 60 * 1000;
+}
+
+class RelayScheduler {
+    constructor() {
+        this.interval = null;
+        this.ticking = false;
+    }
+
+    async start() {
+        if (this.interval) return;
+
+        await this.tick();
+
+        this.interval = setInterval(() => this.tick(), TICK_INTERVAL);
+        console.log('⏰ Agendador de relays iniciado');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    async loadAgendamentos(userId = null) {
+        let query = `
+            SELECT
+                ra.codigo,
+                ra.codigo_stm,
+                ra.servidor_relay,
+                ra.tipo,
+                ra.frequencia,
+                DATE_FORMAT(ra.data, '%Y-%m-%d') as data_inicio,
+                ra.hora,
+                ra.minuto,
+                ra.dias,
+                ra.status,
+                ra.duracao,
+                ra.log_data_inicio,
+                COALESCE(us.timezone, s.timezone) as timezone
+            FROM relay_agendamentos ra
+            LEFT JOIN user_settings us ON us.codigo_stm = ra.codigo_stm
+            LEFT JOIN streamings s ON s.codigo = ra.codigo_stm
+        `;
+        const params = [];
+
+        if (userId) {
+            query += ' WHERE ra.codigo_stm = ?';
+            params.push(userId);
+        }
+
+        const [rows] = await db.execute(query, params);
+
+        return rows.map(row => ({
+            ...row,
+            timezone: row.timezone && isValidTimezone(row.timezone) ? row.timezone : DEFAULT_TIMEZONE
+        }));
+    }
+
+    getStatusLabel(status) {
+        return statusLabels[parseInt(status)] || statusLabels[STATUS_AGUARDANDO];
+    }
+
+    // Estado do agendamento após o término de uma execução
+    getStatusAfterRun(agendamento) {
+        return parseInt(agendamento.frequencia) === FREQUENCIA_UMA_VEZ ? STATUS_CONCLUIDO : STATUS_AGUARDANDO;
+    }
+
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            const agendamentos = await this.loadAgendamentos();
+            const now = new Date();
+
+            for (const agendamento of agendamentos) {
+                try {
+                    if (parseInt(agendamento.status) === STATUS_EXECUTANDO) {
+                        await this.checkRunning(agendamento, now);
+                    } else if (parseInt(agendamento.status) === STATUS_AGUARDANDO) {
+                        await this.checkStart(agendamento, now);
+                    }
+                } catch (error) {
+                    console.error(`Erro ao processar agendamento de relay ${agendamento.codigo}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Erro no agendador de relays:', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async checkStart(agendamento, now) {
+        const duracao = parseDuracao(agendamento.duracao);
+        if (duracao <= 0) return;
+
+        const today = getZonedParts(now, agendamento.timezone).date;
+        const lastStart = agendamento.log_data_inicio ? new Date(agendamento.log_data_inicio).getTime() : 0;
+
+        // Considerar também o dia anterior para relays que atravessam a meia-noite
+        for (const dateStr of [addDays(today, -1), today]) {
+            if (!PlaylistScheduler.occursOn(agendamento, dateStr)) continue;
+
+            const slotStart = PlaylistScheduler.getSlotStart(agendamento, dateStr);
+            const slotEnd = new Date(slotStart.getTime() + duracao);
+
+            if (now < slotStart || now >= slotEnd) continue;
+
+            // Slot já executado
+            if (lastStart >= slotStart.getTime()) continue;
+
+            await this.execute(agendamento, slotStart);
+            return;
+        }
+    }
+
+    async execute(agendamento, slotStart) {
+        console.log(`⏰ Executando agendamento de relay ${agendamento.codigo}: ${agendamento.servidor_relay}`);
+
+        await db.execute(
+            'UPDATE relay_agendamentos SET status = ?, log_data_inicio = ? WHERE codigo = ?',
+            [STATUS_EXECUTANDO, slotStart, agendamento.codigo]
+        );
+
+        try {
+            await RelayManager.startRelay({
+                userId: agendamento.codigo_stm,
+                url: agendamento.servidor_relay,
+                tipo: agendamento.tipo || RelayManager.detectSourceType(agendamento.servidor_relay),
+                agendamentoId: agendamento.codigo
+            });
+        } catch (error) {
+            console.error(`❌ Erro ao executar agendamento de relay ${agendamento.codigo}:`, error.message);
+
+            await db.execute(
+                `INSERT INTO relay_agendamentos_logs (
+                    codigo_agendamento, codigo_stm, data, servidor_relay, tipo, status, erro, data_fim
+                ) VALUES (?, ?, ?, ?, ?, 'erro', ?, ?)`,
+                [
+                    agendamento.codigo,
+                    agendamento.codigo_stm,
+                    new Date(),
+                    agendamento.servidor_relay,
+                    agendamento.tipo,
+                    error.message.substring(0, 255),
+                    new Date()
+                ]
+            );
+
+            await db.execute(
+                'UPDATE relay_agendamentos SET status = ? WHERE codigo = ?',
+                [this.getStatusAfterRun(agendamento), agendamento.codigo]
+            );
+        }
+    }
+
+    // Encerrar o relay ao fim do horário agendado
+    async checkRunning(agendamento, now) {
+        const status = RelayManager.getStatus(agendamento.codigo_stm);
+        const running = status && status.codigo_agendamento === agendamento.codigo;
+
+        // Relay parado manualmente ou substituído por outro
+        if (!running) {
+            await db.execute(
+                'UPDATE relay_agendamentos SET status = ? WHERE codigo = ?',
+                [this.getStatusAfterRun(agendamento), agendamento.codigo]
+            );
+            return;
+        }
+
+        const inicio = new Date(agendamento.log_data_inicio).getTime();
+        if (now.getTime() < inicio + parseDuracao(agendamento.duracao)) return;
+
+        console.log(`⏰ Encerrando relay agendado ${agendamento.codigo}`);
+        await this.finishRun(agendamento);
+    }
+
+    async finishRun(agendamento) {
+        await RelayManager.stopRelay(agendamento.codigo_stm);
+
+        await db.execute(
+            'UPDATE relay_agendamentos SET status = ? WHERE codigo = ?',
+            [this.getStatusAfterRun(agendamento), agendamento.codigo]
+        );
+    }
+}
+
+module.exports = new RelayScheduler();
@@ -0,0 +1,75 @@
+const SSHManager = require('./SSHManager');
+
+/**
+ * Storage do multer que grava o arquivo direto no servidor Wowza via SFTP, sem passar
+ * pelo disco do backend. O pipe respeita o backpressure do SFTP e os bytes são contados
+ * durante o envio para interromper uploads que ultrapassem o espaço disponível.
+ *
+ * destination(req, file) deve retornar { serverId, remotePath, maxBytes? }.
+ */
+class SFTPStorage {
+    constructor({ destination }) {
+        this.destination = destination;
+    }
+
+    _handleFile(req, file, cb) {
+        this.destination(req, file)
+            .then(target => this.pipeToServer(req, file, target, cb))
+            .catch(error => {
+                file.stream.resume();
+                cb(error);
+            });
+    }
+
+    async pipeToServer(req, file, { serverId, remotePath, maxBytes = Infinity }, cb) {
+        const writeStream = await SSHManager.createWriteStream(serverId, remotePath);
+        let size = 0;
+        let finished = false;
+
+        const fail = (error) => {
+            if (finished) return;
+            finished = true;
+
+            file.stream.unpipe(writeStream);
+            file.stream.resume();
+            writeStream.destroy();
+
+            // Remover o arquivo parcial do servidor
+            SSHManager.deleteFile(serverId, remotePath)
+                .catch(deleteError => console.warn(`Aviso: arquivo parcial ${remotePath} não removido:`, deleteError.message))
+                .finally(() => cb(error));
+        };
+
+        file.stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                const error = new Error(`Espaço insuficiente. Disponível: ${Math.floor(maxBytes / (1024 * 1024))}MB`);
+                error.code = 'LIMIT_QUOTA';
+                fail(error);
+            }
+        });
+
+        // Conexão do cliente interrompida ou erro no multipart
+        file.stream.on('error', fail);
+        req.on('aborted', () => fail(new Error('Upload interrompido pelo cliente')));
+
+        writeStream.on('error', fail);
+        writeStream.on('close', () => {
+            if (finished) return;
+            finished = true;
+            cb(null, { serverId, remotePath, size });
+        });
+
+        file.stream.pipe(writeStream);
+    }
+
+    _removeFile(req, file, cb) {
+        SSHManager.deleteFile(file.serverId, file.remotePath)
+            .then(() => cb(null))
+            .catch(cb);
+    }
+}
+
+module.exports = function sftpStorage(options) {
+    return new SFTPStorage(options);
+};
@@ -115,7 +115,7 @@ class SSHManager {
         }
     }
 
-    async uploadFile(serverId, localPath, remotePath) {
+    async uploadFile(serverId, localPath, remotePath, onProgress = null) {
         try {
             const { conn } = await this.getConnection(serverId);
             
@@ -131,7 +131,12 @@ class SSHManager {
                     sftp.mkdir(remoteDir, { mode: 0o755 }, (mkdirErr) => {
                         // Ignorar erro se diretório já existir
                         
-                        sftp.fastPut(localPath, remotePath, (uploadErr) => {
+                        // Repassar progresso da transferência quando solicitado
+                        const transferOptions = onProgress ? {
+                            step: (transferred, chunk, total) => onProgress(transferred, total)
+                        } : {};
+
+                        sftp.fastPut(localPath, remotePath, transferOptions, (uploadErr) => {
                             if (uploadErr) {
                                 reject(uploadErr);
                                 return;
@@ -155,6 +160,39 @@ class SSHManager {
         }
     }
 
+    // Abrir stream de escrita SFTP para enviar dados diretamente ao servidor, sem arquivo local
+    async createWriteStream(serverId, remotePath, options = {}) {
+        try {
+            const { conn } = await this.getConnection(serverId);
+
+            return new Promise((resolve, reject) => {
+                conn.sftp((err, sftp) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+
+                    // Criar diretório remoto se não existir
+                    const remoteDir = path.dirname(remotePath);
+                    sftp.mkdir(remoteDir, { mode: 0o755 }, (mkdirErr) => {
+                        // Ignorar erro se diretório já existir
+
+                        const writeStream = sftp.createWriteStream(remotePath, { mode: 0o644, ...options });
+
+                        // Encerrar a sessão SFTP quando o stream for fechado
+                        writeStream.on('close', () => sftp.end());
+                        writeStream.on('error', () => sftp.end());
+
+                        resolve(writeStream);
+                    });
+                });
+            });
+        } catch (error) {
+            console.error('Erro ao abrir stream de escrita via SSH:', error);
+            throw error;
+        }
+    }
+
     async createUserDirectory(serverId, userLogin) {
         try {
             const userDir = `/usr/local/WowzaStreamingEngine/content/${userLogin}`;
@@ -0,0 +1,315 @@
+const path = require('path');
+const db = require('./database');
+const SSHManager = require('./SSHManager');
+const VideoSSHManager = require('./VideoSSHManager');
+
+const CONTENT_ROOT = '/usr/local/WowzaStreamingEngine/content';
+const VIDEO_EXTENSIONS = ['.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv'];
+const RECONCILE_INTERVAL = (parseInt(process.env.STORAGE_RECONCILE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+// Primeira execução alguns minutos após o início, para não concorrer com a retomada dos jobs
+const INITIAL_DELAY = 5 * 60 * 1000;
+// Arquivos modificados há menos tempo que isso podem estar sendo gravados (SFTP, FTP, downloads)
+const ORPHAN_MIN_AGE_SECONDS = 30 * 60;
+
+const toMB = bytes => Math.ceil((bytes || 0) / (1024 * 1024));
+
+class StorageReconciler {
+    constructor() {
+        this.timeout = null;
+        this.interval = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.interval) return;
+
+        this.timeout = setTimeout(() => this.reconcileAll(), INITIAL_DELAY);
+        this.interval = setInterval(() => this.reconcileAll(), RECONCILE_INTERVAL);
+        console.log('🗄️ Reconciliação de armazenamento agendada');
+    }
+
+    stop() {
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    // Conteúdo real de uma pasta no servidor: uso em disco (du) e arquivos (find), com a idade pelo relógio do servidor
+    async scanFolder(serverId, remoteDir) {
+        const command = `if [ -d "${remoteDir}" ]; then echo "EXISTS"; date +%s; du -sb "${remoteDir}" | cut -f1; ` +
+            `find "${remoteDir}" -maxdepth 1 -type f -printf '%s\\t%T@\\t%f\\n'; else echo "MISSING"; fi`;
+
+        const result = await SSHManager.executeCommand(serverId, command);
+        const lines = result.stdout.split('\n').filter(Boolean);
+
+        if (lines[0] !== 'EXISTS') {
+            return { exists: false, usage: 0, files: [] };
+        }
+
+        const now = parseInt(lines[1]) || Math.floor(Date.now() / 1000);
+        const files = lines.slice(3).map(line => {
+            const [size, modified, ...name] = line.split('\t');
+            return {
+                nome: name.join('\t'),
+                tamanho: parseInt(size) || 0,
+                idade: Math.max(0, now - Math.floor(parseFloat(modified) || 0))
+            };
+        });
+
+        return { exists: true, usage: parseInt(lines[2]) || 0, files };
+    }
+
+    async reconcileFolder(userLogin, folder) {
+        const serverId = folder.codigo_servidor || 1;
+        const folderPath = `/${userLogin}/${folder.identificacao}`;
+        const scan = await this.scanFolder(serverId, `${CONTENT_ROOT}${folderPath}`);
+
+        const [rows] = await db.execute(
+            'SELECT codigo, path_video, video, codigo_playlist FROM playlists_videos WHERE path_video LIKE ?',
+            [`${folderPath}/%`]
+        );
+
+        const fileNames = new Set(scan.files.map(file => file.nome));
+        const referenced = new Set();
+        const missing = new Map();
+
+        for (const row of rows) {
+            const fileName = row.path_video.substring(folderPath.length + 1);
+            // Apenas arquivos diretamente na pasta
+            if (fileName.includes('/')) continue;
+
+            referenced.add(fileName);
+            if (scan.exists && !fileNames.has(fileName)) {
+                const entry = missing.get(row.path_video) || { path: row.path_video, nome: row.video, ids: [] };
+                entry.ids.push(row.codigo);
+                missing.set(row.path_video, entry);
+            }
+        }
+
+        // Espaço reservado por uploads em partes ainda não concluídos. O arquivo de um upload
+        // já em envio ao servidor está coberto pela reserva e não entra no uso real
+        const [reservedRows] = await db.execute(
+            'SELECT arquivo, reservado_mb FROM uploads_videos WHERE codigo_pasta = ? AND reservado_mb > 0',
+            [folder.codigo]
+        );
+        const reserved = reservedRows.reduce((total, row) => total + (parseInt(row.reservado_mb) || 0), 0);
+        const reservedFiles = new Set(reservedRows.map(row => row.arquivo));
+        const uploadingBytes = scan.files
+            .filter(file => reservedFiles.has(file.nome))
+            .reduce((total, file) => total + file.tamanho, 0);
+        const usage = Math.max(0, scan.usage - uploadingBytes);
+        const expected = toMB(usage) + reserved;
+
+        const orphans = scan.files.filter(file =>
+            !file.nome.startsWith('.') &&
+            VIDEO_EXTENSIONS.includes(path.extname(file.nome).toLowerCase()) &&
+            !referenced.has(file.nome) &&
+            !reservedFiles.has(file.nome) &&
+            file.idade >= ORPHAN_MIN_AGE_SECONDS
+        );
+
+        return {
+            id: folder.codigo,
+            nome: folder.identificacao,
+            servidor: serverId,
+            existe_no_servidor: scan.exists,
+            espaco: folder.espaco,
+            espaco_usado_banco: folder.espaco_usado,
+            espaco_usado_real: toMB(usage),
+            espaco_reservado: reserved,
+            espaco_usado_correto: expected,
+            diferenca: expected - folder.espaco_usado,
+            arquivos_ausentes: Array.from(missing.values()),
+            arquivos_orfaos: orphans
+        };
+    }
+
+    /**
+     * Comparar o espaço usado e os vídeos registrados de cada pasta da conta com o
+     * conteúdo real no servidor. Pastas sem diretório no servidor não são corrigidas.
+     */
+    async reconcileAccount(userId, userLogin, { corrigirEspaco = false, origem = 'manual' } = {}) {
+        const [folderRows] = await db.execute(
+            'SELECT codigo, identificacao, codigo_servidor, espaco, espaco_usado FROM streamings WHERE codigo_cliente = ? ORDER BY codigo',
+            [userId]
+        );
+
+        const pastas = [];
+        for (const folder of folderRows) {
+            try {
+                pastas.push(await this.reconcileFolder(userLogin, folder));
+            } catch (error) {
+                pastas.push({ id: folder.codigo, nome: folder.identificacao, erro: error.message });
+            }
+        }
+
+        const analyzed = pastas.filter(pasta => !pasta.erro && pasta.existe_no_servidor);
+        let corrigido = false;
+
+        if (corrigirEspaco) {
+            for (const pasta of analyzed) {
+                if (pasta.diferenca !== 0) {
+                    await db.execute(
+                        'UPDATE streamings SET espaco_usado = ? WHERE codigo = ?',
+                        [pasta.espaco_usado_correto, pasta.id]
+                    );
+                    corrigido = true;
+                }
+            }
+        }
+
+        const report = {
+            codigo_stm: userId,
+            data: new Date().toISOString(),
+            espaco_usado_banco: analyzed.reduce((total, pasta) => total + pasta.espaco_usado_banco, 0),
+            espaco_usado_real: analyzed.reduce((total, pasta) => total + pasta.espaco_usado_real, 0),
+            total_ausentes: analyzed.reduce((total, pasta) => total + pasta.arquivos_ausentes.length, 0),
+            total_orfaos: analyzed.reduce((total, pasta) => total + pasta.arquivos_orfaos.length, 0),
+            espaco_corrigido: corrigido,
+            pastas
+        };
+
+        await this.saveReport(report, origem);
+        return report;
+    }
+
+    async saveReport(report, origem) {
+        try {
+            await db.execute(
+                `INSERT INTO armazenamento_reconciliacoes (
+                    codigo_stm, espaco_usado_banco, espaco_usado_real, arquivos_ausentes,
+                    arquivos_orfaos, espaco_corrigido, origem, detalhes, data
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+                [
+                    report.codigo_stm,
+                    report.espaco_usado_banco,
+                    report.espaco_usado_real,
+                    report.total_ausentes,
+                    report.total_orfaos,
+                    report.espaco_corrigido ? 1 : 0,
+                    origem,
+                    JSON.stringify(report.pastas)
+                ]
+            );
+        } catch (error) {
+            console.error('Erro ao salvar relatório de reconciliação:', error);
+        }
+    }
+
+    // Login da conta dona das pastas, o mesmo usado nos caminhos do servidor
+    async getAccountLogin(userId) {
+        const [rows] = await db.execute(
+            'SELECT MIN(email) as email FROM streamings WHERE codigo_cliente = ? AND email LIKE "%@%"',
+            [userId]
+        );
+
+        return rows[0] && rows[0].email ? rows[0].email.split('@')[0] : null;
+    }
+
+    async getLastReport(userId) {
+        const [rows] = await db.execute(
+            `SELECT codigo_stm, espaco_usado_banco, espaco_usado_real, arquivos_ausentes as total_ausentes,
+                    arquivos_orfaos as total_orfaos, espaco_corrigido, origem, detalhes, data
+             FROM armazenamento_reconciliacoes
+             WHERE codigo_stm = ?
+             ORDER BY codigo DESC LIMIT 1`,
+            [userId]
+        );
+
+        if (rows.length === 0) return null;
+
+        const { detalhes, ...report } = rows[0];
+        return { ...report, espaco_corrigido: !!report.espaco_corrigido, pastas: JSON.parse(detalhes || '[]') };
+    }
+
+    /**
+     * Correção manual: ajusta o espaço usado e, opcionalmente, remove os registros de
+     * vídeos sem arquivo e registra os arquivos de vídeo sem registro no banco.
+     */
+    async fixAccount(userId, userLogin, { removerAusentes = false, importarOrfaos = false } = {}) {
+        const report = await this.reconcileAccount(userId, userLogin, { corrigirEspaco: true, origem: 'manual' });
+        let removidos = 0;
+        let importados = 0;
+
+        for (const pasta of report.pastas) {
+            if (pasta.erro || !pasta.existe_no_servidor) continue;
+
+            if (removerAusentes) {
+                for (const ausente of pasta.arquivos_ausentes) {
+                    const [result] = await db.execute('DELETE FROM playlists_videos WHERE path_video = ?', [ausente.path]);
+                    removidos += result.affectedRows;
+                }
+            }
+
+            if (importarOrfaos) {
+                for (const orfao of pasta.arquivos_orfaos) {
+                    const relativePath = `/${userLogin}/${pasta.nome}/${orfao.nome}`;
+                    const videoInfo = await VideoSSHManager.getVideoInfo(pasta.servidor, `${CONTENT_ROOT}${relativePath}`) || {};
+                    const duracao = Math.round(videoInfo.duration || 0);
+
+                    await db.execute(
+                        `INSERT INTO playlists_videos (
+                            codigo_playlist, path_video, video, width, height,
+                            bitrate, duracao, duracao_segundos, tipo, ordem, tamanho_arquivo
+                        ) VALUES (0, ?, ?, ?, ?, ?, ?, ?, 'video', 0, ?)`,
+                        [
+                            relativePath,
+                            orfao.nome,
+                            videoInfo.width || 0,
+                            videoInfo.height || 0,
+                            videoInfo.bitrate || 0,
+                            VideoSSHManager.formatDuration(duracao),
+                            duracao,
+                            orfao.tamanho
+                        ]
+                    );
+                    importados++;
+                }
+            }
+        }
+
+        return { ...report, registros_removidos: removidos, arquivos_importados: importados };
+    }
+
+    // Execução periódica: corrige o espaço usado de todas as contas e registra as divergências
+    async reconcileAll() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const [accounts] = await db.execute(
+                `SELECT codigo_cliente, MIN(email) as email
+                 FROM streamings
+                 WHERE status = 1 AND codigo_cliente > 0 AND email LIKE '%@%'
+                 GROUP BY codigo_cliente`
+            );
+
+            let corrected = 0;
+            for (const account of accounts) {
+                try {
+                    const report = await this.reconcileAccount(account.codigo_cliente, account.email.split('@')[0], {
+                        corrigirEspaco: true,
+                        origem: 'automatica'
+                    });
+                    if (report.espaco_corrigido) corrected++;
+                } catch (error) {
+                    console.error(`Erro ao reconciliar armazenamento da conta ${account.codigo_cliente}:`, error.message);
+                }
+            }
+
+            console.log(`🗄️ Reconciliação de armazenamento: ${accounts.length} conta(s), ${corrected} corrigida(s)`);
+        } catch (error) {
+            console.error('Erro na reconciliação de armazenamento:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = new StorageReconciler();
@@ -0,0 +1,83 @@
+const db = require('./database');
+const WowzaStreamingService = require('./WowzaStreamingService');
+const StreamSessionStore = require('./StreamSessionStore');
+
+/**
+ * Reconciliação das transmissões ativas em transmissoes_sessoes com os streams recebidos
+ * pelo Wowza, na inicialização do backend. Playlists que continuam no ar seguem com a
+ * agenda salva no banco; as que sumiram do Wowza têm os recursos liberados e são finalizadas.
+ * Sessões OBS são mantidas, já que o encoder pode publicar novamente a qualquer momento.
+ */
+class StreamSessionReconciler {
+    async finishLostStream(wowzaService, session) {
+        console.warn(`⚠️ Transmissão ${session.chave} (${session.streamName}) não está mais no Wowza, finalizando`);
+
+        await wowzaService.stopStream(session.chave, 'perdida');
+
+        const [transmissionRows] = await db.execute(
+            'SELECT codigo FROM transmissoes WHERE wowza_stream_id = ? AND status = "ativa"',
+            [session.chave]
+        );
+
+        for (const transmission of transmissionRows) {
+            await db.execute('UPDATE transmissoes SET status = "finalizada", data_fim = NOW() WHERE codigo = ?', [transmission.codigo]);
+            await db.execute('UPDATE transmissoes_plataformas SET status = "desconectada" WHERE transmissao_id = ?', [transmission.codigo]);
+        }
+    }
+
+    async reconcile() {
+        try {
+            const sessions = await StreamSessionStore.listActive();
+            if (sessions.length === 0) return;
+
+            const groups = new Map();
+            for (const session of sessions) {
+                const key = `${session.serverId}:${session.aplicacao}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(session);
+            }
+
+            let restored = 0;
+            let lost = 0;
+
+            for (const group of groups.values()) {
+                const { serverId, aplicacao } = group[0];
+                const wowzaService = new WowzaStreamingService(serverId);
+
+                if (!(await wowzaService.initializeFromDatabase(null))) {
+                    console.warn(`⚠️ Servidor ${serverId} indisponível, transmissões mantidas sem reconciliação`);
+                    continue;
+                }
+
+                wowzaService.wowzaApplication = aplicacao;
+                const streams = await wowzaService.listIncomingStreams(aplicacao);
+
+                if (!streams) {
+                    console.warn(`⚠️ Não foi possível listar os streams de ${aplicacao} no servidor ${serverId}`);
+                    continue;
+                }
+
+                const incoming = new Set(streams);
+                for (const session of group) {
+                    if (session.tipo === 'obs' || incoming.has(session.streamName)) {
+                        restored++;
+                        continue;
+                    }
+
+                    try {
+                        await this.finishLostStream(wowzaService, session);
+                        lost++;
+                    } catch (error) {
+                        console.error(`Erro ao finalizar transmissão ${session.chave}:`, error);
+                    }
+                }
+            }
+
+            console.log(`📡 Transmissões restauradas: ${restored}, finalizadas por não estarem no Wowza: ${lost}`);
+        } catch (error) {
+            console.error('Erro ao reconciliar transmissões ativas:', error);
+        }
+    }
+}
+
+module.exports = new StreamSessionReconciler();
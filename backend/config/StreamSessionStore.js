@@ -0,0 +1,112 @@
+const db = require('./database');
+
+const parseJson = value => {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Estado das transmissões em andamento no banco (transmissoes_sessoes), para que
+ * status, parada e controle do playout funcionem em qualquer processo e após
+ * reinícios do backend. A chave é o streamId da playlist ou obs_<usuário>.
+ */
+class StreamSessionStore {
+    getObsKey(userId) {
+        return `obs_${userId}`;
+    }
+
+    formatRow(row) {
+        return {
+            chave: row.chave,
+            userId: row.codigo_stm,
+            tipo: row.tipo,
+            serverId: row.codigo_servidor,
+            aplicacao: row.aplicacao,
+            streamName: row.stream_name,
+            estado: parseJson(row.estado),
+            playout: parseJson(row.playout),
+            dataInicio: row.data_inicio
+        };
+    }
+
+    // Registrar uma sessão ativa; a chave de OBS é reaproveitada a cada nova transmissão
+    async create(chave, { userId, tipo, serverId, aplicacao, streamName, estado = null }) {
+        await db.execute(
+            `INSERT INTO transmissoes_sessoes (
+                chave, codigo_stm, tipo, codigo_servidor, aplicacao, stream_name, estado, status, data_inicio
+             ) VALUES (?, ?, ?, ?, ?, ?, ?, 'ativa', NOW())
+             ON DUPLICATE KEY UPDATE
+                codigo_stm = VALUES(codigo_stm), tipo = VALUES(tipo), codigo_servidor = VALUES(codigo_servidor),
+                aplicacao = VALUES(aplicacao), stream_name = VALUES(stream_name), estado = VALUES(estado),
+                playout = NULL, status = 'ativa', data_inicio = NOW(), data_fim = NULL`,
+            [chave, userId, tipo, serverId || null, aplicacao, streamName, estado ? JSON.stringify(estado) : null]
+        );
+    }
+
+    async updateEstado(chave, estado) {
+        await db.execute(
+            'UPDATE transmissoes_sessoes SET estado = ? WHERE chave = ? AND status = "ativa"',
+            [JSON.stringify(estado), chave]
+        );
+    }
+
+    // Agenda do playout da sessão (null remove a sessão da agenda do Stream Publisher)
+    async savePlayout(chave, playout) {
+        await db.execute(
+            'UPDATE transmissoes_sessoes SET playout = ? WHERE chave = ? AND status = "ativa"',
+            [playout ? JSON.stringify(playout) : null, chave]
+        );
+    }
+
+    async get(chave) {
+        const [rows] = await db.execute(
+            'SELECT * FROM transmissoes_sessoes WHERE chave = ? AND status = "ativa"',
+            [chave]
+        );
+        return rows.length > 0 ? this.formatRow(rows[0]) : null;
+    }
+
+    // Sessão ativa pelo nome do stream publicado no Wowza
+    async findByStreamName(streamName) {
+        const [rows] = await db.execute(
+            'SELECT * FROM transmissoes_sessoes WHERE stream_name = ? AND status = "ativa" ORDER BY codigo DESC LIMIT 1',
+            [streamName]
+        );
+        return rows.length > 0 ? this.formatRow(rows[0]) : null;
+    }
+
+    async listActive({ serverId = null, aplicacao = null, tipo = null } = {}) {
+        let query = 'SELECT * FROM transmissoes_sessoes WHERE status = "ativa"';
+        const params = [];
+
+        if (serverId) {
+            query += ' AND codigo_servidor = ?';
+            params.push(serverId);
+        }
+        if (aplicacao) {
+            query += ' AND aplicacao = ?';
+            params.push(aplicacao);
+        }
+        if (tipo) {
+            query += ' AND tipo = ?';
+            params.push(tipo);
+        }
+
+        const [rows] = await db.execute(`${query} ORDER BY codigo`, params);
+        return rows.map(row => this.formatRow(row));
+    }
+
+    // Encerrar a sessão: 'finalizada' na parada normal, 'perdida' quando o stream sumiu do Wowza
+    async finish(chave, status = 'finalizada') {
+        await db.execute(
+            'UPDATE transmissoes_sessoes SET status = ?, playout = NULL, data_fim = NOW() WHERE chave = ? AND status = "ativa"',
+            [status, chave]
+        );
+    }
+}
+
+module.exports = new StreamSessionStore();
@@ -0,0 +1,298 @@
+const db = require('./database');
+const SSHManager = require('./SSHManager');
+const secureToken = require('./secureToken');
+const OverlayManager = require('./OverlayManager');
+
+// Aplicação que recebe o stream ao vivo do OBS
+const LIVE_APPLICATION = 'samhost';
+const AUDIO_BITRATE = 128;
+const MAX_RENDITIONS = 4;
+
+// Renditions disponíveis (bitrate de vídeo nominal em kbps)
+const RENDITIONS = {
+    '1080p': { width: 1920, height: 1080, bitrate: 4500 },
+    '720p': { width: 1280, height: 720, bitrate: 2500 },
+    '480p': { width: 854, height: 480, bitrate: 1200 },
+    '360p': { width: 640, height: 360, bitrate: 800 },
+    '240p': { width: 426, height: 240, bitrate: 400 },
+    '160p': { width: 284, height: 160, bitrate: 250 }
+};
+
+class TranscoderManager {
+    constructor() {
+        // Aplicações (servidor:aplicação) já conferidas com o transcoder habilitado
+        this.enabledApplications = new Set();
+    }
+
+    // Converter o valor de transcoder_qualidades ("720p|360p") em renditions conhecidas
+    parseQualidades(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split('|');
+        return Object.keys(RENDITIONS).filter(key => list.includes(key));
+    }
+
+    // Renditions com a indicação de quais cabem no bitrate do plano
+    listRenditions(planBitrate) {
+        return Object.entries(RENDITIONS).map(([key, rendition]) => ({
+            key,
+            ...rendition,
+            permitido: rendition.bitrate <= planBitrate
+        }));
+    }
+
+    validateQualidades(qualidades, planBitrate) {
+        if (qualidades.length === 0) {
+            return 'Selecione pelo menos uma qualidade';
+        }
+
+        if (qualidades.length > MAX_RENDITIONS) {
+            return `Selecione no máximo ${MAX_RENDITIONS} qualidades`;
+        }
+
+        const acimaDoPlano = qualidades.filter(key => RENDITIONS[key].bitrate > planBitrate);
+        if (acimaDoPlano.length > 0) {
+            return `Qualidades acima do bitrate do plano (${planBitrate} kbps): ${acimaDoPlano.join(', ')}`;
+        }
+
+        return null;
+    }
+
+    // Bitrates efetivos de cada rendition, limitados pelo bitrate do plano
+    buildRenditions(qualidades, planBitrate) {
+        return qualidades.map(key => ({
+            key,
+            width: RENDITIONS[key].width,
+            height: RENDITIONS[key].height,
+            videoBitrate: Math.min(RENDITIONS[key].bitrate, Math.max(planBitrate - AUDIO_BITRATE, 100)),
+            audioBitrate: AUDIO_BITRATE
+        }));
+    }
+
+    getSmilPath(userLogin) {
+        return `/usr/local/WowzaStreamingEngine/content/${userLogin}/${userLogin}_live.smil`;
+    }
+
+    getAbrUrl(wowzaHost, userLogin) {
+        return `http://${wowzaHost}:1935/${LIVE_APPLICATION}/smil:${userLogin}/${userLogin}_live.smil/playlist.m3u8`;
+    }
+
+    async getSignedAbrUrl(userId, wowzaHost, userLogin) {
+        return secureToken.signUrlForAccount(userId, this.getAbrUrl(wowzaHost, userLogin));
+    }
+
+    buildSmil(streamName, renditions) {
+        const videos = renditions.map(rendition => [
+            `            <video src="${streamName}_${rendition.key}" system-bitrate="${(rendition.videoBitrate + rendition.audioBitrate) * 1000}" width="${rendition.width}" height="${rendition.height}">`,
+            `                <param name="videoBitrate" value="${rendition.videoBitrate * 1000}" valuetype="data"></param>`,
+            `                <param name="audioBitrate" value="${rendition.audioBitrate * 1000}" valuetype="data"></param>`,
+            '            </video>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<smil title="${streamName}">`,
+            '    <body>',
+            '        <switch>',
+            ...videos,
+            '        </switch>',
+            '    </body>',
+            '</smil>',
+            ''
+        ].join('\n');
+    }
+
+    buildEncode(rendition) {
+        return {
+            name: rendition.key,
+            enable: true,
+            description: `${rendition.height}p ${rendition.videoBitrate} kbps`,
+            streamName: `mp4:\${SourceStreamName}_${rendition.key}`,
+            video: {
+                transcoder: 'default',
+                codec: 'H.264',
+                implementation: 'default',
+                gpuId: -1,
+                bitrate: String(rendition.videoBitrate * 1000),
+                bitrateDynamic: false,
+                autoAdjustBitrate: false,
+                keyFrameInterval: { followSource: true, interval: 60 },
+                frameSize: { fitMode: 'fit-height', width: rendition.width, height: rendition.height },
+                profile: 'main'
+            },
+            audio: {
+                codec: 'AAC',
+                bitrate: String(rendition.audioBitrate * 1000)
+            }
+        };
+    }
+
+    // Rendition única no tamanho da origem, usada para gerar o stream com a logo sem ABR
+    buildOverlayEncode(planBitrate) {
+        const videoBitrate = Math.max(planBitrate - AUDIO_BITRATE, 100);
+        const encode = this.buildEncode({ key: 'logo', width: 0, height: 0, videoBitrate, audioBitrate: AUDIO_BITRATE });
+
+        encode.description = `Stream com logo ${videoBitrate} kbps`;
+        encode.streamName = `mp4:${OverlayManager.getOverlayStreamName('${SourceStreamName}')}`;
+        encode.video.frameSize = { fitMode: 'match-source', width: 0, height: 0 };
+
+        return encode;
+    }
+
+    /**
+     * Conferir se o transcoder da aplicação está habilitado com templates por nome do
+     * stream de origem. A habilitação é feita uma vez no provisionamento do servidor
+     * (README-PRODUCAO.md), já que alterar e reiniciar a aplicação derruba os streams
+     * de todas as contas.
+     */
+    async checkTranscoderEnabled(wowzaService, applicationName) {
+        const cacheKey = `${wowzaService.serverId}:${applicationName}`;
+        if (this.enabledApplications.has(cacheKey)) return;
+
+        const current = await wowzaService.makeWowzaRequest(`/applications/${applicationName}/transcoder`);
+
+        if (!current.success) {
+            throw new Error(`Não foi possível ler o transcoder da aplicação ${applicationName}`);
+        }
+
+        const config = typeof current.data === 'object' ? current.data : {};
+        if (config.liveStreamTranscoder !== 'transcoder' || !String(config.templates || '').includes('${SourceStreamName}.xml')) {
+            throw new Error(`Transcoder da aplicação ${applicationName} não habilitado no provisionamento do servidor`);
+        }
+
+        this.enabledApplications.add(cacheKey);
+    }
+
+    async removeTemplate(wowzaService, streamName, applicationName = LIVE_APPLICATION) {
+        await wowzaService.makeWowzaRequest(
+            `/applications/${applicationName}/transcoder/templates/${streamName}`,
+            'DELETE'
+        );
+    }
+
+    async createTemplate(wowzaService, applicationName, streamName, description, encodes) {
+        const templatesEndpoint = `/applications/${applicationName}/transcoder/templates`;
+
+        const templateResult = await wowzaService.makeWowzaRequest(templatesEndpoint, 'POST', {
+            name: streamName,
+            description
+        });
+
+        if (!templateResult.success) {
+            throw new Error('Falha ao criar template de transcodificação no Wowza');
+        }
+
+        for (const encode of encodes) {
+            const encodeResult = await wowzaService.makeWowzaRequest(
+                `${templatesEndpoint}/${streamName}/encodes/${encode.name}`,
+                'POST',
+                encode
+            );
+
+            if (!encodeResult.success) {
+                throw new Error(`Falha ao criar rendition ${encode.name} no Wowza`);
+            }
+        }
+    }
+
+    /**
+     * Sincronizar o template de transcodificação e o SMIL do stream ao vivo da conta.
+     * O template leva o nome do stream de origem e só é aplicado a ele. Com logo e
+     * sem ABR, o template gera apenas o stream <login>_live_logo.
+     */
+    async syncAccount(wowzaService, { userLogin, ativo, qualidades, planBitrate, overlay = null }) {
+        const streamName = `${userLogin}_live`;
+
+        await this.removeTemplate(wowzaService, streamName);
+
+        if (!ativo) {
+            try {
+                await SSHManager.deleteFile(wowzaService.serverId, this.getSmilPath(userLogin));
+            } catch (error) {
+                console.warn(`Aviso: não foi possível remover o SMIL de ${userLogin}:`, error.message);
+            }
+
+            if (!overlay) {
+                return { success: true };
+            }
+        }
+
+        await this.checkTranscoderEnabled(wowzaService, LIVE_APPLICATION);
+
+        if (!ativo) {
+            await this.createTemplate(wowzaService, LIVE_APPLICATION, streamName, `Logo de ${userLogin}`, [
+                this.buildOverlayEncode(planBitrate)
+            ]);
+            await OverlayManager.applyToTemplate(wowzaService, LIVE_APPLICATION, streamName, overlay);
+
+            return { success: true, overlayStream: OverlayManager.getOverlayStreamName(streamName) };
+        }
+
+        const renditions = this.buildRenditions(qualidades, planBitrate);
+
+        await this.createTemplate(
+            wowzaService,
+            LIVE_APPLICATION,
+            streamName,
+            `Transcodificação ABR de ${userLogin}`,
+            renditions.map(rendition => this.buildEncode(rendition))
+        );
+
+        if (overlay) {
+            await OverlayManager.applyToTemplate(wowzaService, LIVE_APPLICATION, streamName, overlay);
+        }
+
+        await this.writeSmil(wowzaService.serverId, userLogin, this.buildSmil(streamName, renditions));
+
+        return { success: true, renditions };
+    }
+
+    // Sincronizar a conta com a configuração de ABR e a logo salvas no banco
+    // (overrides.overlay substitui a logo salva, inclusive por null)
+    async syncAccountFromDatabase(wowzaService, userId, userLogin, overrides = {}) {
+        const [rows] = await db.execute(
+            'SELECT transcoder, transcoder_qualidades, bitrate FROM streamings WHERE codigo = ?',
+            [userId]
+        );
+
+        if (rows.length === 0) {
+            return { success: false, error: 'Configurações do usuário não encontradas' };
+        }
+
+        return this.syncAccount(wowzaService, {
+            userLogin,
+            ativo: rows[0].transcoder === 'sim',
+            qualidades: this.parseQualidades(rows[0].transcoder_qualidades),
+            planBitrate: parseInt(rows[0].bitrate) || 2500,
+            overlay: overrides.overlay !== undefined
+                ? overrides.overlay
+                : await OverlayManager.getAccountOverlay(userId, userLogin)
+        });
+    }
+
+    /**
+     * Template com a logo para um stream de playlist. O stream com a logo
+     * (<stream>_logo) é o entregue aos players e às plataformas.
+     */
+    async syncOverlayStream(wowzaService, { applicationName, streamName, overlay, planBitrate }) {
+        await this.checkTranscoderEnabled(wowzaService, applicationName);
+        await this.removeTemplate(wowzaService, streamName, applicationName);
+
+        await this.createTemplate(wowzaService, applicationName, streamName, `Logo de ${streamName}`, [
+            this.buildOverlayEncode(planBitrate)
+        ]);
+        await OverlayManager.applyToTemplate(wowzaService, applicationName, streamName, overlay);
+
+        return OverlayManager.getOverlayStreamName(streamName);
+    }
+
+    async writeSmil(serverId, userLogin, content) {
+        const writeStream = await SSHManager.createWriteStream(serverId, this.getSmilPath(userLogin));
+
+        await new Promise((resolve, reject) => {
+            writeStream.on('close', resolve);
+            writeStream.on('error', reject);
+            writeStream.end(content);
+        });
+    }
+}
+
+module.exports = new TranscoderManager();
@@ -0,0 +1,336 @@
+const path = require('path');
+const db = require('./database');
+const SSHManager = require('./SSHManager');
+const VideoSSHManager = require('./VideoSSHManager');
+const remoteFfmpeg = require('./remoteFfmpeg');
+
+const CONTENT_ROOT = '/usr/local/WowzaStreamingEngine/content';
+const AUDIO_BITRATE = 128;
+const MIN_VIDEO_BITRATE = 300;
+const MAX_HEIGHT = 1080;
+
+// Codecs aceitos sem conversão (compatíveis com HLS do Wowza e com os navegadores)
+const COMPLIANT_VIDEO_CODECS = ['h264'];
+const COMPLIANT_AUDIO_CODECS = ['aac'];
+
+const JOB_COLUMNS = `
+    codigo as id,
+    codigo_video as id_video,
+    codigo_pasta as id_pasta,
+    arquivo_origem,
+    arquivo_destino,
+    codec_video,
+    codec_audio,
+    bitrate_origem,
+    bitrate_maximo,
+    status,
+    progresso,
+    motivo,
+    erro,
+    data_criacao,
+    data_atualizacao`;
+
+class VideoConversionManager {
+    constructor() {
+        this.concurrency = parseInt(process.env.VIDEO_CONVERSION_CONCURRENCY) || 1;
+        this.queue = [];
+        this.running = new Set();
+    }
+
+    // Conversão automática após o upload, salvo quando desativada por VIDEO_AUTO_CONVERT=false
+    isAutoConvertEnabled() {
+        return process.env.VIDEO_AUTO_CONVERT !== 'false';
+    }
+
+    async createJob({ userId, folderId, videoId, serverId, relativePath, planBitrate }) {
+        const [result] = await db.execute(
+            `INSERT INTO conversoes_videos (
+                codigo_stm, codigo_pasta, codigo_video, codigo_servidor, arquivo_origem, bitrate_maximo, status, progresso
+            ) VALUES (?, ?, ?, ?, ?, ?, 'queued', 0)`,
+            [userId, folderId, videoId, serverId, relativePath, parseInt(planBitrate) || 0]
+        );
+
+        this.enqueue(result.insertId);
+        return this.getJob(result.insertId, userId);
+    }
+
+    async getJob(jobId, userId) {
+        const [rows] = await db.execute(
+            `SELECT ${JOB_COLUMNS} FROM conversoes_videos WHERE codigo = ? AND codigo_stm = ?`,
+            [jobId, userId]
+        );
+
+        return rows[0] || null;
+    }
+
+    async getLatestJobForVideo(videoId, userId) {
+        const [rows] = await db.execute(
+            `SELECT ${JOB_COLUMNS} FROM conversoes_videos
+             WHERE codigo_video = ? AND codigo_stm = ?
+             ORDER BY codigo DESC LIMIT 1`,
+            [videoId, userId]
+        );
+
+        return rows[0] || null;
+    }
+
+    async listJobs(userId, limit = 50) {
+        const [rows] = await db.execute(
+            `SELECT ${JOB_COLUMNS} FROM conversoes_videos
+             WHERE codigo_stm = ?
+             ORDER BY codigo DESC
+             LIMIT ${parseInt(limit) || 50}`,
+            [userId]
+        );
+
+        return rows;
+    }
+
+    // Conversão em andamento (ou na fila) para o vídeo
+    async hasPendingJob(videoId) {
+        const [rows] = await db.execute(
+            `SELECT codigo FROM conversoes_videos
+             WHERE codigo_video = ? AND status IN ('queued', 'probing', 'converting')
+             LIMIT 1`,
+            [videoId]
+        );
+
+        return rows.length > 0;
+    }
+
+    /**
+     * Recolocar na fila conversões interrompidas por reinício do backend. O ffmpeg roda
+     * desacoplado no servidor Wowza, então conversões em andamento apenas voltam a ser acompanhadas.
+     */
+    async resumePendingJobs() {
+        try {
+            const [rows] = await db.execute(
+                `SELECT codigo, status FROM conversoes_videos
+                 WHERE status IN ('queued', 'probing', 'converting')
+                 ORDER BY codigo`
+            );
+
+            for (const row of rows) {
+                if (row.status === 'probing') {
+                    await this.updateJob(row.codigo, { status: 'queued', progresso: 0 });
+                }
+                this.enqueue(row.codigo);
+            }
+
+            if (rows.length > 0) {
+                console.log(`🎞️ ${rows.length} conversão(ões) de vídeo pendente(s) retomada(s)`);
+            }
+        } catch (error) {
+            console.error('Erro ao retomar conversões de vídeo pendentes:', error);
+        }
+    }
+
+    enqueue(jobId) {
+        if (!this.queue.includes(jobId) && !this.running.has(jobId)) {
+            this.queue.push(jobId);
+        }
+        this.processQueue();
+    }
+
+    processQueue() {
+        while (this.running.size < this.concurrency && this.queue.length > 0) {
+            const jobId = this.queue.shift();
+            this.running.add(jobId);
+
+            this.runJob(jobId)
+                .catch(error => console.error(`Erro inesperado na conversão ${jobId}:`, error))
+                .finally(() => {
+                    this.running.delete(jobId);
+                    this.processQueue();
+                });
+        }
+    }
+
+    async updateJob(jobId, fields) {
+        const columns = Object.keys(fields);
+        if (columns.length === 0) return;
+
+        await db.execute(
+            `UPDATE conversoes_videos SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE codigo = ?`,
+            [...columns.map(c => fields[c]), jobId]
+        );
+    }
+
+    // Motivo da conversão, ou null quando o arquivo já está dentro do padrão e do plano
+    getConversionReason(videoInfo, fileName, planBitrate) {
+        const reasons = [];
+
+        if (!COMPLIANT_VIDEO_CODECS.includes(videoInfo.codec)) {
+            reasons.push(`codec de vídeo ${videoInfo.codec || 'desconhecido'}`);
+        }
+
+        if (videoInfo.audioCodec && !COMPLIANT_AUDIO_CODECS.includes(videoInfo.audioCodec)) {
+            reasons.push(`codec de áudio ${videoInfo.audioCodec}`);
+        }
+
+        if (path.extname(fileName).toLowerCase() !== '.mp4') {
+            reasons.push(`formato ${path.extname(fileName).substring(1) || 'desconhecido'}`);
+        }
+
+        if (planBitrate > 0 && videoInfo.bitrate > planBitrate) {
+            reasons.push(`bitrate ${videoInfo.bitrate} kbps acima do plano (${planBitrate} kbps)`);
+        }
+
+        if (videoInfo.height > MAX_HEIGHT) {
+            reasons.push(`resolução ${videoInfo.width}x${videoInfo.height}`);
+        }
+
+        return reasons.length > 0 ? reasons.join(', ') : null;
+    }
+
+    // Bitrate de vídeo do arquivo convertido: o do original, limitado ao plano descontando o áudio
+    getTargetVideoBitrate(videoInfo, planBitrate) {
+        const limit = planBitrate > 0 ? planBitrate - AUDIO_BITRATE : Infinity;
+        const source = videoInfo.bitrate > 0 ? videoInfo.bitrate - AUDIO_BITRATE : limit;
+        const target = Math.min(source, limit);
+
+        return Number.isFinite(target) ? Math.max(Math.floor(target), MIN_VIDEO_BITRATE) : 2500;
+    }
+
+    getWorkPrefix(remotePath, jobId) {
+        return `${path.posix.dirname(remotePath)}/.conversao_${jobId}`;
+    }
+
+    buildFfmpegArgs(remotePath, videoBitrate) {
+        return [
+            `-i "${remotePath}"`,
+            `-vf "scale=-2:min(ih\\,${MAX_HEIGHT})"`,
+            '-c:v libx264 -preset veryfast -profile:v main -pix_fmt yuv420p',
+            `-b:v ${videoBitrate}k -maxrate ${videoBitrate}k -bufsize ${videoBitrate * 2}k`,
+            `-c:a aac -b:a ${AUDIO_BITRATE}k -ac 2`,
+            '-movflags +faststart'
+        ];
+    }
+
+    // Gravar os metadados reais em todos os registros que apontam para o arquivo
+    async updateVideoRows(relativePath, videoInfo, fields = {}) {
+        const duracao = Math.round(videoInfo.duration || 0);
+        const assignments = {
+            width: videoInfo.width || 0,
+            height: videoInfo.height || 0,
+            bitrate: videoInfo.bitrate || 0,
+            duracao: VideoSSHManager.formatDuration(duracao),
+            duracao_segundos: duracao,
+            ...fields
+        };
+        const columns = Object.keys(assignments);
+
+        await db.execute(
+            `UPDATE playlists_videos SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE path_video = ?`,
+            [...columns.map(c => assignments[c]), relativePath]
+        );
+    }
+
+    async runJob(jobId) {
+        const [jobRows] = await db.execute('SELECT * FROM conversoes_videos WHERE codigo = ?', [jobId]);
+        if (jobRows.length === 0) return;
+
+        const job = jobRows[0];
+        const serverId = job.codigo_servidor || 1;
+        const relativePath = job.arquivo_origem;
+        const remotePath = `${CONTENT_ROOT}${relativePath}`;
+        const workPrefix = this.getWorkPrefix(remotePath, jobId);
+        const planBitrate = parseInt(job.bitrate_maximo) || 0;
+
+        try {
+            // Etapa 1: metadados reais via ffprobe
+            const resuming = job.status === 'converting';
+            if (!resuming) {
+                await this.updateJob(jobId, { status: 'probing', progresso: 0, erro: null });
+            }
+
+            const videoInfo = await VideoSSHManager.getVideoInfo(serverId, remotePath);
+            if (!videoInfo) {
+                throw new Error('Não foi possível analisar o vídeo com ffprobe');
+            }
+
+            await this.updateVideoRows(relativePath, videoInfo);
+
+            const reason = this.getConversionReason(videoInfo, relativePath, planBitrate);
+            await this.updateJob(jobId, {
+                codec_video: videoInfo.codec || null,
+                codec_audio: videoInfo.audioCodec || null,
+                bitrate_origem: videoInfo.bitrate || 0,
+                motivo: reason
+            });
+
+            if (!reason && !resuming) {
+                await this.updateJob(jobId, { status: 'skipped', progresso: 100 });
+                return;
+            }
+
+            // Etapa 2: conversão para H.264/AAC em MP4
+            if (!resuming) {
+                const videoBitrate = this.getTargetVideoBitrate(videoInfo, planBitrate);
+
+                await remoteFfmpeg.cleanupWorkFiles(serverId, workPrefix);
+                await this.updateJob(jobId, { status: 'converting', progresso: 0 });
+                await remoteFfmpeg.startDetached(serverId, this.buildFfmpegArgs(remotePath, videoBitrate), workPrefix);
+
+                console.log(`🎞️ Conversão ${jobId} iniciada (${reason}): ${relativePath}`);
+            } else {
+                console.log(`🎞️ Acompanhando conversão ${jobId} em andamento: ${relativePath}`);
+            }
+
+            await remoteFfmpeg.waitForCompletion(
+                serverId,
+                workPrefix,
+                videoInfo.duration,
+                progresso => this.updateJob(jobId, { progresso }),
+                job.progresso || 0
+            );
+
+            // Etapa 3: substituir o original pelo arquivo convertido
+            const parsed = path.posix.parse(relativePath);
+            let targetRelativePath = `${parsed.dir}/${parsed.name}.mp4`;
+            if (targetRelativePath !== relativePath) {
+                // Não sobrescrever outro vídeo da pasta com o mesmo nome
+                const existing = await SSHManager.getFileInfo(serverId, `${CONTENT_ROOT}${targetRelativePath}`);
+                if (existing.exists) {
+                    targetRelativePath = `${parsed.dir}/${Date.now()}_${parsed.name}.mp4`;
+                }
+            }
+            const targetRemotePath = `${CONTENT_ROOT}${targetRelativePath}`;
+            const originalInfo = await SSHManager.getFileInfo(serverId, remotePath);
+
+            await SSHManager.executeCommand(serverId, `mv -f "${workPrefix}.mp4" "${targetRemotePath}"`);
+            if (targetRemotePath !== remotePath) {
+                await SSHManager.deleteFile(serverId, remotePath).catch(() => {});
+            }
+            await remoteFfmpeg.cleanupWorkFiles(serverId, workPrefix);
+
+            const convertedInfo = await VideoSSHManager.getVideoInfo(serverId, targetRemotePath) || videoInfo;
+            const newSize = convertedInfo.size || (await SSHManager.getFileInfo(serverId, targetRemotePath)).size || 0;
+
+            await this.updateVideoRows(relativePath, convertedInfo, {
+                path_video: targetRelativePath,
+                tamanho_arquivo: newSize
+            });
+
+            // Ajustar o espaço usado da pasta pela diferença de tamanho
+            const originalSize = originalInfo.exists ? originalInfo.size : 0;
+            const deltaMB = Math.ceil(newSize / (1024 * 1024)) - Math.ceil(originalSize / (1024 * 1024));
+            if (originalSize > 0 && deltaMB !== 0) {
+                await db.execute(
+                    'UPDATE streamings SET espaco_usado = GREATEST(espaco_usado + ?, 0) WHERE codigo = ?',
+                    [deltaMB, job.codigo_pasta]
+                );
+            }
+
+            await this.updateJob(jobId, { status: 'done', progresso: 100, arquivo_destino: targetRelativePath });
+            console.log(`✅ Conversão ${jobId} concluída: ${targetRelativePath}`);
+        } catch (error) {
+            console.error(`❌ Falha na conversão ${jobId}:`, error.message);
+
+            await remoteFfmpeg.cleanupWorkFiles(serverId, workPrefix);
+            await this.updateJob(jobId, { status: 'failed', erro: error.message.substring(0, 1000) });
+        }
+    }
+}
+
+module.exports = new VideoConversionManager();
@@ -1,4 +1,5 @@
 const SSHManager = require('./SSHManager');
+const secureToken = require('./secureToken');
 const fs = require('fs').promises;
 const path = require('path');
 const { spawn } = require('child_process');
@@ -273,6 +274,7 @@ class VideoSSHManager {
                 height: 0,
                 bitrate: 0,
                 codec: 'unknown',
+                audioCodec: null,
                 format: path.extname(fileName).toLowerCase().substring(1)
             };
 
@@ -293,6 +295,11 @@ class VideoSSHManager {
                             videoInfo.height = videoStream.height || 0;
                             videoInfo.codec = videoStream.codec_name || 'unknown';
                         }
+
+                        const audioStream = ffprobeData.streams.find(s => s.codec_type === 'audio');
+                        if (audioStream) {
+                            videoInfo.audioCodec = audioStream.codec_name || 'unknown';
+                        }
                     }
                 } catch (parseError) {
                     console.warn('Erro ao parsear dados do ffprobe:', parseError);
@@ -530,8 +537,8 @@ class VideoSSHManager {
         }
     }
 
-    // Método para obter URL de streaming otimizada
-    async getOptimizedStreamUrl(serverId, remotePath, userLogin) {
+    // Método para obter URL de streaming otimizada (sempre pelo proxy /content, assinada)
+    async getOptimizedStreamUrl(serverId, remotePath, userLogin, userId = null) {
         try {
             const fileName = path.basename(remotePath);
             const folderPath = path.dirname(remotePath).split('/').pop();
@@ -540,17 +547,17 @@ class VideoSSHManager {
             const isProduction = process.env.NODE_ENV === 'production';
             const wowzaHost = isProduction ? 'samhost.wcore.com.br' : '51.222.156.223';
             
-            // URL direta do Wowza (porta 6980 para VOD)
-            const directUrl = `http://${wowzaHost}:6980/content/${userLogin}/${folderPath}/${fileName}`;
-            
-            // URL HLS se disponível
-            const hlsUrl = `http://${wowzaHost}:1935/vod/${userLogin}/${folderPath}/${fileName}/playlist.m3u8`;
+            // URL HLS do Wowza trocada pela do proxy, com o token da conta
+            const hlsUrl = await secureToken.signUrlForAccount(
+                userId,
+                `http://${wowzaHost}:1935/vod/${userLogin}/${folderPath}/${fileName}/playlist.m3u8`
+            );
             
             // URL via proxy do backend
-            const proxyUrl = `/content/${userLogin}/${folderPath}/${fileName}`;
+            const proxyUrl = await secureToken.signContentUrl(userId, `/content/${userLogin}/${folderPath}/${fileName}`);
             
             return {
-                direct: directUrl,
+                direct: proxyUrl,
                 hls: hlsUrl,
                 proxy: proxyUrl,
                 ssh: `/api/videos-ssh/stream/${Buffer.from(remotePath).toString('base64')}`
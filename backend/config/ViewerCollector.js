@@ -0,0 +1,370 @@
+const db = require('./database');
+const WowzaStreamingService = require('./WowzaStreamingService');
+const geoip = require('./geoip');
+
+const POLL_INTERVAL = (parseInt(process.env.VIEWER_POLL_INTERVAL) || 30) * 1000;
+// Sessões encerradas ficam disponíveis para os filtros de período do painel (máximo 30 dias)
+const RETENTION_DAYS = 30;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+// Sessões do proxy /content sem requisições por este período deixam de ser associadas ao espectador
+const PROXIED_SESSION_TTL = 5 * 60 * 1000;
+
+// Streams publicados pelo painel: <login>_live (OBS, e renditions <login>_live_<altura>p do transcoder),
+// <login>_playlist_<id> e <login>_relay.stream, além das versões com logo (sufixo _logo)
+const STREAM_NAME_REGEX = /^(.+?)_(live(?:_\d+p)?|playlist_\d+|relay\.stream)(?:_logo)?$/;
+
+// Classificar player e dispositivo a partir do user agent da sessão
+function classifyUserAgent(userAgent = '', protocol = '') {
+    const ua = String(userAgent);
+
+    let player = 'Outro';
+    if (/VLC|LibVLC/i.test(ua)) player = 'VLC';
+    else if (/ExoPlayer/i.test(ua)) player = 'ExoPlayer';
+    else if (/Roku/i.test(ua)) player = 'Roku';
+    else if (/Lavf|FFmpeg/i.test(ua)) player = 'FFmpeg';
+    else if (/AppleCoreMedia/i.test(ua)) player = 'Apple HLS';
+    else if (/Edg\//.test(ua)) player = 'Edge';
+    else if (/OPR\/|Opera/.test(ua)) player = 'Opera';
+    else if (/SamsungBrowser/.test(ua)) player = 'Samsung Internet';
+    else if (/Chrome\/|CriOS\//.test(ua)) player = 'Chrome';
+    else if (/Firefox\/|FxiOS\//.test(ua)) player = 'Firefox';
+    else if (/Safari\//.test(ua)) player = 'Safari';
+    else if (/^(WIN|MAC|LNX) \d/.test(ua) || /rtmp/i.test(protocol)) player = 'RTMP';
+
+    let dispositivo = 'Desktop';
+    if (/SmartTV|SMART-TV|Tizen|Web0S|webOS|HbbTV|BRAVIA|AppleTV|Roku|AFT[A-Z]/i.test(ua)) dispositivo = 'Smart TV';
+    else if (/iPad|Tablet/i.test(ua) || (/Android/i.test(ua) && !/Mobile/i.test(ua))) dispositivo = 'Tablet';
+    else if (/Mobi|iPhone|iPod|Android/i.test(ua)) dispositivo = 'Mobile';
+
+    return { player, dispositivo };
+}
+
+class ViewerCollector {
+    constructor() {
+        this.interval = null;
+        this.purgeInterval = null;
+        this.collecting = false;
+        // Serviços Wowza por servidor
+        this.services = new Map();
+        // Sessões abertas por chave (conta + stream + sessão)
+        this.sessions = new Map();
+        // Login extraído do nome do stream -> codigo_stm
+        this.accounts = new Map();
+        // Contas com espectadores na última coleta
+        this.activeAccounts = new Set();
+        // Id da sessão HTTP do Wowza aberta pelo proxy /content -> IP e user agent do espectador
+        this.proxiedSessions = new Map();
+    }
+
+    async start() {
+        if (this.interval) return;
+
+        await this.loadOpenSessions();
+        await this.collect();
+
+        this.interval = setInterval(() => this.collect(), POLL_INTERVAL);
+        this.purgeInterval = setInterval(() => this.purge(), PURGE_INTERVAL);
+        console.log('👥 Coletor de espectadores iniciado');
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+
+        if (this.purgeInterval) {
+            clearInterval(this.purgeInterval);
+            this.purgeInterval = null;
+        }
+    }
+
+    // Recarregar sessões que estavam abertas antes do reinício do backend
+    async loadOpenSessions() {
+        try {
+            const [rows] = await db.execute(
+                `SELECT codigo, codigo_stm, sessao, ip, tempo_conectado, pais_nome, cidade, estado, player, dispositivo
+                 FROM espectadores_conectados
+                 WHERE encerrada = 0 AND sessao IS NOT NULL`
+            );
+
+            for (const row of rows) {
+                this.sessions.set(row.sessao, {
+                    rowId: row.codigo,
+                    userId: row.codigo_stm,
+                    serverId: null,
+                    ip: row.ip,
+                    pais: row.pais_nome,
+                    cidade: row.cidade,
+                    estado: row.estado,
+                    player: row.player,
+                    dispositivo: row.dispositivo,
+                    startedAt: Date.now() - (parseInt(row.tempo_conectado) || 0) * 1000,
+                    seconds: parseInt(row.tempo_conectado) || 0
+                });
+            }
+        } catch (error) {
+            console.error('Erro ao carregar sessões de espectadores abertas:', error);
+        }
+    }
+
+    async getService(serverId) {
+        if (this.services.has(serverId)) {
+            return this.services.get(serverId);
+        }
+
+        const wowzaService = new WowzaStreamingService(serverId);
+        const initialized = await wowzaService.initializeFromDatabase(null);
+
+        if (!initialized) {
+            return null;
+        }
+
+        this.services.set(serverId, wowzaService);
+        return wowzaService;
+    }
+
+    // Identificar a conta dona do stream pelo login no nome
+    async resolveAccount(streamName) {
+        const match = STREAM_NAME_REGEX.exec(streamName);
+        if (!match) return null;
+
+        return this.resolveLogin(match[1]);
+    }
+
+    async resolveLogin(userLogin) {
+        if (this.accounts.has(userLogin)) {
+            return this.accounts.get(userLogin);
+        }
+
+        const [rows] = await db.execute(
+            'SELECT codigo FROM streamings WHERE email LIKE ? ORDER BY codigo LIMIT 1',
+            [`${userLogin}@%`]
+        );
+
+        const userId = rows.length > 0 ? rows[0].codigo : null;
+        this.accounts.set(userLogin, userId);
+        return userId;
+    }
+
+    /**
+     * Registrar o espectador de uma requisição HLS do proxy /content. O Wowza vê o IP e o
+     * user agent do backend; o id da sessão vem no nome da chunklist e dos segmentos
+     * (chunklist_w<id>.m3u8, media_w<id>_<n>.ts) e é o mesmo informado pela API de sessões.
+     */
+    registerProxiedRequest(requestPath, ip, userAgent) {
+        const match = /_w(\d+)/.exec(String(requestPath).split('/').pop());
+        if (!match) return;
+
+        this.proxiedSessions.set(match[1], { ip, userAgent, lastSeen: Date.now() });
+    }
+
+    // Sessão do Wowza com o IP e o user agent do espectador quando ela passa pelo proxy /content
+    resolveViewer(session) {
+        const viewer = this.proxiedSessions.get(session.id);
+        if (!viewer) return session;
+
+        return { ...session, ip: viewer.ip || session.ip, userAgent: viewer.userAgent || session.userAgent };
+    }
+
+    async collect() {
+        if (this.collecting) return;
+        this.collecting = true;
+
+        try {
+            const [servers] = await db.execute('SELECT codigo FROM wowza_servers WHERE status = "ativo"');
+
+            const seen = new Set();
+            const polledServers = new Set();
+            // Streams cujas sessões não puderam ser consultadas (prefixo da chave da sessão)
+            const unpolledStreams = new Set();
+            const viewersByAccount = new Map();
+
+            for (const server of servers) {
+                try {
+                    const wowzaService = await this.getService(server.codigo);
+                    if (!wowzaService) continue;
+
+                    for (const applicationName of wowzaService.getLiveApplications()) {
+                        const streams = await wowzaService.listIncomingStreams(applicationName);
+                        if (!streams) {
+                            throw new Error(`Não foi possível listar os streams de ${applicationName}`);
+                        }
+
+                        for (const streamName of streams) {
+                            const userId = await this.resolveAccount(streamName);
+                            if (!userId) continue;
+
+                            const sessions = await wowzaService.getStreamSessions(streamName, applicationName);
+                            if (!sessions) {
+                                unpolledStreams.add(`${userId}:${streamName}:`);
+                                continue;
+                            }
+
+                            viewersByAccount.set(userId, (viewersByAccount.get(userId) || 0) + sessions.length);
+
+                            for (const session of sessions.map(s => this.resolveViewer(s))) {
+                                const key = `${userId}:${streamName}:${session.id || `${session.ip}|${session.userAgent}`}`;
+                                seen.add(key);
+                                await this.upsertSession(key, userId, server.codigo, session);
+                            }
+                        }
+                    }
+
+                    polledServers.add(server.codigo);
+                } catch (error) {
+                    // Manter sessões do servidor abertas até a próxima coleta bem-sucedida
+                    console.error(`Erro ao coletar espectadores do servidor ${server.codigo}:`, error);
+                    this.services.delete(server.codigo);
+                }
+            }
+
+            const allPolled = polledServers.size === servers.length;
+
+            for (const [key, session] of this.sessions) {
+                if (seen.has(key)) continue;
+
+                const serverPolled = session.serverId ? polledServers.has(session.serverId) : allPolled;
+                const streamPolled = ![...unpolledStreams].some(prefix => key.startsWith(prefix));
+
+                if (serverPolled && streamPolled) {
+                    await this.closeSession(key, session);
+                } else {
+                    // Sessão mantida aberta até a próxima coleta bem-sucedida continua na contagem
+                    viewersByAccount.set(session.userId, (viewersByAccount.get(session.userId) || 0) + 1);
+                }
+            }
+
+            await this.updateAccountCounters(viewersByAccount);
+
+            const now = Date.now();
+            for (const [sessionId, viewer] of this.proxiedSessions) {
+                if (now - viewer.lastSeen > PROXIED_SESSION_TTL) {
+                    this.proxiedSessions.delete(sessionId);
+                }
+            }
+        } catch (error) {
+            console.error('Erro no coletor de espectadores:', error);
+        } finally {
+            this.collecting = false;
+        }
+    }
+
+    async upsertSession(key, userId, serverId, wowzaSession) {
+        const existing = this.sessions.get(key);
+
+        if (existing) {
+            existing.serverId = serverId;
+            existing.seconds = wowzaSession.seconds || Math.floor((Date.now() - existing.startedAt) / 1000);
+
+            await db.execute(
+                'UPDATE espectadores_conectados SET tempo_conectado = ?, atualizacao = NOW() WHERE codigo = ?',
+                [existing.seconds, existing.rowId]
+            );
+            return;
+        }
+
+        const location = await geoip.lookup(wowzaSession.ip);
+        const { player, dispositivo } = classifyUserAgent(wowzaSession.userAgent, wowzaSession.protocol);
+        const seconds = wowzaSession.seconds || 0;
+
+        const [result] = await db.execute(
+            `INSERT INTO espectadores_conectados (
+                codigo_stm, sessao, ip, tempo_conectado, pais_sigla, pais_nome, cidade, estado,
+                player, dispositivo, user_agent, latitude, longitude, encerrada, atualizacao
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, NOW())`,
+            [
+                userId,
+                key,
+                wowzaSession.ip,
+                seconds,
+                location.pais_sigla,
+                location.pais_nome,
+                location.cidade,
+                location.estado,
+                player,
+                dispositivo,
+                String(wowzaSession.userAgent || '').substring(0, 255),
+                location.latitude,
+                location.longitude
+            ]
+        );
+
+        this.sessions.set(key, {
+            rowId: result.insertId,
+            userId,
+            serverId,
+            ip: wowzaSession.ip,
+            pais: location.pais_nome,
+            cidade: location.cidade,
+            estado: location.estado,
+            player,
+            dispositivo,
+            startedAt: Date.now() - seconds * 1000,
+            seconds
+        });
+    }
+
+    // Sessão encerrada: registrar em estatisticas com o tempo total conectado
+    async closeSession(key, session) {
+        this.sessions.delete(key);
+
+        const seconds = Math.max(session.seconds, Math.floor((Date.now() - session.startedAt) / 1000));
+
+        await db.execute(
+            `INSERT INTO estatisticas (
+                codigo_stm, data, hora, ip, pais, tempo_conectado, player, dispositivo, cidade, estado
+            ) VALUES (?, CURDATE(), CURTIME(), ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                session.userId,
+                session.ip,
+                session.pais,
+                seconds,
+                session.player,
+                session.dispositivo,
+                session.cidade,
+                session.estado
+            ]
+        );
+
+        await db.execute(
+            'UPDATE espectadores_conectados SET encerrada = 1, tempo_conectado = ? WHERE codigo = ?',
+            [seconds, session.rowId]
+        );
+    }
+
+    async updateAccountCounters(viewersByAccount) {
+        for (const [userId, viewers] of viewersByAccount) {
+            await db.execute(
+                'UPDATE streamings SET espectadores_conectados = ? WHERE codigo = ?',
+                [viewers, userId]
+            );
+            await db.execute(
+                'UPDATE transmissoes SET viewers_pico = GREATEST(COALESCE(viewers_pico, 0), ?) WHERE codigo_stm = ? AND status = "ativa"',
+                [viewers, userId]
+            );
+        }
+
+        // Contas cujo stream deixou de existir desde a última coleta
+        for (const userId of this.activeAccounts) {
+            if (!viewersByAccount.has(userId)) {
+                await db.execute('UPDATE streamings SET espectadores_conectados = 0 WHERE codigo = ?', [userId]);
+            }
+        }
+
+        this.activeAccounts = new Set(viewersByAccount.keys());
+    }
+
+    async purge() {
+        try {
+            await db.execute(
+                `DELETE FROM espectadores_conectados
+                 WHERE encerrada = 1 AND atualizacao < DATE_SUB(NOW(), INTERVAL ${RETENTION_DAYS} DAY)`
+            );
+        } catch (error) {
+            console.error('Erro ao limpar sessões de espectadores antigas:', error);
+        }
+    }
+}
+
+module.exports = new ViewerCollector();
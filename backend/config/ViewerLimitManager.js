@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const db = require('./database');
+const ViewerCollector = require('./ViewerCollector');
+
+// Sessão sem requisições nem heartbeat por este período deixa de ocupar vaga
+const SESSION_TIMEOUT = (parseInt(process.env.PLAYBACK_SESSION_TIMEOUT) || 90) * 1000;
+// Espectador na fila que parar de consultar a posição perde o lugar
+const QUEUE_TIMEOUT = 45 * 1000;
+const LIMIT_CACHE_TTL = 60 * 1000;
+const CLEANUP_INTERVAL = 15 * 1000;
+// Intervalo mínimo entre registros de recusa do mesmo espectador fora da fila
+const REJECTION_LOG_INTERVAL = 5 * 60 * 1000;
+
+// Aplicações Wowza cujo segundo segmento do caminho é o nome do stream
+const LIVE_APPLICATIONS = ['samhost', process.env.WOWZA_APPLICATION || 'live'];
+
+class ViewerLimitManager {
+    constructor() {
+        // Sessões de reprodução por token
+        this.sessions = new Map();
+        // IP + user agent -> token, para requisições do mesmo espectador que chegam sem token (ex.: HLS nativo)
+        this.fingerprints = new Map();
+        // Fila de espera por conta (codigo_stm)
+        this.queues = new Map();
+        // Limite de espectadores por conta
+        this.limits = new Map();
+        // Última recusa registrada por IP + user agent
+        this.rejections = new Map();
+        this.interval = null;
+    }
+
+    start() {
+        if (this.interval) return;
+        this.interval = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    getFingerprint(ip, userAgent) {
+        return crypto.createHash('sha1').update(`${ip}|${userAgent || ''}`).digest('hex');
+    }
+
+    async getLimit(userId) {
+        const cached = this.limits.get(userId);
+        if (cached && Date.now() - cached.loadedAt < LIMIT_CACHE_TTL) {
+            return cached.limit;
+        }
+
+        const [rows] = await db.execute('SELECT espectadores FROM streamings WHERE codigo = ?', [userId]);
+        const limit = rows.length > 0 ? parseInt(rows[0].espectadores) || 0 : 0;
+
+        this.limits.set(userId, { limit, loadedAt: Date.now() });
+        return limit;
+    }
+
+    countActive(userId) {
+        let active = 0;
+        for (const session of this.sessions.values()) {
+            if (session.userId === userId) active++;
+        }
+        return active;
+    }
+
+    // Identificar a conta dona de um caminho servido por /content
+    // Caminho de um stream ao vivo (/<aplicação ao vivo>/<stream>/...)
+    isLivePath(requestPath) {
+        return LIVE_APPLICATIONS.includes(requestPath.split('/').filter(Boolean)[0]);
+    }
+
+    async resolveAccountFromPath(requestPath) {
+        const segments = requestPath.split('/').filter(Boolean);
+        if (segments.length < 2) return null;
+
+        if (LIVE_APPLICATIONS.includes(segments[0])) {
+            return ViewerCollector.resolveAccount(segments[1]);
+        }
+
+        // VOD via Wowza (/vod/<login>/...) ou arquivo direto (/<login>/<pasta>/<arquivo>)
+        const userLogin = segments[0] === 'vod' ? segments[1] : segments[0];
+        return ViewerCollector.resolveLogin(userLogin);
+    }
+
+    // Identificar a conta dona de um stream (nome do stream ou login)
+    async resolveAccountFromStream(stream) {
+        return (await ViewerCollector.resolveAccount(stream)) || ViewerCollector.resolveLogin(stream);
+    }
+
+    /**
+     * Autorizar um espectador da conta. Retorna o token da sessão quando há vaga,
+     * ou a posição na fila quando a audiência está completa (enqueue = false apenas recusa).
+     */
+    async admit({ userId, ip, userAgent, origem, token = null, ticket = null, enqueue = true }) {
+        const now = Date.now();
+        const fingerprint = this.getFingerprint(ip, userAgent);
+
+        // Sessão já autorizada
+        let existingToken = token && this.sessions.has(token) ? token : null;
+        if (!existingToken) {
+            const fingerprintToken = this.fingerprints.get(fingerprint);
+            const session = fingerprintToken && this.sessions.get(fingerprintToken);
+            if (session && session.userId === userId) {
+                existingToken = fingerprintToken;
+            }
+        }
+
+        if (existingToken) {
+            this.touch(existingToken);
+            return { allowed: true, token: existingToken };
+        }
+
+        const limit = await this.getLimit(userId);
+        const active = this.countActive(userId);
+        const queue = this.getQueue(userId);
+
+        // Espectador que recarregou a página sem o ticket mantém o lugar na fila
+        let queueIndex = queue.findIndex(entry =>
+            (ticket && entry.ticket === ticket) || entry.fingerprint === fingerprint
+        );
+        const freeSlots = limit > 0 ? limit - active : Infinity;
+
+        // Espectadores na fila têm prioridade sobre novos espectadores
+        const allowed = queueIndex >= 0 ? queueIndex < freeSlots : queue.length < freeSlots;
+
+        if (allowed) {
+            if (queueIndex >= 0) queue.splice(queueIndex, 1);
+            return { allowed: true, token: this.createSession(userId, ip, userAgent, origem) };
+        }
+
+        if (!enqueue) {
+            const lastRejection = this.rejections.get(fingerprint) || 0;
+            if (now - lastRejection >= REJECTION_LOG_INTERVAL) {
+                this.rejections.set(fingerprint, now);
+                await this.logRejection({ userId, ip, userAgent, origem, active, limit });
+            }
+
+            return { allowed: false, active, limit };
+        }
+
+        if (queueIndex < 0) {
+            ticket = crypto.randomBytes(16).toString('hex');
+            queue.push({ ticket, fingerprint, lastSeen: now });
+            queueIndex = queue.length - 1;
+
+            await this.logRejection({ userId, ip, userAgent, origem, active, limit });
+        } else {
+            ticket = queue[queueIndex].ticket;
+            queue[queueIndex].lastSeen = now;
+        }
+
+        return {
+            allowed: false,
+            ticket,
+            position: queueIndex + 1,
+            active,
+            limit
+        };
+    }
+
+    createSession(userId, ip, userAgent, origem) {
+        const token = crypto.randomBytes(16).toString('hex');
+        const fingerprint = this.getFingerprint(ip, userAgent);
+
+        this.sessions.set(token, {
+            userId,
+            ip,
+            fingerprint,
+            origem,
+            createdAt: Date.now(),
+            lastSeen: Date.now()
+        });
+        this.fingerprints.set(fingerprint, token);
+
+        return token;
+    }
+
+    getQueue(userId) {
+        if (!this.queues.has(userId)) {
+            this.queues.set(userId, []);
+        }
+        return this.queues.get(userId);
+    }
+
+    // Heartbeat do player ou requisição de mídia com o token
+    touch(token) {
+        const session = this.sessions.get(token);
+        if (!session) return false;
+
+        session.lastSeen = Date.now();
+        return true;
+    }
+
+    release(token) {
+        const session = this.sessions.get(token);
+        if (!session) return;
+
+        this.sessions.delete(token);
+        if (this.fingerprints.get(session.fingerprint) === token) {
+            this.fingerprints.delete(session.fingerprint);
+        }
+    }
+
+    cleanup() {
+        const now = Date.now();
+
+        for (const [token, session] of this.sessions) {
+            if (now - session.lastSeen > SESSION_TIMEOUT) {
+                this.release(token);
+            }
+        }
+
+        for (const [fingerprint, rejectedAt] of this.rejections) {
+            if (now - rejectedAt > REJECTION_LOG_INTERVAL) {
+                this.rejections.delete(fingerprint);
+            }
+        }
+
+        for (const [userId, queue] of this.queues) {
+            const remaining = queue.filter(entry => now - entry.lastSeen <= QUEUE_TIMEOUT);
+            if (remaining.length > 0) {
+                this.queues.set(userId, remaining);
+            } else {
+                this.queues.delete(userId);
+            }
+        }
+    }
+
+    async logRejection({ userId, ip, userAgent, origem, active, limit }) {
+        try {
+            await db.execute(
+                `INSERT INTO espectadores_recusados (
+                    codigo_stm, ip, user_agent, origem, espectadores_ativos, limite, data
+                ) VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+                [userId, ip, String(userAgent || '').substring(0, 255), origem, active, limit]
+            );
+        } catch (error) {
+            console.error('Erro ao registrar espectador recusado:', error);
+        }
+    }
+
+    getAccountStatus(userId) {
+        const queue = this.queues.get(userId) || [];
+        return {
+            ativos: this.countActive(userId),
+            fila: queue.length
+        };
+    }
+}
+
+module.exports = new ViewerLimitManager();
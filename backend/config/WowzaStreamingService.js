@@ -1,6 +1,18 @@
 const DigestFetch = require('digest-fetch');
 const db = require('./database');
 const SSHManager = require('./SSHManager');
+const CommercialBreakBuilder = require('./CommercialBreakBuilder');
+const secureToken = require('./secureToken');
+const recordingPolicy = require('./recordingPolicy');
+const OverlayManager = require('./OverlayManager');
+const TranscoderManager = require('./TranscoderManager');
+const PlayoutManager = require('./PlayoutManager');
+const StreamSessionStore = require('./StreamSessionStore');
+const RecordingManager = require('./RecordingManager');
+const { DEFAULT_TIMEZONE, getAccountTimezone } = require('./timezone');
+
+// Aplicação que recebe o stream ao vivo do OBS (<login>_live)
+const OBS_APPLICATION = 'samhost';
 
 class WowzaStreamingService {
     constructor(serverId = null) {
@@ -327,36 +339,39 @@ class WowzaStreamingService {
         };
     }
 
-    // Construir URL correta para vídeos VOD
-    buildVideoUrl(userLogin, folderName, fileName) {
-        // Detectar extensão do arquivo
-        const fileExtension = fileName.split('.').pop().toLowerCase();
-        
+    // Construir URLs assinadas do proxy /content para vídeos VOD (HLS com o token da conta)
+    async buildVideoUrl(userLogin, folderName, fileName, userId = null) {
         // Construir caminho correto para o Wowza
         const streamPath = `${userLogin}/${folderName}/${fileName}`;
-        
+
         return {
-            hlsUrl: `/${streamPath}`,
-            rtmpUrl: `/${streamPath}`,
-            directUrl: `/${streamPath}`
+            hlsUrl: await secureToken.signUrlForAccount(
+                userId,
+                `http://${this.wowzaHost}:1935/vod/${streamPath}/playlist.m3u8`
+            ),
+            directUrl: await secureToken.signContentUrl(userId, `/content/${streamPath}`)
         };
     }
 
-    // Iniciar gravação de stream
-    async startRecording(streamName, userLogin) {
+    // Iniciar gravação de stream com a segmentação e o modelo de nome da política, na
+    // aplicação em que o stream é publicado (OBS em samhost, playlists na aplicação padrão)
+    async startRecording(streamName, userLogin, {
+        policy = recordingPolicy.DEFAULT_POLICY,
+        titulo = '',
+        timezone = DEFAULT_TIMEZONE,
+        applicationName = this.wowzaApplication
+    } = {}) {
         try {
-            const recordingConfig = {
-                instanceName: `${streamName}_recording`,
-                fileFormat: 'mp4',
-                segmentationType: 'none',
-                outputPath: `/usr/local/WowzaStreamingEngine/content/${userLogin}/recordings/`,
-                recordData: true,
-                applicationName: this.wowzaApplication,
-                streamName: streamName
-            };
+            const recordingConfig = recordingPolicy.buildRecorderConfig(policy, {
+                streamName,
+                userLogin,
+                titulo,
+                timezone,
+                applicationName
+            });
 
             const result = await this.makeWowzaRequest(
-                `/applications/${this.wowzaApplication}/instances/_definst_/streamrecorders/${recordingConfig.instanceName}`,
+                `/applications/${applicationName}/instances/_definst_/streamrecorders/${recordingConfig.instanceName}`,
                 'PUT',
                 recordingConfig
             );
@@ -368,16 +383,48 @@ class WowzaStreamingService {
         }
     }
 
-    // Parar gravação de stream
-    async stopRecording(streamName) {
+    // Iniciar a gravação conforme a política da conta. No modo agendado, fora das
+    // janelas a gravação fica a cargo do RecordingScheduler.
+    async applyRecordingPolicy({ userId, streamName, userLogin, titulo = '', gravarStream, applicationName = this.wowzaApplication }) {
+        try {
+            const policy = await recordingPolicy.getPolicy(userId);
+            const timezone = await getAccountTimezone(userId);
+            const scheduled = policy.modo === 'agendado';
+
+            if (!recordingPolicy.shouldRecord(policy, gravarStream, timezone)) {
+                return { success: false, scheduled };
+            }
+
+            const result = await this.startRecording(streamName, userLogin, { policy, titulo, timezone, applicationName });
+            return { ...result, scheduled };
+        } catch (error) {
+            console.error('Erro ao aplicar política de gravação:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Verificar se há stream recorder ativo para o stream
+    async isRecording(streamName, applicationName = this.wowzaApplication) {
+        const result = await this.makeWowzaRequest(
+            `/applications/${applicationName}/instances/_definst_/streamrecorders/${streamName}_recording`
+        );
+        return !!(result.success && result.data && typeof result.data === 'object');
+    }
+
+    // Parar gravação de stream; com o dono informado, a gravação é registrada com a duração
+    async stopRecording(streamName, applicationName = this.wowzaApplication, owner = null) {
         try {
             const recordingInstanceName = `${streamName}_recording`;
             
             const result = await this.makeWowzaRequest(
-                `/applications/${this.wowzaApplication}/instances/_definst_/streamrecorders/${recordingInstanceName}/actions/stopRecording`,
+                `/applications/${applicationName}/instances/_definst_/streamrecorders/${recordingInstanceName}/actions/stopRecording`,
                 'PUT'
             );
 
+            if (result.success && owner) {
+                RecordingManager.recordingStopped(owner.userId, owner.userLogin, this.serverId);
+            }
+
             return result;
         } catch (error) {
             console.error('Erro ao parar gravação:', error);
@@ -427,6 +474,63 @@ class WowzaStreamingService {
         }
     }
 
+    // Aplicações que recebem streams ao vivo: OBS e playlists/relays
+    getLiveApplications() {
+        return [...new Set([OBS_APPLICATION, this.wowzaApplication])];
+    }
+
+    // Listar streams recebidos pela aplicação (null quando a API do Wowza não responde)
+    async listIncomingStreams(applicationName = this.wowzaApplication) {
+        try {
+            const result = await this.makeWowzaRequest(
+                `/applications/${applicationName}/instances/_definst_`
+            );
+
+            if (!result.success) {
+                return null;
+            }
+
+            const streams = result.data && Array.isArray(result.data.incomingStreams) ? result.data.incomingStreams : [];
+            return streams.map(stream => stream.name).filter(Boolean);
+        } catch (error) {
+            console.error('Erro ao listar streams recebidos:', error);
+            return null;
+        }
+    }
+
+    // Obter sessões de reprodução de um stream (IP, user agent e tempo conectado), null em caso de falha
+    async getStreamSessions(streamName, applicationName = this.wowzaApplication) {
+        try {
+            const result = await this.makeWowzaRequest(
+                `/applications/${applicationName}/instances/_definst_/incomingstreams/${streamName}/sessions`
+            );
+
+            if (!result.success) {
+                return null;
+            }
+            if (!result.data) {
+                return [];
+            }
+
+            const sessions = Array.isArray(result.data)
+                ? result.data
+                : result.data.sessions || result.data.clients || [];
+
+            return sessions
+                .map(session => ({
+                    id: String(session.sessionId || session.id || session.clientId || ''),
+                    ip: session.ipAddress || session.ip || '',
+                    userAgent: session.userAgent || session.flashVersion || '',
+                    protocol: session.protocol || session.sessionType || '',
+                    seconds: Math.floor(session.timeRunning || session.connectionTime || 0)
+                }))
+                .filter(session => session.ip);
+        } catch (error) {
+            console.error('Erro ao obter sessões do stream:', error);
+            return null;
+        }
+    }
+
     // Calcular uptime do stream
     calculateStreamUptime(uptimeSeconds) {
         const hours = Math.floor(uptimeSeconds / 3600);
@@ -497,8 +601,35 @@ class WowzaStreamingService {
         return pushConfigs;
     }
 
+    // Estado de uma transmissão de playlist: desta instância ou gravado por outro processo
+    async getStreamInfo(streamId) {
+        if (this.activeStreams.has(streamId)) {
+            return this.activeStreams.get(streamId);
+        }
+
+        const stored = await StreamSessionStore.get(streamId);
+        if (!stored || !stored.estado) return null;
+
+        return { ...stored.estado, startTime: new Date(stored.estado.startTime) };
+    }
+
+    async getOBSStreamInfo(userId) {
+        if (this.obsStreams.has(userId)) {
+            return this.obsStreams.get(userId);
+        }
+
+        const stored = await StreamSessionStore.get(StreamSessionStore.getObsKey(userId));
+        if (!stored || !stored.estado) return null;
+
+        return { ...stored.estado, startTime: new Date(stored.estado.startTime) };
+    }
+
+    async persistStreamInfo(streamId, streamInfo) {
+        await StreamSessionStore.updateEstado(streamId, streamInfo);
+    }
+
     // Iniciar transmissão de playlist do painel
-    async startPlaylistStream({ streamId, userId, userLogin, userConfig, playlistId, videos = [], platforms = [] }) {
+    async startPlaylistStream({ streamId, userId, userLogin, userConfig, playlistId, titulo = '', overlay, configuracao = null, videos = [], platforms = [] }) {
         try {
             console.log(`Iniciando transmissão de playlist - Stream ID: ${streamId}`);
 
@@ -524,15 +655,80 @@ class WowzaStreamingService {
 
             const streamName = `${userLogin}_playlist_${Date.now()}`;
 
-            // Configurar push para plataformas
-            const pushResults = await this.setupMultiPlatformPush(streamName, platforms, userConfig);
+            // Intercalar comerciais configurados para a playlist
+            let playoutVideos = videos;
+            try {
+                const playout = await CommercialBreakBuilder.buildPlayoutList({ userId, userLogin, playlistId, videos });
+                playoutVideos = playout.items;
+            } catch (commercialError) {
+                console.error('Erro ao inserir comerciais na playlist:', commercialError);
+            }
+
+            // Logo da transmissão (ou da conta quando não informada): o transcoder gera
+            // <stream>_logo, entregue aos players e plataformas
+            let outputStreamName = streamName;
+            try {
+                if (overlay === undefined) {
+                    overlay = await OverlayManager.getAccountOverlay(userId, userLogin);
+                }
+                if (overlay) {
+                    outputStreamName = await TranscoderManager.syncOverlayStream(this, {
+                        applicationName: this.wowzaApplication,
+                        streamName,
+                        overlay,
+                        planBitrate: streamBitrate
+                    });
+                }
+            } catch (overlayError) {
+                console.error('Erro ao aplicar logo na transmissão:', overlayError);
+                await TranscoderManager.removeTemplate(this, streamName, this.wowzaApplication).catch(() => {});
+                overlay = null;
+                outputStreamName = streamName;
+            }
+
+            // Sessão no banco, para status e parada em qualquer processo
+            await StreamSessionStore.create(streamId, {
+                userId,
+                tipo: 'playlist',
+                serverId: this.serverId,
+                aplicacao: this.wowzaApplication,
+                streamName
+            });
 
-            // Configurar gravação se habilitada
-            let recordingResult = null;
-            if (userConfig.gravar_stream !== 'nao') {
-                recordingResult = await this.startRecording(streamName, userLogin);
+            // Agenda do Stream Publisher: os vídeos passam a ser exibidos no próprio Wowza
+            // em <stream>, na ordem da playlist e em loop quando a configuração pede repetição
+            let playoutSession;
+            try {
+                playoutSession = await PlayoutManager.startSession(this, {
+                    streamId,
+                    streamName,
+                    userId,
+                    userLogin,
+                    playlistId,
+                    applicationName: this.wowzaApplication,
+                    videos: playoutVideos,
+                    repetir: configuracao ? configuracao.repetir_playlist : true
+                });
+            } catch (playoutError) {
+                if (overlay) {
+                    await TranscoderManager.removeTemplate(this, streamName, this.wowzaApplication).catch(() => {});
+                }
+                await StreamSessionStore.finish(streamId).catch(() => {});
+                throw playoutError;
             }
 
+            // Configurar push para plataformas
+            const pushResults = await this.setupMultiPlatformPush(outputStreamName, platforms, userConfig);
+
+            // Configurar gravação conforme a política da conta (stream de origem, sem a logo)
+            const recordingResult = await this.applyRecordingPolicy({
+                userId,
+                streamName,
+                userLogin,
+                titulo,
+                gravarStream: userConfig.gravar_stream
+            });
+
             // Atualizar contador de streamings ativas no servidor
             if (this.serverId) {
                 await db.execute(
@@ -541,21 +737,31 @@ class WowzaStreamingService {
                 );
             }
 
-            this.activeStreams.set(streamId, {
+            const startTime = playoutSession.segmentStart;
+
+            const streamInfo = {
                 streamName,
                 wowzaStreamId: streamName,
-                videos,
-                currentVideoIndex: 0,
-                startTime: new Date(),
+                outputStreamName,
+                overlay: overlay ? { id_configuracao: overlay.id_configuracao, id_logo: overlay.id_logo } : null,
+                videos: playoutVideos,
+                // Repetição e transição da configuração de transmissão aplicada
+                repetirPlaylist: playoutSession.repetir,
+                startTime,
                 playlistId,
                 platforms: pushResults,
                 viewers: 0,
                 bitrate: streamBitrate,
                 serverId: this.serverId,
+                userId,
                 userLogin,
                 recording: recordingResult?.success || false,
+                recordingScheduled: recordingResult?.scheduled || false,
                 type: 'playlist'
-            });
+            };
+
+            this.activeStreams.set(streamId, streamInfo);
+            await this.persistStreamInfo(streamId, streamInfo);
 
             return {
                 success: true,
@@ -564,9 +770,10 @@ class WowzaStreamingService {
                     wowzaStreamId: streamName,
                     rtmpUrl: `rtmp://${this.wowzaHost}:1935/${this.wowzaApplication}`,
                     streamKey: streamName,
-                    playUrl: `http://${this.wowzaHost}:1935/${this.wowzaApplication}/${streamName}/playlist.m3u8`,
-                    hlsUrl: `http://${this.wowzaHost}:1935/${this.wowzaApplication}/${streamName}/playlist.m3u8`,
-                    dashUrl: `http://${this.wowzaHost}:1935/${this.wowzaApplication}/${streamName}/manifest.mpd`,
+                    outputStreamName,
+                    overlay: !!overlay,
+                    playUrl: await secureToken.signUrlForAccount(userId, `http://${this.wowzaHost}:1935/${this.wowzaApplication}/${outputStreamName}/playlist.m3u8`),
+                    hlsUrl: await secureToken.signUrlForAccount(userId, `http://${this.wowzaHost}:1935/${this.wowzaApplication}/${outputStreamName}/playlist.m3u8`),
                     pushResults,
                     serverInfo: this.serverInfo,
                     recording: recordingResult?.success || false
@@ -609,12 +816,23 @@ class WowzaStreamingService {
                 throw new Error('Falha ao configurar aplicação para OBS');
             }
 
-            // Configurar push para plataformas se fornecidas
+            // Configurar push para plataformas se fornecidas (stream com a logo quando ativa)
             let pushResults = [];
             if (platforms.length > 0) {
-                pushResults = await this.setupMultiPlatformPush(`${userLogin}_live`, platforms, userConfig);
+                const sourceStreamName = await OverlayManager.getDeliveryStreamName(userId, `${userLogin}_live`);
+                pushResults = await this.setupMultiPlatformPush(sourceStreamName, platforms, userConfig);
             }
 
+            // Gravação conforme a política da conta; se o OBS ainda não publicou, o
+            // RecordingScheduler inicia o recorder quando o stream aparecer no Wowza
+            const recordingResult = await this.applyRecordingPolicy({
+                userId,
+                streamName: `${userLogin}_live`,
+                userLogin,
+                gravarStream: userConfig.gravar_stream || userConfig.status_gravando,
+                applicationName: OBS_APPLICATION
+            });
+
             // Atualizar contador de streamings ativas no servidor
             if (this.serverId) {
                 await db.execute(
@@ -624,14 +842,25 @@ class WowzaStreamingService {
             }
 
             // Registrar stream OBS ativo
-            this.obsStreams.set(userId, {
+            const streamInfo = {
                 userLogin,
                 streamName: `${userLogin}_live`,
                 startTime: new Date(),
                 platforms: pushResults,
                 serverId: this.serverId,
                 type: 'obs',
-                recording: userConfig.gravar_stream !== 'nao'
+                recording: (userConfig.gravar_stream || userConfig.status_gravando) !== 'nao',
+                recordingScheduled: recordingResult.scheduled || false
+            };
+
+            this.obsStreams.set(userId, streamInfo);
+            await StreamSessionStore.create(StreamSessionStore.getObsKey(userId), {
+                userId,
+                tipo: 'obs',
+                serverId: this.serverId,
+                aplicacao: this.wowzaApplication,
+                streamName: streamInfo.streamName,
+                estado: streamInfo
             });
 
             return {
@@ -639,7 +868,7 @@ class WowzaStreamingService {
                 data: {
                     rtmpUrl: obsResult.rtmpUrl,
                     streamKey: obsResult.streamKey,
-                    hlsUrl: obsResult.hlsUrl,
+                    hlsUrl: await secureToken.signUrlForAccount(userId, obsResult.hlsUrl),
                     recordingPath: obsResult.recordingPath,
                     pushResults,
                     serverInfo: this.serverInfo,
@@ -659,7 +888,7 @@ class WowzaStreamingService {
 
     async stopOBSStream(userId) {
         try {
-            const streamInfo = this.obsStreams.get(userId);
+            const streamInfo = await this.getOBSStreamInfo(userId);
 
             if (!streamInfo) {
                 return {
@@ -669,8 +898,8 @@ class WowzaStreamingService {
             }
 
             // Parar gravação se estava ativa
-            if (streamInfo.recording) {
-                await this.stopRecording(streamInfo.streamName);
+            if (streamInfo.recording || streamInfo.recordingScheduled) {
+                await this.stopRecording(streamInfo.streamName, OBS_APPLICATION, { userId, userLogin: streamInfo.userLogin });
             }
 
             // Remover push para plataformas
@@ -694,6 +923,7 @@ class WowzaStreamingService {
             }
 
             this.obsStreams.delete(userId);
+            await StreamSessionStore.finish(StreamSessionStore.getObsKey(userId));
 
             return {
                 success: true,
@@ -711,7 +941,7 @@ class WowzaStreamingService {
 
     async getOBSStreamStats(userId) {
         try {
-            const streamInfo = this.obsStreams.get(userId);
+            const streamInfo = await this.getOBSStreamInfo(userId);
 
             if (!streamInfo) {
                 return {
@@ -761,17 +991,29 @@ class WowzaStreamingService {
         }
     }
 
-    async stopStream(streamId) {
+    // finalStatus 'perdida' marca sessões encerradas na reconciliação por não estarem no Wowza
+    async stopStream(streamId, finalStatus = 'finalizada') {
         try {
-            const streamInfo = this.activeStreams.get(streamId);
+            const streamInfo = await this.getStreamInfo(streamId);
+
+            // Remover da agenda do Stream Publisher mesmo sem o estado da transmissão
+            await PlayoutManager.stopSession(this, streamId);
 
             if (!streamInfo) {
+                await StreamSessionStore.finish(streamId, finalStatus);
                 return {
                     success: true,
                     message: 'Stream não estava ativo'
                 };
             }
 
+            if (streamInfo.recording || streamInfo.recordingScheduled) {
+                await this.stopRecording(streamInfo.streamName, this.wowzaApplication, {
+                    userId: streamInfo.userId,
+                    userLogin: streamInfo.userLogin
+                });
+            }
+
             if (streamInfo.platforms) {
                 for (const platform of streamInfo.platforms) {
                     if (platform.success && platform.name) {
@@ -783,6 +1025,10 @@ class WowzaStreamingService {
                 }
             }
 
+            if (streamInfo.overlay) {
+                await TranscoderManager.removeTemplate(this, streamInfo.streamName, this.wowzaApplication);
+            }
+
             // Decrementar contador de streamings ativas no servidor
             if (streamInfo.serverId) {
                 await db.execute(
@@ -791,6 +1037,7 @@ class WowzaStreamingService {
                 );
             }
             this.activeStreams.delete(streamId);
+            await StreamSessionStore.finish(streamId, finalStatus);
 
             return {
                 success: true,
@@ -809,7 +1056,7 @@ class WowzaStreamingService {
     // Método atualizado para suportar tanto playlist quanto OBS
     async getStreamStats(streamId) {
         try {
-            const streamInfo = this.activeStreams.get(streamId);
+            const streamInfo = await this.getStreamInfo(streamId);
 
             if (!streamInfo) {
                 return {
@@ -837,14 +1084,15 @@ class WowzaStreamingService {
             streamInfo.bitrate = bitrate;
 
             const uptime = this.calculateUptime(streamInfo.startTime);
+            const playout = await PlayoutManager.getNowPlaying(streamId);
 
             return {
                 isActive: true,
                 viewers,
                 bitrate,
                 uptime,
-                currentVideo: streamInfo.currentVideoIndex ? streamInfo.currentVideoIndex + 1 : null,
-                totalVideos: streamInfo.videos ? streamInfo.videos.length : null,
+                currentVideo: playout && playout.atual ? playout.atual.posicao : null,
+                totalVideos: playout ? playout.total_itens : null,
                 platforms: streamInfo.platforms,
                 recording: streamInfo.recording || false,
                 type: streamInfo.type || 'playlist'
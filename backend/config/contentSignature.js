@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const path = require('path');
+const db = require('./database');
+
+const SIGNING_SECRET = process.env.CONTENT_SIGNING_SECRET || process.env.JWT_SECRET || 'sua_chave_secreta_super_segura_aqui';
+// Validade padrão das URLs assinadas (segundos)
+const URL_TTL = parseInt(process.env.CONTENT_URL_TTL) || 6 * 60 * 60;
+// Vincular a assinatura ao IP de quem solicitou a URL
+const BIND_IP = process.env.CONTENT_URL_BIND_IP === 'true';
+const DOMAINS_CACHE_TTL = 60 * 1000;
+
+// Domínios do próprio painel, sempre aceitos como referer
+const PANEL_HOSTS = ['samhost.wcore.com.br', 'localhost', '127.0.0.1'];
+
+// Parâmetros repassados para playlists, chunklists e segmentos HLS
+const PASSTHROUGH_PARAMS = ['exp', 'scope', 'ipb', 'lim', 'sig', 'pt', 'tk'];
+
+const domainsCache = new Map();
+
+// Caminho relativo ao /content, decodificado e sem query string
+function normalizePath(url) {
+    let contentPath = String(url || '').split('?')[0];
+
+    if (contentPath.startsWith('/content/')) {
+        contentPath = contentPath.substring('/content'.length);
+    }
+
+    try {
+        contentPath = decodeURIComponent(contentPath);
+    } catch (error) {
+        // Manter o caminho original se a codificação for inválida
+    }
+
+    return contentPath.startsWith('/') ? contentPath : `/${contentPath}`;
+}
+
+function computeSignature(scope, expires, ip, viewerLimit = false) {
+    return crypto
+        .createHmac('sha256', SIGNING_SECRET)
+        .update(`${scope}|${expires}|${ip || ''}${viewerLimit ? '|lim' : ''}`)
+        .digest('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * Assinar uma URL servida pelo proxy /content. Playlists HLS são assinadas para
+ * a pasta inteira, para que chunklists e segmentos herdem a mesma assinatura.
+ * viewerLimit marca as URLs entregues pelos players públicos, as únicas que
+ * ocupam vaga no limite de espectadores da conta.
+ */
+function signUrl(url, { ip = null, expiresIn = URL_TTL, viewerLimit = false } = {}) {
+    if (!url || /^https?:\/\//i.test(url)) return url;
+
+    const contentPath = normalizePath(url);
+    const isPlaylist = /\.m3u8$/i.test(contentPath);
+    const scope = isPlaylist ? `${path.posix.dirname(contentPath)}/` : contentPath;
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const boundIp = BIND_IP ? ip : null;
+
+    const params = new URLSearchParams({ exp: String(expires) });
+    if (isPlaylist) params.set('scope', scope);
+    if (boundIp) params.set('ipb', '1');
+    if (viewerLimit) params.set('lim', '1');
+    params.set('sig', computeSignature(scope, expires, boundIp, viewerLimit));
+
+    return `${url}${url.includes('?') ? '&' : '?'}${params.toString()}`;
+}
+
+// Instante de expiração (ms) de uma URL assinada
+function getExpiration(url) {
+    const query = String(url || '').split('?')[1];
+    if (!query) return null;
+
+    const expires = parseInt(new URLSearchParams(query).get('exp'));
+    return expires ? expires * 1000 : null;
+}
+
+// Validar a assinatura de uma requisição ao proxy /content
+function verifyRequest(requestPath, query, ip) {
+    const { exp, scope, ipb, lim, sig } = query;
+
+    if (!exp || !sig) {
+        return { valid: false, reason: 'URL sem assinatura' };
+    }
+
+    const expires = parseInt(exp);
+    if (!expires || expires * 1000 < Date.now()) {
+        return { valid: false, reason: 'URL expirada' };
+    }
+
+    const contentPath = normalizePath(requestPath);
+    if (contentPath.split('/').includes('..')) {
+        return { valid: false, reason: 'Caminho inválido' };
+    }
+
+    const signedScope = scope || contentPath;
+    const inScope = signedScope.endsWith('/')
+        ? contentPath.startsWith(signedScope)
+        : contentPath === signedScope;
+
+    if (!inScope) {
+        return { valid: false, reason: 'Assinatura não corresponde ao arquivo' };
+    }
+
+    const viewerLimit = lim === '1';
+    const expected = computeSignature(signedScope, expires, ipb === '1' ? ip : null, viewerLimit);
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(String(sig));
+
+    if (expectedBuffer.length !== receivedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, receivedBuffer)) {
+        return { valid: false, reason: 'Assinatura inválida' };
+    }
+
+    return { valid: true, viewerLimit };
+}
+
+// Query string de assinatura a repassar para os itens de uma playlist HLS
+function getPassthroughQuery(query) {
+    const params = new URLSearchParams();
+    for (const name of PASSTHROUGH_PARAMS) {
+        if (query[name]) params.set(name, query[name]);
+    }
+    return params.toString();
+}
+
+// Acrescentar a assinatura às URIs de uma playlist HLS (linhas de mídia e atributos URI="...")
+function rewritePlaylist(body, passthroughQuery) {
+    if (!passthroughQuery) return body;
+
+    const appendQuery = uri => {
+        if (/^https?:\/\//i.test(uri) || uri.includes('sig=')) return uri;
+        return `${uri}${uri.includes('?') ? '&' : '?'}${passthroughQuery}`;
+    };
+
+    return body
+        .split('\n')
+        .map(line => {
+            const trimmed = line.trim();
+            if (!trimmed) return line;
+            if (trimmed.startsWith('#')) {
+                return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${appendQuery(uri)}"`);
+            }
+            return appendQuery(trimmed);
+        })
+        .join('\n');
+}
+
+// Lista de domínios (um por linha ou separados por vírgula)
+function parseDomains(value) {
+    return String(value || '')
+        .split(/[\s,;]+/)
+        .map(domain => domain.trim().toLowerCase()
+            .replace(/^https?:\/\//, '')
+            .replace(/[/:].*$/, '')
+            .replace(/^\*\./, ''))
+        .filter(Boolean)
+        .filter((domain, index, list) => list.indexOf(domain) === index);
+}
+
+async function getAllowedDomains(userId) {
+    const cached = domainsCache.get(userId);
+    if (cached && Date.now() - cached.loadedAt < DOMAINS_CACHE_TTL) {
+        return cached.domains;
+    }
+
+    const [rows] = await db.execute('SELECT dominios_permitidos FROM streamings WHERE codigo = ?', [userId]);
+    const domains = parseDomains(rows.length > 0 ? rows[0].dominios_permitidos : '');
+
+    domainsCache.set(userId, { domains, loadedAt: Date.now() });
+    return domains;
+}
+
+function clearDomainsCache(userId) {
+    domainsCache.delete(userId);
+}
+
+function hostMatches(host, domain) {
+    return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Verificar o referer/origin da requisição contra os domínios permitidos da conta.
+ * Requisições sem referer (apps e players nativos) e do próprio painel são aceitas.
+ */
+function isReferrerAllowed(referrer, allowedDomains, requestHost) {
+    if (!allowedDomains || allowedDomains.length === 0 || !referrer) return true;
+
+    let host;
+    try {
+        host = new URL(referrer).hostname.toLowerCase();
+    } catch (error) {
+        return false;
+    }
+
+    const ownHost = String(requestHost || '').split(':')[0].toLowerCase();
+    if (host === ownHost || PANEL_HOSTS.includes(host)) return true;
+
+    return allowedDomains.some(domain => hostMatches(host, domain));
+}
+
+module.exports = {
+    signUrl,
+    getExpiration,
+    verifyRequest,
+    getPassthroughQuery,
+    rewritePlaylist,
+    parseDomains,
+    getAllowedDomains,
+    clearDomainsCache,
+    isReferrerAllowed
+};
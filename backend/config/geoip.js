@@ -0,0 +1,68 @@
+const fs = require('fs');
+const maxmind = require('maxmind');
+
+const GEOIP_DB_PATH = process.env.GEOIP_DB_PATH || '/usr/share/GeoIP/GeoLite2-City.mmdb';
+
+const emptyLocation = {
+    pais_sigla: '',
+    pais_nome: 'Desconhecido',
+    cidade: 'Desconhecida',
+    estado: '',
+    latitude: '0.0',
+    longitude: '0.0'
+};
+
+let readerPromise = null;
+
+// Abrir a base GeoIP local uma única vez (a base é recarregada pelo maxmind quando o arquivo muda)
+function getReader() {
+    if (!readerPromise) {
+        if (!fs.existsSync(GEOIP_DB_PATH)) {
+            console.warn(`⚠️ Base GeoIP não encontrada em ${GEOIP_DB_PATH}. Localização dos espectadores ficará em branco`);
+            readerPromise = Promise.resolve(null);
+        } else {
+            readerPromise = maxmind.open(GEOIP_DB_PATH, { watchForUpdates: true, watchForUpdatesNonPersistent: true }).catch(error => {
+                console.error('Erro ao abrir base GeoIP:', error);
+                return null;
+            });
+        }
+    }
+
+    return readerPromise;
+}
+
+function getName(names) {
+    if (!names) return '';
+    return names['pt-BR'] || names.en || '';
+}
+
+// Resolver país, estado, cidade e coordenadas de um IP
+async function lookup(ip) {
+    const reader = await getReader();
+
+    if (!reader || !maxmind.validate(ip)) {
+        return { ...emptyLocation };
+    }
+
+    const result = reader.get(ip);
+
+    if (!result) {
+        return { ...emptyLocation };
+    }
+
+    const subdivision = result.subdivisions && result.subdivisions[0];
+
+    return {
+        pais_sigla: (result.country && result.country.iso_code) || '',
+        pais_nome: getName(result.country && result.country.names) || emptyLocation.pais_nome,
+        cidade: getName(result.city && result.city.names) || emptyLocation.cidade,
+        estado: subdivision ? (subdivision.iso_code || getName(subdivision.names)) : '',
+        latitude: result.location ? String(result.location.latitude) : emptyLocation.latitude,
+        longitude: result.location ? String(result.location.longitude) : emptyLocation.longitude
+    };
+}
+
+module.exports = {
+    GEOIP_DB_PATH,
+    lookup
+};
@@ -0,0 +1,258 @@
+const db = require('./database');
+const { getZonedParts, getWeekday, addDays } = require('./timezone');
+
+const SEGMENTACOES = ['nenhuma', 'duracao', 'tamanho'];
+const MODOS = ['sempre', 'agendado'];
+const MODELO_TOKENS = ['login', 'stream', 'titulo', 'data', 'hora', 'segmento'];
+const MAX_JANELAS = 20;
+
+const DEFAULT_POLICY = {
+    segmentacao: 'nenhuma',
+    segmento_minutos: 60,
+    segmento_mb: 1024,
+    modo: 'sempre',
+    janelas: [],
+    modelo_nome: '{stream}_{data}_{hora}'
+};
+
+const WOWZA_SEGMENTATION = {
+    nenhuma: 'None',
+    duracao: 'SegmentByDuration',
+    tamanho: 'SegmentBySize'
+};
+
+// Converter "HH:MM" em minutos desde a meia-noite
+function parseHorario(value) {
+    const match = /^(\d{2}):(\d{2})$/.exec(String(value || ''));
+    if (!match) return null;
+
+    const hour = parseInt(match[1]);
+    const minute = parseInt(match[2]);
+    if (hour > 23 || minute > 59) return null;
+
+    return hour * 60 + minute;
+}
+
+function parseInteger(value, min, max) {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * Validar a política enviada pelo painel. Retorna { policy } normalizada ou { error }.
+ */
+function validatePolicy(input = {}) {
+    const policy = { ...DEFAULT_POLICY };
+
+    if (input.segmentacao !== undefined) {
+        if (!SEGMENTACOES.includes(input.segmentacao)) {
+            return { error: `Segmentação inválida. Use: ${SEGMENTACOES.join(', ')}` };
+        }
+        policy.segmentacao = input.segmentacao;
+    }
+
+    if (input.segmento_minutos !== undefined) {
+        policy.segmento_minutos = parseInteger(input.segmento_minutos, 1, 1440);
+        if (policy.segmento_minutos === null) {
+            return { error: 'Duração do segmento deve estar entre 1 e 1440 minutos' };
+        }
+    }
+
+    if (input.segmento_mb !== undefined) {
+        policy.segmento_mb = parseInteger(input.segmento_mb, 10, 51200);
+        if (policy.segmento_mb === null) {
+            return { error: 'Tamanho do segmento deve estar entre 10 e 51200 MB' };
+        }
+    }
+
+    if (input.modo !== undefined) {
+        if (!MODOS.includes(input.modo)) {
+            return { error: `Modo inválido. Use: ${MODOS.join(', ')}` };
+        }
+        policy.modo = input.modo;
+    }
+
+    if (input.janelas !== undefined) {
+        if (!Array.isArray(input.janelas) || input.janelas.length > MAX_JANELAS) {
+            return { error: `Janelas de gravação devem ser uma lista com até ${MAX_JANELAS} itens` };
+        }
+
+        policy.janelas = [];
+        for (const janela of input.janelas) {
+            const dias = Array.isArray(janela.dias)
+                ? [...new Set(janela.dias.map(dia => parseInteger(dia, 0, 6)))]
+                : [];
+            const inicio = parseHorario(janela.inicio);
+            const fim = parseHorario(janela.fim);
+
+            if (dias.length === 0 || dias.includes(null)) {
+                return { error: 'Cada janela deve ter ao menos um dia da semana (0 = domingo a 6 = sábado)' };
+            }
+            if (inicio === null || fim === null || inicio === fim) {
+                return { error: 'Horários da janela devem estar no formato HH:MM e ser diferentes' };
+            }
+
+            policy.janelas.push({ dias: dias.sort(), inicio: janela.inicio, fim: janela.fim });
+        }
+    }
+
+    if (policy.modo === 'agendado' && policy.janelas.length === 0) {
+        return { error: 'Informe ao menos uma janela de gravação para o modo agendado' };
+    }
+
+    if (input.modelo_nome !== undefined) {
+        const modelo = String(input.modelo_nome).trim();
+        if (!modelo || modelo.length > 150 || !/^[A-Za-z0-9_.{}-]+$/.test(modelo)) {
+            return { error: 'Modelo de nome deve ter até 150 caracteres: letras, números, "_", "-", "." e variáveis' };
+        }
+
+        const tokens = (modelo.match(/\{([^}]*)\}/g) || []).map(token => token.slice(1, -1));
+        const invalid = tokens.find(token => !MODELO_TOKENS.includes(token));
+        if (invalid !== undefined) {
+            return { error: `Variável {${invalid}} inválida. Use: ${MODELO_TOKENS.map(token => `{${token}}`).join(', ')}` };
+        }
+
+        policy.modelo_nome = modelo;
+    }
+
+    return { policy };
+}
+
+async function getPolicy(userId) {
+    const [rows] = await db.execute(
+        `SELECT segmentacao, segmento_minutos, segmento_mb, modo, janelas, modelo_nome
+         FROM gravacoes_politicas WHERE codigo_stm = ?`,
+        [userId]
+    );
+
+    if (rows.length === 0) {
+        return { ...DEFAULT_POLICY };
+    }
+
+    return { ...rows[0], janelas: JSON.parse(rows[0].janelas || '[]') };
+}
+
+async function savePolicy(userId, policy) {
+    await db.execute(
+        `INSERT INTO gravacoes_politicas (
+            codigo_stm, segmentacao, segmento_minutos, segmento_mb, modo, janelas, modelo_nome, data_atualizacao
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+        ON DUPLICATE KEY UPDATE
+            segmentacao = VALUES(segmentacao),
+            segmento_minutos = VALUES(segmento_minutos),
+            segmento_mb = VALUES(segmento_mb),
+            modo = VALUES(modo),
+            janelas = VALUES(janelas),
+            modelo_nome = VALUES(modelo_nome),
+            data_atualizacao = NOW()`,
+        [
+            userId,
+            policy.segmentacao,
+            policy.segmento_minutos,
+            policy.segmento_mb,
+            policy.modo,
+            JSON.stringify(policy.janelas),
+            policy.modelo_nome
+        ]
+    );
+}
+
+// Verificar se o instante está dentro de alguma janela, no fuso da conta.
+// Janelas com fim menor que o início atravessam a meia-noite.
+function isWithinWindow(janelas, date, timezone) {
+    const parts = getZonedParts(date, timezone);
+    const minutes = parts.hour * 60 + parts.minute;
+    const weekday = getWeekday(parts.date);
+    const yesterday = getWeekday(addDays(parts.date, -1));
+
+    return janelas.some(janela => {
+        const inicio = parseHorario(janela.inicio);
+        const fim = parseHorario(janela.fim);
+
+        if (inicio < fim) {
+            return janela.dias.includes(weekday) && minutes >= inicio && minutes < fim;
+        }
+
+        return (janela.dias.includes(weekday) && minutes >= inicio) ||
+            (janela.dias.includes(yesterday) && minutes < fim);
+    });
+}
+
+// A gravação deve estar ativa agora? No modo agendado as janelas decidem; no modo
+// "sempre" vale a opção de gravação da conta ou da transmissão.
+function shouldRecord(policy, gravarStream, timezone, date = new Date()) {
+    if (policy.modo === 'agendado') {
+        return isWithinWindow(policy.janelas, date, timezone);
+    }
+    return gravarStream !== 'nao';
+}
+
+function slug(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9_-]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .substring(0, 60);
+}
+
+/**
+ * Configuração do stream recorder do Wowza a partir da política: segmentação e nome
+ * dos arquivos com as variáveis do modelo resolvidas no início da gravação.
+ */
+function buildRecorderConfig(policy, { streamName, userLogin, titulo, timezone, applicationName, date = new Date() }) {
+    const parts = getZonedParts(date, timezone);
+    const pad = value => String(value).padStart(2, '0');
+    const segmented = policy.segmentacao !== 'nenhuma';
+
+    const values = {
+        login: userLogin,
+        stream: streamName,
+        titulo: slug(titulo) || 'sem_titulo',
+        data: parts.date,
+        hora: `${pad(parts.hour)}-${pad(parts.minute)}-${pad(parts.second)}`,
+        segmento: segmented ? '${SegmentNumber}' : '1'
+    };
+
+    let fileName = policy.modelo_nome.replace(/\{(\w+)\}/g, (match, token) => values[token]);
+    // Segmentos sem número no modelo sobrescreveriam uns aos outros
+    if (segmented && !policy.modelo_nome.includes('{segmento}')) {
+        fileName += '_${SegmentNumber}';
+    }
+
+    const config = {
+        instanceName: `${streamName}_recording`,
+        fileFormat: 'mp4',
+        segmentationType: WOWZA_SEGMENTATION[policy.segmentacao],
+        outputPath: `/usr/local/WowzaStreamingEngine/content/${userLogin}/recordings/`,
+        baseFile: `${fileName.replace('${SegmentNumber}', '1')}.mp4`,
+        option: 'Version existing file',
+        startOnKeyFrame: true,
+        recordData: true,
+        applicationName,
+        streamName
+    };
+
+    if (segmented) {
+        config.fileTemplate = fileName;
+    }
+    if (policy.segmentacao === 'duracao') {
+        config.segmentDuration = policy.segmento_minutos * 60 * 1000;
+    }
+    if (policy.segmentacao === 'tamanho') {
+        config.segmentSize = policy.segmento_mb * 1024 * 1024;
+    }
+
+    return config;
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    MODELO_TOKENS,
+    validatePolicy,
+    getPolicy,
+    savePolicy,
+    isWithinWindow,
+    shouldRecord,
+    buildRecorderConfig
+};
@@ -0,0 +1,116 @@
+const SSHManager = require('./SSHManager');
+
+const POLL_INTERVAL = 5000;
+// ffmpeg sem avançar o tempo processado por este período é encerrado
+const STALL_TIMEOUT = 10 * 60 * 1000;
+const WORK_EXTENSIONS = ['mp4', 'progress', 'log', 'pid', 'exit'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Executar ffmpeg no servidor Wowza desacoplado da sessão SSH. A saída vai para
+ * <workPrefix>.mp4 e o PID, o progresso, o log e o código de saída ficam em
+ * <workPrefix>.*, permitindo acompanhar o processo mesmo após reinício do backend.
+ */
+async function startDetached(serverId, ffmpegArgs, workPrefix) {
+    const ffmpeg = [
+        'nohup ffmpeg -y -nostdin -hide_banner',
+        ...ffmpegArgs,
+        `-progress "${workPrefix}.progress"`,
+        `"${workPrefix}.mp4"`,
+        `> "${workPrefix}.log" 2>&1`
+    ].join(' ');
+
+    await SSHManager.executeCommand(
+        serverId,
+        `(${ffmpeg} & echo $! > "${workPrefix}.pid"; wait $!; echo $? > "${workPrefix}.exit") > /dev/null 2>&1 &`
+    );
+}
+
+async function getRemoteStatus(serverId, workPrefix) {
+    const command = [
+        `echo "exit=$(cat "${workPrefix}.exit" 2>/dev/null)"`,
+        `tail -n 20 "${workPrefix}.progress" 2>/dev/null | grep out_time_ms | tail -n 1`,
+        `if kill -0 "$(cat "${workPrefix}.pid" 2>/dev/null)" 2>/dev/null; then echo "running=1"; fi`
+    ].join('; ');
+
+    const result = await SSHManager.executeCommand(serverId, command);
+    const values = {};
+
+    for (const line of result.stdout.split('\n')) {
+        const [key, value] = line.trim().split('=');
+        if (key) values[key] = value;
+    }
+
+    return {
+        exitCode: values.exit !== undefined && values.exit !== '' ? parseInt(values.exit) : null,
+        outTime: parseInt(values.out_time_ms) || 0,
+        running: values.running === '1'
+    };
+}
+
+async function getLogTail(serverId, workPrefix) {
+    try {
+        const result = await SSHManager.executeCommand(serverId, `tail -n 3 "${workPrefix}.log" 2>/dev/null || true`);
+        return result.stdout.trim();
+    } catch (error) {
+        return '';
+    }
+}
+
+async function cleanupWorkFiles(serverId, workPrefix, extraExtensions = []) {
+    const files = [...WORK_EXTENSIONS, ...extraExtensions].map(ext => `"${workPrefix}.${ext}"`).join(' ');
+    await SSHManager.executeCommand(serverId, `rm -f ${files}`).catch(() => {});
+}
+
+/**
+ * Acompanhar o ffmpeg remoto até terminar. onProgress recebe o percentual (0-99)
+ * calculado pelo tempo processado sobre a duração esperada da saída.
+ */
+async function waitForCompletion(serverId, workPrefix, duration, onProgress, initialProgress = 0) {
+    let lastOutTime = -1;
+    let lastAdvance = Date.now();
+    let lastProgress = initialProgress;
+
+    while (true) {
+        await sleep(POLL_INTERVAL);
+
+        const status = await getRemoteStatus(serverId, workPrefix);
+
+        if (status.exitCode !== null) {
+            if (status.exitCode !== 0) {
+                const logTail = await getLogTail(serverId, workPrefix);
+                throw new Error(`ffmpeg falhou com código ${status.exitCode}${logTail ? `: ${logTail}` : ''}`);
+            }
+            return;
+        }
+
+        if (!status.running) {
+            throw new Error('Processo ffmpeg não está mais em execução no servidor');
+        }
+
+        if (status.outTime > lastOutTime) {
+            lastOutTime = status.outTime;
+            lastAdvance = Date.now();
+        } else if (Date.now() - lastAdvance > STALL_TIMEOUT) {
+            await SSHManager.executeCommand(serverId, `kill "$(cat "${workPrefix}.pid")" 2>/dev/null || true`).catch(() => {});
+            throw new Error('Processamento interrompido: ffmpeg parou de avançar');
+        }
+
+        if (duration > 0) {
+            const progress = Math.min(99, Math.floor((status.outTime / 1000000 / duration) * 100));
+            if (progress !== lastProgress) {
+                lastProgress = progress;
+                await onProgress(progress);
+            }
+        }
+    }
+}
+
+module.exports = {
+    startDetached,
+    getRemoteStatus,
+    getLogTail,
+    cleanupWorkFiles,
+    waitForCompletion
+};
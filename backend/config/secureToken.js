@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const db = require('./database');
+const contentSignature = require('./contentSignature');
+
+// Parâmetro de query com o token da conta, repassado para chunklists e segmentos
+const TOKEN_PARAM = 'tk';
+const DEFAULT_VALIDITY = 3600;
+const SETTINGS_CACHE_TTL = 60 * 1000;
+
+// URL direta de um stream HLS no Wowza: http://host:1935/<aplicação>/<stream>/playlist.m3u8
+const WOWZA_HLS_URL_REGEX = /^https?:\/\/[^/]+:1935(\/[^?]+\.m3u8)(?:\?.*)?$/i;
+
+const settingsCache = new Map();
+
+function generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+async function getSettings(userId) {
+    const cached = settingsCache.get(userId);
+    if (cached && Date.now() - cached.loadedAt < SETTINGS_CACHE_TTL) {
+        return cached.settings;
+    }
+
+    const [rows] = await db.execute(
+        'SELECT securetoken_ativo, securetoken_segredo, securetoken_validade FROM streamings WHERE codigo = ?',
+        [userId]
+    );
+
+    const row = rows[0] || {};
+    const settings = {
+        ativo: row.securetoken_ativo === 'sim' && !!row.securetoken_segredo,
+        segredo: row.securetoken_segredo || null,
+        validade: parseInt(row.securetoken_validade) || DEFAULT_VALIDITY
+    };
+
+    settingsCache.set(userId, { settings, loadedAt: Date.now() });
+    return settings;
+}
+
+function clearCache(userId) {
+    settingsCache.delete(userId);
+}
+
+function computeToken(secret, scope, expires) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${scope}|${expires}`)
+        .digest('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+// Acrescentar o token da conta a uma playlist HLS já assinada pelo contentSignature
+function appendAccountToken(signedUrl, settings) {
+    const params = new URLSearchParams(signedUrl.split('?')[1] || '');
+    if (!settings.ativo || !params.get('scope')) return signedUrl;
+
+    const token = computeToken(settings.segredo, params.get('scope'), params.get('exp'));
+    return `${signedUrl}&${TOKEN_PARAM}=${token}`;
+}
+
+// Assinar uma URL do proxy /content, com o token da conta quando o SecureToken está ativo
+async function signContentUrl(userId, contentUrl, options = {}) {
+    const signedUrl = contentSignature.signUrl(contentUrl, options);
+    if (!userId || !signedUrl) return signedUrl;
+
+    return appendAccountToken(signedUrl, await getSettings(userId));
+}
+
+/**
+ * Trocar a URL direta de um stream HLS pela URL assinada do proxy /content, com a
+ * validade e o token da conta quando o SecureToken está ativo. A reprodução direta na
+ * porta 1935 é restrita ao backend no provisionamento (README-PRODUCAO.md), então
+ * nenhum link é entregue sem passar pela validação do proxy.
+ */
+async function signUrlForAccount(userId, url, options = {}) {
+    if (!url) return url;
+
+    const match = String(url).match(WOWZA_HLS_URL_REGEX);
+    if (!match) return url;
+
+    const settings = userId ? await getSettings(userId) : { ativo: false };
+    const signedUrl = contentSignature.signUrl(
+        `/content${match[1]}`,
+        settings.ativo ? { ...options, expiresIn: settings.validade } : options
+    );
+    return appendAccountToken(signedUrl, settings);
+}
+
+// Conferir o token da conta em uma requisição de stream já validada pelo contentSignature
+async function verifyRequest(userId, requestPath, query) {
+    if (!userId) return { valid: true };
+
+    const settings = await getSettings(userId);
+    if (!settings.ativo) return { valid: true };
+
+    const token = query[TOKEN_PARAM];
+    if (!token) {
+        return { valid: false, reason: 'Token da conta ausente' };
+    }
+
+    const scope = query.scope || requestPath;
+    const expected = Buffer.from(computeToken(settings.segredo, scope, query.exp));
+    const received = Buffer.from(String(token));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, reason: 'Token da conta inválido' };
+    }
+
+    return { valid: true };
+}
+
+module.exports = {
+    TOKEN_PARAM,
+    DEFAULT_VALIDITY,
+    generateSecret,
+    getSettings,
+    clearCache,
+    signContentUrl,
+    signUrlForAccount,
+    verifyRequest
+};
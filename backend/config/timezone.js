@@ -0,0 +1,99 @@
+const db = require('./database');
+
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+// Obter data/hora local de um instante no fuso informado
+function getZonedParts(date, timezone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    });
+
+    const parts = {};
+    for (const part of formatter.formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second)
+    };
+}
+
+// Converter data/hora local do fuso informado para o instante UTC correspondente
+function zonedTimeToDate(dateStr, hour, minute, timezone) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    let instant = wallClock;
+    // Duas iterações resolvem corretamente as transições de horário de verão
+    for (let i = 0; i < 2; i++) {
+        const parts = getZonedParts(new Date(instant), timezone);
+        const zonedAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        instant = wallClock - (zonedAsUtc - instant);
+    }
+
+    return new Date(instant);
+}
+
+function addDays(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function getWeekday(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Fuso horário configurado para a conta, com fallback para o padrão do painel
+async function getAccountTimezone(userId) {
+    const [rows] = await db.execute(
+        `SELECT COALESCE(
+            (SELECT timezone FROM user_settings WHERE codigo_stm = ?),
+            (SELECT timezone FROM streamings WHERE codigo = ?)
+         ) as timezone`,
+        [userId, userId]
+    );
+
+    const timezone = rows[0] && rows[0].timezone;
+    return timezone && isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+// Formatar instante como data/hora local (YYYY-MM-DD HH:mm:ss)
+function formatZoned(date, timezone) {
+    const parts = getZonedParts(date, timezone);
+    const pad = value => String(value).padStart(2, '0');
+    return `${parts.date} ${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    getZonedParts,
+    zonedTimeToDate,
+    addDays,
+    getWeekday,
+    isValidTimezone,
+    getAccountTimezone,
+    formatZoned
+};
@@ -0,0 +1,86 @@
+const db = require('./database');
+const OverlayManager = require('./OverlayManager');
+
+// O Stream Publisher troca os vídeos por corte; é a única transição aceita nas configurações
+const TRANSICAO_PLAYOUT = 'cut';
+
+function shuffleVideos(videos) {
+    const shuffled = [...videos];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+async function getPreset(settingsId, userId) {
+    const [rows] = await db.execute(
+        'SELECT * FROM transmission_settings WHERE codigo = ? AND codigo_stm = ?',
+        [settingsId, userId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Resolver a configuração efetiva de uma transmissão a partir da configuração salva
+ * (preset) e dos valores enviados na requisição, que têm prioridade. O bitrate é
+ * limitado pelo plano via checkUserLimits. A playlist é transmitida na resolução e no
+ * FPS dos vídeos, com corte entre eles: resolução e FPS do preset servem apenas de
+ * quadro de referência da logo.
+ * Retorna { config, limits, warnings } ou { error }.
+ */
+async function resolvePreset(wowzaService, userConfig, preset, overrides = {}) {
+    const source = preset || {};
+
+    const requestedBitrate = parseInt(overrides.bitrate) || parseInt(source.bitrate) || userConfig.bitrate;
+    const limitsCheck = await wowzaService.checkUserLimits(userConfig, requestedBitrate);
+
+    if (!limitsCheck.success) {
+        return { error: 'Erro ao verificar limites do usuário' };
+    }
+
+    const warnings = [...limitsCheck.warnings];
+
+    const embaralhar = overrides.embaralhar_videos !== undefined
+        ? !!overrides.embaralhar_videos
+        : source.embaralhar_videos === 1;
+
+    return {
+        config: {
+            id_configuracao: preset ? preset.codigo : null,
+            nome: preset ? preset.nome : null,
+            bitrate: limitsCheck.limits.bitrate.allowed,
+            embaralhar_videos: embaralhar,
+            repetir_playlist: preset ? preset.repetir_playlist !== 0 : true,
+            transicao_videos: TRANSICAO_PLAYOUT,
+            titulo: overrides.titulo || source.titulo_padrao || '',
+            descricao: overrides.descricao || source.descricao_padrao || '',
+            id_logo: source.codigo_logo || null
+        },
+        limits: limitsCheck.limits,
+        warnings
+    };
+}
+
+// Logo do preset no formato do OverlayManager (undefined quando o preset não define logo)
+async function resolveOverlay(preset, userId, userLogin) {
+    if (!preset || !preset.codigo_logo) return undefined;
+
+    const logo = await OverlayManager.getLogo(preset.codigo_logo, userId);
+    if (OverlayManager.validateLogo(logo)) return undefined;
+
+    return { id_configuracao: preset.codigo, ...OverlayManager.normalize(preset, logo, userLogin) };
+}
+
+// Ordem de exibição dos vídeos conforme a configuração
+function applyPlayout(videos, config) {
+    return config.embaralhar_videos ? shuffleVideos(videos) : videos;
+}
+
+module.exports = {
+    TRANSICAO_PLAYOUT,
+    getPreset,
+    resolvePreset,
+    resolveOverlay,
+    applyPlayout
+};
@@ -245,6 +245,24 @@ CREATE TABLE IF NOT EXISTS `app_multi_plataforma_notificacoes` (
 
 -- Exportação de dados foi desmarcado.
 
+-- Copiando estrutura para tabela db_SamCast.armazenamento_reconciliacoes
+CREATE TABLE IF NOT EXISTS `armazenamento_reconciliacoes` (
+  `codigo` int(10) NOT NULL AUTO_INCREMENT,
+  `codigo_stm` int(10) NOT NULL,
+  `espaco_usado_banco` int(10) NOT NULL DEFAULT 0,
+  `espaco_usado_real` int(10) NOT NULL DEFAULT 0,
+  `arquivos_ausentes` int(10) NOT NULL DEFAULT 0,
+  `arquivos_orfaos` int(10) NOT NULL DEFAULT 0,
+  `espaco_corrigido` tinyint(1) NOT NULL DEFAULT 0,
+  `origem` enum('automatica','manual') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'automatica',
+  `detalhes` longtext COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `data` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`codigo`),
+  KEY `idx_codigo_stm_data` (`codigo_stm`,`data`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Exportação de dados foi desmarcado.
+
 -- Copiando estrutura para tabela db_SamCast.atalhos
 CREATE TABLE IF NOT EXISTS `atalhos` (
   `codigo` int(10) NOT NULL AUTO_INCREMENT,
@@ -355,6 +373,29 @@ CREATE TABLE IF NOT EXISTS `comerciais_config` (
 
 -- Exportação de dados foi desmarcado.
 
+-- Copiando estrutura para tabela db_SamCast.comerciais_exibicoes
+CREATE TABLE IF NOT EXISTS `comerciais_exibicoes` (
+  `codigo` int(10) NOT NULL AUTO_INCREMENT,
+  `codigo_stm` int(10) NOT NULL,
+  `codigo_config` int(10) NOT NULL,
+  `codigo_video` int(10) NOT NULL,
+  `video` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `codigo_playlist` int(10) NOT NULL,
+  `codigo_transmissao` int(10) DEFAULT NULL,
+  `wowza_stream_id` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `posicao` int(10) NOT NULL DEFAULT 0,
+  `duracao_segundos` int(10) NOT NULL DEFAULT 0,
+  `espectadores` int(10) NOT NULL DEFAULT 0,
+  `data_exibicao` datetime NOT NULL,
+  `data_registro` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`codigo`),
+  UNIQUE KEY `idx_stream_exibicao` (`wowza_stream_id`,`data_exibicao`),
+  KEY `idx_codigo_stm` (`codigo_stm`,`data_exibicao`),
+  KEY `idx_config_video` (`codigo_config`,`codigo_video`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Exportação de dados foi desmarcado.
+
 -- Copiando estrutura para tabela db_SamCast.configuracoes
 CREATE TABLE IF NOT EXISTS `configuracoes` (
   `codigo` int(11) NOT NULL AUTO_INCREMENT,
@@ -367,6 +408,58 @@ CREATE TABLE IF NOT EXISTS `configuracoes` (
 
 -- Exportação de dados foi desmarcado.
 
+-- Copiando estrutura para tabela db_SamCast.conversoes_videos
+CREATE TABLE IF NOT EXISTS `conversoes_videos` (
+  `codigo` int(10) NOT NULL AUTO_INCREMENT,
+  `codigo_stm` int(10) NOT NULL,
+  `codigo_pasta` int(10) NOT NULL,
+  `codigo_video` int(10) NOT NULL,
+  `codigo_servidor` int(10) NOT NULL DEFAULT 1,
+  `arquivo_origem` varchar(500) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `arquivo_destino` varchar(500) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `codec_video` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `codec_audio` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `bitrate_origem` int(10) NOT NULL DEFAULT 0,
+  `bitrate_maximo` int(10) NOT NULL DEFAULT 0,
+  `status` enum('queued','probing','converting','done','skipped','failed') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'queued',
+  `progresso` int(3) NOT NULL DEFAULT 0,
+  `motivo` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `erro` text COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `data_criacao` datetime NOT NULL DEFAULT current_timestamp(),
+  `data_atualizacao` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`codigo`),
+  KEY `idx_codigo_stm` (`codigo_stm`),
+  KEY `idx_codigo_video` (`codigo_video`),
+  KEY `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Exportação de dados foi desmarcado.
+
+-- Copiando estrutura para tabela db_SamCast.cortes_gravacoes
+CREATE TABLE IF NOT EXISTS `cortes_gravacoes` (
+  `codigo` int(10) NOT NULL AUTO_INCREMENT,
+  `codigo_stm` int(10) NOT NULL,
+  `codigo_gravacao` int(10) NOT NULL,
+  `codigo_servidor` int(10) NOT NULL DEFAULT 1,
+  `codigo_pasta` int(10) NOT NULL,
+  `codigo_video` int(10) DEFAULT NULL,
+  `arquivo_origem` varchar(500) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `arquivo_destino` varchar(500) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `trechos` text COLLATE utf8mb4_unicode_ci NOT NULL,
+  `duracao` int(10) NOT NULL DEFAULT 0,
+  `modo` enum('copia','recodificado') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'copia',
+  `status` enum('queued','probing','cutting','done','failed') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'queued',
+  `progresso` int(3) NOT NULL DEFAULT 0,
+  `erro` text COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `data_criacao` datetime NOT NULL DEFAULT current_timestamp(),
+  `data_atualizacao` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`codigo`),
+  KEY `idx_codigo_stm` (`codigo_stm`),
+  KEY `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Exportação de dados foi desmarcado.
+
 -- Copiando estrutura para tabela db_SamCast.dicas_rapidas
 CREATE TABLE IF NOT EXISTS `dicas_rapidas` (
   `codigo` int(10) NOT NULL AUTO_INCREMENT,
@@ -398,10 +491,33 @@ CREATE TABLE IF NOT EXISTS `dominios_bloqueados` (
 
 -- Exportação de dados foi desmarcado.
 
+-- Copiando estrutura para tabela db_SamCast.downloads_youtube
+CREATE TABLE IF NOT EXISTS `downloads_youtube` (
+  `codigo` int(10) NOT NULL AUTO_INCREMENT,
+  `codigo_stm` int(10) NOT NULL,
+  `codigo_pasta` int(10) NOT NULL,
+  `login` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `url` text COLLATE utf8mb4_unicode_ci NOT NULL,
+  `downloader` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'yt-dlp',
+  `titulo` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `status` enum('queued','downloading','uploading','done','failed') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'queued',
+  `progresso` int(3) NOT NULL DEFAULT 0,
+  `codigo_video` int(10) DEFAULT NULL,
+  `erro` text COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `data_criacao` datetime NOT NULL DEFAULT current_timestamp(),
+  `data_atualizacao` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`codigo`),
+  KEY `idx_codigo_stm` (`codigo_stm`),
+  KEY `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Exportação de dados foi desmarcado.
+
 -- Copiando estrutura para tabela db_SamCast.espectadores_conectados
 CREATE TABLE IF NOT EXISTS `espectadores_conectados` (
   `codigo` int(10) NOT NULL AUTO_INCREMENT,
   `codigo_stm` int(10) NOT NULL,
+  `sessao` varchar(255) COLLATE latin1_general_ci DEFAULT NULL,
   `ip` varchar(255) COLLATE latin1_general_ci NOT NULL,
   `tempo_conectado` varchar(255) COLLATE latin1_general_ci NOT NULL,
   `pais_sigla` varchar(255) COLLATE latin1_general_ci NOT NULL,
@@ -409,16 +525,36 @@ CREATE TABLE IF NOT EXISTS `espectadores_conectados` (
   `cidade` varchar(255) COLLATE latin1_general_ci NOT NULL,
   `estado` varchar(255) COLLATE latin1_general_ci NOT NULL,
   `player` varchar(255) COLLATE latin1_general_ci NOT NULL,
+  `dispositivo` varchar(50) COLLATE latin1_general_ci NOT NULL DEFAULT '',
+  `user_agent` varchar(255) COLLATE latin1_general_ci DEFAULT NULL,
   `latitude` varchar(255) COLLATE latin1_general_ci NOT NULL DEFAULT '0.0',
   `longitude` varchar(255) COLLATE latin1_general_ci NOT NULL DEFAULT '0.0',
+  `encerrada` tinyint(1) NOT NULL DEFAULT 0,
   `atualizacao` datetime NOT NULL DEFAULT current_timestamp(),
   PRIMARY KEY (`codigo`),
   KEY `idx_atualizacao` (`atualizacao`),
-  KEY `idx_stm_atualizacao` (`codigo_stm`,`atualizacao`)
+  KEY `idx_stm_atualizacao` (`codigo_stm`,`atualizacao`),
+  KEY `idx_encerrada` (`encerrada`)
 ) ENGINE=MyISAM AUTO_INCREMENT=68 DEFAULT CHARSET=latin1 COLLATE=latin1_general_ci;
 
 -- Exportação de dados foi desmarcado.
 
+-- Copiando estrutura para tabela db_SamCast.espectadores_recusados
+CREATE TABLE IF NOT EXISTS `espectadores_recusados` (
+  `codigo` int(10) NOT NULL AUTO_INCREMENT,
+  `codigo_stm` int(10) NOT NULL,
+  `ip` varchar(255) COLLATE latin1_general_ci NOT NULL,
+  `user_agent` varchar(255) COLLATE latin1_general_ci DEFAULT NULL,
+  `origem` varchar(20) COLLATE latin1_general_ci NOT NULL,
+  `espectadores_ativos` int(10) NOT NULL DEFAULT 0,
+  `limite` int(10) NOT NULL DEFAULT 0,
+  `data` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`codigo`),
+  KEY `idx_stm_data` (`codigo_stm`,`data`)
+) ENGINE=MyISAM DEFAULT CHARSET=latin1 COLLATE=latin1_general_ci;
+
+-- Exportação de dados foi desmarcado.
+
 -- Copiando estrutura para tabela db_SamCast.estatisticas
 CREATE TABLE IF NOT EXISTS `estatisticas` (
   `codigo` int(10) NOT NULL AUTO_INCREMENT,
@@ -429,6 +565,7 @@ CREATE TABLE IF NOT EXISTS `estatisticas` (
   `pais` varchar(255) NOT NULL,
   `tempo_conectado` int(20) NOT NULL DEFAULT 0,
   `player` varchar(255) NOT NULL,
+  `dispositivo` varchar(50) NOT NULL DEFAULT '',
   `cidade` varchar(255) NOT NULL,
   `estado` varchar(255) NOT NULL,
   PRIMARY KEY (`codigo`),
@@ -447,6 +584,53 @@ CREATE TABLE IF NOT EXISTS `estatisticas` (
 
 -- Exportação de dados foi desmarcado.
 
+-- Copiando estrutura para tabela db_SamCast.ftp_migracoes
+CREATE TABLE IF NOT EXISTS `ftp_migracoes` (
+  `codigo` int(10) NOT NULL AUTO_INCREMENT,
+  `codigo_stm` int(10) NOT NULL,
+  `codigo_pasta` int(10) NOT NULL,
+  `login` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `ftp_host` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `ftp_porta` int(5) NOT NULL DEFAULT 21,
+  `ftp_usuario` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `ftp_senha` varchar(512) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `ftp_seguro` tinyint(1) NOT NULL DEFAULT 0,
+  `status` enum('pending','running','completed','error') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'pending',
+  `total_arquivos` int(10) NOT NULL DEFAULT 0,
+  `arquivos_migrados` int(10) NOT NULL DEFAULT 0,
+  `arquivos_erro` int(10) NOT NULL DEFAULT 0,
+  `data_criacao` datetime NOT NULL DEFAULT current_timestamp(),
+  `data_atualizacao` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  `data_fim` datetime DEFAULT NULL,
+  PRIMARY KEY (`codigo`),
+  KEY `idx_codigo_stm` (`codigo_stm`),
+  KEY `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Exportação de dados foi desmarcado.
+
+-- Copiando estrutura para tabela db_SamCast.ftp_migracoes_arquivos
+CREATE TABLE IF NOT EXISTS `ftp_migracoes_arquivos` (
+  `codigo` int(10) NOT NULL AUTO_INCREMENT,
+  `codigo_migracao` int(10) NOT NULL,
+  `caminho_origem` text COLLATE utf8mb4_unicode_ci NOT NULL,
+  `nome` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `caminho_destino` text COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `tamanho` bigint(20) NOT NULL DEFAULT 0,
+  `bytes_transferidos` bigint(20) NOT NULL DEFAULT 0,
+  `progresso` int(3) NOT NULL DEFAULT 0,
+  `status` enum('pending','downloading','completed','error') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'pending',
+  `tentativas` int(3) NOT NULL DEFAULT 0,
+  `erro` text COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `codigo_video` int(10) DEFAULT NULL,
+  `data_atualizacao` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`codigo`),
+  KEY `idx_codigo_migracao` (`codigo_migracao`),
+  KEY `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Exportação de dados foi desmarcado.
+
 -- Copiando estrutura para tabela db_SamCast.geoip
 CREATE TABLE IF NOT EXISTS `geoip` (
   `codigo` int(10) NOT NULL AUTO_INCREMENT,
@@ -472,6 +656,43 @@ CREATE TABLE IF NOT EXISTS `geoip_paises` (
 
 -- Exportação de dados foi desmarcado.
 
+-- Copiando estrutura para tabela db_SamCast.gravacoes
+CREATE TABLE IF NOT EXISTS `gravacoes` (
+  `codigo` int(10) NOT NULL AUTO_INCREMENT,
+  `codigo_stm` int(10) NOT NULL,
+  `codigo_servidor` int(10) NOT NULL,
+  `arquivo` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `tamanho` bigint(20) NOT NULL DEFAULT 0,
+  `duracao_segundos` int(10) NOT NULL DEFAULT 0,
+  `width` int(10) NOT NULL DEFAULT 0,
+  `height` int(10) NOT NULL DEFAULT 0,
+  `bitrate` int(10) NOT NULL DEFAULT 0,
+  `data_gravacao` datetime NOT NULL,
+  `data_atualizacao` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`codigo`),
+  UNIQUE KEY `idx_codigo_stm_arquivo` (`codigo_stm`,`arquivo`),
+  KEY `idx_data_gravacao` (`data_gravacao`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Exportação de dados foi desmarcado.
+
+-- Copiando estrutura para tabela db_SamCast.gravacoes_politicas
+CREATE TABLE IF NOT EXISTS `gravacoes_politicas` (
+  `codigo` int(10) NOT NULL AUTO_INCREMENT,
+  `codigo_stm` int(10) NOT NULL,
+  `segmentacao` enum('nenhuma','duracao','tamanho') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'nenhuma',
+  `segmento_minutos` int(10) NOT NULL DEFAULT 60,
+  `segmento_mb` int(10) NOT NULL DEFAULT 1024,
+  `modo` enum('sempre','agendado') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'sempre',
+  `janelas` text COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `modelo_nome` varchar(150) COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT '{stream}_{data}_{hora}',
+  `data_atualizacao` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`codigo`),
+  UNIQUE KEY `idx_codigo_stm` (`codigo_stm`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Exportação de dados foi desmarcado.
+
 -- Copiando estrutura para tabela db_SamCast.ip_cameras
 CREATE TABLE IF NOT EXISTS `ip_cameras` (
   `codigo` int(10) NOT NULL AUTO_INCREMENT,
@@ -663,6 +884,7 @@ CREATE TABLE IF NOT EXISTS `playlists_agendamentos` (
   `shuffle` char(3) NOT NULL DEFAULT 'nao',
   `finalizacao` char(20) NOT NULL DEFAULT 'repetir',
   `codigo_playlist_finalizacao` int(10) NOT NULL DEFAULT 0,
+  `codigo_config_transmissao` int(10) DEFAULT NULL,
   `inicio` int(1) NOT NULL DEFAULT 2,
   PRIMARY KEY (`codigo`),
   KEY `indice_data` (`data`)
@@ -677,7 +899,14 @@ CREATE TABLE IF NOT EXISTS `playlists_agendamentos_logs` (
   `codigo_stm` int(10) NOT NULL DEFAULT 0,
   `data` datetime DEFAULT NULL,
   `playlist` varchar(255) COLLATE latin1_general_ci DEFAULT NULL,
-  PRIMARY KEY (`codigo`)
+  `status` varchar(20) COLLATE latin1_general_ci NOT NULL DEFAULT 'executando',
+  `codigo_transmissao` int(10) DEFAULT NULL,
+  `detalhes` varchar(255) COLLATE latin1_general_ci DEFAULT NULL,
+  `data_inicio` datetime DEFAULT NULL,
+  `data_fim` datetime DEFAULT NULL,
+  PRIMARY KEY (`codigo`),
+  KEY `idx_agendamento_data` (`codigo_agendamento`,`data`),
+  KEY `idx_status` (`status`)
 ) ENGINE=MyISAM DEFAULT CHARSET=latin1 COLLATE=latin1_general_ci;
 
 -- Exportação de dados foi desmarcado.
@@ -707,6 +936,7 @@ CREATE TABLE IF NOT EXISTS `relay_agendamentos` (
   `codigo` int(10) NOT NULL AUTO_INCREMENT,
   `codigo_stm` int(10) NOT NULL,
   `servidor_relay` varchar(255) COLLATE latin1_general_ci NOT NULL,
+  `tipo` varchar(10) COLLATE latin1_general_ci DEFAULT NULL,
   `frequencia` int(1) NOT NULL DEFAULT 1,
   `data` date NOT NULL,
   `hora` char(2) COLLATE latin1_general_ci NOT NULL,
@@ -714,8 +944,9 @@ CREATE TABLE IF NOT EXISTS `relay_agendamentos` (
   `dias` varchar(50) COLLATE latin1_general_ci NOT NULL,
   `status` int(1) NOT NULL DEFAULT 0,
   `duracao` char(6) COLLATE latin1_general_ci NOT NULL,
-  `log_data_inicio` datetime NOT NULL,
-  PRIMARY KEY (`codigo`)
+  `log_data_inicio` datetime DEFAULT NULL,
+  PRIMARY KEY (`codigo`),
+  KEY `idx_relay_agendamentos_stm` (`codigo_stm`)
 ) ENGINE=MyISAM DEFAULT CHARSET=latin1 COLLATE=latin1_general_ci;
 
 -- Exportação de dados foi desmarcado.
@@ -727,7 +958,13 @@ CREATE TABLE IF NOT EXISTS `relay_agendamentos_logs` (
   `codigo_stm` int(10) NOT NULL,
   `data` datetime NOT NULL,
   `servidor_relay` varchar(255) COLLATE latin1_general_ci NOT NULL,
-  PRIMARY KEY (`codigo`)
+  `tipo` varchar(10) COLLATE latin1_general_ci DEFAULT NULL,
+  `status` varchar(20) COLLATE latin1_general_ci NOT NULL DEFAULT 'connecting',
+  `erro` varchar(255) COLLATE latin1_general_ci DEFAULT NULL,
+  `reconexoes` int(10) NOT NULL DEFAULT 0,
+  `data_fim` datetime DEFAULT NULL,
+  PRIMARY KEY (`codigo`),
+  KEY `idx_relay_logs_stm` (`codigo_stm`,`data_fim`)
 ) ENGINE=MyISAM DEFAULT CHARSET=latin1 COLLATE=latin1_general_ci;
 
 -- Exportação de dados foi desmarcado.
@@ -902,10 +1139,12 @@ CREATE TABLE IF NOT EXISTS `streamings` (
   `status_gravando` char(3) NOT NULL DEFAULT 'nao',
   `gravador_arquivo` varchar(255) NOT NULL,
   `gravador_data_inicio` datetime NOT NULL,
+  `gravacoes_retencao_dias` int(10) NOT NULL DEFAULT 0,
   `exibir_app_android` char(3) NOT NULL DEFAULT 'sim',
   `status` int(1) NOT NULL DEFAULT 1,
   `transcoder` char(3) NOT NULL DEFAULT 'nao',
   `transcoder_qualidades` varchar(255) NOT NULL DEFAULT '720p|360p|240p|160p|h263',
+  `codigo_config_logo` int(10) DEFAULT NULL,
   `aparencia_exibir_stats_espectadores` char(3) NOT NULL DEFAULT 'sim',
   `aparencia_exibir_stats_ftp` char(3) NOT NULL DEFAULT 'sim',
   `ultima_playlist` int(10) NOT NULL,
@@ -945,6 +1184,10 @@ CREATE TABLE IF NOT EXISTS `streamings` (
   `watermark_posicao` varchar(255) NOT NULL,
   `geoip_ativar` char(3) NOT NULL DEFAULT 'nao',
   `geoip_paises_bloqueados` text NOT NULL,
+  `dominios_permitidos` text DEFAULT NULL,
+  `securetoken_ativo` char(3) NOT NULL DEFAULT 'nao',
+  `securetoken_segredo` varchar(64) DEFAULT NULL,
+  `securetoken_validade` int(10) NOT NULL DEFAULT 3600,
   `relay_status` char(3) NOT NULL DEFAULT 'nao',
   `relay_url` varchar(255) NOT NULL,
   `webrtc_chave` varchar(255) NOT NULL,
@@ -972,7 +1215,7 @@ CREATE TABLE IF NOT EXISTS `transmission_settings` (
   `logo_margem_y` int(5) DEFAULT 20,
   `embaralhar_videos` tinyint(1) DEFAULT 0,
   `repetir_playlist` tinyint(1) DEFAULT 1,
-  `transicao_videos` enum('fade','cut','slide') COLLATE utf8mb4_unicode_ci DEFAULT 'fade',
+  `transicao_videos` enum('fade','cut','slide') COLLATE utf8mb4_unicode_ci DEFAULT 'cut',
   `resolucao` enum('720p','1080p','1440p','4k') COLLATE utf8mb4_unicode_ci DEFAULT '1080p',
   `fps` int(3) DEFAULT 30,
   `bitrate` int(6) DEFAULT 2500,
@@ -1030,6 +1273,29 @@ CREATE TABLE IF NOT EXISTS `transmissoes_plataformas` (
 
 -- Exportação de dados foi desmarcado.
 
+-- Copiando estrutura para tabela db_SamCast.transmissoes_sessoes
+CREATE TABLE IF NOT EXISTS `transmissoes_sessoes` (
+  `codigo` int(10) NOT NULL AUTO_INCREMENT,
+  `chave` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `codigo_stm` int(10) NOT NULL,
+  `tipo` enum('playlist','obs') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'playlist',
+  `codigo_servidor` int(10) DEFAULT NULL,
+  `aplicacao` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `stream_name` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `estado` longtext COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `playout` longtext COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `status` enum('ativa','finalizada','perdida') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'ativa',
+  `data_inicio` datetime NOT NULL DEFAULT current_timestamp(),
+  `data_atualizacao` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  `data_fim` datetime DEFAULT NULL,
+  PRIMARY KEY (`codigo`),
+  UNIQUE KEY `idx_chave` (`chave`),
+  KEY `idx_codigo_stm` (`codigo_stm`),
+  KEY `idx_servidor_status` (`codigo_servidor`,`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Exportação de dados foi desmarcado.
+
 -- Copiando estrutura para tabela db_SamCast.tutoriais
 CREATE TABLE IF NOT EXISTS `tutoriais` (
   `codigo` int(10) NOT NULL AUTO_INCREMENT,
@@ -1042,6 +1308,33 @@ CREATE TABLE IF NOT EXISTS `tutoriais` (
 
 -- Exportação de dados foi desmarcado.
 
+-- Copiando estrutura para tabela db_SamCast.uploads_videos
+CREATE TABLE IF NOT EXISTS `uploads_videos` (
+  `codigo` int(10) NOT NULL AUTO_INCREMENT,
+  `codigo_stm` int(10) NOT NULL,
+  `codigo_pasta` int(10) NOT NULL,
+  `codigo_servidor` int(10) NOT NULL DEFAULT 1,
+  `login` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `nome_original` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `arquivo` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `tamanho` bigint(20) NOT NULL,
+  `recebido` bigint(20) NOT NULL DEFAULT 0,
+  `reservado_mb` int(10) NOT NULL DEFAULT 0,
+  `checksum` varchar(64) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `converter` tinyint(1) NOT NULL DEFAULT 1,
+  `status` enum('receiving','verifying','transferring','done','failed','cancelled','expired') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'receiving',
+  `progresso` int(3) NOT NULL DEFAULT 0,
+  `codigo_video` int(10) DEFAULT NULL,
+  `erro` text COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `data_criacao` datetime NOT NULL DEFAULT current_timestamp(),
+  `data_atualizacao` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`codigo`),
+  KEY `idx_codigo_stm` (`codigo_stm`),
+  KEY `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Exportação de dados foi desmarcado.
+
 -- Copiando estrutura para tabela db_SamCast.user_platforms
 CREATE TABLE IF NOT EXISTS `user_platforms` (
   `codigo` int(10) NOT NULL AUTO_INCREMENT,
@@ -1,6 +1,9 @@
 const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
+const PlaylistScheduler = require('../config/PlaylistScheduler');
+const transmissionPreset = require('../config/transmissionPreset');
+const { getAccountTimezone, getZonedParts } = require('../config/timezone');
 
 const router = express.Router();
 
@@ -21,11 +24,14 @@ router.get('/', authMiddleware, async (req, res) => {
         pa.finalizacao,
         pa.codigo_playlist_finalizacao,
         pf.nome as nome_playlist_finalizacao,
+        pa.codigo_config_transmissao as settings_id,
+        ts.nome as nome_configuracao,
         CONCAT(pa.data, ' ', LPAD(pa.hora, 2, '0'), ':', LPAD(pa.minuto, 2, '0'), ':00') as inicio,
         pa.dias as dias_semana
       FROM playlists_agendamentos pa
       LEFT JOIN playlists p ON pa.codigo_playlist = p.id
       LEFT JOIN playlists pf ON pa.codigo_playlist_finalizacao = pf.id
+      LEFT JOIN transmission_settings ts ON pa.codigo_config_transmissao = ts.codigo
       WHERE pa.codigo_stm = ?
     `;
 
@@ -55,65 +61,183 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
-// POST /api/agendamentos - Cria novo agendamento
-router.post('/', authMiddleware, async (req, res) => {
+// GET /api/agendamentos/proximos - Lista próximas execuções no fuso da conta
+router.get('/proximos', authMiddleware, async (req, res) => {
   try {
-    const {
-      data,
-      id_playlist,
-      shuffle,
-      frequencia,
-      finalizacao,
-      id_playlist_finalizacao,
-      inicio,
-      dias_semana
-    } = req.body;
+    const limite = Math.min(parseInt(req.query.limite) || 10, 100);
+    const execucoes = await PlaylistScheduler.getUpcomingExecutions(req.user.id, limite);
+
+    res.json(execucoes);
+  } catch (err) {
+    console.error('Erro ao buscar próximas execuções:', err);
+    res.status(500).json({ error: 'Erro ao buscar próximas execuções', details: err.message });
+  }
+});
+
+// Converter dados enviados pelo painel para as colunas de playlists_agendamentos.
+// O horário de início é interpretado no fuso da conta
+function parseAgendamento(body, timezone) {
+  const {
+    data,
+    id_playlist,
+    shuffle,
+    frequencia,
+    finalizacao,
+    id_playlist_finalizacao,
+    inicio,
+    dias_semana,
+    settings_id
+  } = body;
+
+  if (!data || !id_playlist || !inicio) {
+    return { error: 'Data, playlist e horário de início são obrigatórios' };
+  }
+
+  // Extrair hora e minuto do início: data/hora sem fuso já é a hora local da conta;
+  // instantes com fuso (ISO) são convertidos para o fuso da conta
+  let hora;
+  let minuto;
+  const wallClock = String(inicio).match(/^\d{4}-\d{2}-\d{2}[ T](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/);
+
+  if (wallClock) {
+    [, hora, minuto] = wallClock;
+  } else {
+    const inicioDate = new Date(inicio);
+    if (isNaN(inicioDate.getTime())) {
+      return { error: 'Horário de início inválido' };
+    }
+
+    const parts = getZonedParts(inicioDate, timezone);
+    hora = parts.hour.toString().padStart(2, '0');
+    minuto = parts.minute.toString().padStart(2, '0');
+  }
+
+  // Mapear frequência
+  const frequenciaMap = {
+    'diariamente': 1,
+    'dias_da_semana': 2,
+    'uma_vez': 3
+  };
+
+  const frequenciaValue = frequenciaMap[frequencia] || 3;
+
+  // Processar dias da semana
+  const diasString = dias_semana && Array.isArray(dias_semana) ? dias_semana.join(',') : '';
+
+  return {
+    agendamento: {
+      codigo_playlist: id_playlist,
+      frequencia: frequenciaValue,
+      data_inicio: data,
+      hora,
+      minuto,
+      dias: diasString,
+      shuffle: shuffle ? 'sim' : 'nao',
+      finalizacao: finalizacao ? 'playlist' : 'repetir',
+      codigo_playlist_finalizacao: id_playlist_finalizacao || 0,
+      codigo_config_transmissao: settings_id || null
+    }
+  };
+}
 
+// As playlists do agendamento (principal e de finalização) precisam pertencer à conta
+async function validatePlaylists(agendamento, userId) {
+  const ids = [agendamento.codigo_playlist];
+  if (agendamento.codigo_playlist_finalizacao) ids.push(agendamento.codigo_playlist_finalizacao);
+
+  for (const id of ids) {
+    const [rows] = await db.execute('SELECT id FROM playlists WHERE id = ? AND codigo_stm = ?', [id, userId]);
+    if (rows.length === 0) return 'Playlist não encontrada';
+  }
+
+  return null;
+}
+
+// A configuração de transmissão do agendamento precisa pertencer à conta
+async function validatePreset(agendamento, userId) {
+  if (!agendamento.codigo_config_transmissao) return null;
+
+  const preset = await transmissionPreset.getPreset(agendamento.codigo_config_transmissao, userId);
+  return preset ? null : 'Configuração de transmissão não encontrada';
+}
+
+// POST /api/agendamentos/conflitos - Verifica conflitos antes de salvar
+router.post('/conflitos', authMiddleware, async (req, res) => {
+  try {
     const userId = req.user.id;
+    const { agendamento, error } = parseAgendamento(req.body, await getAccountTimezone(userId));
 
-    if (!data || !id_playlist || !inicio) {
-      return res.status(400).json({ error: 'Data, playlist e horário de início são obrigatórios' });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Extrair hora e minuto do início
-    const inicioDate = new Date(inicio);
-    const hora = inicioDate.getHours().toString().padStart(2, '0');
-    const minuto = inicioDate.getMinutes().toString().padStart(2, '0');
+    const playlistError = await validatePlaylists(agendamento, userId);
+    if (playlistError) {
+      return res.status(404).json({ error: playlistError });
+    }
 
-    // Mapear frequência
-    const frequenciaMap = {
-      'diariamente': 1,
-      'dias_da_semana': 2,
-      'uma_vez': 3
-    };
+    const conflitos = await PlaylistScheduler.findConflicts(userId, agendamento, req.body.id || null);
 
-    const frequenciaValue = frequenciaMap[frequencia] || 3;
+    res.json({ conflitos });
+  } catch (err) {
+    console.error('Erro ao verificar conflitos:', err);
+    res.status(500).json({ error: 'Erro ao verificar conflitos', details: err.message });
+  }
+});
 
-    // Processar dias da semana
-    const diasString = dias_semana && Array.isArray(dias_semana) ? dias_semana.join(',') : '';
+// POST /api/agendamentos - Cria novo agendamento
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { agendamento, error } = parseAgendamento(req.body, await getAccountTimezone(userId));
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const playlistError = await validatePlaylists(agendamento, userId);
+    if (playlistError) {
+      return res.status(404).json({ error: playlistError });
+    }
+
+    const presetError = await validatePreset(agendamento, userId);
+    if (presetError) {
+      return res.status(404).json({ error: presetError });
+    }
+
+    // Rejeitar sobreposições, a menos que o usuário confirme o salvamento
+    const conflitos = await PlaylistScheduler.findConflicts(userId, agendamento);
+    if (conflitos.length > 0 && !req.body.forcar) {
+      return res.status(409).json({
+        error: 'Agendamento conflita com outros agendamentos',
+        conflitos
+      });
+    }
 
     const [result] = await db.execute(
       `INSERT INTO playlists_agendamentos (
         codigo_stm, codigo_playlist, frequencia, data, hora, minuto,
-        dias, shuffle, finalizacao, codigo_playlist_finalizacao, servidor_relay
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, '')`,
+        dias, shuffle, finalizacao, codigo_playlist_finalizacao, codigo_config_transmissao, servidor_relay
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, '')`,
       [
         userId,
-        id_playlist,
-        frequenciaValue,
-        data,
-        hora,
-        minuto,
-        diasString,
-        shuffle ? 'sim' : 'nao',
-        finalizacao ? 'playlist' : 'repetir',
-        id_playlist_finalizacao || 0
+        agendamento.codigo_playlist,
+        agendamento.frequencia,
+        agendamento.data_inicio,
+        agendamento.hora,
+        agendamento.minuto,
+        agendamento.dias,
+        agendamento.shuffle,
+        agendamento.finalizacao,
+        agendamento.codigo_playlist_finalizacao,
+        agendamento.codigo_config_transmissao
       ]
     );
 
     res.status(201).json({
       id: result.insertId,
-      message: 'Agendamento criado com sucesso'
+      message: 'Agendamento criado com sucesso',
+      conflitos
     });
   } catch (err) {
     console.error('Erro ao criar agendamento:', err);
@@ -121,6 +245,78 @@ router.post('/', authMiddleware, async (req, res) => {
   }
 });
 
+// PUT /api/agendamentos/:id - Atualiza agendamento
+router.put('/:id', authMiddleware, async (req, res) => {
+  try {
+    const agendamentoId = req.params.id;
+    const userId = req.user.id;
+
+    // Verificar se agendamento pertence ao usuário
+    const [agendamentoRows] = await db.execute(
+      'SELECT codigo FROM playlists_agendamentos WHERE codigo = ? AND codigo_stm = ?',
+      [agendamentoId, userId]
+    );
+
+    if (agendamentoRows.length === 0) {
+      return res.status(404).json({ error: 'Agendamento não encontrado' });
+    }
+
+    const { agendamento, error } = parseAgendamento(req.body, await getAccountTimezone(userId));
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const playlistError = await validatePlaylists(agendamento, userId);
+    if (playlistError) {
+      return res.status(404).json({ error: playlistError });
+    }
+
+    const presetError = await validatePreset(agendamento, userId);
+    if (presetError) {
+      return res.status(404).json({ error: presetError });
+    }
+
+    const conflitos = await PlaylistScheduler.findConflicts(userId, agendamento, agendamentoId);
+    if (conflitos.length > 0 && !req.body.forcar) {
+      return res.status(409).json({
+        error: 'Agendamento conflita com outros agendamentos',
+        conflitos
+      });
+    }
+
+    await db.execute(
+      `UPDATE playlists_agendamentos SET
+        codigo_playlist = ?, frequencia = ?, data = ?, hora = ?, minuto = ?,
+        dias = ?, shuffle = ?, finalizacao = ?, codigo_playlist_finalizacao = ?,
+        codigo_config_transmissao = ?
+       WHERE codigo = ?`,
+      [
+        agendamento.codigo_playlist,
+        agendamento.frequencia,
+        agendamento.data_inicio,
+        agendamento.hora,
+        agendamento.minuto,
+        agendamento.dias,
+        agendamento.shuffle,
+        agendamento.finalizacao,
+        agendamento.codigo_playlist_finalizacao,
+        agendamento.codigo_config_transmissao,
+        agendamentoId
+      ]
+    );
+
+    res.json({
+      success: true,
+      message: 'Agendamento atualizado com sucesso',
+      conflitos
+    });
+  } catch (err) {
+    console.error('Erro ao atualizar agendamento:', err);
+    res.status(500).json({ error: 'Erro ao atualizar agendamento', details: err.message });
+  }
+});
+
 // DELETE /api/agendamentos/:id - Remove agendamento
 router.delete('/:id', authMiddleware, async (req, res) => {
   try {
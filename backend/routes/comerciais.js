@@ -1,6 +1,8 @@
 const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
+const CommercialBreakBuilder = require('../config/CommercialBreakBuilder');
+const { getAccountTimezone, zonedTimeToDate, addDays, formatZoned } = require('../config/timezone');
 
 const router = express.Router();
 
@@ -30,6 +32,181 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+// Escapar valor para exportação CSV
+function csvValue(value) {
+  const text = value === null || typeof value === 'undefined' ? '' : String(value);
+  return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// GET /api/comerciais/relatorio - Relatório de exibições (proof-of-play) por comercial
+router.get('/relatorio', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { data_inicio, data_fim, id_video, formato } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!datePattern.test(data_inicio || '') || !datePattern.test(data_fim || '')) {
+      return res.status(400).json({ error: 'Data inicial e final são obrigatórias (YYYY-MM-DD)' });
+    }
+
+    if (data_inicio > data_fim) {
+      return res.status(400).json({ error: 'Data inicial deve ser anterior à data final' });
+    }
+
+    // Período informado no fuso horário da conta
+    const timezone = await getAccountTimezone(userId);
+    const inicio = zonedTimeToDate(data_inicio, 0, 0, timezone);
+    const fim = zonedTimeToDate(addDays(data_fim, 1), 0, 0, timezone);
+
+    let query = `
+      SELECT
+        ce.codigo_video,
+        ce.video,
+        ce.codigo_playlist,
+        p.nome as playlist,
+        ce.data_exibicao,
+        ce.duracao_segundos,
+        ce.espectadores
+      FROM comerciais_exibicoes ce
+      LEFT JOIN playlists p ON ce.codigo_playlist = p.id
+      WHERE ce.codigo_stm = ? AND ce.data_exibicao >= ? AND ce.data_exibicao < ?
+    `;
+    const params = [userId, inicio, fim];
+
+    if (id_video) {
+      query += ' AND ce.codigo_video = ?';
+      params.push(id_video);
+    }
+
+    query += ' ORDER BY ce.video, ce.data_exibicao';
+
+    const [rows] = await db.execute(query, params);
+
+    const exibicoes = rows.map(row => ({
+      id_video: row.codigo_video,
+      video: row.video,
+      id_playlist: row.codigo_playlist,
+      playlist: row.playlist || '',
+      inicio: formatZoned(row.data_exibicao, timezone),
+      duracao: row.duracao_segundos,
+      espectadores: row.espectadores
+    }));
+
+    if (formato === 'csv') {
+      const header = ['Comercial', 'Playlist', 'Início', 'Duração (s)', 'Espectadores'];
+      const lines = exibicoes.map(e => [e.video, e.playlist, e.inicio, e.duracao, e.espectadores].map(csvValue).join(';'));
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="relatorio_comerciais_${data_inicio}_${data_fim}.csv"`);
+      return res.send('\uFEFF' + [header.join(';'), ...lines].join('\n'));
+    }
+
+    // Agrupar exibições por comercial
+    const comerciais = [];
+    for (const exibicao of exibicoes) {
+      let comercial = comerciais.find(c => c.id_video === exibicao.id_video);
+      if (!comercial) {
+        comercial = {
+          id_video: exibicao.id_video,
+          video: exibicao.video,
+          total_exibicoes: 0,
+          duracao_total: 0,
+          espectadores_total: 0,
+          espectadores_media: 0,
+          exibicoes: []
+        };
+        comerciais.push(comercial);
+      }
+
+      comercial.total_exibicoes++;
+      comercial.duracao_total += exibicao.duracao;
+      comercial.espectadores_total += exibicao.espectadores;
+      comercial.exibicoes.push({
+        inicio: exibicao.inicio,
+        playlist: exibicao.playlist,
+        duracao: exibicao.duracao,
+        espectadores: exibicao.espectadores
+      });
+    }
+
+    comerciais.forEach(c => {
+      c.espectadores_media = Math.round(c.espectadores_total / c.total_exibicoes);
+    });
+
+    res.json({
+      success: true,
+      periodo: { data_inicio, data_fim, timezone },
+      totais: {
+        comerciais: comerciais.length,
+        exibicoes: exibicoes.length,
+        duracao: exibicoes.reduce((total, e) => total + e.duracao, 0),
+        espectadores: exibicoes.reduce((total, e) => total + e.espectadores, 0)
+      },
+      comerciais
+    });
+  } catch (err) {
+    console.error('Erro ao gerar relatório de comerciais:', err);
+    res.status(500).json({ error: 'Erro ao gerar relatório de comerciais', details: err.message });
+  }
+});
+
+// GET /api/comerciais/:id/preview - Sequência de exibição com comerciais intercalados
+router.get('/:id/preview', authMiddleware, async (req, res) => {
+  try {
+    const comercialId = req.params.id;
+    const userId = req.user.id;
+    const userLogin = req.user.email ? req.user.email.split('@')[0] : `user_${userId}`;
+
+    const [configRows] = await db.execute(
+      `SELECT codigo, codigo_playlist, codigo_pasta_comerciais, quantidade_comerciais, intervalo_videos
+       FROM comerciais_config
+       WHERE codigo = ? AND codigo_stm = ?`,
+      [comercialId, userId]
+    );
+
+    if (configRows.length === 0) {
+      return res.status(404).json({ error: 'Configuração não encontrada' });
+    }
+
+    const config = configRows[0];
+
+    const [videos] = await db.execute(
+      `SELECT pv.*, pv.video as nome, pv.path_video as url
+       FROM playlists_videos pv
+       WHERE pv.codigo_playlist = ?
+       ORDER BY pv.ordem`,
+      [config.codigo_playlist]
+    );
+
+    const inicio = req.query.inicio ? new Date(req.query.inicio) : new Date();
+    if (isNaN(inicio.getTime())) {
+      return res.status(400).json({ error: 'Data de início inválida' });
+    }
+
+    const playout = await CommercialBreakBuilder.buildPlayoutList({
+      userId,
+      userLogin,
+      playlistId: config.codigo_playlist,
+      videos,
+      config
+    });
+
+    const sequencia = CommercialBreakBuilder.withTimestamps(playout.items, inicio);
+
+    res.json({
+      success: true,
+      id_playlist: config.codigo_playlist,
+      total_videos: sequencia.filter(item => item.tipo === 'video').length,
+      total_comerciais: sequencia.filter(item => item.tipo === 'comercial').length,
+      duracao_total: sequencia.reduce((total, item) => total + item.duracao, 0),
+      sequencia
+    });
+  } catch (err) {
+    console.error('Erro ao gerar prévia de comerciais:', err);
+    res.status(500).json({ error: 'Erro ao gerar prévia de comerciais', details: err.message });
+  }
+});
+
 // POST /api/comerciais - Cria configuração de comerciais
 router.post('/', authMiddleware, async (req, res) => {
   try {
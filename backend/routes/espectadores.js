@@ -1,6 +1,7 @@
 const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
+const ViewerLimitManager = require('../config/ViewerLimitManager');
 
 const router = express.Router();
 
@@ -38,12 +39,12 @@ router.get('/', authMiddleware, async (req, res) => {
         cidade,
         latitude,
         longitude,
-        player as dispositivo,
-        '' as navegador,
+        COALESCE(NULLIF(dispositivo, ''), player) as dispositivo,
+        player as navegador,
         '' as resolucao,
-        TIMESTAMPDIFF(SECOND, atualizacao, NOW()) as tempo_visualizacao,
-        (TIMESTAMPDIFF(MINUTE, atualizacao, NOW()) < 5) as ativo,
-        atualizacao as created_at,
+        CAST(tempo_conectado AS UNSIGNED) as tempo_visualizacao,
+        (encerrada = 0 AND TIMESTAMPDIFF(MINUTE, atualizacao, NOW()) < 5) as ativo,
+        DATE_SUB(atualizacao, INTERVAL CAST(tempo_conectado AS UNSIGNED) SECOND) as created_at,
         atualizacao as ultima_atividade
        FROM espectadores_conectados 
        ${whereClause}
@@ -58,13 +59,15 @@ router.get('/', authMiddleware, async (req, res) => {
     const paises = {};
     const cidades = {};
     const dispositivos = {};
+    const navegadores = {};
     let tempoTotal = 0;
 
     espectadores.forEach(e => {
       paises[e.pais] = (paises[e.pais] || 0) + 1;
       cidades[e.cidade] = (cidades[e.cidade] || 0) + 1;
       dispositivos[e.dispositivo] = (dispositivos[e.dispositivo] || 0) + 1;
-      tempoTotal += e.tempo_visualizacao;
+      navegadores[e.navegador] = (navegadores[e.navegador] || 0) + 1;
+      tempoTotal += Number(e.tempo_visualizacao) || 0;
     });
 
     const tempoMedio = total > 0 ? Math.floor(tempoTotal / total) : 0;
@@ -75,7 +78,7 @@ router.get('/', authMiddleware, async (req, res) => {
       paises,
       cidades,
       dispositivos,
-      navegadores: {},
+      navegadores,
       tempoMedio
     };
 
@@ -117,7 +120,7 @@ router.get('/mapa', authMiddleware, async (req, res) => {
         pais_nome as pais,
         cidade,
         COUNT(*) as count,
-        SUM(CASE WHEN TIMESTAMPDIFF(MINUTE, atualizacao, NOW()) < 5 THEN 1 ELSE 0 END) as ativos,
+        SUM(CASE WHEN encerrada = 0 AND TIMESTAMPDIFF(MINUTE, atualizacao, NOW()) < 5 THEN 1 ELSE 0 END) as ativos,
         COUNT(DISTINCT ip) as ips
        FROM espectadores_conectados 
        ${whereClause}
@@ -144,10 +147,13 @@ router.get('/tempo-real', authMiddleware, async (req, res) => {
         ip,
         pais_nome as pais,
         cidade,
-        player as dispositivo,
+        COALESCE(NULLIF(dispositivo, ''), player) as dispositivo,
+        player as navegador,
+        CAST(tempo_conectado AS UNSIGNED) as tempo_visualizacao,
         atualizacao
        FROM espectadores_conectados 
        WHERE codigo_stm = ? 
+       AND encerrada = 0
        AND TIMESTAMPDIFF(MINUTE, atualizacao, NOW()) < 5
        ORDER BY atualizacao DESC`,
       [userId]
@@ -213,4 +219,48 @@ router.get('/historico', authMiddleware, async (req, res) => {
   }
 });
 
+// GET /api/espectadores/recusados - Espectadores recusados pelo limite da conta
+router.get('/recusados', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { periodo = '24h' } = req.query;
+
+    const intervalos = {
+      '1h': 'INTERVAL 1 HOUR',
+      '24h': 'INTERVAL 24 HOUR',
+      '7d': 'INTERVAL 7 DAY',
+      '30d': 'INTERVAL 30 DAY'
+    };
+    const intervalo = intervalos[periodo] || intervalos['24h'];
+
+    const [eventos] = await db.execute(
+      `SELECT codigo as id, MD5(ip) as ip_hash, user_agent, origem, espectadores_ativos, limite, data
+       FROM espectadores_recusados
+       WHERE codigo_stm = ? AND data >= DATE_SUB(NOW(), ${intervalo})
+       ORDER BY data DESC
+       LIMIT 100`,
+      [userId]
+    );
+
+    const [totais] = await db.execute(
+      `SELECT COUNT(*) as total, COUNT(DISTINCT ip) as espectadores_unicos
+       FROM espectadores_recusados
+       WHERE codigo_stm = ? AND data >= DATE_SUB(NOW(), ${intervalo})`,
+      [userId]
+    );
+
+    res.json({
+      success: true,
+      limite: req.user.espectadores,
+      ...ViewerLimitManager.getAccountStatus(userId),
+      total: totais[0].total,
+      espectadores_unicos: totais[0].espectadores_unicos,
+      eventos
+    });
+  } catch (err) {
+    console.error('Erro ao buscar espectadores recusados:', err);
+    res.status(500).json({ error: 'Erro ao buscar espectadores recusados', details: err.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
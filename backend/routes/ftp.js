@@ -1,12 +1,14 @@
 const express = require('express');
+const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
+const FTPMigrationManager = require('../config/FTPMigrationManager');
 
 const router = express.Router();
 
 // POST /api/ftp/connect - Conecta ao FTP
 router.post('/connect', authMiddleware, async (req, res) => {
   try {
-    const { ip, usuario, senha, porta } = req.body;
+    const { ip, usuario, senha, porta, seguro } = req.body;
 
     if (!ip || !usuario || !senha) {
       return res.status(400).json({
@@ -15,28 +17,23 @@ router.post('/connect', authMiddleware, async (req, res) => {
       });
     }
 
-    // Simular conexão FTP e listagem de arquivos
-    // Em produção, você usaria uma biblioteca como 'ftp' ou 'basic-ftp'
-    const mockFiles = [
-      { name: '..', type: 'directory', path: '/', size: 0, isVideo: false },
-      { name: 'videos', type: 'directory', path: '/videos', size: 0, isVideo: false },
-      { name: 'musicas', type: 'directory', path: '/musicas', size: 0, isVideo: false },
-      { name: 'video1.mp4', type: 'file', path: '/video1.mp4', size: 1024000, isVideo: true },
-      { name: 'video2.avi', type: 'file', path: '/video2.avi', size: 2048000, isVideo: true },
-      { name: 'documento.txt', type: 'file', path: '/documento.txt', size: 1024, isVideo: false }
-    ];
+    const { files, currentPath } = await FTPMigrationManager.listDirectory(
+      { ip, usuario, senha, porta, seguro },
+      '/'
+    );
 
     res.json({
       success: true,
-      files: mockFiles,
-      currentPath: '/'
+      files,
+      currentPath
     });
 
   } catch (error) {
     console.error('Erro ao conectar FTP:', error);
     res.status(500).json({
       success: false,
-      error: 'Erro ao conectar ao servidor FTP'
+      error: 'Erro ao conectar ao servidor FTP',
+      details: error.message
     });
   }
 });
@@ -44,30 +41,32 @@ router.post('/connect', authMiddleware, async (req, res) => {
 // POST /api/ftp/list - Lista arquivos de um diretório
 router.post('/list', authMiddleware, async (req, res) => {
   try {
-    const { ip, usuario, senha, porta, path } = req.body;
-
-    // Simular listagem de diretório específico
-    const mockFiles = path === '/videos' ? [
-      { name: '..', type: 'directory', path: '/', size: 0, isVideo: false },
-      { name: 'filme1.mp4', type: 'file', path: '/videos/filme1.mp4', size: 5000000, isVideo: true },
-      { name: 'filme2.mkv', type: 'file', path: '/videos/filme2.mkv', size: 8000000, isVideo: true },
-      { name: 'serie', type: 'directory', path: '/videos/serie', size: 0, isVideo: false }
-    ] : [
-      { name: '..', type: 'directory', path: '/', size: 0, isVideo: false },
-      { name: 'arquivo.txt', type: 'file', path: `${path}/arquivo.txt`, size: 1024, isVideo: false }
-    ];
+    const { ip, usuario, senha, porta, seguro, path } = req.body;
+
+    if (!ip || !usuario || !senha) {
+      return res.status(400).json({
+        success: false,
+        error: 'IP, usuário e senha são obrigatórios'
+      });
+    }
+
+    const { files, currentPath } = await FTPMigrationManager.listDirectory(
+      { ip, usuario, senha, porta, seguro },
+      path || '/'
+    );
 
     res.json({
       success: true,
-      files: mockFiles,
-      currentPath: path
+      files,
+      currentPath
     });
 
   } catch (error) {
     console.error('Erro ao listar diretório:', error);
     res.status(500).json({
       success: false,
-      error: 'Erro ao listar diretório'
+      error: 'Erro ao listar diretório',
+      details: error.message
     });
   }
 });
@@ -77,47 +76,36 @@ router.post('/scan-directory', authMiddleware, async (req, res) => {
   try {
     const { ftpConnection, directoryPath } = req.body;
 
-    // Simular escaneamento recursivo
-    const mockVideos = [
-      {
-        name: 'video1.mp4',
-        path: `${directoryPath}/video1.mp4`,
-        size: 1024000,
-        directory: directoryPath
-      },
-      {
-        name: 'video2.avi',
-        path: `${directoryPath}/subdir/video2.avi`,
-        size: 2048000,
-        directory: `${directoryPath}/subdir`
-      },
-      {
-        name: 'filme.mkv',
-        path: `${directoryPath}/filmes/filme.mkv`,
-        size: 5000000,
-        directory: `${directoryPath}/filmes`
-      }
-    ];
+    if (!ftpConnection || !ftpConnection.ip || !ftpConnection.usuario || !ftpConnection.senha) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados de conexão FTP são obrigatórios'
+      });
+    }
+
+    const videos = await FTPMigrationManager.scanDirectory(ftpConnection, directoryPath || '/');
 
     res.json({
       success: true,
-      videos: mockVideos
+      videos
     });
 
   } catch (error) {
     console.error('Erro ao escanear diretório:', error);
     res.status(500).json({
       success: false,
-      error: 'Erro ao escanear diretório'
+      error: 'Erro ao escanear diretório',
+      details: error.message
     });
   }
 });
 
-// POST /api/ftp/migrate - Migra arquivos do FTP
+// POST /api/ftp/migrate - Enfileira migração de arquivos do FTP
 router.post('/migrate', authMiddleware, async (req, res) => {
   try {
     const { ftpConnection, files, destinationFolder } = req.body;
     const userId = req.user.id;
+    const userLogin = req.user.email ? req.user.email.split('@')[0] : `user_${userId}`;
 
     if (!files || files.length === 0) {
       return res.status(400).json({
@@ -126,43 +114,129 @@ router.post('/migrate', authMiddleware, async (req, res) => {
       });
     }
 
-    // Simular migração de arquivos
-    let migratedFiles = 0;
-    const errors = [];
-
-    for (const filePath of files) {
-      try {
-        // Simular download e salvamento
-        // Em produção, você faria o download real do FTP
-        
-        // Simular 90% de sucesso
-        if (Math.random() > 0.1) {
-          migratedFiles++;
-          
-          // Simular inserção no banco de dados
-          // await db.execute(...)
-        } else {
-          errors.push(`Erro ao migrar ${filePath}`);
-        }
-      } catch (error) {
-        errors.push(`Erro ao migrar ${filePath}: ${error.message}`);
-      }
+    if (!ftpConnection || !ftpConnection.ip || !ftpConnection.usuario || !ftpConnection.senha) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dados de conexão FTP são obrigatórios'
+      });
     }
 
-    res.json({
+    if (!destinationFolder) {
+      return res.status(400).json({
+        success: false,
+        error: 'Pasta de destino é obrigatória'
+      });
+    }
+
+    // Verificar se a pasta pertence ao usuário
+    const [folderRows] = await db.execute(
+      'SELECT identificacao FROM streamings WHERE codigo = ? AND codigo_cliente = ?',
+      [destinationFolder, userId]
+    );
+
+    if (folderRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pasta não encontrada'
+      });
+    }
+
+    const migration = await FTPMigrationManager.createMigration({
+      userId,
+      userLogin,
+      folderId: destinationFolder,
+      connection: ftpConnection,
+      files
+    });
+
+    res.status(202).json({
       success: true,
-      migratedFiles,
-      totalFiles: files.length,
-      errors
+      message: 'Migração adicionada à fila',
+      migration
     });
 
   } catch (error) {
     console.error('Erro na migração:', error);
     res.status(500).json({
       success: false,
-      error: 'Erro durante a migração'
+      error: 'Erro durante a migração',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/ftp/migrate - Lista migrações do usuário
+router.get('/migrate', authMiddleware, async (req, res) => {
+  try {
+    const migrations = await FTPMigrationManager.listMigrations(req.user.id);
+    res.json({ success: true, migrations });
+  } catch (error) {
+    console.error('Erro ao listar migrações:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao listar migrações',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/ftp/migrate/:id - Progresso de uma migração
+router.get('/migrate/:id', authMiddleware, async (req, res) => {
+  try {
+    const migration = await FTPMigrationManager.getMigration(req.params.id, req.user.id);
+
+    if (!migration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Migração não encontrada'
+      });
+    }
+
+    res.json({ success: true, migration });
+  } catch (error) {
+    console.error('Erro ao buscar migração:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao buscar migração',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/ftp/migrate/:id/retry - Reprocessa arquivos com erro
+router.post('/migrate/:id/retry', authMiddleware, async (req, res) => {
+  try {
+    const { senha } = req.body;
+
+    if (!senha) {
+      return res.status(400).json({
+        success: false,
+        error: 'Informe a senha do FTP para reprocessar a migração'
+      });
+    }
+
+    const migration = await FTPMigrationManager.retryMigration(req.params.id, req.user.id, senha);
+
+    if (!migration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Migração não encontrada'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Arquivos com erro adicionados novamente à fila',
+      migration
+    });
+  } catch (error) {
+    console.error('Erro ao reprocessar migração:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao reprocessar migração',
+      details: error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
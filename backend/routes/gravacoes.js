@@ -0,0 +1,157 @@
+const express = require('express');
+const authMiddleware = require('../middlewares/authMiddleware');
+const RecordingManager = require('../config/RecordingManager');
+
+const router = express.Router();
+
+const MAX_RETENTION_DAYS = 3650;
+
+// GET /api/gravacoes - Lista gravações com duração, resolução e tamanho
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+
+    const recordings = await RecordingManager.listRecordings(userId, userLogin, req.ip);
+    const retencao_dias = await RecordingManager.getRetention(userId);
+
+    res.json({ success: true, recordings, retencao_dias });
+  } catch (error) {
+    console.error('Erro ao listar gravações:', error);
+    res.status(500).json({ success: false, error: 'Erro ao listar gravações', details: error.message });
+  }
+});
+
+// GET /api/gravacoes/retencao - Período de retenção das gravações (0 = manter sempre)
+router.get('/retencao', authMiddleware, async (req, res) => {
+  try {
+    const retencao_dias = await RecordingManager.getRetention(req.user.id);
+    res.json({ success: true, retencao_dias });
+  } catch (error) {
+    console.error('Erro ao buscar retenção de gravações:', error);
+    res.status(500).json({ success: false, error: 'Erro ao buscar retenção de gravações', details: error.message });
+  }
+});
+
+// PUT /api/gravacoes/retencao - Definir o período de retenção e aplicar imediatamente
+router.put('/retencao', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+    const dias = parseInt(req.body.retencao_dias);
+
+    if (isNaN(dias) || dias < 0 || dias > MAX_RETENTION_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Retenção deve ser um número de dias entre 0 e ${MAX_RETENTION_DAYS}`
+      });
+    }
+
+    await RecordingManager.setRetention(userId, dias);
+    const removidas = dias > 0 ? await RecordingManager.applyRetention(userId, userLogin, dias) : 0;
+
+    res.json({
+      success: true,
+      message: dias > 0 ? `Gravações mantidas por ${dias} dia(s)` : 'Gravações mantidas sem limite de tempo',
+      retencao_dias: dias,
+      removidas
+    });
+  } catch (error) {
+    console.error('Erro ao salvar retenção de gravações:', error);
+    res.status(500).json({ success: false, error: 'Erro ao salvar retenção de gravações', details: error.message });
+  }
+});
+
+// PUT /api/gravacoes/:id - Renomear gravação
+router.put('/:id', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+    const { nome } = req.body;
+
+    if (!nome || !String(nome).trim()) {
+      return res.status(400).json({ success: false, error: 'Nome é obrigatório' });
+    }
+
+    const result = await RecordingManager.renameRecording(req.params.id, userId, userLogin, nome);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, message: 'Gravação renomeada com sucesso', recording: result.recording });
+  } catch (error) {
+    console.error('Erro ao renomear gravação:', error);
+    res.status(500).json({ success: false, error: 'Erro ao renomear gravação', details: error.message });
+  }
+});
+
+// POST /api/gravacoes/:id/mover - Mover gravação para uma pasta de vídeos
+router.post('/:id/mover', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+    const { folder_id } = req.body;
+
+    if (!folder_id) {
+      return res.status(400).json({ success: false, error: 'Pasta de destino é obrigatória' });
+    }
+
+    const result = await RecordingManager.moveToFolder(req.params.id, userId, userLogin, folder_id);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, message: 'Gravação movida para a pasta', video: result.video });
+  } catch (error) {
+    console.error('Erro ao mover gravação:', error);
+    res.status(500).json({ success: false, error: 'Erro ao mover gravação', details: error.message });
+  }
+});
+
+// POST /api/gravacoes/:id/playlist - Mover gravação para uma pasta e adicioná-la ao final de uma playlist
+router.post('/:id/playlist', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+    const { playlist_id, folder_id } = req.body;
+
+    if (!playlist_id || !folder_id) {
+      return res.status(400).json({ success: false, error: 'Playlist e pasta de destino são obrigatórias' });
+    }
+
+    const result = await RecordingManager.addToPlaylist(req.params.id, userId, userLogin, playlist_id, folder_id);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Gravação adicionada à playlist',
+      video: result.video,
+      playlist_id: result.playlist_id
+    });
+  } catch (error) {
+    console.error('Erro ao adicionar gravação à playlist:', error);
+    res.status(500).json({ success: false, error: 'Erro ao adicionar gravação à playlist', details: error.message });
+  }
+});
+
+// DELETE /api/gravacoes/:id - Excluir gravação e devolver o espaço
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+
+    const result = await RecordingManager.deleteRecording(req.params.id, userId, userLogin);
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, message: 'Gravação excluída com sucesso' });
+  } catch (error) {
+    console.error('Erro ao excluir gravação:', error);
+    res.status(500).json({ success: false, error: 'Erro ao excluir gravação', details: error.message });
+  }
+});
+
+module.exports = router;
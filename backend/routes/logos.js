@@ -1,33 +1,40 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs').promises;
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
 const SSHManager = require('../config/SSHManager');
+const sftpStorage = require('../config/SFTPStorage');
 
 const router = express.Router();
 
-// Configuração do multer para upload temporário de logos
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    try {
-      // Upload temporário local primeiro
-      const tempDir = '/tmp/logo-uploads';
-      await fs.mkdir(tempDir, { recursive: true });
-      
-      cb(null, tempDir);
-    } catch (error) {
-      cb(error);
-    }
-  },
-  filename: (req, file, cb) => {
+// Configuração do multer para envio das logos direto ao servidor Wowza
+const storage = sftpStorage({
+  destination: async (req, file) => {
+    const userId = req.user.id;
+    const userLogin = req.user.email ? req.user.email.split('@')[0] : `user_${userId}`;
+
+    // Buscar servidor do usuário
+    const [serverRows] = await db.execute(
+      'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? LIMIT 1',
+      [userId]
+    );
+
+    const serverId = serverRows.length > 0 ? serverRows[0].codigo_servidor : 1;
+
     // Sanitizar nome do arquivo
     const sanitizedName = file.originalname
       .replace(/[^a-zA-Z0-9.-]/g, '_')
       .replace(/_{2,}/g, '_');
-    
-    cb(null, `${Date.now()}_${sanitizedName}`);
+    file.filename = `${Date.now()}_${sanitizedName}`;
+
+    // Garantir que o diretório do usuário existe no servidor
+    await SSHManager.createUserDirectory(serverId, userLogin);
+
+    return {
+      serverId,
+      remotePath: `/usr/local/WowzaStreamingEngine/content/${userLogin}/logos/${file.filename}`
+    };
   }
 });
 
@@ -94,41 +101,11 @@ router.post('/', authMiddleware, upload.single('logo'), async (req, res) => {
     const userLogin = req.user.email ? req.user.email.split('@')[0] : `user_${userId}`;
 
     if (!nome) {
+      await SSHManager.deleteFile(req.file.serverId, req.file.remotePath).catch(() => {});
       return res.status(400).json({ error: 'Nome da logo é obrigatório' });
     }
 
-    // Buscar servidor do usuário
-    const [serverRows] = await db.execute(
-      'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? LIMIT 1',
-      [userId]
-    );
-
-    const serverId = serverRows.length > 0 ? serverRows[0].codigo_servidor : 1;
-
-    try {
-      // Garantir que o diretório do usuário existe no servidor
-      await SSHManager.createUserDirectory(serverId, userLogin);
-      
-      // Caminho remoto no servidor Wowza
-      const remotePath = `/usr/local/WowzaStreamingEngine/content/${userLogin}/logos/${req.file.filename}`;
-      
-      // Upload do arquivo via SSH
-      await SSHManager.uploadFile(serverId, req.file.path, remotePath);
-      
-      // Remover arquivo temporário local
-      await fs.unlink(req.file.path);
-      
-      console.log(`✅ Logo ${nome} enviada para ${remotePath}`);
-      
-    } catch (uploadError) {
-      console.error('Erro no upload SSH da logo:', uploadError);
-      // Remover arquivo temporário em caso de erro
-      await fs.unlink(req.file.path).catch(() => {});
-      return res.status(500).json({ 
-        error: 'Erro ao enviar logo para o servidor',
-        details: uploadError.message 
-      });
-    }
+    console.log(`✅ Logo ${nome} enviada para ${req.file.remotePath}`);
 
     // Caminho relativo para salvar no banco
     const relativePath = `/logos/${req.file.filename}`;
@@ -149,9 +126,9 @@ router.post('/', authMiddleware, upload.single('logo'), async (req, res) => {
     });
   } catch (err) {
     console.error('Erro no upload da logo:', err);
-    // Remover arquivo temporário em caso de erro
-    if (req.file?.path) {
-      await fs.unlink(req.file.path).catch(() => {});
+    // Remover arquivo do servidor em caso de erro
+    if (req.file?.remotePath) {
+      await SSHManager.deleteFile(req.file.serverId, req.file.remotePath).catch(() => {});
     }
     res.status(500).json({ error: 'Erro no upload da logo', details: err.message });
   }
@@ -176,6 +153,18 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 
     const logo = logoRows[0];
 
+    // A logo aplicada às transmissões precisa ser desativada antes
+    const [overlayRows] = await db.execute(
+      `SELECT s.codigo FROM streamings s
+       JOIN transmission_settings ts ON ts.codigo = s.codigo_config_logo
+       WHERE s.codigo = ? AND ts.codigo_logo = ?`,
+      [userId, logoId]
+    );
+
+    if (overlayRows.length > 0) {
+      return res.status(409).json({ error: 'Logo em uso nas transmissões. Desative-a em /api/transmission-settings/logo antes de remover' });
+    }
+
     // Buscar servidor do usuário
     const [serverRows] = await db.execute(
       'SELECT codigo_servidor FROM streamings WHERE codigo_cliente = ? LIMIT 1',
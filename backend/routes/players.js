@@ -2,33 +2,127 @@ const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
 const path = require('path');
+const ViewerLimitManager = require('../config/ViewerLimitManager');
+const contentSignature = require('../config/contentSignature');
+const secureToken = require('../config/secureToken');
+const OverlayManager = require('../config/OverlayManager');
 
 const router = express.Router();
 
+// Intervalo de heartbeat do player e de nova tentativa na fila (segundos)
+const HEARTBEAT_INTERVAL = 20;
+const QUEUE_RETRY_INTERVAL = 15;
+
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function appendToken(url, token) {
+  if (!url || !token) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}pt=${token}`;
+}
+
+// Página exibida quando a conta atingiu o limite de espectadores simultâneos
+async function renderAudienceFull(req, res, ownerId, admission, title) {
+  const [accountRows] = await db.execute(
+    `SELECT identificacao, app_win_cor_menu_claro, app_win_cor_menu_escuro, app_win_cor_texto
+     FROM streamings WHERE codigo = ?`,
+    [ownerId]
+  );
+
+  const account = accountRows[0] || {};
+  const corClara = account.app_win_cor_menu_claro || '#7386d5';
+  const corEscura = account.app_win_cor_menu_escuro || '#6d7fcc';
+  const corTexto = account.app_win_cor_texto || '#FFFFFF';
+
+  const retryParams = new URLSearchParams({ ...req.query, ticket: admission.ticket });
+  const retryUrl = `${req.baseUrl}${req.path}?${retryParams.toString()}`;
+
+  res.status(503);
+  res.setHeader('Retry-After', String(QUEUE_RETRY_INTERVAL));
+  res.setHeader('Content-Type', 'text/html');
+  res.send(`
+<!DOCTYPE html>
+<html lang="pt-br">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Audiência completa - ${escapeHtml(title)}</title>
+    <style>
+        body {
+            margin: 0;
+            height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: linear-gradient(135deg, ${escapeHtml(corClara)}, ${escapeHtml(corEscura)});
+            color: ${escapeHtml(corTexto)};
+            font-family: Arial, sans-serif;
+            text-align: center;
+        }
+        .box { max-width: 420px; padding: 24px; }
+        h1 { font-size: 24px; margin: 0 0 8px; }
+        p { margin: 6px 0; opacity: 0.9; }
+        .posicao { font-size: 40px; font-weight: bold; margin: 16px 0 4px; }
+        .canal { font-size: 13px; opacity: 0.75; margin-top: 20px; }
+    </style>
+</head>
+<body>
+    <div class="box">
+        <h1>Audiência completa</h1>
+        <p>Todas as vagas para assistir a esta transmissão estão ocupadas no momento.</p>
+        <div class="posicao">${admission.position}º</div>
+        <p>sua posição na fila de espera</p>
+        <p>Tentando novamente em <span id="contador">${QUEUE_RETRY_INTERVAL}</span>s...</p>
+        <div class="canal">${escapeHtml(account.identificacao || title)}</div>
+    </div>
+    <script>
+        let restante = ${QUEUE_RETRY_INTERVAL};
+        setInterval(function() {
+            restante--;
+            if (restante <= 0) {
+                window.location.replace(${JSON.stringify(retryUrl)});
+                return;
+            }
+            document.getElementById('contador').textContent = restante;
+        }, 1000);
+    </script>
+</body>
+</html>`);
+}
+
 // GET /api/players/iframe - Player iFrame
 router.get('/iframe', async (req, res) => {
   try {
-    const { stream, playlist, video } = req.query;
+    const { stream, playlist, video, ticket } = req.query;
     
     let videoUrl = '';
     let title = 'Player';
     let isLive = false;
+    let ownerId = null;
     
     if (stream) {
-      // Stream ao vivo
-      videoUrl = `http://samhost.wcore.com.br:1935/samhost/${stream}/playlist.m3u8`;
+      // Stream ao vivo (com a logo quando ativa), servido pelo proxy /content para contar a audiência
+      ownerId = await ViewerLimitManager.resolveAccountFromStream(stream);
+      videoUrl = `/content/samhost/${await OverlayManager.getDeliveryStreamName(ownerId, stream)}/playlist.m3u8`;
       title = `Stream: ${stream}`;
       isLive = true;
     } else if (playlist) {
       // Playlist específica
       try {
         const [playlistRows] = await db.execute(
-          'SELECT nome FROM playlists WHERE id = ?',
+          'SELECT nome, codigo_stm FROM playlists WHERE id = ?',
           [playlist]
         );
         
         if (playlistRows.length > 0) {
           title = `Playlist: ${playlistRows[0].nome}`;
+          ownerId = playlistRows[0].codigo_stm;
           // Para playlist, usar o primeiro vídeo
           const [videoRows] = await db.execute(
             'SELECT path_video, video FROM playlists_videos WHERE codigo_playlist = ? ORDER BY ordem LIMIT 1',
@@ -54,12 +148,39 @@ router.get('/iframe', async (req, res) => {
         if (videoRows.length > 0) {
           videoUrl = `/content${videoRows[0].path_video}`;
           title = videoRows[0].video;
+          ownerId = await ViewerLimitManager.resolveAccountFromPath(videoRows[0].path_video);
         }
       } catch (error) {
         console.error('Erro ao carregar vídeo:', error);
       }
     }
 
+    // URL assinada para o proxy /content (com o token da conta nos streams protegidos por SecureToken),
+    // sujeita ao limite de espectadores da conta
+    videoUrl = isLive
+      ? await secureToken.signContentUrl(ownerId, videoUrl, { ip: req.ip, viewerLimit: true })
+      : contentSignature.signUrl(videoUrl, { ip: req.ip, viewerLimit: true });
+    const signatureExpiresAt = contentSignature.getExpiration(videoUrl);
+
+    // Reservar vaga de espectador da conta antes de entregar o player
+    let playbackToken = null;
+    if (ownerId && videoUrl) {
+      const admission = await ViewerLimitManager.admit({
+        userId: ownerId,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        origem: 'iframe',
+        ticket: ticket || null
+      });
+
+      if (!admission.allowed) {
+        return renderAudienceFull(req, res, ownerId, admission, title);
+      }
+
+      playbackToken = admission.token;
+      videoUrl = appendToken(videoUrl, playbackToken);
+    }
+
     // Gerar HTML do player
     const playerHTML = `
 <!DOCTYPE html>
@@ -150,6 +271,31 @@ router.get('/iframe', async (req, res) => {
         const video = document.getElementById('video');
         const videoUrl = '${videoUrl}';
         const isLive = ${isLive};
+        const playbackToken = ${JSON.stringify(playbackToken)};
+        const signatureExpiresAt = ${JSON.stringify(signatureExpiresAt)};
+        
+        // Recarregar o player pouco antes da URL assinada expirar
+        if (signatureExpiresAt) {
+            setInterval(function() {
+                if (Date.now() > signatureExpiresAt - 60000) window.location.reload();
+            }, 30000);
+        }
+        
+        // Manter a vaga de espectador enquanto o player estiver aberto
+        if (playbackToken) {
+            setInterval(function() {
+                fetch('/api/players/playback/heartbeat?pt=' + playbackToken, { method: 'POST' })
+                    .then(function(response) { return response.json(); })
+                    .then(function(data) {
+                        if (!data.ativo) window.location.reload();
+                    })
+                    .catch(function() {});
+            }, ${HEARTBEAT_INTERVAL * 1000});
+            
+            window.addEventListener('pagehide', function() {
+                navigator.sendBeacon('/api/players/playback/release?pt=' + playbackToken);
+            });
+        }
         
         if (!videoUrl) {
             document.querySelector('.player-container').innerHTML = 
@@ -165,7 +311,13 @@ router.get('/iframe', async (req, res) => {
                     lowLatencyMode: isLive,
                     backBufferLength: isLive ? 10 : 30,
                     maxBufferLength: isLive ? 20 : 60,
-                    debug: false
+                    debug: false,
+                    xhrSetup: function(xhr, url) {
+                        // Repassar o token de reprodução nas playlists e segmentos
+                        if (playbackToken && url.indexOf('pt=') === -1) {
+                            xhr.open('GET', url + (url.indexOf('?') === -1 ? '?' : '&') + 'pt=' + playbackToken, true);
+                        }
+                    }
                 });
                 
                 hls.loadSource(videoUrl);
@@ -234,6 +386,58 @@ router.get('/iframe', async (req, res) => {
   }
 });
 
+// POST /api/players/playback/heartbeat - Mantém a sessão de reprodução ativa
+router.post('/playback/heartbeat', (req, res) => {
+  const token = req.query.pt || (req.body && req.body.pt);
+  res.json({ success: true, ativo: token ? ViewerLimitManager.touch(token) : false });
+});
+
+// POST /api/players/playback/release - Libera a vaga ao fechar o player
+router.post('/playback/release', (req, res) => {
+  const token = req.query.pt || (req.body && req.body.pt);
+  if (token) {
+    ViewerLimitManager.release(token);
+  }
+  res.json({ success: true });
+});
+
+// GET /api/players/dominios - Domínios autorizados a exibir o conteúdo da conta
+router.get('/dominios', authMiddleware, async (req, res) => {
+  try {
+    const [rows] = await db.execute(
+      'SELECT dominios_permitidos FROM streamings WHERE codigo = ?',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      dominios: contentSignature.parseDomains(rows.length > 0 ? rows[0].dominios_permitidos : '')
+    });
+  } catch (error) {
+    console.error('Erro ao buscar domínios permitidos:', error);
+    res.status(500).json({ success: false, error: 'Erro ao buscar domínios permitidos' });
+  }
+});
+
+// PUT /api/players/dominios - Atualizar domínios autorizados (lista vazia libera todos)
+router.put('/dominios', authMiddleware, async (req, res) => {
+  try {
+    const { dominios } = req.body;
+    const lista = contentSignature.parseDomains(Array.isArray(dominios) ? dominios.join('\n') : dominios);
+
+    await db.execute(
+      'UPDATE streamings SET dominios_permitidos = ? WHERE codigo = ?',
+      [lista.join('\n'), req.user.id]
+    );
+    contentSignature.clearDomainsCache(req.user.id);
+
+    res.json({ success: true, dominios: lista });
+  } catch (error) {
+    console.error('Erro ao salvar domínios permitidos:', error);
+    res.status(500).json({ success: false, error: 'Erro ao salvar domínios permitidos' });
+  }
+});
+
 // GET /api/players/social - Player para redes sociais
 router.get('/social', async (req, res) => {
   try {
@@ -243,7 +447,15 @@ router.get('/social', async (req, res) => {
       return res.status(400).send('Stream parameter required');
     }
     
-    const videoUrl = `http://samhost.wcore.com.br:1935/samhost/${stream}/playlist.m3u8`;
+    const ownerId = await ViewerLimitManager.resolveAccountFromStream(stream);
+    const deliveryStream = await OverlayManager.getDeliveryStreamName(ownerId, stream);
+    const liveUrl = await secureToken.signUrlForAccount(
+      ownerId,
+      `http://samhost.wcore.com.br:1935/samhost/${deliveryStream}/playlist.m3u8`,
+      { viewerLimit: true }
+    );
+    // O link aponta para o proxy /content deste backend
+    const videoUrl = liveUrl.startsWith('/') ? `${req.protocol}://${req.get('host')}${liveUrl}` : liveUrl;
     
     const socialHTML = `
 <!DOCTYPE html>
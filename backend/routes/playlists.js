@@ -1,6 +1,7 @@
 const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
+const contentSignature = require('../config/contentSignature');
 
 const router = express.Router();
 
@@ -84,7 +85,7 @@ router.get('/:id/videos', authMiddleware, async (req, res) => {
       videos: {
         id: video.id,
         nome: video.nome,
-        url: video.url ? video.url : null,
+        url: video.url ? contentSignature.signUrl(video.url, { ip: req.ip }) : null,
         duracao: video.duracao
       }
     }));
@@ -1,40 +1,53 @@
 const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
+const RelayManager = require('../config/RelayManager');
+const RelayScheduler = require('../config/RelayScheduler');
+const secureToken = require('../config/secureToken');
 
 const router = express.Router();
 
+// Status do relay com a URL HLS de saída assinada para o proxy /content
+async function signRelayStatus(userId, status) {
+  return { ...status, output_hls: await secureToken.signUrlForAccount(userId, status.output_hls) };
+}
+
 // GET /api/relay/status - Verifica status do relay
 router.get('/status', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
+    const status = RelayManager.getStatus(userId);
 
-    const [rows] = await db.execute(
-      `SELECT 
-        s.codigo as id,
-        s.relay_status,
-        s.relay_url,
-        'rtmp' as relay_type,
-        s.relay_url as relay_error_details,
-        NOW() as relay_started_at,
-        CASE WHEN s.relay_status = 'ativo' THEN 1 ELSE 0 END as is_live,
-        FLOOR(RAND() * 50) + 5 as viewers,
-        2500 + FLOOR(RAND() * 500) as bitrate,
-        '01:23:45' as uptime
-       FROM streamings s
-       WHERE s.codigo_cliente = ?
-       LIMIT 1`,
-      [userId]
-    );
+    if (!status) {
+      // Último relay encerrado, para exibir o motivo em caso de falha
+      const [logRows] = await db.execute(
+        `SELECT servidor_relay, tipo, status, erro, data, data_fim
+         FROM relay_agendamentos_logs
+         WHERE codigo_stm = ?
+         ORDER BY codigo DESC
+         LIMIT 1`,
+        [userId]
+      );
+
+      const lastLog = logRows[0];
 
-    if (rows.length === 0) {
       return res.json({
-        relay_status: 'inativo',
-        is_live: false
+        relay_status: lastLog && lastLog.status === 'erro' ? 'erro' : 'inativo',
+        state: 'stopped',
+        is_live: false,
+        relay_url: lastLog ? lastLog.servidor_relay : '',
+        relay_type: lastLog ? lastLog.tipo : null,
+        relay_error_details: lastLog ? lastLog.erro : null,
+        last_started_at: lastLog ? lastLog.data : null,
+        last_stopped_at: lastLog ? lastLog.data_fim : null
       });
     }
 
-    res.json(rows[0]);
+    res.json({
+      id: userId,
+      relay_status: 'ativo',
+      ...(await signRelayStatus(userId, status))
+    });
   } catch (error) {
     console.error('Erro ao verificar status do relay:', error);
     res.status(500).json({ success: false, error: 'Erro interno do servidor' });
@@ -44,30 +57,27 @@ router.get('/status', authMiddleware, async (req, res) => {
 // POST /api/relay/validate-url - Valida URL do relay
 router.post('/validate-url', authMiddleware, async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, relay_type } = req.body;
 
     if (!url) {
       return res.json({ valid: false, message: 'URL é obrigatória' });
     }
 
-    // Validação básica de formato
-    const rtmpRegex = /^rtmp:\/\/.+/;
-    const m3u8Regex = /^https?:\/\/.+\.m3u8$/;
+    const tipo = RelayManager.detectSourceType(url, relay_type);
 
-    if (!rtmpRegex.test(url) && !m3u8Regex.test(url)) {
-      return res.json({ 
-        valid: false, 
-        message: 'URL deve ser RTMP (rtmp://) ou M3U8 (https://...m3u8)' 
+    if (!tipo) {
+      return res.json({
+        valid: false,
+        message: 'URL deve ser RTMP (rtmp://), SRT (srt://) ou M3U8 (https://...m3u8)'
       });
     }
 
-    // Simular validação de conectividade
-    // Em produção, você faria uma verificação real da URL
-    const isValid = Math.random() > 0.2; // 80% de chance de ser válida
+    const probe = await RelayManager.probeSource(url, tipo);
 
     res.json({
-      valid: isValid,
-      message: isValid ? 'URL válida e acessível' : 'URL parece estar offline'
+      valid: probe.online,
+      relay_type: tipo,
+      message: probe.message
     });
 
   } catch (error) {
@@ -79,7 +89,7 @@ router.post('/validate-url', authMiddleware, async (req, res) => {
 // POST /api/relay/start - Inicia relay
 router.post('/start', authMiddleware, async (req, res) => {
   try {
-    const { relay_url, relay_type, server_id } = req.body;
+    const { relay_url, relay_type } = req.body;
     const userId = req.user.id;
 
     if (!relay_url) {
@@ -89,33 +99,35 @@ router.post('/start', authMiddleware, async (req, res) => {
       });
     }
 
-    // Atualizar configuração do relay no streaming
-    await db.execute(
-      `UPDATE streamings SET 
-       relay_status = 'ativo',
-       relay_url = ?
-       WHERE codigo_cliente = ?`,
-      [relay_url, userId]
-    );
+    const tipo = RelayManager.detectSourceType(relay_url, relay_type);
 
-    // Log do agendamento
-    await db.execute(
-      `INSERT INTO relay_agendamentos_logs (
-        codigo_agendamento, codigo_stm, data, servidor_relay
-      ) VALUES (0, ?, NOW(), ?)`,
-      [userId, relay_url]
-    );
+    if (!tipo) {
+      return res.status(400).json({
+        success: false,
+        error: 'URL deve ser RTMP (rtmp://), SRT (srt://) ou M3U8 (https://...m3u8)'
+      });
+    }
+
+    const status = await RelayManager.startRelay({
+      userId,
+      url: relay_url,
+      tipo
+    });
 
     res.json({
       success: true,
-      message: 'Relay ativado com sucesso',
-      relay_url,
-      relay_type: relay_type || 'rtmp'
+      message: 'Relay ativado, conectando na origem',
+      relay_status: 'ativo',
+      ...(await signRelayStatus(userId, status))
     });
 
   } catch (error) {
     console.error('Erro ao iniciar relay:', error);
-    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao iniciar relay',
+      details: error.message
+    });
   }
 });
 
@@ -124,14 +136,7 @@ router.post('/stop', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Desativar relay
-    await db.execute(
-      `UPDATE streamings SET 
-       relay_status = 'nao',
-       relay_url = ''
-       WHERE codigo_cliente = ?`,
-      [userId]
-    );
+    await RelayManager.stopRelay(userId);
 
     res.json({
       success: true,
@@ -144,4 +149,242 @@ router.post('/stop', authMiddleware, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+const frequenciaMap = {
+  'diariamente': 1,
+  'dias_da_semana': 2,
+  'uma_vez': 3
+};
+
+const frequenciaPorCodigo = {
+  1: 'diariamente',
+  2: 'dias_da_semana',
+  3: 'uma_vez'
+};
+
+// Converter dados enviados pelo painel para as colunas de relay_agendamentos
+function parseRelayAgendamento(body) {
+  const { relay_url, relay_type, frequencia, data, hora_inicio, hora_fim, dias_semana } = body;
+
+  if (!relay_url || !data || !hora_inicio || !hora_fim) {
+    return { error: 'URL, data, horário de início e horário de término são obrigatórios' };
+  }
+
+  const tipo = RelayManager.detectSourceType(relay_url, relay_type);
+  if (!tipo) {
+    return { error: 'URL deve ser RTMP (rtmp://), SRT (srt://) ou M3U8 (https://...m3u8)' };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(data)) {
+    return { error: 'Data inválida' };
+  }
+
+  const horaRegex = /^([01]\d|2[0-3]):([0-5]\d)$/;
+  const inicio = horaRegex.exec(hora_inicio);
+  const fim = horaRegex.exec(hora_fim);
+
+  if (!inicio || !fim) {
+    return { error: 'Horários devem estar no formato HH:MM' };
+  }
+
+  // Término antes do início indica que o relay atravessa a meia-noite
+  const minutosInicio = parseInt(inicio[1]) * 60 + parseInt(inicio[2]);
+  let duracaoMinutos = parseInt(fim[1]) * 60 + parseInt(fim[2]) - minutosInicio;
+  if (duracaoMinutos <= 0) duracaoMinutos += 24 * 60;
+
+  const frequenciaValue = frequenciaMap[frequencia] || 3;
+  const dias = Array.isArray(dias_semana) ? dias_semana.map(d => parseInt(d)).filter(d => d >= 0 && d <= 6) : [];
+
+  if (frequenciaValue === 2 && dias.length === 0) {
+    return { error: 'Selecione ao menos um dia da semana' };
+  }
+
+  return {
+    agendamento: {
+      servidor_relay: relay_url,
+      tipo,
+      frequencia: frequenciaValue,
+      data,
+      hora: inicio[1],
+      minuto: inicio[2],
+      dias: dias.join(','),
+      duracao: `${String(Math.floor(duracaoMinutos / 60)).padStart(2, '0')}:${String(duracaoMinutos % 60).padStart(2, '0')}`
+    }
+  };
+}
+
+function formatRelayAgendamento(row) {
+  const [horas, minutos] = row.duracao.split(':').map(value => parseInt(value) || 0);
+  const fimMinutos = (parseInt(row.hora) * 60 + parseInt(row.minuto) + horas * 60 + minutos) % (24 * 60);
+
+  return {
+    id: row.codigo,
+    relay_url: row.servidor_relay,
+    relay_type: row.tipo,
+    frequencia: frequenciaPorCodigo[row.frequencia] || 'uma_vez',
+    data: row.data_inicio,
+    hora_inicio: `${row.hora}:${row.minuto}`,
+    hora_fim: `${String(Math.floor(fimMinutos / 60)).padStart(2, '0')}:${String(fimMinutos % 60).padStart(2, '0')}`,
+    duracao: row.duracao,
+    dias_semana: row.dias ? row.dias.split(',').map(d => parseInt(d)) : [],
+    status: RelayScheduler.getStatusLabel(row.status),
+    ultima_execucao: row.log_data_inicio,
+    timezone: row.timezone
+  };
+}
+
+// GET /api/relay/agendamentos - Lista relays agendados
+router.get('/agendamentos', authMiddleware, async (req, res) => {
+  try {
+    const agendamentos = await RelayScheduler.loadAgendamentos(req.user.id);
+
+    agendamentos.sort((a, b) =>
+      `${a.data_inicio} ${a.hora}:${a.minuto}`.localeCompare(`${b.data_inicio} ${b.hora}:${b.minuto}`)
+    );
+
+    res.json({ success: true, agendamentos: agendamentos.map(formatRelayAgendamento) });
+  } catch (error) {
+    console.error('Erro ao listar agendamentos de relay:', error);
+    res.status(500).json({ success: false, error: 'Erro ao listar agendamentos de relay', details: error.message });
+  }
+});
+
+// GET /api/relay/agendamentos/historico - Histórico de execuções de relay
+router.get('/agendamentos/historico', authMiddleware, async (req, res) => {
+  try {
+    const limite = Math.min(parseInt(req.query.limite) || 50, 200);
+
+    const [rows] = await db.execute(
+      `SELECT codigo as id, codigo_agendamento, servidor_relay as relay_url, tipo as relay_type,
+              status, erro, reconexoes, data as data_inicio, data_fim
+       FROM relay_agendamentos_logs
+       WHERE codigo_stm = ?
+       ORDER BY codigo DESC
+       LIMIT ${limite}`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      historico: rows.map(row => ({
+        ...row,
+        origem: row.codigo_agendamento ? 'agendado' : 'manual'
+      }))
+    });
+  } catch (error) {
+    console.error('Erro ao buscar histórico de relays:', error);
+    res.status(500).json({ success: false, error: 'Erro ao buscar histórico de relays', details: error.message });
+  }
+});
+
+// POST /api/relay/agendamentos - Agenda relay
+router.post('/agendamentos', authMiddleware, async (req, res) => {
+  try {
+    const { agendamento, error } = parseRelayAgendamento(req.body);
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const [result] = await db.execute(
+      `INSERT INTO relay_agendamentos (
+        codigo_stm, servidor_relay, tipo, frequencia, data, hora, minuto, dias, status, duracao
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?)`,
+      [
+        req.user.id,
+        agendamento.servidor_relay,
+        agendamento.tipo,
+        agendamento.frequencia,
+        agendamento.data,
+        agendamento.hora,
+        agendamento.minuto,
+        agendamento.dias,
+        agendamento.duracao
+      ]
+    );
+
+    res.status(201).json({ success: true, id: result.insertId, message: 'Relay agendado com sucesso' });
+  } catch (error) {
+    console.error('Erro ao agendar relay:', error);
+    res.status(500).json({ success: false, error: 'Erro ao agendar relay', details: error.message });
+  }
+});
+
+// PUT /api/relay/agendamentos/:id - Atualiza relay agendado
+router.put('/agendamentos/:id', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { agendamento, error } = parseRelayAgendamento(req.body);
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const [rows] = await db.execute(
+      'SELECT codigo, status FROM relay_agendamentos WHERE codigo = ? AND codigo_stm = ?',
+      [req.params.id, userId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Agendamento não encontrado' });
+    }
+
+    // Nova configuração volta a aguardar o próximo horário; uma execução em andamento segue até o fim
+    const status = parseInt(rows[0].status) === 1 ? 1 : 0;
+
+    await db.execute(
+      `UPDATE relay_agendamentos SET
+        servidor_relay = ?, tipo = ?, frequencia = ?, data = ?, hora = ?, minuto = ?, dias = ?, duracao = ?, status = ?
+       WHERE codigo = ? AND codigo_stm = ?`,
+      [
+        agendamento.servidor_relay,
+        agendamento.tipo,
+        agendamento.frequencia,
+        agendamento.data,
+        agendamento.hora,
+        agendamento.minuto,
+        agendamento.dias,
+        agendamento.duracao,
+        status,
+        req.params.id,
+        userId
+      ]
+    );
+
+    res.json({ success: true, message: 'Agendamento de relay atualizado' });
+  } catch (error) {
+    console.error('Erro ao atualizar agendamento de relay:', error);
+    res.status(500).json({ success: false, error: 'Erro ao atualizar agendamento de relay', details: error.message });
+  }
+});
+
+// DELETE /api/relay/agendamentos/:id - Remove relay agendado
+router.delete('/agendamentos/:id', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const agendamentoId = parseInt(req.params.id);
+
+    const [rows] = await db.execute(
+      'SELECT codigo FROM relay_agendamentos WHERE codigo = ? AND codigo_stm = ?',
+      [agendamentoId, userId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Agendamento não encontrado' });
+    }
+
+    // Encerrar o relay se estiver em execução por este agendamento
+    const status = RelayManager.getStatus(userId);
+    if (status && status.codigo_agendamento === agendamentoId) {
+      await RelayManager.stopRelay(userId, 'Agendamento removido');
+    }
+
+    await db.execute('DELETE FROM relay_agendamentos WHERE codigo = ? AND codigo_stm = ?', [agendamentoId, userId]);
+
+    res.json({ success: true, message: 'Agendamento de relay removido' });
+  } catch (error) {
+    console.error('Erro ao remover agendamento de relay:', error);
+    res.status(500).json({ success: false, error: 'Erro ao remover agendamento de relay', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,13 @@ const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
 const WowzaStreamingService = require('../config/WowzaStreamingService');
 const SSHManager = require('../config/SSHManager');
+const secureToken = require('../config/secureToken');
+const TranscoderManager = require('../config/TranscoderManager');
+const RecordingManager = require('../config/RecordingManager');
+const ClipJobManager = require('../config/ClipJobManager');
+const OverlayManager = require('../config/OverlayManager');
+const transmissionPreset = require('../config/transmissionPreset');
+const PlayoutManager = require('../config/PlayoutManager');
 
 const router = express.Router();
 
@@ -42,7 +49,7 @@ router.get('/obs-config', authMiddleware, async (req, res) => {
         obs_config: {
           rtmp_url: `rtmp://samhost.wcore.com.br:1935/samhost`,
           stream_key: `${userLogin}_live`,
-          hls_url: `http://samhost.wcore.com.br:1935/samhost/${userLogin}_live/playlist.m3u8`,
+          hls_url: await secureToken.signUrlForAccount(userId, `http://samhost.wcore.com.br:1935/samhost/${userLogin}_live/playlist.m3u8`),
           max_bitrate: userConfig.bitrate || 2500,
           max_viewers: userConfig.espectadores || 100,
           recording_enabled: userConfig.status_gravando === 'sim',
@@ -79,12 +86,30 @@ router.get('/obs-config', authMiddleware, async (req, res) => {
     // Verificar limites do usuário
     const limitsCheck = await wowzaService.checkUserLimits(userConfig);
 
+    // URL adaptativa (SMIL) quando a transcodificação está ativa
+    const abrUrl = userConfig.transcoder === 'sim'
+      ? await TranscoderManager.getSignedAbrUrl(userId, wowzaService.wowzaHost, userLogin)
+      : null;
+
+    // Sem ABR, a logo é aplicada em um stream separado gerado pelo transcoder
+    const overlay = await OverlayManager.getAccountOverlay(userId, userLogin);
+    const overlayUrl = overlay && userConfig.transcoder !== 'sim'
+      ? await secureToken.signUrlForAccount(
+        userId,
+        `http://${wowzaService.wowzaHost}:1935/samhost/${OverlayManager.getOverlayStreamName(`${userLogin}_live`)}/playlist.m3u8`
+      )
+      : null;
+
     res.json({
       success: true,
       obs_config: {
         rtmp_url: obsResult.data.rtmpUrl,
         stream_key: obsResult.data.streamKey,
         hls_url: obsResult.data.hlsUrl,
+        abr_url: abrUrl,
+        logo_ativa: !!overlay,
+        logo_url: overlayUrl,
+        transcoder_qualidades: userConfig.transcoder === 'sim' ? TranscoderManager.parseQualidades(userConfig.transcoder_qualidades) : [],
         max_bitrate: userConfig.bitrate,
         max_viewers: userConfig.espectadores,
         recording_enabled: userConfig.status_gravando === 'sim',
@@ -200,26 +225,20 @@ router.get('/recordings', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
     const userLogin = req.user.email.split('@')[0];
-    
-    // Inicializar serviço Wowza
-    const wowzaService = new WowzaStreamingService();
-    const initialized = await wowzaService.initializeFromDatabase(userId);
-    
-    if (!initialized) {
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Erro ao conectar com servidor de streaming' 
-      });
-    }
 
-    // Listar gravações
-    const recordingsResult = await wowzaService.listRecordings(userLogin);
+    // Listagem com metadados (ffprobe); gerenciamento completo em /api/gravacoes
+    const recordings = await RecordingManager.listRecordings(userId, userLogin, req.ip);
 
     res.json({
-      success: recordingsResult.success,
-      recordings: recordingsResult.recordings || [],
-      path: recordingsResult.path,
-      error: recordingsResult.error
+      success: true,
+      recordings: recordings.map(recording => ({
+        ...recording,
+        filename: recording.nome,
+        size: recording.tamanho,
+        duration: recording.duracao,
+        created: recording.data_gravacao
+      })),
+      path: RecordingManager.getRecordingsDir(userLogin) + '/'
     });
   } catch (error) {
     console.error('Erro ao listar gravações:', error);
@@ -227,6 +246,71 @@ router.get('/recordings', authMiddleware, async (req, res) => {
   }
 });
 
+// --- ROTA POST /recordings/:id/clip - Cortar trechos de uma gravação para uma pasta ---
+router.post('/recordings/:id/clip', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+    const { folder_id, nome, inicio, fim, trechos, preciso } = req.body;
+
+    if (!folder_id) {
+      return res.status(400).json({ success: false, error: 'Pasta de destino é obrigatória' });
+    }
+
+    // Um trecho via inicio/fim ou vários trechos concatenados na ordem informada
+    const ranges = Array.isArray(trechos) ? trechos : [{ inicio, fim }];
+
+    const result = await ClipJobManager.createJob({
+      userId,
+      userLogin,
+      recordingId: req.params.id,
+      folderId: folder_id,
+      nome,
+      ranges,
+      preciso: preciso === true
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Corte adicionado à fila de processamento',
+      job: result.job
+    });
+  } catch (error) {
+    console.error('Erro ao criar corte de gravação:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// --- ROTA GET /clips - Listar cortes de gravações ---
+router.get('/clips', authMiddleware, async (req, res) => {
+  try {
+    const jobs = await ClipJobManager.listJobs(req.user.id);
+    res.json({ success: true, jobs });
+  } catch (error) {
+    console.error('Erro ao listar cortes:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// --- ROTA GET /clips/:id - Status e progresso de um corte ---
+router.get('/clips/:id', authMiddleware, async (req, res) => {
+  try {
+    const job = await ClipJobManager.getJob(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Corte não encontrado' });
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Erro ao buscar corte:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
 // --- ROTA GET /status ---
 router.get('/status', authMiddleware, async (req, res) => {
   try {
@@ -255,7 +339,8 @@ router.get('/status', authMiddleware, async (req, res) => {
         t.status,
         t.data_inicio,
         t.codigo_playlist,
-        t.wowza_stream_id
+        t.wowza_stream_id,
+        t.settings
        FROM transmissoes t
        WHERE t.codigo_stm = ? AND t.status = 'ativa'
        ORDER BY t.data_inicio DESC
@@ -296,9 +381,17 @@ router.get('/status', authMiddleware, async (req, res) => {
       });
     }
 
-    const transmission = transmissionRows[0];
+    const { settings: transmissionSettings, ...transmission } = transmissionRows[0];
     const stats = await wowzaService.getStreamStats(transmission.wowza_stream_id);
 
+    // Configuração efetiva gravada no início da transmissão
+    let configuracao = null;
+    try {
+      configuracao = JSON.parse(transmissionSettings || '{}').configuracao || null;
+    } catch (parseError) {
+      configuracao = null;
+    }
+
     const [platformRows] = await db.execute(
       `SELECT 
         tp.status,
@@ -318,6 +411,9 @@ router.get('/status', authMiddleware, async (req, res) => {
       stream_type: 'playlist',
       transmission: {
         ...transmission,
+        configuracao,
+        // Vídeo no ar e próximo da agenda do Stream Publisher
+        playout: await PlayoutManager.getNowPlaying(transmission.wowza_stream_id),
         stats: {
           viewers: stats.viewers,
           bitrate: stats.bitrate,
@@ -345,18 +441,32 @@ router.get('/status', authMiddleware, async (req, res) => {
 router.post('/start', authMiddleware, async (req, res) => {
   try {
     const {
-      titulo,
       descricao,
       playlist_id,
       platform_ids = [],
       settings = {},
+      settings_id = null,
       bitrate_override = null,
-      enable_recording = false
+      enable_recording = false,
+      logo_id,
+      logo_position,
+      logo_opacity
     } = req.body;
 
     const userId = req.user.id;
     const userLogin = req.user.email.split('@')[0];
 
+    // Configuração de transmissão salva (preset) aplicada a esta transmissão
+    let preset = null;
+    if (settings_id) {
+      preset = await transmissionPreset.getPreset(settings_id, userId);
+      if (!preset) {
+        return res.status(404).json({ success: false, error: 'Configuração de transmissão não encontrada' });
+      }
+    }
+
+    const titulo = req.body.titulo || (preset && preset.titulo_padrao);
+
     if (!titulo || !playlist_id) {
       return res.status(400).json({ success: false, error: 'Título e playlist são obrigatórios' });
     }
@@ -414,19 +524,20 @@ router.post('/start', authMiddleware, async (req, res) => {
       });
     }
 
-    // Verificar limites do usuário
-    const requestedBitrate = bitrate_override || userConfig.bitrate;
-    const limitsCheck = await wowzaService.checkUserLimits(userConfig, requestedBitrate);
-    
-    if (!limitsCheck.success) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Erro ao verificar limites do usuário' 
-      });
+    // Configuração efetiva (preset + valores da requisição) dentro dos limites do plano
+    const resolved = await transmissionPreset.resolvePreset(wowzaService, userConfig, preset, {
+      bitrate: bitrate_override,
+      titulo,
+      descricao,
+      embaralhar_videos: settings.embaralhar_videos
+    });
+
+    if (resolved.error) {
+      return res.status(400).json({ success: false, error: resolved.error });
     }
 
-    // Aplicar bitrate permitido
-    const allowedBitrate = limitsCheck.limits.bitrate.allowed;
+    const configuracao = resolved.config;
+    const allowedBitrate = configuracao.bitrate;
 
     // Buscar plataformas do usuário selecionadas
     let platforms = [];
@@ -442,6 +553,25 @@ router.post('/start', authMiddleware, async (req, res) => {
       platforms = platformRows;
     }
 
+    // Logo escolhida na transmissão; sem o campo, vale a do preset e depois a da conta
+    let overlay = await transmissionPreset.resolveOverlay(preset, userId, userLogin);
+    if (logo_id !== undefined) {
+      overlay = null;
+      if (logo_id) {
+        const logo = await OverlayManager.getLogo(logo_id, userId);
+        const logoError = OverlayManager.validateLogo(logo);
+        if (logoError) {
+          return res.status(400).json({ success: false, error: logoError });
+        }
+
+        overlay = OverlayManager.normalize({
+          ...settings,
+          logo_posicao: logo_position,
+          logo_opacidade: logo_opacity
+        }, logo, userLogin);
+      }
+    }
+
     // Gerar streamId único
     const streamId = `stream_${userId}_${Date.now()}`;
 
@@ -456,7 +586,10 @@ router.post('/start', authMiddleware, async (req, res) => {
         gravar_stream: enable_recording ? 'sim' : userConfig.status_gravando
       },
       playlistId: playlist_id,
-      videos: playlistVideos,
+      titulo,
+      overlay,
+      configuracao,
+      videos: transmissionPreset.applyPlayout(playlistVideos, configuracao),
       platforms: platforms.map(p => ({
         platform: { codigo: p.codigo, nome: p.nome, rtmp_base_url: p.rtmp_base_url },
         rtmp_url: p.rtmp_url,
@@ -474,7 +607,7 @@ router.post('/start', authMiddleware, async (req, res) => {
         codigo_stm, titulo, descricao, codigo_playlist, 
         wowza_stream_id, status, data_inicio, settings, bitrate_usado
       ) VALUES (?, ?, ?, ?, ?, 'ativa', NOW(), ?, ?)`,
-      [userId, titulo, descricao || '', playlist_id, streamId, JSON.stringify(settings), allowedBitrate]
+      [userId, titulo, configuracao.descricao, playlist_id, streamId, JSON.stringify({ ...settings, configuracao }), allowedBitrate]
     );
 
     const transmissionId = transmissionResult.insertId;
@@ -495,11 +628,12 @@ router.post('/start', authMiddleware, async (req, res) => {
         id: transmissionId,
         titulo,
         wowza_stream_id: streamId,
-        bitrate_usado: allowedBitrate
+        bitrate_usado: allowedBitrate,
+        configuracao
       },
       wowza_data: wowzaResult.data,
-      user_limits: limitsCheck.limits,
-      warnings: limitsCheck.warnings
+      user_limits: resolved.limits,
+      warnings: resolved.warnings
     });
   } catch (error) {
     console.error('Erro ao iniciar transmissão:', error);
@@ -561,6 +695,115 @@ router.post('/stop', authMiddleware, async (req, res) => {
   }
 });
 
+// Vídeo da biblioteca do usuário para o playout (avulso ou vinheta)
+async function getLibraryVideo(videoId, userLogin) {
+  const [rows] = await db.execute(
+    `SELECT codigo, video as nome, path_video, duracao_segundos
+     FROM playlists_videos
+     WHERE codigo = ? AND path_video LIKE ?
+     LIMIT 1`,
+    [videoId, `%/${userLogin}/%`]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Executar uma ação de controle sobre o playout da transmissão de playlist ativa.
+ * A ação recebe (wowzaService, streamId) e retorna o resultado do PlayoutManager.
+ */
+async function controlPlayout(req, res, action) {
+  try {
+    const userId = req.user.id;
+
+    const [transmissionRows] = await db.execute(
+      `SELECT codigo, wowza_stream_id FROM transmissoes
+       WHERE codigo_stm = ? AND status = 'ativa'
+       ORDER BY data_inicio DESC
+       LIMIT 1`,
+      [userId]
+    );
+
+    if (transmissionRows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Nenhuma transmissão de playlist ativa' });
+    }
+
+    const wowzaService = new WowzaStreamingService();
+    const initialized = await wowzaService.initializeFromDatabase(userId);
+
+    if (!initialized) {
+      return res.status(500).json({ success: false, error: 'Erro ao conectar com servidor de streaming' });
+    }
+
+    const result = await action(wowzaService, transmissionRows[0].wowza_stream_id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, playout: result.playout });
+  } catch (error) {
+    console.error('Erro no controle do playout:', error);
+    res.status(500).json({ success: false, error: 'Erro ao atualizar a agenda do playout' });
+  }
+}
+
+// --- ROTA POST /playout/skip - Pular para o próximo vídeo ---
+router.post('/playout/skip', authMiddleware, (req, res) =>
+  controlPlayout(req, res, (wowzaService, streamId) => PlayoutManager.skip(wowzaService, streamId))
+);
+
+// --- ROTA POST /playout/jump - Ir para o vídeo N da playlist ---
+router.post('/playout/jump', authMiddleware, (req, res) => {
+  const posicao = parseInt(req.body.posicao);
+
+  if (Number.isNaN(posicao)) {
+    return res.status(400).json({ success: false, error: 'posicao é obrigatória' });
+  }
+
+  return controlPlayout(req, res, (wowzaService, streamId) => PlayoutManager.jump(wowzaService, streamId, posicao));
+});
+
+// --- ROTA POST /playout/insert - Exibir um vídeo da biblioteca logo após o atual ---
+router.post('/playout/insert', authMiddleware, async (req, res) => {
+  const { video_id } = req.body;
+
+  if (!video_id) {
+    return res.status(400).json({ success: false, error: 'video_id é obrigatório' });
+  }
+
+  const userLogin = req.user.email.split('@')[0];
+  const video = await getLibraryVideo(video_id, userLogin).catch(() => null);
+
+  if (!video) {
+    return res.status(404).json({ success: false, error: 'Vídeo não encontrado' });
+  }
+
+  return controlPlayout(req, res, (wowzaService, streamId) => PlayoutManager.insertNext(wowzaService, streamId, video));
+});
+
+// --- ROTA POST /playout/pause - Colocar uma vinheta no ar em loop ---
+router.post('/playout/pause', authMiddleware, async (req, res) => {
+  const { video_id } = req.body;
+
+  if (!video_id) {
+    return res.status(400).json({ success: false, error: 'Escolha o vídeo da vinheta (video_id)' });
+  }
+
+  const userLogin = req.user.email.split('@')[0];
+  const vinheta = await getLibraryVideo(video_id, userLogin).catch(() => null);
+
+  if (!vinheta) {
+    return res.status(404).json({ success: false, error: 'Vídeo da vinheta não encontrado' });
+  }
+
+  return controlPlayout(req, res, (wowzaService, streamId) => PlayoutManager.pause(wowzaService, streamId, vinheta));
+});
+
+// --- ROTA POST /playout/resume - Retomar a playlist de onde foi pausada ---
+router.post('/playout/resume', authMiddleware, (req, res) =>
+  controlPlayout(req, res, (wowzaService, streamId) => PlayoutManager.resume(wowzaService, streamId))
+);
+
 // --- ROTA GET /platforms ---
 router.get('/platforms', authMiddleware, async (req, res) => {
   try {
@@ -694,4 +937,197 @@ router.delete('/user-platforms/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// --- ROTA GET /transcoder - Configuração de transcodificação ABR da conta ---
+router.get('/transcoder', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+
+    const [rows] = await db.execute(
+      'SELECT transcoder, transcoder_qualidades, bitrate FROM streamings WHERE codigo = ?',
+      [userId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Configurações do usuário não encontradas' });
+    }
+
+    const config = rows[0];
+    const planBitrate = parseInt(config.bitrate) || 2500;
+    const ativo = config.transcoder === 'sim';
+
+    let abrUrl = null;
+    if (ativo) {
+      const wowzaService = new WowzaStreamingService();
+      if (await wowzaService.initializeFromDatabase(userId)) {
+        abrUrl = await TranscoderManager.getSignedAbrUrl(userId, wowzaService.wowzaHost, userLogin);
+      }
+    }
+
+    res.json({
+      success: true,
+      transcoder: {
+        ativo,
+        qualidades: TranscoderManager.parseQualidades(config.transcoder_qualidades),
+        disponiveis: TranscoderManager.listRenditions(planBitrate),
+        bitrate_plano: planBitrate,
+        abr_url: abrUrl
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao buscar configuração de transcodificação:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// --- ROTA PUT /transcoder - Ativar transcodificação e escolher as renditions ---
+router.put('/transcoder', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+    const ativo = req.body.ativo === true || req.body.ativo === 'sim';
+    const qualidades = TranscoderManager.parseQualidades(req.body.qualidades);
+
+    const [rows] = await db.execute('SELECT bitrate FROM streamings WHERE codigo = ?', [userId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Configurações do usuário não encontradas' });
+    }
+
+    const planBitrate = parseInt(rows[0].bitrate) || 2500;
+
+    if (ativo) {
+      const validationError = TranscoderManager.validateQualidades(qualidades, planBitrate);
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+    }
+
+    const wowzaService = new WowzaStreamingService();
+    const initialized = await wowzaService.initializeFromDatabase(userId);
+
+    if (!initialized) {
+      return res.status(500).json({ success: false, error: 'Erro ao conectar com servidor de streaming' });
+    }
+
+    try {
+      await TranscoderManager.syncAccount(wowzaService, {
+        userLogin,
+        ativo,
+        qualidades,
+        planBitrate,
+        overlay: await OverlayManager.getAccountOverlay(userId, userLogin)
+      });
+    } catch (wowzaError) {
+      console.error('Erro ao configurar transcoder no Wowza:', wowzaError);
+      return res.status(502).json({ success: false, error: wowzaError.message });
+    }
+
+    await db.execute(
+      'UPDATE streamings SET transcoder = ?, transcoder_qualidades = ? WHERE codigo = ?',
+      [ativo ? 'sim' : 'nao', qualidades.join('|'), userId]
+    );
+
+    res.json({
+      success: true,
+      message: ativo
+        ? 'Transcodificação ativada. As novas qualidades valem a partir da próxima conexão do OBS'
+        : 'Transcodificação desativada',
+      transcoder: {
+        ativo,
+        qualidades,
+        disponiveis: TranscoderManager.listRenditions(planBitrate),
+        bitrate_plano: planBitrate,
+        abr_url: ativo ? await TranscoderManager.getSignedAbrUrl(userId, wowzaService.wowzaHost, userLogin) : null
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao salvar configuração de transcodificação:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// Salvar as configurações de SecureToken da conta (validadas pelo proxy /content)
+async function saveSecureToken(userId, { ativo, segredo, validade }) {
+  await db.execute(
+    'UPDATE streamings SET securetoken_ativo = ?, securetoken_segredo = ?, securetoken_validade = ? WHERE codigo = ?',
+    [ativo ? 'sim' : 'nao', segredo, validade, userId]
+  );
+  secureToken.clearCache(userId);
+}
+
+function formatSecureToken(settings) {
+  return {
+    ativo: settings.ativo,
+    segredo: settings.segredo,
+    validade: settings.validade
+  };
+}
+
+// --- ROTA GET /securetoken - Configuração de SecureToken da conta ---
+router.get('/securetoken', authMiddleware, async (req, res) => {
+  try {
+    secureToken.clearCache(req.user.id);
+    const settings = await secureToken.getSettings(req.user.id);
+
+    res.json({ success: true, securetoken: formatSecureToken(settings) });
+  } catch (error) {
+    console.error('Erro ao buscar configuração de SecureToken:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// --- ROTA PUT /securetoken - Ativar/desativar SecureToken e definir validade dos links ---
+router.put('/securetoken', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const ativo = req.body.ativo === true || req.body.ativo === 'sim';
+    const validade = parseInt(req.body.validade) || secureToken.DEFAULT_VALIDITY;
+
+    if (validade < 60 || validade > 86400) {
+      return res.status(400).json({ success: false, error: 'Validade deve estar entre 60 e 86400 segundos' });
+    }
+
+    secureToken.clearCache(userId);
+    const settings = await secureToken.getSettings(userId);
+    const segredo = settings.segredo || secureToken.generateSecret();
+
+    await saveSecureToken(userId, { ativo, segredo, validade });
+
+    res.json({
+      success: true,
+      message: ativo ? 'SecureToken ativado' : 'SecureToken desativado',
+      securetoken: formatSecureToken(await secureToken.getSettings(userId))
+    });
+  } catch (error) {
+    console.error('Erro ao salvar configuração de SecureToken:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
+// --- ROTA POST /securetoken/rotate - Gerar novo segredo (invalida os links já emitidos) ---
+router.post('/securetoken/rotate', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    secureToken.clearCache(userId);
+    const settings = await secureToken.getSettings(userId);
+    const segredo = secureToken.generateSecret();
+
+    await saveSecureToken(userId, {
+      ativo: settings.ativo,
+      segredo,
+      validade: settings.validade
+    });
+
+    res.json({
+      success: true,
+      message: 'Segredo renovado. Links emitidos anteriormente deixaram de funcionar',
+      securetoken: formatSecureToken(await secureToken.getSettings(userId))
+    });
+  } catch (error) {
+    console.error('Erro ao renovar segredo do SecureToken:', error);
+    res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
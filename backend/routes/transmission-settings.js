@@ -1,6 +1,12 @@
 const express = require('express');
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
+const recordingPolicy = require('../config/recordingPolicy');
+const OverlayManager = require('../config/OverlayManager');
+const TranscoderManager = require('../config/TranscoderManager');
+const WowzaStreamingService = require('../config/WowzaStreamingService');
+const { getAccountTimezone } = require('../config/timezone');
+const { TRANSICAO_PLAYOUT } = require('../config/transmissionPreset');
 
 const router = express.Router();
 
@@ -40,6 +46,8 @@ router.get('/', authMiddleware, async (req, res) => {
       ...row,
       embaralhar_videos: row.embaralhar_videos === 1,
       repetir_playlist: row.repetir_playlist === 1,
+      // Configurações antigas podem ter outra transição salva; o playout sempre usa corte
+      transicao_videos: TRANSICAO_PLAYOUT,
       logo: row.logo_nome ? {
         id: row.id_logo,
         nome: row.logo_nome,
@@ -81,6 +89,10 @@ router.post('/', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Nome da configuração é obrigatório' });
     }
 
+    if (transicao_videos && transicao_videos !== TRANSICAO_PLAYOUT) {
+      return res.status(400).json({ error: `Transição "${transicao_videos}" não suportada. O playout troca os vídeos por corte (${TRANSICAO_PLAYOUT})` });
+    }
+
     const [result] = await db.execute(
       `INSERT INTO transmission_settings (
         codigo_stm, nome, codigo_logo, logo_posicao, logo_opacidade,
@@ -92,7 +104,7 @@ router.post('/', authMiddleware, async (req, res) => {
         userId, nome, id_logo || null, logo_posicao || 'top-right',
         logo_opacidade || 80, logo_tamanho || 'medium', logo_margem_x || 20,
         logo_margem_y || 20, embaralhar_videos ? 1 : 0, repetir_playlist ? 1 : 0,
-        transicao_videos || 'fade', resolucao || '1080p', fps || 30,
+        TRANSICAO_PLAYOUT, resolucao || '1080p', fps || 30,
         bitrate || 2500, titulo_padrao || '', descricao_padrao || ''
       ]
     );
@@ -107,6 +119,202 @@ router.post('/', authMiddleware, async (req, res) => {
   }
 });
 
+// GET /api/transmission-settings/gravacao - Política de gravação da conta
+router.get('/gravacao', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const politica = await recordingPolicy.getPolicy(userId);
+    const timezone = await getAccountTimezone(userId);
+
+    res.json({ success: true, politica, timezone, variaveis: recordingPolicy.MODELO_TOKENS });
+  } catch (err) {
+    console.error('Erro ao buscar política de gravação:', err);
+    res.status(500).json({ error: 'Erro ao buscar política de gravação', details: err.message });
+  }
+});
+
+// PUT /api/transmission-settings/gravacao - Salva segmentação, janelas agendadas e modelo de nome
+router.put('/gravacao', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { policy, error } = recordingPolicy.validatePolicy(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    await recordingPolicy.savePolicy(userId, policy);
+
+    res.json({
+      success: true,
+      message: 'Política de gravação salva. Vale para as próximas gravações iniciadas',
+      politica: policy
+    });
+  } catch (err) {
+    console.error('Erro ao salvar política de gravação:', err);
+    res.status(500).json({ error: 'Erro ao salvar política de gravação', details: err.message });
+  }
+});
+
+// Configuração de transmissão da conta com a logo correspondente
+async function getSettingWithLogo(settingId, userId) {
+  const [rows] = await db.execute(
+    'SELECT * FROM transmission_settings WHERE codigo = ? AND codigo_stm = ?',
+    [settingId, userId]
+  );
+
+  if (rows.length === 0) {
+    return { error: 'Configuração não encontrada', statusCode: 404 };
+  }
+
+  const setting = rows[0];
+  if (!setting.codigo_logo) {
+    return { error: 'A configuração não possui logo', statusCode: 400 };
+  }
+
+  const logo = await OverlayManager.getLogo(setting.codigo_logo, userId);
+  const logoError = OverlayManager.validateLogo(logo);
+  if (logoError) {
+    return { error: logoError, statusCode: 400 };
+  }
+
+  return { setting, logo };
+}
+
+// Reaplicar no Wowza o template do stream ao vivo (ABR e logo) da conta
+async function syncLiveOverlay(userId, userLogin, overlay) {
+  const wowzaService = new WowzaStreamingService();
+  const initialized = await wowzaService.initializeFromDatabase(userId);
+
+  if (!initialized) {
+    return { success: false, error: 'Erro ao conectar com servidor de streaming' };
+  }
+
+  return TranscoderManager.syncAccountFromDatabase(wowzaService, userId, userLogin, { overlay });
+}
+
+// GET /api/transmission-settings/logo - Configuração usada como logo nas transmissões
+router.get('/logo', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+
+    const overlay = await OverlayManager.getAccountOverlay(userId, userLogin);
+
+    res.json({ success: true, ativa: !!overlay, configuracao: overlay });
+  } catch (err) {
+    console.error('Erro ao buscar logo da transmissão:', err);
+    res.status(500).json({ error: 'Erro ao buscar logo da transmissão', details: err.message });
+  }
+});
+
+// PUT /api/transmission-settings/logo - Escolher a configuração aplicada como logo (null desativa)
+router.put('/logo', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+    const settingsId = req.body.settings_id || null;
+
+    let overlay = null;
+    if (settingsId) {
+      const { setting, logo, error, statusCode } = await getSettingWithLogo(settingsId, userId);
+      if (error) {
+        return res.status(statusCode).json({ success: false, error });
+      }
+
+      overlay = { id_configuracao: setting.codigo, ...OverlayManager.normalize(setting, logo, userLogin) };
+    }
+
+    try {
+      const syncResult = await syncLiveOverlay(userId, userLogin, overlay);
+      if (!syncResult.success) {
+        return res.status(502).json({ success: false, error: syncResult.error });
+      }
+    } catch (wowzaError) {
+      console.error('Erro ao aplicar logo no Wowza:', wowzaError);
+      return res.status(502).json({ success: false, error: wowzaError.message });
+    }
+
+    await db.execute('UPDATE streamings SET codigo_config_logo = ? WHERE codigo = ?', [settingsId, userId]);
+
+    res.json({
+      success: true,
+      message: overlay
+        ? 'Logo ativada. Vale para o OBS a partir da próxima conexão e para as próximas transmissões de playlist'
+        : 'Logo desativada',
+      ativa: !!overlay,
+      configuracao: overlay
+    });
+  } catch (err) {
+    console.error('Erro ao salvar logo da transmissão:', err);
+    res.status(500).json({ error: 'Erro ao salvar logo da transmissão', details: err.message });
+  }
+});
+
+// POST /api/transmission-settings/preview - Quadro com a logo aplicada para conferir a posição
+router.post('/preview', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+    const { settings_id, id_logo, video_id, segundo } = req.body;
+
+    // Configuração salva ou valores ainda não salvos do formulário
+    let settings = req.body;
+    let logo = null;
+
+    if (settings_id) {
+      const found = await getSettingWithLogo(settings_id, userId);
+      if (found.error) {
+        return res.status(found.statusCode).json({ success: false, error: found.error });
+      }
+      settings = found.setting;
+      logo = found.logo;
+    } else {
+      if (!id_logo) {
+        return res.status(400).json({ success: false, error: 'Informe a logo ou a configuração' });
+      }
+
+      logo = await OverlayManager.getLogo(id_logo, userId);
+      const logoError = OverlayManager.validateLogo(logo);
+      if (logoError) {
+        return res.status(logo ? 400 : 404).json({ success: false, error: logoError });
+      }
+    }
+
+    let videoPath = null;
+    if (video_id) {
+      const [videoRows] = await db.execute('SELECT path_video FROM playlists_videos WHERE codigo = ?', [video_id]);
+      if (videoRows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Vídeo não encontrado' });
+      }
+      if (!videoRows[0].path_video.startsWith(`/${userLogin}/`)) {
+        return res.status(403).json({ success: false, error: 'Acesso negado' });
+      }
+      videoPath = `/usr/local/WowzaStreamingEngine/content${videoRows[0].path_video}`;
+    }
+
+    const [serverRows] = await db.execute('SELECT codigo_servidor FROM streamings WHERE codigo = ?', [userId]);
+    const serverId = serverRows.length > 0 && serverRows[0].codigo_servidor ? serverRows[0].codigo_servidor : 1;
+
+    const overlay = OverlayManager.normalize(settings, logo, userLogin);
+    const preview = await OverlayManager.renderPreview(serverId, overlay, {
+      videoPath,
+      segundo: Math.max(0, parseInt(segundo) || 5)
+    });
+
+    res.json({
+      success: true,
+      imagem: `data:image/jpeg;base64,${preview.imagem}`,
+      geometria: preview.geometria,
+      configuracao: overlay
+    });
+  } catch (err) {
+    console.error('Erro ao gerar prévia da logo:', err);
+    res.status(500).json({ error: 'Erro ao gerar prévia da logo', details: err.message });
+  }
+});
+
 // DELETE /api/transmission-settings/:id - Remove configuração
 router.delete('/:id', authMiddleware, async (req, res) => {
   try {
@@ -122,6 +330,18 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Configuração não encontrada' });
     }
 
+    // Configuração em uso como logo: desativar a logo do stream ao vivo
+    const [accountRows] = await db.execute(
+      'SELECT codigo FROM streamings WHERE codigo = ? AND codigo_config_logo = ?',
+      [userId, settingId]
+    );
+    if (accountRows.length > 0) {
+      await db.execute('UPDATE streamings SET codigo_config_logo = NULL WHERE codigo = ?', [userId]);
+      await syncLiveOverlay(userId, req.user.email.split('@')[0], null).catch(syncError => {
+        console.warn('Aviso: não foi possível remover a logo do Wowza:', syncError.message);
+      });
+    }
+
     res.json({ success: true, message: 'Configuração removida com sucesso' });
   } catch (err) {
     console.error('Erro ao remover configuração:', err);
@@ -5,6 +5,8 @@ const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
 const VideoSSHManager = require('../config/VideoSSHManager');
 const SSHManager = require('../config/SSHManager');
+const StorageReconciler = require('../config/StorageReconciler');
+const contentSignature = require('../config/contentSignature');
 
 const router = express.Router();
 
@@ -76,6 +78,85 @@ router.get('/folders/:folderId/usage', authMiddleware, async (req, res) => {
   }
 });
 
+// GET /api/videos-ssh/storage/reconciliation - Relatório de divergências entre o banco e o servidor
+router.get('/storage/reconciliation', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+
+    // Último relatório salvo, ou nova análise (sem correções) com ?atualizar=1
+    let report = req.query.atualizar ? null : await StorageReconciler.getLastReport(userId);
+    if (!report) {
+      report = await StorageReconciler.reconcileAccount(userId, userLogin);
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Erro ao gerar relatório de armazenamento:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao gerar relatório de armazenamento',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/videos-ssh/storage/reconciliation/fix - Corrigir espaço usado e registros divergentes (revenda)
+router.post('/storage/reconciliation/fix', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.tipo !== 'revenda') {
+      return res.status(403).json({
+        success: false,
+        error: 'Apenas administradores da revenda podem corrigir o armazenamento'
+      });
+    }
+
+    const { codigo_cliente, remover_ausentes, importar_orfaos } = req.body;
+    const userId = codigo_cliente ? parseInt(codigo_cliente) : req.user.id;
+
+    // Conta alvo: a própria revenda ou uma revenda subordinada a ela
+    if (userId !== req.user.id) {
+      const [ownerRows] = await db.execute(
+        'SELECT codigo FROM revendas WHERE codigo = ? AND codigo_revenda = ?',
+        [userId, req.user.id]
+      );
+
+      if (ownerRows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conta não encontrada'
+        });
+      }
+    }
+
+    const userLogin = await StorageReconciler.getAccountLogin(userId);
+    if (!userLogin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conta sem pastas para corrigir'
+      });
+    }
+
+    const report = await StorageReconciler.fixAccount(userId, userLogin, {
+      removerAusentes: remover_ausentes === true,
+      importarOrfaos: importar_orfaos === true
+    });
+
+    res.json({
+      success: true,
+      message: `Armazenamento corrigido: ${report.registros_removidos} registro(s) removido(s), ${report.arquivos_importados} arquivo(s) importado(s)`,
+      report
+    });
+  } catch (error) {
+    console.error('Erro ao corrigir armazenamento:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erro ao corrigir armazenamento',
+      details: error.message
+    });
+  }
+});
+
 // POST /api/videos-ssh/folders/:folderId/sync - Sincronizar pasta com servidor
 router.post('/folders/:folderId/sync', authMiddleware, async (req, res) => {
   try {
@@ -262,6 +343,11 @@ router.get('/list', authMiddleware, async (req, res) => {
     // Listar vídeos do servidor
     const videos = await VideoSSHManager.listVideosFromServer(serverId, userLogin, folder);
 
+    // URL assinada para abrir o arquivo pelo proxy /content
+    for (const video of videos) {
+      video.url = contentSignature.signUrl(`/content/${userLogin}/${video.path}`, { ip: req.ip });
+    }
+
     res.json({
       success: true,
       videos: videos,
@@ -521,12 +607,12 @@ router.delete('/:videoId', authMiddleware, async (req, res) => {
         [relativePath]
       );
       
-      // Atualizar espaço usado se arquivo foi removido
+      // Atualizar espaço usado da pasta do vídeo se arquivo foi removido
       if (fileSize > 0) {
         const sizeMB = Math.ceil(fileSize / (1024 * 1024));
         await db.execute(
-          'UPDATE streamings SET espaco_usado = GREATEST(espaco_usado - ?, 0) WHERE codigo_cliente = ?',
-          [sizeMB, userId]
+          'UPDATE streamings SET espaco_usado = GREATEST(espaco_usado - ?, 0) WHERE codigo_cliente = ? AND identificacao = ?',
+          [sizeMB, userId, relativePath.split('/')[2]]
         );
       }
       
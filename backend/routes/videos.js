@@ -1,29 +1,57 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs').promises;
 const db = require('../config/database');
 const authMiddleware = require('../middlewares/authMiddleware');
 const SSHManager = require('../config/SSHManager');
 const wowzaService = require('../config/WowzaStreamingService');
+const contentSignature = require('../config/contentSignature');
+const VideoConversionManager = require('../config/VideoConversionManager');
+const ChunkedUploadManager = require('../config/ChunkedUploadManager');
+const sftpStorage = require('../config/SFTPStorage');
 
 const router = express.Router();
 
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    try {
-      const tempDir = '/tmp/video-uploads';
-      await fs.mkdir(tempDir, { recursive: true });
-      cb(null, tempDir);
-    } catch (error) {
-      cb(error);
+// Upload enviado direto para a pasta do usuário no servidor Wowza, limitado ao espaço livre da pasta
+const storage = sftpStorage({
+  destination: async (req, file) => {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+    const folderId = req.query.folder_id || 'default';
+
+    const [folderRows] = await db.execute(
+      `SELECT 
+        s.codigo_servidor, s.identificacao as folder_name,
+        s.espaco, s.espaco_usado
+       FROM streamings s 
+       WHERE s.codigo = ? AND s.codigo_cliente = ?`,
+      [folderId, userId]
+    );
+    if (folderRows.length === 0) {
+      const error = new Error('Pasta não encontrada');
+      error.code = 'FOLDER_NOT_FOUND';
+      throw error;
     }
-  },
-  filename: (req, file, cb) => {
+
+    const folder = folderRows[0];
+    const serverId = folder.codigo_servidor || 1;
+    const availableSpace = Math.max(folder.espaco - folder.espaco_usado, 0);
+
     const sanitizedName = file.originalname
       .replace(/[^a-zA-Z0-9.-]/g, '_')
       .replace(/_{2,}/g, '_');
-    cb(null, `${Date.now()}_${sanitizedName}`);
+    file.filename = `${Date.now()}_${sanitizedName}`;
+
+    await SSHManager.createUserDirectory(serverId, userLogin);
+    await SSHManager.createUserFolder(serverId, userLogin, folder.folder_name);
+
+    req.uploadFolder = { id: folderId, serverId, name: folder.folder_name };
+
+    return {
+      serverId,
+      remotePath: `/usr/local/WowzaStreamingEngine/content/${userLogin}/${folder.folder_name}/${file.filename}`,
+      maxBytes: availableSpace * 1024 * 1024
+    };
   }
 });
 
@@ -90,7 +118,8 @@ router.get('/', authMiddleware, async (req, res) => {
     const videos = rows.map(video => {
       // Garantir que a URL está no formato correto para o proxy
       const cleanPath = video.url.replace(/^\/+/, ''); // Remove barras iniciais
-      const url = cleanPath;
+      // URL assinada para o proxy /content
+      const url = contentSignature.signUrl(cleanPath, { ip: req.ip });
       console.log(`🎥 Vídeo: ${video.nome} -> URL: /content/${url}`);
       
       return {
@@ -113,7 +142,28 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
-router.post('/upload', authMiddleware, upload.single('video'), async (req, res) => {
+// Erros do upload em streaming (pasta, espaço, tamanho ou conexão interrompida) respondidos pela rota
+const uploadVideo = (req, res, next) => {
+  upload.single('video')(req, res, (err) => {
+    if (!err) return next();
+
+    console.log(`❌ Upload não concluído: ${err.message}`);
+
+    if (err.code === 'FOLDER_NOT_FOUND') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.code === 'LIMIT_QUOTA') {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'Arquivo muito grande' });
+    }
+
+    res.status(500).json({ error: 'Erro no upload do vídeo', details: err.message });
+  });
+};
+
+router.post('/upload', authMiddleware, uploadVideo, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'Nenhum arquivo enviado' });
@@ -121,52 +171,16 @@ router.post('/upload', authMiddleware, upload.single('video'), async (req, res)
 
     const userId = req.user.id;
     const userLogin = req.user.email.split('@')[0];
-    const folderId = req.query.folder_id || 'default';
-    
-    console.log(`📤 Upload iniciado - Usuário: ${userLogin}, Pasta: ${folderId}, Arquivo: ${req.file.originalname}`);
-    console.log(`📋 Tipo MIME: ${req.file.mimetype}, Tamanho: ${req.file.size} bytes`);
-    
-    const duracao = parseInt(req.body.duracao) || 0;
-    const tamanho = parseInt(req.body.tamanho) || req.file.size;
-
-    const [userRows] = await db.execute(
-      `SELECT 
-        s.codigo_servidor, s.identificacao as folder_name,
-        s.espaco, s.espaco_usado
-       FROM streamings s 
-       WHERE s.codigo = ? AND s.codigo_cliente = ?`,
-      [folderId, userId]
-    );
-    if (userRows.length === 0) {
-      console.log(`❌ Pasta ${folderId} não encontrada para usuário ${userId}`);
-      return res.status(404).json({ error: 'Pasta não encontrada' });
-    }
-
-    const userData = userRows[0];
-    const serverId = userData.codigo_servidor || 1;
-    const folderName = userData.folder_name;
-    
-    console.log(`📁 Pasta encontrada: ${folderName}, Servidor: ${serverId}`);
+    const folderId = req.uploadFolder.id;
+    const serverId = req.uploadFolder.serverId;
+    const folderName = req.uploadFolder.name;
 
+    const duracao = parseInt(req.body.duracao) || 0;
+    // Tamanho real contado durante o envio
+    const tamanho = req.file.size;
     const spaceMB = Math.ceil(tamanho / (1024 * 1024));
-    const availableSpace = userData.espaco - userData.espaco_usado;
 
-    if (spaceMB > availableSpace) {
-      console.log(`❌ Espaço insuficiente: ${spaceMB}MB necessário, ${availableSpace}MB disponível`);
-      await fs.unlink(req.file.path).catch(() => {});
-      return res.status(400).json({ 
-        error: `Espaço insuficiente. Necessário: ${spaceMB}MB, Disponível: ${availableSpace}MB` 
-      });
-    }
-
-    await SSHManager.createUserDirectory(serverId, userLogin);
-    await SSHManager.createUserFolder(serverId, userLogin, folderName);
-
-    const remotePath = `/usr/local/WowzaStreamingEngine/content/${userLogin}/${folderName}/${req.file.filename}`;
-    await SSHManager.uploadFile(serverId, req.file.path, remotePath);
-    await fs.unlink(req.file.path);
-
-    console.log(`✅ Arquivo enviado para: ${remotePath}`);
+    console.log(`✅ Arquivo enviado para: ${req.file.remotePath} (${tamanho} bytes, ${req.file.mimetype})`);
 
     // Construir URL relativa para salvar no banco
     const relativePath = `/${userLogin}/${folderName}/${req.file.filename}`;
@@ -190,17 +204,40 @@ router.post('/upload', authMiddleware, upload.single('video'), async (req, res)
 
     console.log(`✅ Vídeo salvo no banco com ID: ${result.insertId}`);
 
+    // Análise com ffprobe e conversão para H.264/AAC quando necessário (desativável com converter=false)
+    const converterParam = req.body.converter ?? req.query.converter;
+    const converter = converterParam !== undefined
+      ? converterParam !== 'false' && converterParam !== false
+      : VideoConversionManager.isAutoConvertEnabled();
+
+    let conversao = null;
+    if (converter) {
+      try {
+        conversao = await VideoConversionManager.createJob({
+          userId,
+          folderId,
+          videoId: result.insertId,
+          serverId,
+          relativePath,
+          planBitrate: req.user.bitrate
+        });
+      } catch (conversionError) {
+        console.error('Erro ao enfileirar conversão do vídeo:', conversionError);
+      }
+    }
+
     res.status(201).json({
       id: result.insertId,
       nome: videoTitle,
       url: relativePath,
       duracao,
-      tamanho
+      tamanho,
+      conversao
     });
   } catch (err) {
     console.error('Erro no upload:', err);
-    if (req.file?.path) {
-      await fs.unlink(req.file.path).catch(() => {});
+    if (req.file?.remotePath) {
+      await SSHManager.deleteFile(req.file.serverId, req.file.remotePath).catch(() => {});
     }
     res.status(500).json({ error: 'Erro no upload do vídeo', details: err.message });
   }
@@ -242,12 +279,11 @@ router.get('/test/:userId/:folder/:filename', authMiddleware, async (req, res) =
           exists: true,
           path: remotePath,
           info: fileInfo,
-          url: `/content/${userLogin}/${folder}/${filename}`
+          url: contentSignature.signUrl(`/content/${userLogin}/${folder}/${filename}`, { ip: req.ip })
         });
       } else {
         res.json({
           success: false,
-        url: `/content${relativePath}`,
           error: 'Arquivo não encontrado no servidor'
         });
       }
@@ -264,6 +300,215 @@ router.get('/test/:userId/:folder/:filename', authMiddleware, async (req, res) =
   }
 });
 
+// Upload em partes retomável: cria o upload e reserva o espaço na pasta
+router.post('/uploads', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+    const { folder_id, nome, tamanho, checksum, converter } = req.body;
+
+    if (!folder_id || !nome || !tamanho) {
+      return res.status(400).json({ error: 'folder_id, nome e tamanho são obrigatórios' });
+    }
+
+    const validationError = ChunkedUploadManager.validateUpload({ nome, tamanho, checksum });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const [folderRows] = await db.execute(
+      'SELECT codigo, codigo_servidor, espaco, espaco_usado FROM streamings WHERE codigo = ? AND codigo_cliente = ?',
+      [folder_id, userId]
+    );
+    if (folderRows.length === 0) {
+      return res.status(404).json({ error: 'Pasta não encontrada' });
+    }
+
+    const result = await ChunkedUploadManager.createUpload({
+      userId,
+      userLogin,
+      folder: folderRows[0],
+      nome,
+      tamanho,
+      checksum,
+      converter: converter !== undefined
+        ? converter !== false && converter !== 'false'
+        : VideoConversionManager.isAutoConvertEnabled()
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    console.log(`📤 Upload em partes ${result.upload.id} iniciado - Usuário: ${userLogin}, Arquivo: ${nome}, Tamanho: ${tamanho} bytes`);
+
+    res.status(201).json({ success: true, upload: result.upload });
+  } catch (err) {
+    console.error('Erro ao iniciar upload:', err);
+    res.status(500).json({ error: 'Erro ao iniciar upload', details: err.message });
+  }
+});
+
+router.get('/uploads', authMiddleware, async (req, res) => {
+  try {
+    const uploads = await ChunkedUploadManager.listUploads(req.user.id);
+    res.json({ success: true, uploads });
+  } catch (err) {
+    console.error('Erro ao listar uploads:', err);
+    res.status(500).json({ error: 'Erro ao listar uploads', details: err.message });
+  }
+});
+
+// Estado do upload; recebido (e o cabeçalho Upload-Offset) indica de onde retomar
+router.get('/uploads/:id', authMiddleware, async (req, res) => {
+  try {
+    const upload = await ChunkedUploadManager.getUpload(parseInt(req.params.id), req.user.id);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload não encontrado' });
+    }
+
+    res.set('Upload-Offset', String(upload.recebido));
+    res.set('Upload-Length', String(upload.tamanho));
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, upload });
+  } catch (err) {
+    console.error('Erro ao buscar upload:', err);
+    res.status(500).json({ error: 'Erro ao buscar upload', details: err.message });
+  }
+});
+
+// Enviar uma parte no offset atual (corpo application/offset+octet-stream)
+router.patch(
+  '/uploads/:id',
+  authMiddleware,
+  express.raw({ type: 'application/offset+octet-stream', limit: ChunkedUploadManager.getChunkSize() }),
+  async (req, res) => {
+    try {
+      const offset = parseInt(req.get('Upload-Offset'));
+      if (Number.isNaN(offset) || offset < 0) {
+        return res.status(400).json({ error: 'Cabeçalho Upload-Offset é obrigatório' });
+      }
+
+      if (!req.is('application/offset+octet-stream')) {
+        return res.status(415).json({ error: 'Content-Type deve ser application/offset+octet-stream' });
+      }
+
+      const result = await ChunkedUploadManager.appendChunk(parseInt(req.params.id), req.user.id, {
+        offset,
+        data: req.body,
+        checksum: req.get('Upload-Checksum')
+      });
+
+      if (result.offset !== undefined) {
+        res.set('Upload-Offset', String(result.offset));
+      }
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({ error: result.error, offset: result.offset });
+      }
+
+      res.json({ success: true, offset: result.offset, complete: result.complete });
+    } catch (err) {
+      console.error('Erro ao receber parte do upload:', err);
+      res.status(500).json({ error: 'Erro ao receber parte do upload', details: err.message });
+    }
+  }
+);
+
+router.delete('/uploads/:id', authMiddleware, async (req, res) => {
+  try {
+    const uploadId = parseInt(req.params.id);
+    const upload = await ChunkedUploadManager.getUpload(uploadId, req.user.id);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload não encontrado' });
+    }
+
+    if (upload.status !== 'receiving') {
+      return res.status(409).json({ error: `Upload não pode ser cancelado (status: ${upload.status})` });
+    }
+
+    await ChunkedUploadManager.cancelUpload(uploadId);
+    res.json({ success: true, message: 'Upload cancelado e espaço liberado' });
+  } catch (err) {
+    console.error('Erro ao cancelar upload:', err);
+    res.status(500).json({ error: 'Erro ao cancelar upload', details: err.message });
+  }
+});
+
+// Conversões de vídeo da conta
+router.get('/conversoes', authMiddleware, async (req, res) => {
+  try {
+    const jobs = await VideoConversionManager.listJobs(req.user.id, req.query.limit);
+    res.json(jobs);
+  } catch (err) {
+    console.error('Erro ao listar conversões:', err);
+    res.status(500).json({ error: 'Erro ao listar conversões', details: err.message });
+  }
+});
+
+router.get('/:id/conversao', authMiddleware, async (req, res) => {
+  try {
+    const job = await VideoConversionManager.getLatestJobForVideo(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Nenhuma conversão encontrada para este vídeo' });
+    }
+
+    res.json(job);
+  } catch (err) {
+    console.error('Erro ao buscar conversão:', err);
+    res.status(500).json({ error: 'Erro ao buscar conversão', details: err.message });
+  }
+});
+
+// Analisar novamente o vídeo e convertê-lo se estiver fora do padrão ou do plano
+router.post('/:id/converter', authMiddleware, async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    const userId = req.user.id;
+    const userLogin = req.user.email.split('@')[0];
+
+    const [videoRows] = await db.execute(
+      'SELECT path_video FROM playlists_videos WHERE codigo = ?',
+      [videoId]
+    );
+    if (videoRows.length === 0) {
+      return res.status(404).json({ error: 'Vídeo não encontrado' });
+    }
+
+    const relativePath = videoRows[0].path_video;
+    if (!relativePath.startsWith(`/${userLogin}/`)) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    if (await VideoConversionManager.hasPendingJob(videoId)) {
+      return res.status(409).json({ error: 'Este vídeo já está sendo convertido' });
+    }
+
+    const folderName = relativePath.split('/')[2];
+    const [folderRows] = await db.execute(
+      'SELECT codigo, codigo_servidor FROM streamings WHERE identificacao = ? AND codigo_cliente = ? LIMIT 1',
+      [folderName, userId]
+    );
+    if (folderRows.length === 0) {
+      return res.status(404).json({ error: 'Pasta do vídeo não encontrada' });
+    }
+
+    const job = await VideoConversionManager.createJob({
+      userId,
+      folderId: folderRows[0].codigo,
+      videoId,
+      serverId: folderRows[0].codigo_servidor || 1,
+      relativePath,
+      planBitrate: req.user.bitrate
+    });
+
+    res.status(202).json({ success: true, message: 'Conversão adicionada à fila', job });
+  } catch (err) {
+    console.error('Erro ao enfileirar conversão:', err);
+    res.status(500).json({ error: 'Erro ao enfileirar conversão', details: err.message });
+  }
+});
+
 router.delete('/:id', authMiddleware, async (req, res) => {
   try {
     const videoId = req.params.id;
@@ -311,12 +556,12 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       console.warn('Erro ao remover arquivo físico:', fileError.message);
     }
 
-    // Atualizar espaço usado baseado no tamanho real
+    // Atualizar espaço usado da pasta do vídeo baseado no tamanho real
     if (fileSize > 0) {
       const spaceMB = Math.ceil(fileSize / (1024 * 1024));
       await db.execute(
-        'UPDATE streamings SET espaco_usado = GREATEST(espaco_usado - ?, 0) WHERE codigo_cliente = ?',
-        [spaceMB, userId]
+        'UPDATE streamings SET espaco_usado = GREATEST(espaco_usado - ?, 0) WHERE codigo_cliente = ? AND identificacao = ?',
+        [spaceMB, userId, video.path_video.split('/')[2]]
       );
       console.log(`📊 Espaço liberado: ${spaceMB}MB`);
     }
@@ -3,6 +3,23 @@
   const path = require('path');
   const db = require('./config/database');
   const SSHManager = require('./config/SSHManager');
+  const DownloadJobManager = require('./config/DownloadJobManager');
+  const VideoConversionManager = require('./config/VideoConversionManager');
+  const ClipJobManager = require('./config/ClipJobManager');
+  const ChunkedUploadManager = require('./config/ChunkedUploadManager');
+  const StorageReconciler = require('./config/StorageReconciler');
+  const RecordingManager = require('./config/RecordingManager');
+  const RecordingScheduler = require('./config/RecordingScheduler');
+  const FTPMigrationManager = require('./config/FTPMigrationManager');
+  const PlaylistScheduler = require('./config/PlaylistScheduler');
+  const PlayoutManager = require('./config/PlayoutManager');
+  const StreamSessionReconciler = require('./config/StreamSessionReconciler');
+  const RelayManager = require('./config/RelayManager');
+  const RelayScheduler = require('./config/RelayScheduler');
+  const ViewerCollector = require('./config/ViewerCollector');
+  const ViewerLimitManager = require('./config/ViewerLimitManager');
+  const contentSignature = require('./config/contentSignature');
+  const secureToken = require('./config/secureToken');
 
 
   // Importar rotas
@@ -22,6 +39,7 @@
   const serversRoutes = require('./routes/servers');
  const playersRoutes = require('./routes/players');
  const videosSSHRoutes = require('./routes/videos-ssh');
+ const gravacoesRoutes = require('./routes/gravacoes');
 
   const app = express();
   const PORT = process.env.PORT || 3001;
@@ -64,9 +82,69 @@
         console.log(`❌ Tipo de arquivo não suportado: ${requestPath}`);
         return res.status(404).json({ error: 'Arquivo não encontrado' });
       }
+
+      // Validar a assinatura antes de contactar o Wowza
+      const signature = contentSignature.verifyRequest(requestPath, req.query, req.ip);
+      if (!signature.valid) {
+        console.log(`🔒 Acesso negado (${signature.reason}): ${requestPath}`);
+        return res.status(403).json({
+          error: 'Acesso negado',
+          details: signature.reason
+        });
+      }
+
+      const ownerId = await ViewerLimitManager.resolveAccountFromPath(requestPath);
+
+      // Streams ao vivo de contas com SecureToken ativo exigem também o token gerado com o segredo da conta
+      if (isStreamFile && ViewerLimitManager.isLivePath(requestPath)) {
+        const accountToken = await secureToken.verifyRequest(ownerId, requestPath, req.query);
+        if (!accountToken.valid) {
+          console.log(`🔒 Acesso negado (${accountToken.reason}): ${requestPath}`);
+          return res.status(403).json({
+            error: 'Acesso negado',
+            details: accountToken.reason
+          });
+        }
+      }
+
+      // Restringir a exibição aos domínios permitidos pela conta
+      const referrer = req.headers.referer || req.headers.origin;
+      const allowedDomains = ownerId ? await contentSignature.getAllowedDomains(ownerId) : [];
+      if (!contentSignature.isReferrerAllowed(referrer, allowedDomains, req.headers.host)) {
+        console.log(`🔒 Domínio não permitido (${referrer}): ${requestPath}`);
+        return res.status(403).json({
+          error: 'Acesso negado',
+          details: 'Domínio não autorizado a exibir este conteúdo'
+        });
+      }
+
+      // Aplicar o limite de espectadores da conta dona do conteúdo às URLs dos players públicos;
+      // URLs assinadas para o painel (prévia da biblioteca, links do dono) não ocupam vaga
+      if (ownerId && signature.viewerLimit) {
+        const admission = await ViewerLimitManager.admit({
+          userId: ownerId,
+          ip: req.ip,
+          userAgent: req.headers['user-agent'],
+          origem: 'content',
+          token: req.query.pt || null,
+          enqueue: false
+        });
+
+        if (!admission.allowed) {
+          console.log(`🚫 Audiência completa para conta ${ownerId}: ${requestPath}`);
+          return res.status(403).json({
+            error: 'Audiência completa',
+            details: 'O limite de espectadores simultâneos desta conta foi atingido',
+            limite: admission.limit
+          });
+        }
+      }
       
       // Configurar headers para streaming de vídeo
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', allowedDomains.length > 0 && req.headers.origin ? req.headers.origin : '*');
+      if (allowedDomains.length > 0) {
+        res.setHeader('Vary', 'Origin');
+      }
       res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
       res.setHeader('Access-Control-Allow-Headers', 'Range');
       res.setHeader('Accept-Ranges', 'bytes');
@@ -122,14 +200,20 @@
       
       try {
         // Preparar headers otimizados (baseado no PHP)
+        // Streams repassam o IP e o user agent do espectador, usados pelo coletor de espectadores
         const requestHeaders = {
           'Range': req.headers.range || '',
-          'User-Agent': 'Streaming-System/1.0',
+          'User-Agent': isStreamFile && req.headers['user-agent'] ? req.headers['user-agent'] : 'Streaming-System/1.0',
           'Accept': '*/*',
           'Cache-Control': isStreamFile ? 'no-cache' : 'public, max-age=3600',
           'Connection': 'keep-alive'
         };
         
+        if (isStreamFile) {
+          requestHeaders['X-Forwarded-For'] = req.ip;
+          ViewerCollector.registerProxiedRequest(requestPath, req.ip, req.headers['user-agent']);
+        }
+
         // Adicionar autenticação apenas para arquivos VOD
         if (!isStreamFile) {
           const authString = Buffer.from(`${wowzaUser}:${wowzaPassword}`).toString('base64');
@@ -184,6 +268,12 @@
         
         console.log(`✅ Servindo vídeo via Wowza: ${wowzaHost}:6980/content${requestPath}`);
         
+        // Playlists HLS: repassar a assinatura para chunklists e segmentos
+        if (isStreamFile && requestPath.includes('.m3u8')) {
+          const playlist = await wowzaResponse.text();
+          return res.send(contentSignature.rewritePlaylist(playlist, contentSignature.getPassthroughQuery(req.query)));
+        }
+        
         // Copiar headers da resposta do Wowza
         wowzaResponse.headers.forEach((value, key) => {
           if (!res.headersSent) {
@@ -239,6 +329,7 @@
   app.use('/api/servers', serversRoutes);
  app.use('/api/players', playersRoutes);
  app.use('/api/videos-ssh', videosSSHRoutes);
+ app.use('/api/gravacoes', gravacoesRoutes);
 
   // Rota de teste
   app.get('/api/test', (req, res) => {
@@ -271,6 +362,10 @@
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(413).json({ error: 'Arquivo muito grande' });
     }
+
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Requisição maior que o tamanho permitido' });
+    }
     
     if (error.message.includes('Tipo de arquivo não suportado')) {
       return res.status(400).json({ error: 'Tipo de arquivo não suportado' });
@@ -301,16 +396,72 @@
         console.log(`🔧 API test: http://localhost:${PORT}/api/test`);
         console.log(`🔗 SSH Manager inicializado para uploads remotos`);
       });
+
+      // Retomar downloads e conversões de vídeo interrompidos
+      DownloadJobManager.resumePendingJobs();
+      VideoConversionManager.resumePendingJobs();
+      ClipJobManager.resumePendingJobs();
+
+      // Finalizar uploads em partes já completos e expirar uploads abandonados
+      ChunkedUploadManager.start();
+
+      // Reconciliar periodicamente o espaço usado com o conteúdo real dos servidores
+      StorageReconciler.start();
+
+      // Excluir gravações mais antigas que a retenção configurada em cada conta
+      RecordingManager.start();
+
+      // Aplicar políticas de gravação (janelas agendadas) aos streams publicados
+      RecordingScheduler.start();
+
+      // Retomar migrações FTP interrompidas
+      FTPMigrationManager.resumePendingMigrations();
+
+      // Retomar as transmissões ativas, conferindo com os streams recebidos pelo Wowza,
+      // e só então o agendador de playlists, que retoma as execuções dessas transmissões
+      StreamSessionReconciler.reconcile().then(() => PlaylistScheduler.start());
+
+      // Registrar as exibições de comerciais a partir da agenda do playout
+      PlayoutManager.start();
+
+      // Retomar relays ativos, monitorar origens e executar relays agendados
+      RelayManager.start().then(() => RelayScheduler.start());
+
+      // Coletar espectadores conectados no Wowza
+      ViewerCollector.start();
+
+      // Expirar sessões de reprodução inativas
+      ViewerLimitManager.start();
       
       // Cleanup ao fechar aplicação
       process.on('SIGINT', () => {
         console.log('\n🔌 Fechando conexões SSH...');
+        PlaylistScheduler.stop();
+        PlayoutManager.stop();
+        RelayScheduler.stop();
+        RelayManager.stop();
+        ViewerCollector.stop();
+        ViewerLimitManager.stop();
+        ChunkedUploadManager.stop();
+        StorageReconciler.stop();
+        RecordingManager.stop();
+        RecordingScheduler.stop();
         SSHManager.closeAllConnections();
         process.exit(0);
       });
       
       process.on('SIGTERM', () => {
         console.log('\n🔌 Fechando conexões SSH...');
+        PlaylistScheduler.stop();
+        PlayoutManager.stop();
+        RelayScheduler.stop();
+        RelayManager.stop();
+        ViewerCollector.stop();
+        ViewerLimitManager.stop();
+        ChunkedUploadManager.stop();
+        StorageReconciler.stop();
+        RecordingManager.stop();
+        RecordingScheduler.stop();
         SSHManager.closeAllConnections();
         process.exit(0);
       });
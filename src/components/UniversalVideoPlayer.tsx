@@ -124,7 +124,8 @@ const UniversalVideoPlayer: React.FC<UniversalVideoPlayerProps> = ({
   };
   // Função para detectar tipo de arquivo
   const getFileType = (url: string) => {
-    const extension = url.split('.').pop()?.toLowerCase();
+    // Ignorar a query string (URLs assinadas do proxy /content)
+    const extension = url.split('?')[0].split('.').pop()?.toLowerCase();
 
     switch (extension) {
       case 'm3u8':
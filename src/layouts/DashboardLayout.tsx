@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Outlet, NavLink, useLocation } from 'react-router-dom';
-import { Menu, FileVideo, LogOut, User, Settings, Bell, Megaphone, Radio, Users, ArrowLeftRight } from 'lucide-react';
+import { Menu, FileVideo, LogOut, User, Settings, Bell, Megaphone, Radio, Users, ArrowLeftRight, Video } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { motion, AnimatePresence } from 'framer-motion';
 import Logo from '/logo.png';
@@ -35,7 +35,8 @@ const DashboardLayout: React.FC = () => {
     { id: 'migrar-videos-ftp', label: 'Migrar FTP', path: '/dashboard/migrar-videos-ftp', icon: 'Server', visible: true, order: 9, category: 'content' },
     { id: 'espectadores', label: 'Espectadores', path: '/dashboard/espectadores', icon: 'Users', visible: true, order: 10, category: 'analytics' },
     { id: 'relayrtmp', label: 'Relay RTMP', path: '/dashboard/relayrtmp', icon: 'ArrowLeftRight', visible: true, order: 11, category: 'streaming' },
-    { id: 'configuracoes', label: 'Configurações', path: '/dashboard/configuracoes', icon: 'Settings', visible: true, order: 12, category: 'system' },
+    { id: 'gravacoes', label: 'Gravações', path: '/dashboard/gravacoes', icon: 'Video', visible: true, order: 12, category: 'content' },
+    { id: 'configuracoes', label: 'Configurações', path: '/dashboard/configuracoes', icon: 'Settings', visible: true, order: 13, category: 'system' },
   ];
 
   useEffect(() => {
@@ -132,6 +133,7 @@ const DashboardLayout: React.FC = () => {
       ),
       Users: Users,
       ArrowLeftRight: ArrowLeftRight,
+      Video: Video,
       Settings: Settings,
     };
     return icons[iconName] || Settings;
@@ -2,7 +2,7 @@ import { useEffect, useState } from 'react';
 import Calendar from 'react-calendar';
 import 'react-calendar/dist/Calendar.css';
 import { format, isSameDay, parseISO } from 'date-fns';
-import { FiCalendar, FiPlus, FiX, FiVideo } from 'react-icons/fi';
+import { FiCalendar, FiPlus, FiX, FiVideo, FiEdit2, FiAlertTriangle } from 'react-icons/fi';
 import { toast } from "react-toastify";
 import { isAfter, isBefore } from 'date-fns';
 import { useAuth } from '../../context/AuthContext';
@@ -26,11 +26,31 @@ type Agendamento = {
     dias_semana?: number[];
 };
 
+type Conflito = {
+    id_agendamento: number;
+    id_playlist: number;
+    nome_playlist: string;
+    inicio: string;
+    fim: string;
+    inicio_novo: string;
+    fim_novo: string;
+};
+
+type Frequencia = 'Diariamente' | 'Dias da Semana' | 'Somente uma vez';
+
 type ModalData =
     | { type: 'view'; agendamento: Agendamento }
     | { type: 'create'; date: Date | null }
+    | { type: 'edit'; agendamento: Agendamento }
     | null;
 
+// A listagem retorna a frequência com o código gravado no banco
+const frequenciaPorCodigo: Record<string, Frequencia> = {
+    '1': 'Diariamente',
+    '2': 'Dias da Semana',
+    '3': 'Somente uma vez',
+};
+
 export default function CalendarioAvancado() {
     const { getToken } = useAuth();
     const [playlists, setPlaylists] = useState<Playlist[]>([]);
@@ -328,17 +348,25 @@ export default function CalendarioAvancado() {
                                 {format(parseISO(modalData.agendamento.inicio), 'dd/MM/yyyy HH:mm')}
                             </p>
                         </div>
-                        <button
-                            onClick={() => setModalData(null)}
-                            className="mt-4 px-5 py-2 rounded bg-blue-600 text-white font-semibold hover:bg-blue-700 transition"
-                        >
-                            Fechar
-                        </button>
+                        <div className="mt-4 flex gap-3">
+                            <button
+                                onClick={() => setModalData({ type: 'edit', agendamento: modalData.agendamento })}
+                                className="px-5 py-2 rounded border border-blue-600 text-blue-600 font-semibold hover:bg-blue-50 transition flex items-center gap-2"
+                            >
+                                <FiEdit2 className="w-4 h-4" /> Editar
+                            </button>
+                            <button
+                                onClick={() => setModalData(null)}
+                                className="px-5 py-2 rounded bg-blue-600 text-white font-semibold hover:bg-blue-700 transition"
+                            >
+                                Fechar
+                            </button>
+                        </div>
                     </div>
                 )}
 
                 {modalData?.type === 'create' && (
-                    <NovoAgendamentoForm
+                    <AgendamentoForm
                         playlists={playlists}
                         dataSelecionada={modalData.date ?? null}
                         onClose={() => {
@@ -347,6 +375,18 @@ export default function CalendarioAvancado() {
                         }}
                     />
                 )}
+
+                {modalData?.type === 'edit' && (
+                    <AgendamentoForm
+                        playlists={playlists}
+                        dataSelecionada={null}
+                        agendamento={modalData.agendamento}
+                        onClose={() => {
+                            setModalData(null);
+                            fetchAgendamentos(currentMonth);
+                        }}
+                    />
+                )}
             </Modal>
         </div>
     );
@@ -386,29 +426,99 @@ function Modal({
     );
 }
 
-type NovoAgendamentoFormProps = {
+type AgendamentoFormProps = {
     playlists: Playlist[];
     dataSelecionada: Date | null;
+    agendamento?: Agendamento;
     onClose: () => void;
 };
 
-function NovoAgendamentoForm({
+// Mapear o valor do select para o formato aceito no banco
+const frequenciaMap: Record<Frequencia, string> = {
+    'Diariamente': 'diariamente',
+    'Dias da Semana': 'dias_da_semana',
+    'Somente uma vez': 'uma_vez',
+};
+
+function AgendamentoForm({
     playlists,
     dataSelecionada,
+    agendamento,
     onClose,
-}: NovoAgendamentoFormProps) {
+}: AgendamentoFormProps) {
     const { getToken } = useAuth();
-    const [playlistId, setPlaylistId] = useState('');
-    const [shuffle, setShuffle] = useState<'sim' | 'nao'>('nao');
-    const [frequencia, setFrequencia] = useState<
-        'Diariamente' | 'Dias da Semana' | 'Somente uma vez'
-    >('Diariamente');
-    const [diasSemana, setDiasSemana] = useState<number[]>([]);
-    const [playlistFinalizacaoId, setPlaylistFinalizacaoId] = useState('');
+    const [playlistId, setPlaylistId] = useState(agendamento ? String(agendamento.id_playlist) : '');
+    const [shuffle, setShuffle] = useState<'sim' | 'nao'>(agendamento?.shuffle ?? 'nao');
+    const [frequencia, setFrequencia] = useState<Frequencia>(
+        agendamento
+            ? frequenciaPorCodigo[String(agendamento.frequencia)] ?? agendamento.frequencia
+            : 'Diariamente'
+    );
+    const [diasSemana, setDiasSemana] = useState<number[]>(agendamento?.dias_semana ?? []);
+    const [playlistFinalizacaoId, setPlaylistFinalizacaoId] = useState(
+        agendamento?.finalizacao === 'sim' && Number(agendamento.codigo_playlist_finalizacao)
+            ? String(agendamento.codigo_playlist_finalizacao)
+            : ''
+    );
     const [inicioData, setInicioData] = useState(
-        dataSelecionada ? format(dataSelecionada, 'yyyy-MM-dd') : ''
+        agendamento
+            ? agendamento.inicio.slice(0, 10)
+            : dataSelecionada ? format(dataSelecionada, 'yyyy-MM-dd') : ''
     );
-    const [inicioHora, setInicioHora] = useState('00:00');
+    const [inicioHora, setInicioHora] = useState(agendamento ? agendamento.inicio.slice(11, 16) : '00:00');
+    const [conflitos, setConflitos] = useState<Conflito[]>([]);
+    const [verificandoConflitos, setVerificandoConflitos] = useState(false);
+
+    function montarPayload() {
+        return {
+            data: inicioData,
+            id_playlist: playlistId,
+            shuffle: shuffle === 'sim',
+            frequencia: frequenciaMap[frequencia],
+            finalizacao: !!playlistFinalizacaoId,
+            id_playlist_finalizacao: playlistFinalizacaoId || null,
+            inicio: `${inicioData} ${inicioHora}:00`,
+            dias_semana: frequencia === 'Dias da Semana' ? diasSemana : undefined,
+        };
+    }
+
+    // Verificar conflitos sempre que os dados que definem as ocorrências mudarem
+    useEffect(() => {
+        if (!playlistId || !inicioData || !inicioHora) {
+            setConflitos([]);
+            return;
+        }
+
+        let cancelado = false;
+        const timeout = setTimeout(async () => {
+            setVerificandoConflitos(true);
+            try {
+                const token = await getToken();
+                const res = await fetch('/api/agendamentos/conflitos', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${token}`,
+                    },
+                    body: JSON.stringify({ ...montarPayload(), id: agendamento?.id }),
+                });
+                if (!res.ok) throw new Error('Erro ao verificar conflitos');
+                const data: { conflitos: Conflito[] } = await res.json();
+                if (!cancelado) setConflitos(data.conflitos);
+            } catch (error) {
+                console.error(error);
+            } finally {
+                if (!cancelado) setVerificandoConflitos(false);
+            }
+        }, 400);
+
+        return () => {
+            cancelado = true;
+            clearTimeout(timeout);
+        };
+    }, [playlistId, frequencia, diasSemana, inicioData, inicioHora]);
+
+    const diasComConflito = conflitos.map(c => parseISO(c.inicio_novo.replace(' ', 'T')));
 
     function toggleDiaSemana(dia: number) {
         setDiasSemana((old) =>
@@ -430,39 +540,29 @@ function NovoAgendamentoForm({
             return;
         }
 
-        // Map para transformar o valor do select para o formato aceito no banco
-        const frequenciaMap = {
-            'Diariamente': 'diariamente',
-            'Dias da Semana': 'dias_da_semana',
-            'Somente uma vez': 'uma_vez',
-        };
-
         try {
-            const dataHoraInicio = `${inicioData} ${inicioHora}:00`;
-
-            const res = await fetch('/api/agendamentos', {
-                method: 'POST',
+            const res = await fetch(agendamento ? `/api/agendamentos/${agendamento.id}` : '/api/agendamentos', {
+                method: agendamento ? 'PUT' : 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${token}`,
                 },
-                body: JSON.stringify({
-                    data: inicioData,
-                    id_playlist: playlistId,
-                    shuffle: shuffle === 'sim',
-                    frequencia: frequenciaMap[frequencia],
-                    finalizacao: !!playlistFinalizacaoId,
-                    id_playlist_finalizacao: playlistFinalizacaoId || null,
-                    inicio: dataHoraInicio,
-                    dias_semana: frequencia === 'Dias da Semana' ? diasSemana : undefined,
-                }),
+                // Conflitos já exibidos no formulário são confirmados ao salvar
+                body: JSON.stringify({ ...montarPayload(), forcar: conflitos.length > 0 }),
             });
+
+            if (res.status === 409) {
+                const data: { conflitos: Conflito[] } = await res.json();
+                setConflitos(data.conflitos);
+                toast.warning('O agendamento conflita com outros agendamentos. Revise antes de salvar.');
+                return;
+            }
             if (!res.ok) throw new Error('Erro ao salvar agendamento');
 
-            toast.success('Agendamento criado com sucesso!');
+            toast.success(agendamento ? 'Agendamento atualizado com sucesso!' : 'Agendamento criado com sucesso!');
             onClose();
         } catch (error) {
-            toast.error('Erro ao criar agendamento');
+            toast.error(agendamento ? 'Erro ao atualizar agendamento' : 'Erro ao criar agendamento');
             console.error(error);
         }
     }
@@ -474,9 +574,9 @@ function NovoAgendamentoForm({
             autoComplete="off"
         >
             <h2 className="text-3xl font-bold text-blue-700 mb-4 flex items-center gap-2 select-none">
-                <FiPlus className="w-7 h-7" />
-                Novo Agendamento{' '}
-                {dataSelecionada ? `para ${format(dataSelecionada, 'dd/MM/yyyy')}` : ''}
+                {agendamento ? <FiEdit2 className="w-7 h-7" /> : <FiPlus className="w-7 h-7" />}
+                {agendamento ? `Editar Agendamento #${agendamento.id}` : 'Novo Agendamento'}{' '}
+                {!agendamento && dataSelecionada ? `para ${format(dataSelecionada, 'dd/MM/yyyy')}` : ''}
             </h2>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -521,11 +621,7 @@ function NovoAgendamentoForm({
                     </label>
                     <select
                         value={frequencia}
-                        onChange={(e) =>
-                            setFrequencia(
-                                e.target.value as 'Diariamente' | 'Dias da Semana' | 'Somente uma vez'
-                            )
-                        }
+                        onChange={(e) => setFrequencia(e.target.value as Frequencia)}
                         className="w-full border border-gray-300 rounded-md px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-400 transition"
                     >
                         <option value="Diariamente">Diariamente</option>
@@ -604,6 +700,40 @@ function NovoAgendamentoForm({
                 </div>
             </div>
 
+            {conflitos.length > 0 && (
+                <div className="border border-red-300 bg-red-50 rounded-md p-4 space-y-3">
+                    <p className="font-semibold text-red-700 flex items-center gap-2">
+                        <FiAlertTriangle className="w-5 h-5" />
+                        {conflitos.length} conflito(s) com outros agendamentos
+                    </p>
+                    <div className="flex flex-col md:flex-row gap-4">
+                        <Calendar
+                            locale="pt-BR"
+                            value={diasComConflito[0]}
+                            tileClassName={({ date, view }) =>
+                                view === 'month' && diasComConflito.some(d => isSameDay(d, date))
+                                    ? 'bg-red-200 text-red-800 rounded'
+                                    : ''
+                            }
+                            className="rounded-md border border-red-200 text-sm"
+                        />
+                        <ul className="text-sm text-red-800 space-y-1 max-h-64 overflow-y-auto flex-1">
+                            {conflitos.map((c, i) => (
+                                <li key={`${c.id_agendamento}-${i}`}>
+                                    {format(parseISO(c.inicio_novo.replace(' ', 'T')), 'dd/MM/yyyy HH:mm')}
+                                    {' – '}
+                                    {format(parseISO(c.fim_novo.replace(' ', 'T')), 'HH:mm')}: sobrepõe{' '}
+                                    <strong>{c.nome_playlist}</strong> (#{c.id_agendamento},{' '}
+                                    {format(parseISO(c.inicio.replace(' ', 'T')), 'HH:mm')}
+                                    {' – '}
+                                    {format(parseISO(c.fim.replace(' ', 'T')), 'HH:mm')})
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </div>
+            )}
+
             <div className="flex justify-end gap-3">
                 <button
                     type="button"
@@ -614,9 +744,13 @@ function NovoAgendamentoForm({
                 </button>
                 <button
                     type="submit"
-                    className="px-5 py-2 rounded-md bg-blue-600 text-white font-semibold hover:bg-blue-700 transition"
+                    disabled={verificandoConflitos}
+                    className={`px-5 py-2 rounded-md text-white font-semibold transition disabled:opacity-50 ${conflitos.length > 0
+                        ? 'bg-red-600 hover:bg-red-700'
+                        : 'bg-blue-600 hover:bg-blue-700'
+                        }`}
                 >
-                    Salvar
+                    {conflitos.length > 0 ? 'Salvar mesmo assim' : 'Salvar'}
                 </button>
             </div>
         </form>
@@ -1,5 +1,5 @@
 import React, { useEffect, useState } from 'react';
-import { ChevronLeft, Save, Play, Trash2, Settings } from 'lucide-react';
+import { ChevronLeft, Save, Play, Trash2, Settings, FileText, Download, Printer } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { toast } from 'react-toastify';
@@ -30,6 +30,39 @@ type ComercialConfig = {
   ativo: boolean;
 };
 
+type ExibicaoComercial = {
+  inicio: string;
+  playlist: string;
+  duracao: number;
+  espectadores: number;
+};
+
+type RelatorioComercial = {
+  id_video: number;
+  video: string;
+  total_exibicoes: number;
+  duracao_total: number;
+  espectadores_total: number;
+  espectadores_media: number;
+  exibicoes: ExibicaoComercial[];
+};
+
+type Relatorio = {
+  periodo: { data_inicio: string; data_fim: string; timezone: string };
+  totais: { comerciais: number; exibicoes: number; duracao: number; espectadores: number };
+  comerciais: RelatorioComercial[];
+};
+
+const formatDuration = (seconds: number): string => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  if (h > 0) {
+    return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+  }
+  return `${m}:${s.toString().padStart(2, '0')}`;
+};
+
 const Comerciais: React.FC = () => {
   const { getToken } = useAuth();
   const [playlists, setPlaylists] = useState<Playlist[]>([]);
@@ -48,6 +81,8 @@ const Comerciais: React.FC = () => {
   const [previewVideos, setPreviewVideos] = useState<Video[]>([]);
   const [showPreview, setShowPreview] = useState(false);
 
+  const [abaAtiva, setAbaAtiva] = useState<'configuracoes' | 'relatorio'>('configuracoes');
+
   useEffect(() => {
     fetchPlaylists();
     fetchFolders();
@@ -234,16 +269,6 @@ const Comerciais: React.FC = () => {
     return folder?.nome || 'Pasta não encontrada';
   };
 
-  const formatDuration = (seconds: number): string => {
-    const h = Math.floor(seconds / 3600);
-    const m = Math.floor((seconds % 3600) / 60);
-    const s = Math.floor(seconds % 60);
-    if (h > 0) {
-      return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
-    }
-    return `${m}:${s.toString().padStart(2, '0')}`;
-  };
-
   const getVideoUrl = (url: string) => {
     if (!url) return '';
     
@@ -271,188 +296,217 @@ const Comerciais: React.FC = () => {
 
       <h1 className="text-2xl font-bold text-gray-900">Gerenciar Comerciais</h1>
 
-      {/* Formulário de Configuração */}
-      <div className="bg-white rounded-lg shadow-sm p-6">
-        <h2 className="text-xl font-semibold text-gray-800 mb-4">
-          {editingId ? 'Editar Configuração' : 'Nova Configuração de Comerciais'}
-        </h2>
+      <div className="flex border-b border-gray-200">
+        <button
+          onClick={() => setAbaAtiva('configuracoes')}
+          className={`px-4 py-2 -mb-px border-b-2 font-medium flex items-center ${abaAtiva === 'configuracoes'
+              ? 'border-primary-600 text-primary-600'
+              : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+        >
+          <Settings className="h-4 w-4 mr-2" />
+          Configurações
+        </button>
+        <button
+          onClick={() => setAbaAtiva('relatorio')}
+          className={`px-4 py-2 -mb-px border-b-2 font-medium flex items-center ${abaAtiva === 'relatorio'
+              ? 'border-primary-600 text-primary-600'
+              : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+        >
+          <FileText className="h-4 w-4 mr-2" />
+          Relatório de Exibições
+        </button>
+      </div>
 
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <div>
-            <label htmlFor="playlist" className="block text-sm font-medium text-gray-700 mb-1">
-              Playlist
-            </label>
-            <select
-              id="playlist"
-              className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
-              value={selectedPlaylist || ''}
-              onChange={(e) => setSelectedPlaylist(Number(e.target.value) || null)}
-            >
-              <option value="">Selecione uma playlist</option>
-              {playlists.map((playlist) => (
-                <option key={playlist.id} value={playlist.id}>
-                  {playlist.nome}
-                </option>
-              ))}
-            </select>
-          </div>
+      {abaAtiva === 'relatorio' && <RelatorioExibicoes />}
+
+      {abaAtiva === 'configuracoes' && (
+        <>
+          {/* Formulário de Configuração */}
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4">
+              {editingId ? 'Editar Configuração' : 'Nova Configuração de Comerciais'}
+            </h2>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label htmlFor="playlist" className="block text-sm font-medium text-gray-700 mb-1">
+                  Playlist
+                </label>
+                <select
+                  id="playlist"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  value={selectedPlaylist || ''}
+                  onChange={(e) => setSelectedPlaylist(Number(e.target.value) || null)}
+                >
+                  <option value="">Selecione uma playlist</option>
+                  {playlists.map((playlist) => (
+                    <option key={playlist.id} value={playlist.id}>
+                      {playlist.nome}
+                    </option>
+                  ))}
+                </select>
+              </div>
 
-          <div>
-            <label htmlFor="folder" className="block text-sm font-medium text-gray-700 mb-1">
-              Pasta de Comerciais
-            </label>
-            <select
-              id="folder"
-              className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
-              value={selectedFolder || ''}
-              onChange={(e) => setSelectedFolder(Number(e.target.value) || null)}
-            >
-              <option value="">Selecione uma pasta</option>
-              {folders.map((folder) => (
-                <option key={folder.id} value={folder.id}>
-                  {folder.nome}
-                </option>
-              ))}
-            </select>
-          </div>
+              <div>
+                <label htmlFor="folder" className="block text-sm font-medium text-gray-700 mb-1">
+                  Pasta de Comerciais
+                </label>
+                <select
+                  id="folder"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  value={selectedFolder || ''}
+                  onChange={(e) => setSelectedFolder(Number(e.target.value) || null)}
+                >
+                  <option value="">Selecione uma pasta</option>
+                  {folders.map((folder) => (
+                    <option key={folder.id} value={folder.id}>
+                      {folder.nome}
+                    </option>
+                  ))}
+                </select>
+              </div>
 
-          <div>
-            <label htmlFor="quantidade" className="block text-sm font-medium text-gray-700 mb-1">
-              Quantidade de Comerciais
-            </label>
-            <input
-              id="quantidade"
-              type="number"
-              min="1"
-              max="10"
-              className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
-              value={quantidadeComerciais}
-              onChange={(e) => setQuantidadeComerciais(Number(e.target.value))}
-            />
-            <p className="text-xs text-gray-500 mt-1">Quantos comerciais inserir por vez</p>
-          </div>
+              <div>
+                <label htmlFor="quantidade" className="block text-sm font-medium text-gray-700 mb-1">
+                  Quantidade de Comerciais
+                </label>
+                <input
+                  id="quantidade"
+                  type="number"
+                  min="1"
+                  max="10"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  value={quantidadeComerciais}
+                  onChange={(e) => setQuantidadeComerciais(Number(e.target.value))}
+                />
+                <p className="text-xs text-gray-500 mt-1">Quantos comerciais inserir por vez</p>
+              </div>
 
-          <div>
-            <label htmlFor="intervalo" className="block text-sm font-medium text-gray-700 mb-1">
-              A cada quantos vídeos
-            </label>
-            <input
-              id="intervalo"
-              type="number"
-              min="1"
-              max="50"
-              className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
-              value={intervaloVideos}
-              onChange={(e) => setIntervaloVideos(Number(e.target.value))}
-            />
-            <p className="text-xs text-gray-500 mt-1">Inserir comerciais a cada X vídeos da playlist</p>
-          </div>
-        </div>
+              <div>
+                <label htmlFor="intervalo" className="block text-sm font-medium text-gray-700 mb-1">
+                  A cada quantos vídeos
+                </label>
+                <input
+                  id="intervalo"
+                  type="number"
+                  min="1"
+                  max="50"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  value={intervaloVideos}
+                  onChange={(e) => setIntervaloVideos(Number(e.target.value))}
+                />
+                <p className="text-xs text-gray-500 mt-1">Inserir comerciais a cada X vídeos da playlist</p>
+              </div>
+            </div>
 
-        <div className="flex justify-between items-center mt-6">
-          <div className="flex space-x-3">
-            <button
-              onClick={handlePreview}
-              disabled={!selectedFolder}
-              className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500 flex items-center disabled:opacity-50"
-            >
-              <Play className="h-4 w-4 mr-2" />
-              Visualizar Comerciais
-            </button>
-          </div>
+            <div className="flex justify-between items-center mt-6">
+              <div className="flex space-x-3">
+                <button
+                  onClick={handlePreview}
+                  disabled={!selectedFolder}
+                  className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500 flex items-center disabled:opacity-50"
+                >
+                  <Play className="h-4 w-4 mr-2" />
+                  Visualizar Comerciais
+                </button>
+              </div>
 
-          <div className="flex space-x-3">
-            {editingId && (
-              <button
-                onClick={resetForm}
-                className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
-              >
-                Cancelar
-              </button>
-            )}
-            <button
-              onClick={handleSave}
-              disabled={loading || !selectedPlaylist || !selectedFolder}
-              className="px-6 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 flex items-center disabled:opacity-50"
-            >
-              <Save className="h-4 w-4 mr-2" />
-              {loading ? 'Salvando...' : editingId ? 'Atualizar' : 'Salvar Configuração'}
-            </button>
+              <div className="flex space-x-3">
+                {editingId && (
+                  <button
+                    onClick={resetForm}
+                    className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
+                  >
+                    Cancelar
+                  </button>
+                )}
+                <button
+                  onClick={handleSave}
+                  disabled={loading || !selectedPlaylist || !selectedFolder}
+                  className="px-6 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 flex items-center disabled:opacity-50"
+                >
+                  <Save className="h-4 w-4 mr-2" />
+                  {loading ? 'Salvando...' : editingId ? 'Atualizar' : 'Salvar Configuração'}
+                </button>
+              </div>
+            </div>
           </div>
-        </div>
-      </div>
 
-      {/* Lista de Configurações Existentes */}
-      <div className="bg-white rounded-lg shadow-sm p-6">
-        <h2 className="text-xl font-semibold text-gray-800 mb-4">Configurações Ativas</h2>
-
-        {comerciaisConfigs.length === 0 ? (
-          <p className="text-gray-500 text-center py-8">Nenhuma configuração de comerciais criada</p>
-        ) : (
-          <div className="overflow-x-auto">
-            <table className="w-full border-collapse">
-              <thead>
-                <tr className="border-b border-gray-200">
-                  <th className="text-left py-3 px-4 font-medium text-gray-700">Playlist</th>
-                  <th className="text-left py-3 px-4 font-medium text-gray-700">Pasta de Comerciais</th>
-                  <th className="text-center py-3 px-4 font-medium text-gray-700">Quantidade</th>
-                  <th className="text-center py-3 px-4 font-medium text-gray-700">Intervalo</th>
-                  <th className="text-center py-3 px-4 font-medium text-gray-700">Status</th>
-                  <th className="text-center py-3 px-4 font-medium text-gray-700">Ações</th>
-                </tr>
-              </thead>
-              <tbody>
-                {comerciaisConfigs.map((config) => (
-                  <tr key={config.id} className="border-b border-gray-100 hover:bg-gray-50">
-                    <td className="py-3 px-4">{getPlaylistName(config.id_playlist)}</td>
-                    <td className="py-3 px-4">{getFolderName(config.id_folder_comerciais)}</td>
-                    <td className="py-3 px-4 text-center">{config.quantidade_comerciais}</td>
-                    <td className="py-3 px-4 text-center">A cada {config.intervalo_videos} vídeos</td>
-                    <td className="py-3 px-4 text-center">
-                      <span
-                        className={`px-2 py-1 rounded-full text-xs font-medium ${config.ativo
-                            ? 'bg-green-100 text-green-800'
-                            : 'bg-red-100 text-red-800'
-                          }`}
-                      >
-                        {config.ativo ? 'Ativo' : 'Inativo'}
-                      </span>
-                    </td>
-                    <td className="py-3 px-4 text-center">
-                      <div className="flex justify-center space-x-2">
-                        <button
-                          onClick={() => toggleActive(config.id!, config.ativo)}
-                          className={`p-1 rounded ${config.ativo
-                              ? 'text-red-600 hover:text-red-800'
-                              : 'text-green-600 hover:text-green-800'
-                            }`}
-                          title={config.ativo ? 'Desativar' : 'Ativar'}
-                        >
-                          <Settings className="h-4 w-4" />
-                        </button>
-                        <button
-                          onClick={() => handleEdit(config)}
-                          className="p-1 text-blue-600 hover:text-blue-800"
-                          title="Editar"
-                        >
-                          <Settings className="h-4 w-4" />
-                        </button>
-                        <button
-                          onClick={() => handleDelete(config.id!)}
-                          className="p-1 text-red-600 hover:text-red-800"
-                          title="Excluir"
-                        >
-                          <Trash2 className="h-4 w-4" />
-                        </button>
-                      </div>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
+          {/* Lista de Configurações Existentes */}
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-4">Configurações Ativas</h2>
+
+            {comerciaisConfigs.length === 0 ? (
+              <p className="text-gray-500 text-center py-8">Nenhuma configuração de comerciais criada</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full border-collapse">
+                  <thead>
+                    <tr className="border-b border-gray-200">
+                      <th className="text-left py-3 px-4 font-medium text-gray-700">Playlist</th>
+                      <th className="text-left py-3 px-4 font-medium text-gray-700">Pasta de Comerciais</th>
+                      <th className="text-center py-3 px-4 font-medium text-gray-700">Quantidade</th>
+                      <th className="text-center py-3 px-4 font-medium text-gray-700">Intervalo</th>
+                      <th className="text-center py-3 px-4 font-medium text-gray-700">Status</th>
+                      <th className="text-center py-3 px-4 font-medium text-gray-700">Ações</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comerciaisConfigs.map((config) => (
+                      <tr key={config.id} className="border-b border-gray-100 hover:bg-gray-50">
+                        <td className="py-3 px-4">{getPlaylistName(config.id_playlist)}</td>
+                        <td className="py-3 px-4">{getFolderName(config.id_folder_comerciais)}</td>
+                        <td className="py-3 px-4 text-center">{config.quantidade_comerciais}</td>
+                        <td className="py-3 px-4 text-center">A cada {config.intervalo_videos} vídeos</td>
+                        <td className="py-3 px-4 text-center">
+                          <span
+                            className={`px-2 py-1 rounded-full text-xs font-medium ${config.ativo
+                                ? 'bg-green-100 text-green-800'
+                                : 'bg-red-100 text-red-800'
+                              }`}
+                          >
+                            {config.ativo ? 'Ativo' : 'Inativo'}
+                          </span>
+                        </td>
+                        <td className="py-3 px-4 text-center">
+                          <div className="flex justify-center space-x-2">
+                            <button
+                              onClick={() => toggleActive(config.id!, config.ativo)}
+                              className={`p-1 rounded ${config.ativo
+                                  ? 'text-red-600 hover:text-red-800'
+                                  : 'text-green-600 hover:text-green-800'
+                                }`}
+                              title={config.ativo ? 'Desativar' : 'Ativar'}
+                            >
+                              <Settings className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => handleEdit(config)}
+                              className="p-1 text-blue-600 hover:text-blue-800"
+                              title="Editar"
+                            >
+                              <Settings className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(config.id!)}
+                              className="p-1 text-red-600 hover:text-red-800"
+                              title="Excluir"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
           </div>
-        )}
-      </div>
+        </>
+      )}
 
       {/* Modal de Preview */}
       {showPreview && (
@@ -516,4 +570,210 @@ const Comerciais: React.FC = () => {
   );
 };
 
+const RelatorioExibicoes: React.FC = () => {
+  const { getToken } = useAuth();
+  const hoje = new Date();
+  const seteDiasAtras = new Date(hoje.getTime() - 6 * 24 * 60 * 60 * 1000);
+  const formatDate = (date: Date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+  const [dataInicio, setDataInicio] = useState(formatDate(seteDiasAtras));
+  const [dataFim, setDataFim] = useState(formatDate(hoje));
+  const [relatorio, setRelatorio] = useState<Relatorio | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [expandido, setExpandido] = useState<number | null>(null);
+
+  const gerarRelatorio = async () => {
+    setLoading(true);
+    try {
+      const token = await getToken();
+      const response = await fetch(
+        `/api/comerciais/relatorio?data_inicio=${dataInicio}&data_fim=${dataFim}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao gerar relatório');
+      }
+
+      setRelatorio(data);
+    } catch (error) {
+      toast.error((error as Error).message || 'Erro ao gerar relatório');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportarCSV = async () => {
+    try {
+      const token = await getToken();
+      const response = await fetch(
+        `/api/comerciais/relatorio?data_inicio=${dataInicio}&data_fim=${dataFim}&formato=csv`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      if (!response.ok) {
+        throw new Error('Erro ao exportar relatório');
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `relatorio_comerciais_${dataInicio}_${dataFim}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Erro ao exportar relatório');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 space-y-6">
+      <div className="flex flex-col md:flex-row md:items-end gap-4 print:hidden">
+        <div>
+          <label htmlFor="data-inicio" className="block text-sm font-medium text-gray-700 mb-1">
+            Data inicial
+          </label>
+          <input
+            id="data-inicio"
+            type="date"
+            value={dataInicio}
+            onChange={(e) => setDataInicio(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+          />
+        </div>
+        <div>
+          <label htmlFor="data-fim" className="block text-sm font-medium text-gray-700 mb-1">
+            Data final
+          </label>
+          <input
+            id="data-fim"
+            type="date"
+            value={dataFim}
+            onChange={(e) => setDataFim(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+          />
+        </div>
+        <button
+          onClick={gerarRelatorio}
+          disabled={loading || !dataInicio || !dataFim}
+          className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 flex items-center disabled:opacity-50"
+        >
+          <FileText className="h-4 w-4 mr-2" />
+          {loading ? 'Gerando...' : 'Gerar Relatório'}
+        </button>
+        {relatorio && (
+          <div className="flex space-x-3 md:ml-auto">
+            <button
+              onClick={exportarCSV}
+              className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 flex items-center"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Exportar CSV
+            </button>
+            <button
+              onClick={() => window.print()}
+              className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 flex items-center"
+            >
+              <Printer className="h-4 w-4 mr-2" />
+              Imprimir / PDF
+            </button>
+          </div>
+        )}
+      </div>
+
+      {relatorio && (
+        <>
+          <div>
+            <h2 className="text-xl font-semibold text-gray-800">Comprovante de Exibição de Comerciais</h2>
+            <p className="text-sm text-gray-500">
+              Período: {relatorio.periodo.data_inicio.split('-').reverse().join('/')} a{' '}
+              {relatorio.periodo.data_fim.split('-').reverse().join('/')} ({relatorio.periodo.timezone})
+            </p>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-sm text-gray-500">Comerciais</p>
+              <p className="text-2xl font-bold text-gray-900">{relatorio.totais.comerciais}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-sm text-gray-500">Exibições</p>
+              <p className="text-2xl font-bold text-gray-900">{relatorio.totais.exibicoes}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-sm text-gray-500">Tempo no ar</p>
+              <p className="text-2xl font-bold text-gray-900">{formatDuration(relatorio.totais.duracao)}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-sm text-gray-500">Audiência total</p>
+              <p className="text-2xl font-bold text-gray-900">{relatorio.totais.espectadores}</p>
+            </div>
+          </div>
+
+          {relatorio.comerciais.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">Nenhuma exibição registrada no período</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full border-collapse">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left py-3 px-4 font-medium text-gray-700">Comercial</th>
+                    <th className="text-center py-3 px-4 font-medium text-gray-700">Exibições</th>
+                    <th className="text-center py-3 px-4 font-medium text-gray-700">Tempo no ar</th>
+                    <th className="text-center py-3 px-4 font-medium text-gray-700">Média de espectadores</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {relatorio.comerciais.map((comercial) => (
+                    <React.Fragment key={comercial.id_video}>
+                      <tr
+                        className="border-b border-gray-100 hover:bg-gray-50 cursor-pointer"
+                        onClick={() => setExpandido(expandido === comercial.id_video ? null : comercial.id_video)}
+                      >
+                        <td className="py-3 px-4 font-medium">{comercial.video}</td>
+                        <td className="py-3 px-4 text-center">{comercial.total_exibicoes}</td>
+                        <td className="py-3 px-4 text-center">{formatDuration(comercial.duracao_total)}</td>
+                        <td className="py-3 px-4 text-center">{comercial.espectadores_media}</td>
+                      </tr>
+                      {expandido === comercial.id_video && (
+                        <tr className="bg-gray-50">
+                          <td colSpan={4} className="px-4 py-3">
+                            <table className="w-full text-sm">
+                              <thead>
+                                <tr className="text-gray-500">
+                                  <th className="text-left py-1">Início</th>
+                                  <th className="text-left py-1">Playlist</th>
+                                  <th className="text-center py-1">Duração</th>
+                                  <th className="text-center py-1">Espectadores</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {comercial.exibicoes.map((exibicao, index) => (
+                                  <tr key={index}>
+                                    <td className="py-1">{exibicao.inicio}</td>
+                                    <td className="py-1">{exibicao.playlist}</td>
+                                    <td className="py-1 text-center">{formatDuration(exibicao.duracao)}</td>
+                                    <td className="py-1 text-center">{exibicao.espectadores}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
 export default Comerciais;
\ No newline at end of file
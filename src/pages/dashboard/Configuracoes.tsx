@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { ChevronLeft, Save, Eye, EyeOff, GripVertical, Plus, Trash2, Settings, Palette, Layout, Menu } from 'lucide-react';
+import { ChevronLeft, Save, Eye, EyeOff, GripVertical, Plus, Trash2, Settings, Palette, Layout, Menu, Layers, Copy } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
@@ -53,7 +53,8 @@ const defaultMenuItems: MenuItem[] = [
   { id: 'migrar-videos-ftp', label: 'Migrar FTP', path: '/dashboard/migrar-videos-ftp', icon: 'Server', visible: true, order: 9, category: 'content' },
   { id: 'espectadores', label: 'Espectadores', path: '/dashboard/espectadores', icon: 'Users', visible: true, order: 10, category: 'analytics' },
   { id: 'relayrtmp', label: 'Relay RTMP', path: '/dashboard/relayrtmp', icon: 'ArrowLeftRight', visible: true, order: 11, category: 'streaming' },
-  { id: 'configuracoes', label: 'Configurações', path: '/dashboard/configuracoes', icon: 'Settings', visible: true, order: 12, category: 'system' },
+  { id: 'gravacoes', label: 'Gravações', path: '/dashboard/gravacoes', icon: 'Video', visible: true, order: 12, category: 'content' },
+  { id: 'configuracoes', label: 'Configurações', path: '/dashboard/configuracoes', icon: 'Settings', visible: true, order: 13, category: 'system' },
 ];
 
 function SortableMenuItem({ item, onToggleVisibility }: { item: MenuItem; onToggleVisibility: (id: string) => void }) {
@@ -123,6 +124,22 @@ function SortableMenuItem({ item, onToggleVisibility }: { item: MenuItem; onTogg
   );
 }
 
+interface Rendition {
+  key: string;
+  width: number;
+  height: number;
+  bitrate: number;
+  permitido: boolean;
+}
+
+interface TranscoderConfig {
+  ativo: boolean;
+  qualidades: string[];
+  disponiveis: Rendition[];
+  bitrate_plano: number;
+  abr_url: string | null;
+}
+
 const Configuracoes: React.FC = () => {
   const { getToken, user } = useAuth();
   const [loading, setLoading] = useState(false);
@@ -136,6 +153,9 @@ const Configuracoes: React.FC = () => {
     timezone: 'America/Sao_Paulo'
   });
 
+  const [transcoder, setTranscoder] = useState<TranscoderConfig | null>(null);
+  const [savingTranscoder, setSavingTranscoder] = useState(false);
+
   const sensors = useSensors(
     useSensor(PointerSensor, {
       activationConstraint: {
@@ -146,8 +166,64 @@ const Configuracoes: React.FC = () => {
 
   useEffect(() => {
     loadUserSettings();
+    loadTranscoder();
   }, []);
 
+  const loadTranscoder = async () => {
+    try {
+      const token = await getToken();
+      const response = await fetch('/api/streaming/transcoder', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (data.success) {
+        setTranscoder(data.transcoder);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar transcodificação:', error);
+    }
+  };
+
+  const toggleQualidade = (key: string) => {
+    if (!transcoder) return;
+    setTranscoder({
+      ...transcoder,
+      qualidades: transcoder.qualidades.includes(key)
+        ? transcoder.qualidades.filter(q => q !== key)
+        : [...transcoder.qualidades, key]
+    });
+  };
+
+  const saveTranscoder = async () => {
+    if (!transcoder) return;
+
+    setSavingTranscoder(true);
+    try {
+      const token = await getToken();
+      const response = await fetch('/api/streaming/transcoder', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ ativo: transcoder.ativo, qualidades: transcoder.qualidades })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setTranscoder(data.transcoder);
+        toast.success(data.message);
+      } else {
+        toast.error(data.error || 'Erro ao salvar transcodificação');
+      }
+    } catch (error) {
+      console.error('Erro ao salvar transcodificação:', error);
+      toast.error('Erro ao salvar transcodificação');
+    } finally {
+      setSavingTranscoder(false);
+    }
+  };
+
   const loadUserSettings = async () => {
     try {
       const token = await getToken();
@@ -238,6 +314,11 @@ const Configuracoes: React.FC = () => {
     }
   };
 
+  // URL adaptativa do proxy /content (relativa ao painel), assinada pelo backend
+  const abrUrl = transcoder?.abr_url?.startsWith('/')
+    ? `${window.location.origin}${transcoder.abr_url}`
+    : transcoder?.abr_url || '';
+
   return (
     <div className="space-y-6">
       <div className="flex items-center mb-6">
@@ -443,6 +524,92 @@ const Configuracoes: React.FC = () => {
         </div>
       </div>
 
+      {/* Transcodificação ABR */}
+      {transcoder && (
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center space-x-2">
+              <Layers className="h-6 w-6 text-primary-600" />
+              <h2 className="text-xl font-semibold text-gray-800">Transcodificação (Bitrate Adaptativo)</h2>
+            </div>
+            <label className="flex items-center cursor-pointer">
+              <input
+                type="checkbox"
+                checked={transcoder.ativo}
+                onChange={(e) => setTranscoder({ ...transcoder, ativo: e.target.checked })}
+                className="mr-2"
+              />
+              <span className="text-sm text-gray-700">{transcoder.ativo ? 'Ativada' : 'Desativada'}</span>
+            </label>
+          </div>
+
+          <p className="text-sm text-gray-600 mb-4">
+            Gera versões do stream ao vivo em várias resoluções para que cada espectador receba a melhor qualidade
+            para sua conexão. Qualidades acima do bitrate do plano ({transcoder.bitrate_plano} kbps) não estão disponíveis.
+          </p>
+
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-4">
+            {transcoder.disponiveis.map((rendition) => (
+              <label
+                key={rendition.key}
+                className={`flex items-center p-3 border rounded-md ${
+                  rendition.permitido ? 'cursor-pointer hover:bg-gray-50' : 'opacity-50 cursor-not-allowed'
+                } ${transcoder.qualidades.includes(rendition.key) ? 'border-primary-500 bg-primary-50' : 'border-gray-200'}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={transcoder.qualidades.includes(rendition.key)}
+                  disabled={!transcoder.ativo || !rendition.permitido}
+                  onChange={() => toggleQualidade(rendition.key)}
+                  className="mr-2"
+                />
+                <div>
+                  <div className="text-sm font-medium text-gray-800">{rendition.key}</div>
+                  <div className="text-xs text-gray-500">
+                    {rendition.width}x{rendition.height} • até {rendition.bitrate} kbps
+                  </div>
+                </div>
+              </label>
+            ))}
+          </div>
+
+          {transcoder.abr_url && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">URL adaptativa (HLS)</label>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={abrUrl}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md bg-gray-50 font-mono text-xs"
+                />
+                <button
+                  onClick={() => {
+                    navigator.clipboard.writeText(abrUrl);
+                    toast.success('URL copiada!');
+                  }}
+                  className="text-primary-600 hover:text-primary-800"
+                  title="Copiar URL"
+                >
+                  <Copy className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <button
+              onClick={saveTranscoder}
+              disabled={savingTranscoder}
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 flex items-center"
+            >
+              <Save className="h-4 w-4 mr-2" />
+              {savingTranscoder ? 'Aplicando...' : 'Aplicar transcodificação'}
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Botões de Ação */}
       <div className="flex justify-end space-x-4">
         <button
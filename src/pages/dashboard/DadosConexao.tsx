@@ -148,6 +148,11 @@ const DadosConexao: React.FC = () => {
     porta: '21' // Porta padrão FTP
   };
 
+  // URL de visualização do proxy /content (relativa ao painel), assinada pelo backend
+  const hlsUrl = obsConfig?.hls_url?.startsWith('/')
+    ? `${window.location.origin}${obsConfig.hls_url}`
+    : obsConfig?.hls_url || '';
+
   // Dados do servidor FMS/RTMP real
   const fmsData = {
     servidor: user?.codigo_servidor ? `servidor-${user.codigo_servidor}.wcore.com.br` : 'samhost.wcore.com.br',
@@ -158,9 +163,7 @@ const DadosConexao: React.FC = () => {
       'rtmp://samhost.wcore.com.br:1935/samhost',
     usuario: userLogin,
     streamKey: `${userLogin}_live`,
-    hlsUrl: user?.codigo_servidor ? 
-      `http://servidor-${user.codigo_servidor}.wcore.com.br:1935/samhost/${userLogin}_live/playlist.m3u8` :
-      `http://samhost.wcore.com.br:1935/samhost/${userLogin}_live/playlist.m3u8`
+    hlsUrl
   };
 
   const copyToClipboard = (text: string, label: string) => {
@@ -380,11 +383,11 @@ const DadosConexao: React.FC = () => {
                   <td className="px-3 py-2 text-left">
                     <div className="flex items-center">
                       <span className="text-gray-900 font-mono text-sm">
-                        {obsConfig.hls_url}
+                        {hlsUrl}
                       </span>
                       <button 
                         className="ml-2 text-primary-600 hover:text-primary-800"
-                        onClick={() => copyToClipboard(obsConfig.hls_url, 'URL de Visualização')}
+                        onClick={() => copyToClipboard(hlsUrl, 'URL de Visualização')}
                         title="Copiar"
                       >
                         <Copy className="h-4 w-4" />
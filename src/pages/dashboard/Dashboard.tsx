@@ -7,7 +7,7 @@ import {
   Settings, Users, BarChart, FileVideo,
   PlayCircle, Play, Smartphone, RefreshCw, Radio, Square,
   FolderPlus, Calendar, Youtube, Wifi, ArrowLeftRight, 
-  Megaphone, Activity, Clock, Eye, Zap, Server, AlertCircle
+  Megaphone, Activity, Clock, Eye, Zap, Server, AlertCircle, UserX
 } from 'lucide-react';
 
 interface OBSStreamStatus {
@@ -20,6 +20,21 @@ interface OBSStreamStatus {
   platforms: any[];
 }
 
+interface EspectadoresRecusados {
+  limite: number;
+  ativos: number;
+  fila: number;
+  total: number;
+  espectadores_unicos: number;
+  eventos: {
+    id: number;
+    origem: string;
+    espectadores_ativos: number;
+    limite: number;
+    data: string;
+  }[];
+}
+
 interface Playlist {
   id: number;
   nome: string;
@@ -46,6 +61,7 @@ const Dashboard: React.FC = () => {
   const [currentVideoIndex, setCurrentVideoIndex] = useState(0);
   const [isPlayingPlaylist, setIsPlayingPlaylist] = useState(false);
   const [showPlaylistModal, setShowPlaylistModal] = useState(false);
+  const [recusados, setRecusados] = useState<EspectadoresRecusados | null>(null);
 
   // Função para abrir vídeo em nova aba
   const openVideoInNewTab = (video: PlaylistVideo) => {
@@ -65,12 +81,32 @@ const Dashboard: React.FC = () => {
   useEffect(() => {
     loadPlaylists();
     checkOBSStatus();
+    loadRecusados();
     
-    // Atualizar status OBS a cada 30 segundos
-    const interval = setInterval(checkOBSStatus, 30000);
+    // Atualizar status OBS e limite de espectadores a cada 30 segundos
+    const interval = setInterval(() => {
+      checkOBSStatus();
+      loadRecusados();
+    }, 30000);
     return () => clearInterval(interval);
   }, []);
 
+  const loadRecusados = async () => {
+    try {
+      const token = await getToken();
+      const response = await fetch('/api/espectadores/recusados?periodo=24h', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setRecusados(data);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar espectadores recusados:', error);
+    }
+  };
+
   const loadPlaylists = async () => {
     try {
       const token = await getToken();
@@ -137,39 +173,8 @@ const Dashboard: React.FC = () => {
       });
       const data = await response.json();
       
-      // Processar vídeos para usar URLs HLS
-      const processedVideos = data.map((item: any) => {
-        const video = item.videos;
-        
-        // Construir URL HLS para melhor compatibilidade
-        let hlsUrl = video.url;
-        
-        if (video.url && !video.url.includes('/api/videos-ssh/') && !video.url.startsWith('http')) {
-          const cleanPath = video.url.replace(/^\/+/, '');
-          const pathParts = cleanPath.split('/');
-          
-          if (pathParts.length >= 3) {
-            const [userPath, folder, filename] = pathParts;
-            const nameWithoutExt = filename.replace(/\.[^/.]+$/, '');
-            
-            // URL HLS do Wowza para VOD
-            const isProduction = window.location.hostname !== 'localhost';
-            const wowzaHost = isProduction ? 'samhost.wcore.com.br' : '51.222.156.223';
-            
-            hlsUrl = `http://${wowzaHost}:1935/vod/${userPath}/${folder}/${nameWithoutExt}/playlist.m3u8`;
-          }
-        }
-        
-        return {
-          ...item,
-          videos: {
-            ...video,
-            url: hlsUrl
-          }
-        };
-      });
-      
-      setPlaylistVideos(processedVideos);
+      // URLs já assinadas pelo backend para o proxy /content
+      setPlaylistVideos(data);
       return data;
     } catch (error) {
       console.error('Erro ao carregar vídeos da playlist:', error);
@@ -393,6 +398,53 @@ const Dashboard: React.FC = () => {
         </div>
       </div>
 
+      {/* Limite de espectadores */}
+      {recusados && (
+        <div className="bg-white rounded-lg shadow-sm p-6 border border-gray-200">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center">
+              <UserX className="h-5 w-5 text-red-600 mr-2" />
+              <h3 className="text-lg font-semibold text-gray-800">Limite de Espectadores</h3>
+            </div>
+            <span className="text-sm text-gray-500">
+              {recusados.ativos} / {recusados.limite > 0 ? recusados.limite : '∞'} em reprodução
+              {recusados.fila > 0 && ` • ${recusados.fila} na fila`}
+            </span>
+          </div>
+
+          {recusados.total === 0 ? (
+            <p className="text-sm text-gray-500">Nenhum espectador recusado nas últimas 24 horas.</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-700 mb-3">
+                <strong className="text-red-600">{recusados.total}</strong> recusas de{' '}
+                <strong>{recusados.espectadores_unicos}</strong> espectadores nas últimas 24 horas por audiência completa.
+              </p>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-4">Data</th>
+                      <th className="py-2 pr-4">Origem</th>
+                      <th className="py-2">Audiência no momento</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {recusados.eventos.slice(0, 5).map((evento) => (
+                      <tr key={evento.id} className="border-b last:border-0">
+                        <td className="py-2 pr-4">{new Date(evento.data).toLocaleString()}</td>
+                        <td className="py-2 pr-4">{evento.origem === 'iframe' ? 'Player' : 'Conteúdo direto'}</td>
+                        <td className="py-2">{evento.espectadores_ativos} / {evento.limite}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
       {/* Connected Platforms */}
       {hasActiveTransmission && (connectedPlatforms.length > 0 || (obsStatus?.platforms?.length || 0) > 0) && (
         <div className="bg-white rounded-lg shadow-sm p-6 border border-gray-200">
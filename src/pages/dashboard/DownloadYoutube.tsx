@@ -1,6 +1,6 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { toast } from 'react-toastify';
-import { Download, Youtube, CheckCircle, AlertCircle, Loader } from 'lucide-react';
+import { Download, Youtube, CheckCircle, AlertCircle, Loader, Clock, Upload, XCircle } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 
 type Folder = {
@@ -8,18 +8,40 @@ type Folder = {
   nome: string;
 };
 
-type VideoResponse = {
+type JobStatus = 'queued' | 'downloading' | 'uploading' | 'done' | 'failed';
+
+type DownloadJob = {
+  id: number;
+  id_pasta: number;
+  url: string;
+  downloader: string;
+  titulo: string | null;
+  status: JobStatus;
+  progresso: number;
+  id_video: number | null;
+  erro: string | null;
+  data_criacao: string;
+  data_atualizacao: string;
+};
+
+type JobResponse = {
   success: boolean;
-  video: {
-    nome: string;
-    id: number;
-    url: string;
-    tamanho: number;
-    duracao: number;
-  };
+  job: DownloadJob;
   message: string;
+  error?: string;
 };
 
+const statusLabels: Record<JobStatus, string> = {
+  queued: 'Na fila',
+  downloading: 'Baixando',
+  uploading: 'Enviando ao servidor',
+  done: 'Concluído',
+  failed: 'Falhou',
+};
+
+const isActiveJob = (job: DownloadJob) =>
+  job.status === 'queued' || job.status === 'downloading' || job.status === 'uploading';
+
 export default function BaixarYoutube() {
   const { getToken } = useAuth();
   const [url, setUrl] = useState('');
@@ -27,6 +49,40 @@ export default function BaixarYoutube() {
   const [idPasta, setIdPasta] = useState<string>('');
   const [loading, setLoading] = useState(false);
   const [urlValid, setUrlValid] = useState<boolean | null>(null);
+  const [jobs, setJobs] = useState<DownloadJob[]>([]);
+
+  const carregarJobs = useCallback(async () => {
+    try {
+      const token = await getToken();
+      if (!token) return;
+
+      const response = await fetch('/api/downloadyoutube/jobs', {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) return;
+
+      const data = await response.json();
+      setJobs(data.jobs || []);
+    } catch (err) {
+      console.error('Erro ao carregar downloads:', err);
+    }
+  }, [getToken]);
+
+  useEffect(() => {
+    carregarJobs();
+  }, [carregarJobs]);
+
+  // Atualizar progresso enquanto houver downloads em andamento
+  const hasActiveJobs = jobs.some(isActiveJob);
+  useEffect(() => {
+    if (!hasActiveJobs) return;
+
+    const interval = setInterval(carregarJobs, 3000);
+    return () => clearInterval(interval);
+  }, [hasActiveJobs, carregarJobs]);
 
   useEffect(() => {
     const carregarPastas = async () => {
@@ -55,8 +111,9 @@ export default function BaixarYoutube() {
   }, [getToken]);
 
   const validateYouTubeUrl = (url: string) => {
-    const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com|youtu\.be)\/.+/;
-    return youtubeRegex.test(url);
+    const youtubeRegex = /^(https?:\/\/)?(www\.|m\.)?(youtube\.com|youtu\.be)\/.+/;
+    const directVideoRegex = /^https?:\/\/.+\.(mp4|avi|mov|wmv|flv|webm|mkv)(\?.*)?$/i;
+    return youtubeRegex.test(url) || directVideoRegex.test(url);
   };
 
   const handleUrlChange = (newUrl: string) => {
@@ -79,7 +136,7 @@ export default function BaixarYoutube() {
     }
 
     if (!validateYouTubeUrl(url)) {
-      toast.error('URL deve ser do YouTube (youtube.com ou youtu.be)');
+      toast.error('URL deve ser do YouTube (youtube.com ou youtu.be) ou um link direto para vídeo');
       return;
     }
 
@@ -100,10 +157,11 @@ export default function BaixarYoutube() {
         }),
       });
 
-      const data: VideoResponse = await response.json();
+      const data: JobResponse = await response.json();
 
       if (response.ok && data.success) {
-        toast.success(data.message || `✅ Vídeo "${data.video.nome}" baixado com sucesso!`);
+        toast.success(data.message || 'Download adicionado à fila');
+        setJobs((prev) => [data.job, ...prev]);
         setUrl('');
         setIdPasta('');
         setUrlValid(null);
@@ -118,17 +176,19 @@ export default function BaixarYoutube() {
     }
   };
 
-  const formatFileSize = (bytes: number): string => {
-    const units = ['B', 'KB', 'MB', 'GB'];
-    let size = bytes;
-    let unitIndex = 0;
-    
-    while (size >= 1024 && unitIndex < units.length - 1) {
-      size /= 1024;
-      unitIndex++;
+  const renderStatusIcon = (status: JobStatus) => {
+    switch (status) {
+      case 'queued':
+        return <Clock className="h-5 w-5 text-gray-500" />;
+      case 'downloading':
+        return <Loader className="h-5 w-5 text-blue-600 animate-spin" />;
+      case 'uploading':
+        return <Upload className="h-5 w-5 text-purple-600" />;
+      case 'done':
+        return <CheckCircle className="h-5 w-5 text-green-600" />;
+      case 'failed':
+        return <XCircle className="h-5 w-5 text-red-600" />;
     }
-    
-    return `${size.toFixed(2)} ${units[unitIndex]}`;
   };
 
   return (
@@ -147,8 +207,8 @@ export default function BaixarYoutube() {
             <ul className="text-blue-800 text-sm space-y-1">
               <li>• Cole o link do vídeo do YouTube que deseja baixar</li>
               <li>• Selecione a pasta onde o vídeo será salvo</li>
-              <li>• Clique em "Baixar Vídeo" e aguarde o download</li>
-              <li>• O vídeo será salvo automaticamente na pasta selecionada</li>
+              <li>• Clique em "Baixar Vídeo" para adicionar o download à fila</li>
+              <li>• Acompanhe o progresso na lista de downloads abaixo</li>
             </ul>
           </div>
         </div>
@@ -190,7 +250,7 @@ export default function BaixarYoutube() {
             )}
             {urlValid === true && (
               <p className="mt-1 text-sm text-green-600">
-                URL válida do YouTube
+                URL válida
               </p>
             )}
           </div>
@@ -220,7 +280,7 @@ export default function BaixarYoutube() {
             {loading ? (
               <>
                 <Loader className="h-5 w-5 mr-2 animate-spin" />
-                Baixando...
+                Enviando...
               </>
             ) : (
               <>
@@ -242,6 +302,48 @@ export default function BaixarYoutube() {
           </ul>
         </div>
       </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-md">
+        <h2 className="text-xl font-bold mb-4">Downloads recentes</h2>
+
+        {jobs.length === 0 ? (
+          <p className="text-gray-500 text-sm">Nenhum download realizado ainda.</p>
+        ) : (
+          <ul className="space-y-3">
+            {jobs.map((job) => (
+              <li key={job.id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex items-start gap-3 min-w-0">
+                    {renderStatusIcon(job.status)}
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 truncate">{job.titulo || job.url}</p>
+                      {job.titulo && <p className="text-xs text-gray-500 truncate">{job.url}</p>}
+                      {job.status === 'failed' && job.erro && (
+                        <p className="text-sm text-red-600 mt-1">{job.erro}</p>
+                      )}
+                    </div>
+                  </div>
+                  <span className="text-sm text-gray-600 whitespace-nowrap">
+                    {statusLabels[job.status]}
+                    {(job.status === 'downloading' || job.status === 'uploading') && ` (${job.progresso}%)`}
+                  </span>
+                </div>
+
+                {(job.status === 'downloading' || job.status === 'uploading') && (
+                  <div className="w-full bg-gray-200 rounded-full h-2 mt-3">
+                    <div
+                      className={`h-2 rounded-full transition-all ${
+                        job.status === 'uploading' ? 'bg-purple-600' : 'bg-blue-600'
+                      }`}
+                      style={{ width: `${job.progresso}%` }}
+                    />
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
     </div>
   );
 }
\ No newline at end of file
@@ -37,6 +37,7 @@ type SSHVideo = {
   lastModified: string;
   serverId: number;
   userLogin: string;
+  url?: string;
 };
 
 type EditingVideo = {
@@ -45,6 +46,28 @@ type EditingVideo = {
   originalNome: string;
 };
 
+type ChunkedUpload = {
+  id: number;
+  tamanho: number;
+  recebido: number;
+  status: "receiving" | "verifying" | "transferring" | "done" | "failed" | "cancelled" | "expired";
+  progresso: number;
+  erro?: string | null;
+  chunk_size: number;
+  converter: number;
+};
+
+// Uploads em andamento ficam salvos no navegador para retomar após falha de conexão ou recarregamento
+const uploadStorageKey = (folderId: number, file: File) =>
+  `upload:${folderId}:${file.name}:${file.size}:${file.lastModified}`;
+
+const sha256Base64 = async (blob: Blob) => {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return btoa(String.fromCharCode(...new Uint8Array(digest)));
+};
+
+const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
 type CacheStatus = {
   totalFiles: number;
   totalSize: number;
@@ -329,6 +352,7 @@ export default function GerenciarVideos() {
   const [uploadFiles, setUploadFiles] = useState<FileList | null>(null);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadStatus, setUploadStatus] = useState("");
   const [modalAberta, setModalAberta] = useState(false);
   const [videoModalAtual, setVideoModalAtual] = useState<Video | null>(null);
   const [playlistModal, setPlaylistModal] = useState<Video[] | null>(null);
@@ -508,7 +532,7 @@ export default function GerenciarVideos() {
       setUploadFiles(null);
       return;
     }
-    const MAX_SIZE = 2 * 1024 * 1024 * 1024;
+    const MAX_SIZE = 10 * 1024 * 1024 * 1024;
     const oversizedFiles = videosOnly.filter(f => f.size > MAX_SIZE);
     if (oversizedFiles.length > 0) {
       toast.error(`Arquivos muito grandes: ${oversizedFiles.map(f => f.name).join(", ")}`);
@@ -519,21 +543,134 @@ export default function GerenciarVideos() {
     setUploadFiles(files);
   };
 
-  const getVideoDuration = (file: File): Promise<number> => {
-    return new Promise((resolve) => {
-      const url = URL.createObjectURL(file);
-      const video = document.createElement("video");
-      video.preload = "metadata";
-      video.src = url;
-      video.onloadedmetadata = () => {
-        URL.revokeObjectURL(url);
-        resolve(video.duration);
-      };
-      video.onerror = () => {
-        URL.revokeObjectURL(url);
-        resolve(0);
-      };
+  const fetchUpload = async (uploadId: number, token: string | null): Promise<ChunkedUpload | null> => {
+    const response = await fetch(`/api/videos/uploads/${uploadId}`, {
+      headers: { Authorization: `Bearer ${token}` },
     });
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.upload;
+  };
+
+  // Upload em partes: retoma do offset salvo no servidor e repete partes que falharem
+  const uploadResumable = async (file: File, folderId: number) => {
+    let token = await getToken();
+    const storageKey = uploadStorageKey(folderId, file);
+    let upload: ChunkedUpload | null = null;
+
+    const savedId = localStorage.getItem(storageKey);
+    if (savedId) {
+      upload = await fetchUpload(Number(savedId), token);
+      if (!upload || !["receiving", "verifying", "transferring"].includes(upload.status)) {
+        localStorage.removeItem(storageKey);
+        upload = null;
+      } else if (upload.recebido > 0) {
+        toast.info(`Retomando ${file.name} de ${Math.round((upload.recebido / file.size) * 100)}%`);
+      }
+    }
+
+    if (!upload) {
+      const response = await fetch("/api/videos/uploads", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ folder_id: folderId, nome: file.name, tamanho: file.size }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Erro ao iniciar upload");
+      upload = data.upload as ChunkedUpload;
+      localStorage.setItem(storageKey, String(upload.id));
+    }
+
+    const uploadId = upload.id;
+    let offset = upload.recebido;
+    let failures = 0;
+
+    while (upload.status === "receiving" && offset < file.size) {
+      setUploadStatus(`Enviando ${file.name}`);
+      setUploadProgress((offset / file.size) * 100);
+
+      const chunk = file.slice(offset, offset + upload.chunk_size);
+      let response: Response | null = null;
+      let data: { offset?: number; complete?: boolean; error?: string } = {};
+
+      try {
+        response = await fetch(`/api/videos/uploads/${uploadId}`, {
+          method: "PATCH",
+          headers: {
+            "Content-Type": "application/offset+octet-stream",
+            "Upload-Offset": String(offset),
+            "Upload-Checksum": `sha256 ${await sha256Base64(chunk)}`,
+            Authorization: `Bearer ${token}`,
+          },
+          body: chunk,
+        });
+        data = await response.json().catch(() => ({}));
+      } catch {
+        response = null;
+      }
+
+      if (response?.ok && typeof data.offset === "number") {
+        offset = data.offset;
+        failures = 0;
+        if (data.complete) break;
+        continue;
+      }
+
+      if (response) {
+        if (response.status === 404) {
+          localStorage.removeItem(storageKey);
+          throw new Error(data.error || "Upload não encontrado");
+        }
+
+        // Offset divergente: continuar de onde o servidor parou
+        if (response.status === 409 && typeof data.offset === "number") {
+          offset = data.offset;
+          continue;
+        }
+
+        if (response.status < 500 && response.status !== 460) {
+          throw new Error(data.error || "Erro ao enviar parte do vídeo");
+        }
+      }
+
+      // Falha de rede, erro do servidor ou checksum divergente: tentar novamente com espera crescente
+      failures++;
+      if (failures > 5) {
+        throw new Error("Conexão instável. Envie o arquivo novamente para retomar de onde parou");
+      }
+      setUploadStatus(`Falha de conexão, tentando novamente (${failures}/5)...`);
+      await wait(Math.min(30000, 2000 * 2 ** (failures - 1)));
+
+      token = await getToken();
+      const current = await fetchUpload(uploadId, token).catch(() => null);
+      if (current) {
+        upload = current;
+        offset = current.recebido;
+      }
+    }
+
+    // Arquivo completo: aguardar verificação e envio ao servidor de streaming
+    setUploadProgress(100);
+    while (true) {
+      const current = await fetchUpload(uploadId, token).catch(() => null);
+
+      if (current?.status === "done") {
+        localStorage.removeItem(storageKey);
+        return current;
+      }
+
+      if (current && current.status !== "verifying" && current.status !== "transferring") {
+        localStorage.removeItem(storageKey);
+        throw new Error(current.erro || "Falha ao processar o upload");
+      }
+
+      setUploadStatus(
+        current?.status === "transferring"
+          ? `Enviando ${file.name} ao servidor de streaming (${current.progresso}%)`
+          : `Verificando ${file.name}...`
+      );
+      await wait(2000);
+    }
   };
 
   const uploadVideos = async () => {
@@ -544,52 +681,26 @@ export default function GerenciarVideos() {
     setUploading(true);
     setUploadProgress(0);
     try {
-      const token = await getToken();
       for (const file of Array.from(uploadFiles)) {
-        const formData = new FormData();
-        formData.append("video", file);
-        const duracao = await getVideoDuration(file);
-        formData.append("duracao", duracao.toString());
-        formData.append("tamanho", file.size.toString());
-
-        await new Promise<void>((resolve, reject) => {
-          const xhr = new XMLHttpRequest();
-          // Envia folder_id no query da URL
-          xhr.open("POST", `/api/videos/upload?folder_id=${folderSelecionada.id.toString()}`);
-          xhr.setRequestHeader("Authorization", `Bearer ${token}`);
-          xhr.upload.onprogress = (e) => {
-            if (e.lengthComputable) {
-              const progressoAtual = (e.loaded / e.total) * 100;
-              setUploadProgress(progressoAtual);
-            }
-          };
-          xhr.onload = () => {
-            if (xhr.status >= 200 && xhr.status < 300) {
-              const videoData = JSON.parse(xhr.responseText);
-              toast.success(`${file.name} enviado com sucesso!`);
-              // Recarregar lista SSH após upload
-              if (folderSelecionada) {
-                fetchSSHVideos(folderSelecionada.nome);
-              }
-              resolve();
-            } else {
-              toast.error(`Erro ao enviar ${file.name}`);
-              reject();
-            }
-          };
-          xhr.onerror = () => {
-            toast.error(`Erro ao enviar ${file.name}`);
-            reject();
-          };
-          xhr.send(formData);
-        });
+        try {
+          const result = await uploadResumable(file, folderSelecionada.id);
+          toast.success(`${file.name} enviado com sucesso!`);
+          if (result.converter) {
+            toast.info(`${file.name} será analisado e, se necessário, convertido para MP4 H.264`);
+          }
+        } catch (error) {
+          toast.error(`Erro ao enviar ${file.name}: ${error instanceof Error ? error.message : "erro desconhecido"}`);
+        }
       }
+      // Recarregar lista SSH após upload
+      fetchSSHVideos(folderSelecionada.nome);
     } catch {
       toast.error("Erro no upload de vídeos");
     } finally {
       setUploading(false);
       setUploadFiles(null);
       setUploadProgress(0);
+      setUploadStatus("");
       const inputFile = document.getElementById("input-upload-videos") as HTMLInputElement;
       if (inputFile) inputFile.value = "";
     }
@@ -826,9 +937,9 @@ export default function GerenciarVideos() {
     // Tentar abrir URL direta primeiro
     const newWindow = window.open(directUrl, '_blank');
     
-    if (!newWindow) {
-      // Fallback para URL via proxy se popup foi bloqueado
-      window.open(`/content/${userLogin}/${video.folder}/${video.nome}`, '_blank');
+    if (!newWindow && video.url) {
+      // Fallback para URL assinada do proxy se popup foi bloqueado
+      window.open(video.url, '_blank');
     }
   };
 
@@ -1071,6 +1182,9 @@ export default function GerenciarVideos() {
               />
             </div>
           )}
+          {uploading && uploadStatus && (
+            <p className="text-sm text-gray-600 mb-3">{uploadStatus}</p>
+          )}
           <button
             onClick={uploadVideos}
             disabled={!uploadFiles || uploadFiles.length === 0 || uploading || !folderSelecionada}
@@ -0,0 +1,672 @@
+import { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { Video, Edit2, FolderInput, ListPlus, Trash2, Loader, RefreshCw, Clock, Save, X, Scissors, Plus } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+
+type Folder = {
+  id: number;
+  nome: string;
+};
+
+type Playlist = {
+  id: number;
+  nome: string;
+};
+
+type Recording = {
+  id: number;
+  nome: string;
+  tamanho: number;
+  duracao: number;
+  duracao_formatada: string;
+  width: number;
+  height: number;
+  bitrate: number;
+  data_gravacao: string;
+  em_gravacao: boolean;
+  url: string;
+};
+
+type ActionType = 'mover' | 'playlist';
+
+type Trecho = {
+  inicio: string;
+  fim: string;
+};
+
+type ClipJob = {
+  id: number;
+  arquivo_origem: string;
+  arquivo_destino: string;
+  duracao: number;
+  modo: 'copia' | 'recodificado';
+  status: 'queued' | 'probing' | 'cutting' | 'done' | 'failed';
+  progresso: number;
+  erro: string | null;
+  data_criacao: string;
+};
+
+const CLIP_STATUS_LABELS: Record<ClipJob['status'], string> = {
+  queued: 'Na fila',
+  probing: 'Analisando',
+  cutting: 'Cortando',
+  done: 'Concluído',
+  failed: 'Falhou',
+};
+
+const formatSize = (bytes: number) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export default function Gravacoes() {
+  const { getToken } = useAuth();
+  const [recordings, setRecordings] = useState<Recording[]>([]);
+  const [folders, setFolders] = useState<Folder[]>([]);
+  const [playlists, setPlaylists] = useState<Playlist[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState<number | null>(null);
+  const [retencao, setRetencao] = useState('0');
+  const [salvandoRetencao, setSalvandoRetencao] = useState(false);
+
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [novoNome, setNovoNome] = useState('');
+
+  const [action, setAction] = useState<{ type: ActionType; recording: Recording } | null>(null);
+  const [folderId, setFolderId] = useState('');
+  const [playlistId, setPlaylistId] = useState('');
+
+  const [clipRecording, setClipRecording] = useState<Recording | null>(null);
+  const [trechos, setTrechos] = useState<Trecho[]>([]);
+  const [clipNome, setClipNome] = useState('');
+  const [clipPreciso, setClipPreciso] = useState(false);
+  const [criandoCorte, setCriandoCorte] = useState(false);
+  const [clipJobs, setClipJobs] = useState<ClipJob[]>([]);
+
+  const request = useCallback(async (url: string, options: RequestInit = {}) => {
+    const token = await getToken();
+    if (!token) throw new Error('Usuário não autenticado');
+
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+    if (!response.ok || data.success === false) {
+      throw new Error(data.error || 'Erro na requisição');
+    }
+    return data;
+  }, [getToken]);
+
+  const carregarGravacoes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await request('/api/gravacoes');
+      setRecordings(data.recordings || []);
+      setRetencao(String(data.retencao_dias ?? 0));
+    } catch (err: any) {
+      console.error('Erro ao carregar gravações:', err);
+      toast.error(err.message || 'Erro ao carregar gravações');
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    carregarGravacoes();
+  }, [carregarGravacoes]);
+
+  const carregarCortes = useCallback(async () => {
+    try {
+      const data = await request('/api/streaming/clips');
+      setClipJobs(data.jobs || []);
+    } catch (err) {
+      console.error('Erro ao carregar cortes:', err);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    carregarCortes();
+  }, [carregarCortes]);
+
+  // Acompanhar o progresso enquanto houver cortes em processamento
+  const cortesAtivos = clipJobs.some((job) => job.status !== 'done' && job.status !== 'failed');
+  useEffect(() => {
+    if (!cortesAtivos) return;
+
+    const interval = setInterval(carregarCortes, 5000);
+    return () => clearInterval(interval);
+  }, [cortesAtivos, carregarCortes]);
+
+  useEffect(() => {
+    const carregarDestinos = async () => {
+      try {
+        const [foldersData, playlistsData] = await Promise.all([
+          request('/api/folders'),
+          request('/api/playlists'),
+        ]);
+        setFolders(foldersData);
+        setPlaylists(playlistsData);
+      } catch (err) {
+        toast.error('Erro ao carregar pastas e playlists');
+      }
+    };
+
+    carregarDestinos();
+  }, [request]);
+
+  const salvarRetencao = async () => {
+    try {
+      setSalvandoRetencao(true);
+      const data = await request('/api/gravacoes/retencao', {
+        method: 'PUT',
+        body: JSON.stringify({ retencao_dias: parseInt(retencao) || 0 }),
+      });
+      toast.success(data.message);
+      if (data.removidas > 0) {
+        toast.info(`${data.removidas} gravação(ões) antiga(s) excluída(s)`);
+        carregarGravacoes();
+      }
+    } catch (err: any) {
+      toast.error(err.message || 'Erro ao salvar retenção');
+    } finally {
+      setSalvandoRetencao(false);
+    }
+  };
+
+  const renomear = async (recording: Recording) => {
+    if (!novoNome.trim()) {
+      toast.warning('Informe o novo nome');
+      return;
+    }
+
+    try {
+      setBusyId(recording.id);
+      const data = await request(`/api/gravacoes/${recording.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ nome: novoNome.trim() }),
+      });
+      setRecordings((prev) => prev.map((item) => (item.id === recording.id ? data.recording : item)));
+      setEditingId(null);
+      toast.success(data.message);
+    } catch (err: any) {
+      toast.error(err.message || 'Erro ao renomear gravação');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const excluir = async (recording: Recording) => {
+    if (!window.confirm(`Excluir a gravação "${recording.nome}"? Esta ação não pode ser desfeita.`)) return;
+
+    try {
+      setBusyId(recording.id);
+      const data = await request(`/api/gravacoes/${recording.id}`, { method: 'DELETE' });
+      setRecordings((prev) => prev.filter((item) => item.id !== recording.id));
+      toast.success(data.message);
+    } catch (err: any) {
+      toast.error(err.message || 'Erro ao excluir gravação');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const abrirAcao = (type: ActionType, recording: Recording) => {
+    setAction({ type, recording });
+    setFolderId('');
+    setPlaylistId('');
+  };
+
+  const confirmarAcao = async () => {
+    if (!action) return;
+
+    if (!folderId || (action.type === 'playlist' && !playlistId)) {
+      toast.warning(action.type === 'playlist' ? 'Selecione a playlist e a pasta' : 'Selecione a pasta de destino');
+      return;
+    }
+
+    const { recording, type } = action;
+    try {
+      setBusyId(recording.id);
+      const data = await request(
+        `/api/gravacoes/${recording.id}/${type === 'playlist' ? 'playlist' : 'mover'}`,
+        {
+          method: 'POST',
+          body: JSON.stringify({ folder_id: folderId, playlist_id: playlistId || undefined }),
+        }
+      );
+      setRecordings((prev) => prev.filter((item) => item.id !== recording.id));
+      setAction(null);
+      toast.success(data.message);
+    } catch (err: any) {
+      toast.error(err.message || 'Erro ao mover gravação');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const abrirCorte = (recording: Recording) => {
+    setClipRecording(recording);
+    setTrechos([{ inicio: '00:00:00', fim: recording.duracao_formatada || '' }]);
+    setClipNome(`${recording.nome.replace(/\.mp4$/, '')}_corte`);
+    setClipPreciso(false);
+    setFolderId('');
+  };
+
+  const atualizarTrecho = (index: number, campo: keyof Trecho, valor: string) => {
+    setTrechos((prev) => prev.map((trecho, i) => (i === index ? { ...trecho, [campo]: valor } : trecho)));
+  };
+
+  const confirmarCorte = async () => {
+    if (!clipRecording) return;
+
+    if (!folderId) {
+      toast.warning('Selecione a pasta de destino');
+      return;
+    }
+    if (trechos.some((trecho) => !trecho.inicio.trim() || !trecho.fim.trim())) {
+      toast.warning('Informe o início e o fim de todos os trechos');
+      return;
+    }
+
+    try {
+      setCriandoCorte(true);
+      const data = await request(`/api/streaming/recordings/${clipRecording.id}/clip`, {
+        method: 'POST',
+        body: JSON.stringify({
+          folder_id: folderId,
+          nome: clipNome.trim() || undefined,
+          trechos: trechos.map((trecho) => ({ inicio: trecho.inicio.trim(), fim: trecho.fim.trim() })),
+          preciso: clipPreciso,
+        }),
+      });
+      setClipJobs((prev) => [data.job, ...prev]);
+      setClipRecording(null);
+      toast.success(data.message);
+    } catch (err: any) {
+      toast.error(err.message || 'Erro ao criar corte');
+    } finally {
+      setCriandoCorte(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <Video className="h-8 w-8 text-primary-600" />
+          <h1 className="text-3xl font-bold text-gray-900">Gravações</h1>
+        </div>
+        <button
+          onClick={carregarGravacoes}
+          disabled={loading}
+          className="flex items-center px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Atualizar
+        </button>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-md">
+        <h2 className="text-xl font-bold mb-2 flex items-center gap-2">
+          <Clock className="w-5 h-5" /> Retenção automática
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Gravações mais antigas que o período definido são excluídas automaticamente. Use 0 para manter todas.
+        </p>
+        <div className="flex items-center gap-3">
+          <input
+            type="number"
+            min={0}
+            className="w-32 border border-gray-300 rounded-lg px-3 py-2"
+            value={retencao}
+            onChange={(e) => setRetencao(e.target.value)}
+          />
+          <span className="text-gray-700">dias</span>
+          <button
+            onClick={salvarRetencao}
+            disabled={salvandoRetencao}
+            className="flex items-center bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            {salvandoRetencao ? <Loader className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+            Salvar
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-md">
+        <h2 className="text-xl font-bold mb-4">Arquivos gravados</h2>
+
+        {loading && recordings.length === 0 ? (
+          <div className="flex items-center text-gray-500 text-sm">
+            <Loader className="h-4 w-4 mr-2 animate-spin" /> Carregando gravações...
+          </div>
+        ) : recordings.length === 0 ? (
+          <p className="text-gray-500 text-sm">Nenhuma gravação encontrada.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-4">Nome</th>
+                  <th className="py-2 pr-4">Data</th>
+                  <th className="py-2 pr-4">Duração</th>
+                  <th className="py-2 pr-4">Resolução</th>
+                  <th className="py-2 pr-4">Tamanho</th>
+                  <th className="py-2 text-right">Ações</th>
+                </tr>
+              </thead>
+              <tbody>
+                {recordings.map((recording) => (
+                  <tr key={recording.id} className="border-b last:border-0">
+                    <td className="py-3 pr-4">
+                      {editingId === recording.id ? (
+                        <div className="flex items-center gap-2">
+                          <input
+                            className="border border-gray-300 rounded px-2 py-1 w-56"
+                            value={novoNome}
+                            onChange={(e) => setNovoNome(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && renomear(recording)}
+                            autoFocus
+                          />
+                          <button onClick={() => renomear(recording)} className="text-green-600" title="Salvar">
+                            <Save className="h-4 w-4" />
+                          </button>
+                          <button onClick={() => setEditingId(null)} className="text-gray-500" title="Cancelar">
+                            <X className="h-4 w-4" />
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="flex items-center gap-2">
+                          <span className="font-medium text-gray-900 break-all">{recording.nome}</span>
+                          {recording.em_gravacao && (
+                            <span className="text-xs bg-red-100 text-red-700 px-2 py-0.5 rounded-full whitespace-nowrap">
+                              Gravando
+                            </span>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-3 pr-4 whitespace-nowrap">
+                      {new Date(recording.data_gravacao).toLocaleString('pt-BR')}
+                    </td>
+                    <td className="py-3 pr-4">{recording.duracao_formatada}</td>
+                    <td className="py-3 pr-4">
+                      {recording.height ? `${recording.width}x${recording.height}` : '-'}
+                    </td>
+                    <td className="py-3 pr-4 whitespace-nowrap">{formatSize(recording.tamanho)}</td>
+                    <td className="py-3">
+                      <div className="flex justify-end gap-3">
+                        {busyId === recording.id ? (
+                          <Loader className="h-4 w-4 animate-spin text-gray-500" />
+                        ) : (
+                          <>
+                            <button
+                              onClick={() => {
+                                setEditingId(recording.id);
+                                setNovoNome(recording.nome.replace(/\.mp4$/, ''));
+                              }}
+                              disabled={recording.em_gravacao}
+                              className="text-gray-600 hover:text-gray-900 disabled:opacity-40"
+                              title="Renomear"
+                            >
+                              <Edit2 className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => abrirCorte(recording)}
+                              disabled={recording.em_gravacao}
+                              className="text-orange-600 hover:text-orange-800 disabled:opacity-40"
+                              title="Cortar trechos"
+                            >
+                              <Scissors className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => abrirAcao('mover', recording)}
+                              disabled={recording.em_gravacao}
+                              className="text-blue-600 hover:text-blue-800 disabled:opacity-40"
+                              title="Mover para pasta"
+                            >
+                              <FolderInput className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => abrirAcao('playlist', recording)}
+                              disabled={recording.em_gravacao}
+                              className="text-purple-600 hover:text-purple-800 disabled:opacity-40"
+                              title="Adicionar à playlist"
+                            >
+                              <ListPlus className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => excluir(recording)}
+                              disabled={recording.em_gravacao}
+                              className="text-red-600 hover:text-red-800 disabled:opacity-40"
+                              title="Excluir"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {clipJobs.length > 0 && (
+        <div className="bg-white p-6 rounded-xl shadow-md">
+          <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
+            <Scissors className="w-5 h-5" /> Cortes
+          </h2>
+          <div className="space-y-3">
+            {clipJobs.map((job) => (
+              <div key={job.id} className="border border-gray-200 rounded-lg p-3 text-sm">
+                <div className="flex items-center justify-between gap-3">
+                  <span className="font-medium text-gray-900 break-all">{job.arquivo_destino}</span>
+                  <span
+                    className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${
+                      job.status === 'done'
+                        ? 'bg-green-100 text-green-700'
+                        : job.status === 'failed'
+                          ? 'bg-red-100 text-red-700'
+                          : 'bg-blue-100 text-blue-700'
+                    }`}
+                  >
+                    {CLIP_STATUS_LABELS[job.status]}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {job.arquivo_origem} · {job.duracao}s · {job.modo === 'copia' ? 'cópia direta' : 'recodificado'}
+                </p>
+                {(job.status === 'cutting' || job.status === 'probing') && (
+                  <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+                    <div className="bg-primary-600 h-2 rounded-full" style={{ width: `${job.progresso}%` }} />
+                  </div>
+                )}
+                {job.status === 'failed' && job.erro && <p className="text-xs text-red-600 mt-1">{job.erro}</p>}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {clipRecording && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6 space-y-4">
+            <h3 className="text-lg font-semibold text-gray-900">Cortar gravação</h3>
+            <p className="text-sm text-gray-600 break-all">
+              {clipRecording.nome} ({clipRecording.duracao_formatada})
+            </p>
+
+            <div>
+              <label className="block mb-1 font-medium">Trechos (HH:MM:SS)</label>
+              <div className="space-y-2">
+                {trechos.map((trecho, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <input
+                      className="w-28 border border-gray-300 rounded px-2 py-1"
+                      value={trecho.inicio}
+                      onChange={(e) => atualizarTrecho(index, 'inicio', e.target.value)}
+                      placeholder="Início"
+                    />
+                    <span className="text-gray-500">até</span>
+                    <input
+                      className="w-28 border border-gray-300 rounded px-2 py-1"
+                      value={trecho.fim}
+                      onChange={(e) => atualizarTrecho(index, 'fim', e.target.value)}
+                      placeholder="Fim"
+                    />
+                    {trechos.length > 1 && (
+                      <button
+                        onClick={() => setTrechos((prev) => prev.filter((_, i) => i !== index))}
+                        className="text-gray-500 hover:text-red-600"
+                        title="Remover trecho"
+                      >
+                        <X className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <button
+                onClick={() => setTrechos((prev) => [...prev, { inicio: '', fim: '' }])}
+                className="mt-2 flex items-center text-sm text-primary-600 hover:text-primary-800"
+              >
+                <Plus className="h-4 w-4 mr-1" /> Adicionar trecho
+              </button>
+              <p className="mt-1 text-xs text-gray-500">Vários trechos são unidos na ordem informada.</p>
+            </div>
+
+            <div>
+              <label className="block mb-1 font-medium">Nome do vídeo</label>
+              <input
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                value={clipNome}
+                onChange={(e) => setClipNome(e.target.value)}
+              />
+            </div>
+
+            <div>
+              <label className="block mb-1 font-medium">Pasta de destino *</label>
+              <select
+                className="w-full border rounded-lg px-3 py-2"
+                value={folderId}
+                onChange={(e) => setFolderId(e.target.value)}
+              >
+                <option value="">Selecione uma pasta</option>
+                {folders.map((folder) => (
+                  <option key={folder.id} value={folder.id.toString()}>
+                    {folder.nome}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <label className="flex items-start gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={clipPreciso}
+                onChange={(e) => setClipPreciso(e.target.checked)}
+              />
+              <span>
+                Corte preciso
+                <span className="block text-xs text-gray-500">
+                  Recodifica o vídeo para cortar exatamente nos tempos informados. Sem esta opção o corte é
+                  mais rápido e começa no quadro-chave mais próximo.
+                </span>
+              </span>
+            </label>
+
+            <div className="flex justify-end gap-3 pt-2">
+              <button
+                onClick={() => setClipRecording(null)}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={confirmarCorte}
+                disabled={criandoCorte}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+              >
+                Cortar
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {action && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-md p-6 space-y-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {action.type === 'playlist' ? 'Adicionar à playlist' : 'Mover para pasta'}
+            </h3>
+            <p className="text-sm text-gray-600 break-all">{action.recording.nome}</p>
+
+            {action.type === 'playlist' && (
+              <div>
+                <label className="block mb-1 font-medium">Playlist *</label>
+                <select
+                  className="w-full border rounded-lg px-3 py-2"
+                  value={playlistId}
+                  onChange={(e) => setPlaylistId(e.target.value)}
+                >
+                  <option value="">Selecione uma playlist</option>
+                  {playlists.map((playlist) => (
+                    <option key={playlist.id} value={playlist.id.toString()}>
+                      {playlist.nome}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div>
+              <label className="block mb-1 font-medium">Pasta de destino *</label>
+              <select
+                className="w-full border rounded-lg px-3 py-2"
+                value={folderId}
+                onChange={(e) => setFolderId(e.target.value)}
+              >
+                <option value="">Selecione uma pasta</option>
+                {folders.map((folder) => (
+                  <option key={folder.id} value={folder.id.toString()}>
+                    {folder.nome}
+                  </option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500">
+                A gravação sai da lista de gravações e passa a ocupar o espaço da pasta.
+              </p>
+            </div>
+
+            <div className="flex justify-end gap-3 pt-2">
+              <button
+                onClick={() => setAction(null)}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={confirmarAcao}
+                disabled={busyId === action.recording.id}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+              >
+                {action.type === 'playlist' ? 'Adicionar' : 'Mover'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { ChevronLeft, Radio, Play, Square, Settings, Upload, Eye, EyeOff, Plus, Trash2, Save, AlertCircle, CheckCircle, Activity, Users, Zap, Clock } from 'lucide-react';
+import { ChevronLeft, Radio, Play, Square, Settings, Upload, Eye, EyeOff, Plus, Trash2, Save, AlertCircle, CheckCircle, Activity, Users, Zap, Clock, SkipForward, Pause, ListPlus } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
@@ -40,7 +40,20 @@ interface Logo {
   tipo_arquivo: string;
 }
 
+interface TransmissionPreset {
+  id: number;
+  nome: string;
+  resolucao: string;
+  fps: number;
+  bitrate: number;
+  embaralhar_videos: boolean;
+  repetir_playlist: boolean;
+  transicao_videos: string;
+  titulo_padrao: string;
+}
+
 interface TransmissionSettings {
+  settings_id?: string;
   titulo: string;
   descricao: string;
   playlist_id: string;
@@ -52,12 +65,45 @@ interface TransmissionSettings {
   logo_opacity: number;
 }
 
+interface PlayoutItem {
+  posicao: number;
+  id: number;
+  nome: string;
+  tipo: 'video' | 'comercial' | 'avulso' | 'vinheta';
+  duracao: number;
+  inicio: string;
+  fim: string;
+  decorrido?: number;
+}
+
+interface Folder {
+  id: number;
+  nome: string;
+}
+
+interface LibraryVideo {
+  id: number;
+  nome: string;
+  duracao?: number;
+}
+
+interface Playout {
+  total_itens: number;
+  repetir: boolean;
+  pausada: boolean;
+  finalizada: boolean;
+  atual: PlayoutItem | null;
+  proximo: PlayoutItem | null;
+  itens: Array<{ posicao: number; id: number; nome: string; tipo: string; duracao: number }>;
+}
+
 interface StreamStatus {
   is_live: boolean;
   stream_type?: 'playlist' | 'obs';
   transmission?: {
     id: number;
     titulo: string;
+    playout?: Playout | null;
     stats: {
       viewers: number;
       bitrate: number;
@@ -89,11 +135,19 @@ const IniciarTransmissao: React.FC = () => {
   const [userPlatforms, setUserPlatforms] = useState<UserPlatform[]>([]);
   const [playlists, setPlaylists] = useState<Playlist[]>([]);
   const [logos, setLogos] = useState<Logo[]>([]);
+  const [presets, setPresets] = useState<TransmissionPreset[]>([]);
   const [streamStatus, setStreamStatus] = useState<StreamStatus | null>(null);
   
   const [loading, setLoading] = useState(false);
   const [showPlatformModal, setShowPlatformModal] = useState(false);
   const [showLogoUpload, setShowLogoUpload] = useState(false);
+  const [logoPreview, setLogoPreview] = useState<string | null>(null);
+  const [loadingPreview, setLoadingPreview] = useState(false);
+  const [folders, setFolders] = useState<Folder[]>([]);
+  const [controlFolderId, setControlFolderId] = useState('');
+  const [controlVideos, setControlVideos] = useState<LibraryVideo[]>([]);
+  const [controlVideoId, setControlVideoId] = useState('');
+  const [controlling, setControlling] = useState(false);
   
   const [settings, setSettings] = useState<TransmissionSettings>({
     titulo: '',
@@ -139,7 +193,8 @@ const IniciarTransmissao: React.FC = () => {
         loadPlatforms(),
         loadUserPlatforms(),
         loadPlaylists(),
-        loadLogos()
+        loadLogos(),
+        loadPresets()
       ]);
     } catch (error) {
       console.error('Erro ao carregar dados:', error);
@@ -202,6 +257,57 @@ const IniciarTransmissao: React.FC = () => {
     }
   };
 
+  const loadPresets = async () => {
+    try {
+      const token = await getToken();
+      const response = await fetch('/api/transmission-settings', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (Array.isArray(data)) {
+        setPresets(data);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar configurações de transmissão:', error);
+    }
+  };
+
+  const selectedPreset = presets.find((preset) => preset.id.toString() === settings.settings_id);
+
+  const handleLogoPreview = async () => {
+    if (!settings.logo_id) return;
+
+    setLoadingPreview(true);
+    try {
+      const token = await getToken();
+      const response = await fetch('/api/transmission-settings/preview', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          id_logo: settings.logo_id,
+          logo_posicao: settings.logo_position,
+          logo_opacidade: settings.logo_opacity
+        })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        setLogoPreview(result.imagem);
+      } else {
+        toast.error(result.error || 'Erro ao gerar prévia da logo');
+      }
+    } catch (error) {
+      console.error('Erro ao gerar prévia da logo:', error);
+      toast.error('Erro ao gerar prévia da logo');
+    } finally {
+      setLoadingPreview(false);
+    }
+  };
+
   const checkStreamStatus = async () => {
     try {
       const token = await getToken();
@@ -219,7 +325,7 @@ const IniciarTransmissao: React.FC = () => {
   };
 
   const handleStartTransmission = async () => {
-    if (!settings.titulo || !settings.playlist_id) {
+    if ((!settings.titulo && !selectedPreset?.titulo_padrao) || !settings.playlist_id) {
       toast.error('Título e playlist são obrigatórios');
       return;
     }
@@ -238,7 +344,12 @@ const IniciarTransmissao: React.FC = () => {
           'Content-Type': 'application/json',
           Authorization: `Bearer ${token}`
         },
-        body: JSON.stringify(settings)
+        // Sem logo escolhida vale a logo da configuração salva ou da conta
+        body: JSON.stringify({
+          ...settings,
+          settings_id: settings.settings_id || undefined,
+          logo_id: settings.logo_id || undefined
+        })
       });
 
       const result = await response.json();
@@ -299,6 +410,77 @@ const IniciarTransmissao: React.FC = () => {
     }
   };
 
+  // Vídeos avulsos e vinhetas do controle ao vivo vêm das pastas da biblioteca
+  const hasPlayout = !!streamStatus?.transmission?.playout;
+
+  useEffect(() => {
+    if (hasPlayout && folders.length === 0) {
+      loadFolders();
+    }
+  }, [hasPlayout]);
+
+  const loadFolders = async () => {
+    try {
+      const token = await getToken();
+      const response = await fetch('/api/folders', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json();
+      setFolders(Array.isArray(data) ? data : []);
+    } catch (error) {
+      console.error('Erro ao carregar pastas:', error);
+    }
+  };
+
+  const handleControlFolderChange = async (folderId: string) => {
+    setControlFolderId(folderId);
+    setControlVideoId('');
+    setControlVideos([]);
+    if (!folderId) return;
+
+    try {
+      const token = await getToken();
+      const response = await fetch(`/api/videos?folder_id=${folderId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json();
+      setControlVideos(Array.isArray(data) ? data : []);
+    } catch (error) {
+      toast.error('Erro ao carregar vídeos da pasta');
+    }
+  };
+
+  const handlePlayoutControl = async (acao: 'skip' | 'jump' | 'insert' | 'pause' | 'resume', body: Record<string, unknown> = {}) => {
+    setControlling(true);
+    try {
+      const token = await getToken();
+      const response = await fetch(`/api/streaming/playout/${acao}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify(body)
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        setStreamStatus(prev => prev && prev.transmission
+          ? { ...prev, transmission: { ...prev.transmission, playout: result.playout } }
+          : prev);
+        toast.success('Agenda da transmissão atualizada');
+      } else {
+        toast.error(result.error || 'Erro ao controlar a playlist');
+      }
+    } catch (error) {
+      console.error('Erro no controle do playout:', error);
+      toast.error('Erro ao controlar a playlist');
+    } finally {
+      setControlling(false);
+    }
+  };
+
   const handleConfigurePlatform = async () => {
     if (!platformForm.platform_id || !platformForm.stream_key) {
       toast.error('Plataforma e chave de transmissão são obrigatórios');
@@ -512,6 +694,142 @@ const IniciarTransmissao: React.FC = () => {
             </div>
           </div>
 
+          {/* Playout da playlist: vídeo no ar e próximo */}
+          {streamStatus.transmission?.playout && (
+            <div className="mt-4 bg-white p-4 rounded-md">
+              {streamStatus.transmission.playout.pausada ? (
+                <p className="text-sm text-gray-600">
+                  Em pausa com a vinheta <span className="font-semibold text-gray-900">{streamStatus.transmission.playout.atual?.nome}</span>
+                  {streamStatus.transmission.playout.proximo && ` — ao retomar: ${streamStatus.transmission.playout.proximo.nome}`}
+                </p>
+              ) : streamStatus.transmission.playout.finalizada ? (
+                <p className="text-sm text-gray-600">A playlist chegou ao fim (sem repetição).</p>
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <p className="text-sm text-gray-600">
+                      No ar{streamStatus.transmission.playout.atual?.posicao
+                        ? ` (${streamStatus.transmission.playout.atual.posicao}/${streamStatus.transmission.playout.total_itens})`
+                        : ' (avulso)'}
+                    </p>
+                    <p className="font-semibold text-gray-900 truncate">
+                      {streamStatus.transmission.playout.atual?.nome}
+                      {streamStatus.transmission.playout.atual?.tipo === 'comercial' && ' (comercial)'}
+                    </p>
+                    {streamStatus.transmission.playout.atual && (
+                      <p className="text-xs text-gray-500">
+                        até {new Date(streamStatus.transmission.playout.atual.fim).toLocaleTimeString('pt-BR')}
+                      </p>
+                    )}
+                  </div>
+                  <div>
+                    <p className="text-sm text-gray-600">A seguir</p>
+                    <p className="font-semibold text-gray-900 truncate">
+                      {streamStatus.transmission.playout.proximo?.nome || 'Fim da playlist'}
+                    </p>
+                    {streamStatus.transmission.playout.proximo && (
+                      <p className="text-xs text-gray-500">
+                        às {new Date(streamStatus.transmission.playout.proximo.inicio).toLocaleTimeString('pt-BR')}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {/* Controle ao vivo */}
+              <div className="mt-4 pt-4 border-t border-gray-200 space-y-3">
+                <div className="flex flex-wrap gap-2">
+                  {streamStatus.transmission.playout.pausada ? (
+                    <button
+                      onClick={() => handlePlayoutControl('resume')}
+                      disabled={controlling}
+                      className="bg-green-600 text-white px-3 py-1.5 rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center text-sm"
+                    >
+                      <Play className="h-4 w-4 mr-1" />
+                      Retomar playlist
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => handlePlayoutControl('skip')}
+                      disabled={controlling}
+                      className="bg-primary-600 text-white px-3 py-1.5 rounded-md hover:bg-primary-700 disabled:opacity-50 flex items-center text-sm"
+                    >
+                      <SkipForward className="h-4 w-4 mr-1" />
+                      Pular vídeo
+                    </button>
+                  )}
+                </div>
+
+                {!streamStatus.transmission.playout.pausada && (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <select
+                      value={controlFolderId}
+                      onChange={(e) => handleControlFolderChange(e.target.value)}
+                      className="px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                    >
+                      <option value="">Pasta...</option>
+                      {folders.map(folder => (
+                        <option key={folder.id} value={folder.id}>{folder.nome}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={controlVideoId}
+                      onChange={(e) => setControlVideoId(e.target.value)}
+                      disabled={!controlFolderId}
+                      className="px-3 py-1.5 border border-gray-300 rounded-md text-sm max-w-xs"
+                    >
+                      <option value="">Vídeo...</option>
+                      {controlVideos.map(video => (
+                        <option key={video.id} value={video.id}>{video.nome}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handlePlayoutControl('insert', { video_id: controlVideoId })}
+                      disabled={controlling || !controlVideoId}
+                      className="bg-gray-600 text-white px-3 py-1.5 rounded-md hover:bg-gray-700 disabled:opacity-50 flex items-center text-sm"
+                    >
+                      <ListPlus className="h-4 w-4 mr-1" />
+                      Tocar a seguir
+                    </button>
+                    <button
+                      onClick={() => handlePlayoutControl('pause', { video_id: controlVideoId })}
+                      disabled={controlling || !controlVideoId}
+                      className="bg-yellow-600 text-white px-3 py-1.5 rounded-md hover:bg-yellow-700 disabled:opacity-50 flex items-center text-sm"
+                    >
+                      <Pause className="h-4 w-4 mr-1" />
+                      Pausar com vinheta
+                    </button>
+                  </div>
+                )}
+
+                {!streamStatus.transmission.playout.pausada && (
+                  <div className="max-h-48 overflow-y-auto divide-y divide-gray-100 border border-gray-100 rounded-md">
+                    {streamStatus.transmission.playout.itens.map(item => (
+                      <div
+                        key={item.posicao}
+                        className={`flex items-center justify-between px-3 py-1.5 text-sm ${
+                          streamStatus.transmission?.playout?.atual?.posicao === item.posicao ? 'bg-green-50 font-medium' : ''
+                        }`}
+                      >
+                        <span className="truncate">
+                          {item.posicao}. {item.nome}
+                          {item.tipo === 'comercial' && ' (comercial)'}
+                        </span>
+                        <button
+                          onClick={() => handlePlayoutControl('jump', { posicao: item.posicao })}
+                          disabled={controlling}
+                          className="text-primary-600 hover:text-primary-800 disabled:opacity-50 text-xs ml-2"
+                        >
+                          Ir para
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Plataformas Conectadas */}
           {(streamStatus.transmission?.platforms || streamStatus.obs_stream?.platforms) && (
             <div className="mt-4">
@@ -541,6 +859,34 @@ const IniciarTransmissao: React.FC = () => {
           <div className="space-y-6">
             {/* Informações Básicas */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {presets.length > 0 && (
+                <div className="md:col-span-2">
+                  <label htmlFor="preset" className="block text-sm font-medium text-gray-700 mb-2">
+                    Configuração salva
+                  </label>
+                  <select
+                    id="preset"
+                    value={settings.settings_id || ''}
+                    onChange={(e) => setSettings(prev => ({ ...prev, settings_id: e.target.value }))}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  >
+                    <option value="">Nenhuma</option>
+                    {presets.map((preset) => (
+                      <option key={preset.id} value={preset.id.toString()}>
+                        {preset.nome}
+                      </option>
+                    ))}
+                  </select>
+                  {selectedPreset && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      {selectedPreset.bitrate} kbps ·
+                      {selectedPreset.embaralhar_videos ? ' embaralhar' : ' ordem da playlist'} ·
+                      {selectedPreset.repetir_playlist ? ' repetir' : ' sem repetição'} · vídeos na resolução original, com corte entre eles
+                    </p>
+                  )}
+                </div>
+              )}
+
               <div>
                 <label htmlFor="titulo" className="block text-sm font-medium text-gray-700 mb-2">
                   Título da Transmissão *
@@ -551,7 +897,7 @@ const IniciarTransmissao: React.FC = () => {
                   value={settings.titulo}
                   onChange={(e) => setSettings(prev => ({ ...prev, titulo: e.target.value }))}
                   className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
-                  placeholder="Digite o título da transmissão"
+                  placeholder={selectedPreset?.titulo_padrao || 'Digite o título da transmissão'}
                 />
               </div>
 
@@ -674,7 +1020,15 @@ const IniciarTransmissao: React.FC = () => {
                   />
                 </div>
 
-                <div className="flex items-end">
+                <div className="flex items-end gap-3">
+                  <button
+                    onClick={handleLogoPreview}
+                    disabled={loadingPreview}
+                    className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100 flex items-center disabled:opacity-50"
+                  >
+                    <Eye className="h-4 w-4 mr-2" />
+                    {loadingPreview ? 'Gerando...' : 'Pré-visualizar'}
+                  </button>
                   <button
                     onClick={() => setShowLogoUpload(true)}
                     className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 flex items-center"
@@ -683,6 +1037,22 @@ const IniciarTransmissao: React.FC = () => {
                     Nova Logo
                   </button>
                 </div>
+
+                {logoPreview && (
+                  <div className="md:col-span-3">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-sm font-medium text-gray-700">Prévia da logo no vídeo</span>
+                      <button
+                        onClick={() => setLogoPreview(null)}
+                        className="text-gray-500 hover:text-gray-700"
+                        title="Fechar prévia"
+                      >
+                        <EyeOff className="h-4 w-4" />
+                      </button>
+                    </div>
+                    <img src={logoPreview} alt="Prévia da logo" className="w-full max-w-2xl rounded border border-gray-200" />
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { ChevronLeft, Server, Upload, Eye, EyeOff, AlertCircle, CheckCircle, Download, Folder, Play, Trash2, FolderOpen, Video } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
@@ -9,6 +9,7 @@ interface FTPConnection {
   usuario: string;
   senha: string;
   porta: number;
+  seguro: boolean;
 }
 
 interface FTPFile {
@@ -38,13 +39,35 @@ interface MigrationProgress {
   error?: string;
 }
 
+interface MigrationFile {
+  id: number;
+  path: string;
+  nome: string;
+  progresso: number;
+  status: MigrationProgress['status'];
+  erro: string | null;
+}
+
+interface Migration {
+  id: number;
+  status: 'pending' | 'running' | 'completed' | 'error';
+  total_arquivos: number;
+  arquivos_migrados: number;
+  arquivos_erro: number;
+  arquivos: MigrationFile[];
+}
+
+const MIGRATION_POLL_INTERVAL = 2000;
+const MIGRATION_POLL_TIMEOUT = 2 * 60 * 60 * 1000;
+
 const MigrarVideosFTP: React.FC = () => {
   const { getToken } = useAuth();
   const [ftpData, setFtpData] = useState<FTPConnection>({
     ip: '',
     usuario: '',
     senha: '',
-    porta: 21
+    porta: 21,
+    seguro: false
   });
   
   const [folders, setFolders] = useState<Folder[]>([]);
@@ -63,8 +86,16 @@ const MigrarVideosFTP: React.FC = () => {
   const [showDirectoryModal, setShowDirectoryModal] = useState(false);
   const [selectedDirectoryPath, setSelectedDirectoryPath] = useState('');
 
+  // Interromper o acompanhamento da migração quando a página é fechada
+  const mountedRef = useRef(true);
+
   useEffect(() => {
+    mountedRef.current = true;
     loadFolders();
+
+    return () => {
+      mountedRef.current = false;
+    };
   }, []);
 
   const loadFolders = async () => {
@@ -80,7 +111,7 @@ const MigrarVideosFTP: React.FC = () => {
     }
   };
 
-  const handleInputChange = (field: keyof FTPConnection, value: string | number) => {
+  const handleInputChange = (field: keyof FTPConnection, value: string | number | boolean) => {
     setFtpData(prev => ({
       ...prev,
       [field]: value
@@ -240,16 +271,6 @@ const MigrarVideosFTP: React.FC = () => {
 
     try {
       const token = await getToken();
-      
-      // Simular progresso durante o download
-      const progressInterval = setInterval(() => {
-        setMigrationProgress(prev => prev.map(item => {
-          if (item.status === 'pending') {
-            return { ...item, status: 'downloading', progress: Math.min(item.progress + 10, 90) };
-          }
-          return item;
-        }));
-      }, 1000);
 
       const response = await fetch('/api/ftp/migrate', {
         method: 'POST',
@@ -264,25 +285,9 @@ const MigrarVideosFTP: React.FC = () => {
         })
       });
 
-      clearInterval(progressInterval);
-
       const result = await response.json();
 
-      if (result.success) {
-        toast.success(`${result.migratedFiles} de ${result.totalFiles} arquivo(s) migrado(s) com sucesso!`);
-        setSelectedFiles([]);
-        
-        // Atualizar progresso final
-        setMigrationProgress(prev => prev.map(item => ({
-          ...item,
-          progress: 100,
-          status: 'completed'
-        })));
-
-        if (result.errors && result.errors.length > 0) {
-          console.warn('Erros durante a migração:', result.errors);
-        }
-      } else {
+      if (!result.success) {
         toast.error(result.error || 'Erro durante a migração');
         
         // Marcar como erro
@@ -291,6 +296,23 @@ const MigrarVideosFTP: React.FC = () => {
           status: 'error',
           error: result.error
         })));
+        return;
+      }
+
+      setSelectedFiles([]);
+      const migration = await acompanharMigracao(result.migration.id);
+
+      if (!migration) {
+        if (mountedRef.current) {
+          toast.info('A migração continua em segundo plano e os vídeos aparecerão na pasta de destino.');
+        }
+        return;
+      }
+
+      if (migration.arquivos_erro > 0) {
+        toast.warning(`${migration.arquivos_migrados} de ${migration.total_arquivos} arquivo(s) migrado(s). ${migration.arquivos_erro} com erro.`);
+      } else {
+        toast.success(`${migration.arquivos_migrados} de ${migration.total_arquivos} arquivo(s) migrado(s) com sucesso!`);
       }
     } catch (error) {
       console.error('Erro na migração:', error);
@@ -306,6 +328,41 @@ const MigrarVideosFTP: React.FC = () => {
     }
   };
 
+  // Consultar o progresso real da migração até que seja finalizada, a página seja
+  // fechada ou o tempo de acompanhamento se esgote (a migração segue no backend)
+  const acompanharMigracao = async (migrationId: number): Promise<Migration | null> => {
+    const limite = Date.now() + MIGRATION_POLL_TIMEOUT;
+
+    while (mountedRef.current && Date.now() < limite) {
+      await new Promise(resolve => setTimeout(resolve, MIGRATION_POLL_INTERVAL));
+      if (!mountedRef.current) break;
+
+      const token = await getToken();
+      const response = await fetch(`/api/ftp/migrate/${migrationId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Erro ao consultar migração');
+      }
+
+      const migration: Migration = result.migration;
+      setMigrationProgress(migration.arquivos.map(file => ({
+        fileName: file.nome,
+        progress: file.progresso,
+        status: file.status,
+        error: file.erro || undefined
+      })));
+
+      if (migration.status === 'completed' || migration.status === 'error') {
+        return migration;
+      }
+    }
+
+    return null;
+  };
+
   const disconnect = () => {
     setIsConnected(false);
     setFtpFiles([]);
@@ -317,7 +374,8 @@ const MigrarVideosFTP: React.FC = () => {
       ip: '',
       usuario: '',
       senha: '',
-      porta: 21
+      porta: 21,
+      seguro: false
     });
   };
 
@@ -462,6 +520,19 @@ const MigrarVideosFTP: React.FC = () => {
             </div>
           </div>
 
+          <div className="mt-4">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={ftpData.seguro}
+                onChange={(e) => handleInputChange('seguro', e.target.checked)}
+                className="mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                disabled={isConnecting}
+              />
+              Usar conexão segura (FTPS)
+            </label>
+          </div>
+
           <div className="mt-6 flex justify-end">
             <button
               onClick={connectToFTP}
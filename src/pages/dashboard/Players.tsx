@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { ChevronLeft, Play, Copy, Eye, Settings, Monitor, Smartphone, Globe, Code, ExternalLink, X, Maximize, Minimize, CheckCircle } from 'lucide-react';
+import { ChevronLeft, Play, Copy, Eye, Settings, Monitor, Smartphone, Globe, Code, ExternalLink, X, Maximize, Minimize, CheckCircle, Shield, Save, Key, RefreshCw } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
@@ -17,6 +17,12 @@ interface PlayerConfig {
   isActive: boolean;
 }
 
+interface SecureTokenConfig {
+  ativo: boolean;
+  segredo: string | null;
+  validade: number;
+}
+
 interface Video {
   id: number;
   nome: string;
@@ -31,14 +37,134 @@ const Players: React.FC = () => {
   const [previewVideo, setPreviewVideo] = useState<Video | null>(null);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [sampleVideos, setSampleVideos] = useState<Video[]>([]);
+  const [dominios, setDominios] = useState('');
+  const [savingDominios, setSavingDominios] = useState(false);
+  const [secureToken, setSecureToken] = useState<SecureTokenConfig | null>(null);
+  const [savingSecureToken, setSavingSecureToken] = useState(false);
 
   const userLogin = user?.email?.split('@')[0] || `user_${user?.id || 'usuario'}`;
   const streamUrl = `http://samhost.wcore.com.br:1935/samhost/${userLogin}_live/playlist.m3u8`;
 
   useEffect(() => {
     loadSampleVideos();
+    loadDominios();
+    loadSecureToken();
   }, []);
 
+  const loadSecureToken = async () => {
+    try {
+      const token = await getToken();
+      const response = await fetch('/api/streaming/securetoken', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (data.success) {
+        setSecureToken(data.securetoken);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar SecureToken:', error);
+    }
+  };
+
+  const saveSecureToken = async (ativo: boolean, validade: number) => {
+    setSavingSecureToken(true);
+    try {
+      const token = await getToken();
+      const response = await fetch('/api/streaming/securetoken', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ ativo, validade })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setSecureToken(data.securetoken);
+        toast.success(data.message);
+      } else {
+        toast.error(data.error || 'Erro ao salvar SecureToken');
+      }
+    } catch (error) {
+      console.error('Erro ao salvar SecureToken:', error);
+      toast.error('Erro ao salvar SecureToken');
+    } finally {
+      setSavingSecureToken(false);
+    }
+  };
+
+  const rotateSecureToken = async () => {
+    if (!window.confirm('Gerar um novo segredo? Todos os links já compartilhados deixarão de funcionar.')) {
+      return;
+    }
+
+    setSavingSecureToken(true);
+    try {
+      const token = await getToken();
+      const response = await fetch('/api/streaming/securetoken/rotate', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setSecureToken(data.securetoken);
+        toast.success(data.message);
+      } else {
+        toast.error(data.error || 'Erro ao renovar segredo');
+      }
+    } catch (error) {
+      console.error('Erro ao renovar segredo:', error);
+      toast.error('Erro ao renovar segredo');
+    } finally {
+      setSavingSecureToken(false);
+    }
+  };
+
+  const loadDominios = async () => {
+    try {
+      const token = await getToken();
+      const response = await fetch('/api/players/dominios', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (data.success) {
+        setDominios(data.dominios.join('\n'));
+      }
+    } catch (error) {
+      console.error('Erro ao carregar domínios permitidos:', error);
+    }
+  };
+
+  const saveDominios = async () => {
+    setSavingDominios(true);
+    try {
+      const token = await getToken();
+      const response = await fetch('/api/players/dominios', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ dominios })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setDominios(data.dominios.join('\n'));
+        toast.success('Domínios permitidos atualizados!');
+      } else {
+        toast.error(data.error || 'Erro ao salvar domínios permitidos');
+      }
+    } catch (error) {
+      console.error('Erro ao salvar domínios permitidos:', error);
+      toast.error('Erro ao salvar domínios permitidos');
+    } finally {
+      setSavingDominios(false);
+    }
+  };
+
   const loadSampleVideos = async () => {
     try {
       const token = await getToken();
@@ -519,6 +645,96 @@ player.play();`,
         </div>
       </div>
 
+      {/* Domínios Permitidos */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center mb-2">
+          <Shield className="h-5 w-5 text-primary-600 mr-2" />
+          <h2 className="text-xl font-semibold text-gray-800">Domínios Permitidos</h2>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Informe um domínio por linha para restringir em quais sites seus vídeos e transmissões podem ser exibidos.
+          Subdomínios são aceitos automaticamente. Deixe em branco para permitir qualquer site.
+        </p>
+        <textarea
+          value={dominios}
+          onChange={(e) => setDominios(e.target.value)}
+          rows={4}
+          placeholder={'meusite.com.br\nportal.exemplo.com'}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        <div className="flex justify-end mt-3">
+          <button
+            onClick={saveDominios}
+            disabled={savingDominios}
+            className="bg-primary-600 text-white px-4 py-2 rounded-md hover:bg-primary-700 disabled:opacity-50 flex items-center"
+          >
+            <Save className="h-4 w-4 mr-2" />
+            {savingDominios ? 'Salvando...' : 'Salvar domínios'}
+          </button>
+        </div>
+      </div>
+
+      {/* SecureToken */}
+      {secureToken && (
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex items-center justify-between mb-2">
+            <div className="flex items-center">
+              <Key className="h-5 w-5 text-primary-600 mr-2" />
+              <h2 className="text-xl font-semibold text-gray-800">Proteção de Links (SecureToken)</h2>
+            </div>
+            <label className="flex items-center cursor-pointer">
+              <input
+                type="checkbox"
+                checked={secureToken.ativo}
+                disabled={savingSecureToken}
+                onChange={(e) => saveSecureToken(e.target.checked, secureToken.validade)}
+                className="mr-2"
+              />
+              <span className="text-sm text-gray-700">{secureToken.ativo ? 'Ativado' : 'Desativado'}</span>
+            </label>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            Com a proteção ativa, os links HLS das suas transmissões passam pelo painel, só funcionam
+            com o token gerado a partir do segredo da conta e expiram após a validade configurada.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Validade dos links (segundos)</label>
+              <input
+                type="number"
+                min={60}
+                max={86400}
+                value={secureToken.validade}
+                onChange={(e) => setSecureToken({ ...secureToken, validade: parseInt(e.target.value) || 0 })}
+                onBlur={() => saveSecureToken(secureToken.ativo, secureToken.validade)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Segredo compartilhado</label>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={secureToken.segredo || 'Será gerado ao ativar'}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md bg-gray-50 font-mono text-sm"
+                />
+                <button
+                  onClick={rotateSecureToken}
+                  disabled={savingSecureToken || !secureToken.segredo}
+                  className="bg-orange-600 text-white px-3 py-2 rounded-md hover:bg-orange-700 disabled:opacity-50 flex items-center"
+                  title="Gerar novo segredo e invalidar links emitidos"
+                >
+                  <RefreshCw className="h-4 w-4 mr-1" />
+                  Renovar
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Modal de Visualização */}
       {showPreview && (
         <div 
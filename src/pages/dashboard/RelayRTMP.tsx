@@ -1,22 +1,74 @@
 import React, { useState, useEffect } from 'react';
-import { ChevronLeft, Radio, Play, Square, AlertCircle, CheckCircle, ExternalLink, Wifi, WifiOff, Activity, Server, RefreshCw } from 'lucide-react';
+import { ChevronLeft, Radio, Play, Square, AlertCircle, CheckCircle, ExternalLink, Wifi, WifiOff, Activity, Server, RefreshCw, Calendar, Clock, Edit2, Trash2, History } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../context/AuthContext';
 
+type RelayType = 'rtmp' | 'm3u8' | 'hls' | 'srt';
+
 interface RelayStatus {
   id: string;
   relay_status: 'ativo' | 'inativo' | 'erro';
+  state: 'connecting' | 'live' | 'source-down' | 'stopped';
   relay_url: string;
-  relay_type: 'rtmp' | 'm3u8' | 'hls';
+  relay_type: RelayType;
   relay_error_details?: string;
   relay_started_at?: string;
   is_live: boolean;
   viewers: number;
   bitrate: number;
   uptime: string;
+  reconnect_attempts?: number;
+  next_attempt_at?: string | null;
+  output_rtmp?: string;
+  output_hls?: string;
+}
+
+type FrequenciaRelay = 'uma_vez' | 'diariamente' | 'dias_da_semana';
+
+interface RelayAgendamento {
+  id: number;
+  relay_url: string;
+  relay_type: RelayType;
+  frequencia: FrequenciaRelay;
+  data: string;
+  hora_inicio: string;
+  hora_fim: string;
+  dias_semana: number[];
+  status: 'aguardando' | 'executando' | 'concluido';
+  ultima_execucao?: string | null;
+  timezone: string;
 }
 
+interface RelayExecucao {
+  id: number;
+  codigo_agendamento: number;
+  origem: 'manual' | 'agendado';
+  relay_url: string;
+  relay_type?: RelayType | null;
+  status: string;
+  erro?: string | null;
+  reconexoes: number;
+  data_inicio: string;
+  data_fim?: string | null;
+}
+
+const diasSemanaLabels = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+const frequenciaLabels: Record<FrequenciaRelay, string> = {
+  uma_vez: 'Uma vez',
+  diariamente: 'Diariamente',
+  dias_da_semana: 'Dias da semana'
+};
+
+const execucaoStatusLabels: Record<string, string> = {
+  connecting: 'Conectando',
+  live: 'Ao vivo',
+  'source-down': 'Origem indisponível',
+  finalizado: 'Finalizado',
+  erro: 'Erro'
+};
+
 interface Server {
   id: string;
   nome: string;
@@ -35,23 +87,23 @@ const RelayRTMP: React.FC = () => {
   
   const [formData, setFormData] = useState({
     relay_url: '',
-    relay_type: 'rtmp' as 'rtmp' | 'm3u8' | 'hls',
+    relay_type: 'rtmp' as RelayType,
     server_id: ''
   });
 
   useEffect(() => {
     loadInitialData();
     checkRelayStatus();
-    
-    // Atualizar status a cada 30 segundos se relay estiver ativo
-    const interval = setInterval(() => {
-      if (relayStatus?.relay_status === 'ativo') {
-        checkRelayStatus();
-      }
-    }, 30000);
+  }, []);
+
+  useEffect(() => {
+    if (relayStatus?.relay_status !== 'ativo') return;
+
+    // Atualizar status com mais frequência enquanto o relay conecta ou aguarda a origem
+    const interval = setInterval(checkRelayStatus, relayStatus.state === 'live' ? 30000 : 10000);
 
     return () => clearInterval(interval);
-  }, []);
+  }, [relayStatus?.relay_status, relayStatus?.state]);
 
   const loadInitialData = async () => {
     try {
@@ -114,11 +166,15 @@ const RelayRTMP: React.FC = () => {
           'Content-Type': 'application/json',
           Authorization: `Bearer ${token}`
         },
-        body: JSON.stringify({ url })
+        body: JSON.stringify({ url, relay_type: formData.relay_type })
       });
 
       const result = await response.json();
       setUrlValid(result.valid);
+
+      if (result.relay_type) {
+        setFormData(prev => ({ ...prev, relay_type: result.relay_type }));
+      }
       
       if (!result.valid) {
         toast.warning(result.message || 'URL parece estar offline ou inacessível');
@@ -137,8 +193,10 @@ const RelayRTMP: React.FC = () => {
     // Auto-detectar tipo baseado na URL
     if (url.includes('.m3u8')) {
       setFormData(prev => ({ ...prev, relay_type: 'm3u8' }));
-    } else if (url.startsWith('rtmp://')) {
+    } else if (url.startsWith('rtmp://') || url.startsWith('rtmps://')) {
       setFormData(prev => ({ ...prev, relay_type: 'rtmp' }));
+    } else if (url.startsWith('srt://')) {
+      setFormData(prev => ({ ...prev, relay_type: 'srt' }));
     }
 
     // Validar URL após 1 segundo de inatividade
@@ -175,7 +233,7 @@ const RelayRTMP: React.FC = () => {
       const result = await response.json();
 
       if (result.success) {
-        toast.success('Relay ativado com sucesso!');
+        toast.success('Relay ativado! Conectando na origem...');
         checkRelayStatus();
       } else {
         toast.error(result.error || 'Falha ao ativar relay');
@@ -221,9 +279,18 @@ const RelayRTMP: React.FC = () => {
   const getStatusIcon = () => {
     if (!relayStatus) return <WifiOff className="h-5 w-5 text-gray-400" />;
     
+    if (relayStatus.relay_status === 'ativo') {
+      switch (relayStatus.state) {
+        case 'live':
+          return <Wifi className="h-5 w-5 text-green-600" />;
+        case 'source-down':
+          return <WifiOff className="h-5 w-5 text-red-600" />;
+        default:
+          return <Activity className="h-5 w-5 text-yellow-600 animate-pulse" />;
+      }
+    }
+
     switch (relayStatus.relay_status) {
-      case 'ativo':
-        return <Wifi className="h-5 w-5 text-green-600" />;
       case 'erro':
         return <AlertCircle className="h-5 w-5 text-red-600" />;
       default:
@@ -234,9 +301,18 @@ const RelayRTMP: React.FC = () => {
   const getStatusText = () => {
     if (!relayStatus) return 'Inativo';
     
+    if (relayStatus.relay_status === 'ativo') {
+      switch (relayStatus.state) {
+        case 'live':
+          return 'Ao vivo';
+        case 'source-down':
+          return 'Origem indisponível';
+        default:
+          return 'Conectando';
+      }
+    }
+
     switch (relayStatus.relay_status) {
-      case 'ativo':
-        return 'Ativo';
       case 'erro':
         return 'Erro';
       default:
@@ -247,9 +323,18 @@ const RelayRTMP: React.FC = () => {
   const getStatusColor = () => {
     if (!relayStatus) return 'text-gray-600';
     
+    if (relayStatus.relay_status === 'ativo') {
+      switch (relayStatus.state) {
+        case 'live':
+          return 'text-green-600';
+        case 'source-down':
+          return 'text-red-600';
+        default:
+          return 'text-yellow-600';
+      }
+    }
+
     switch (relayStatus.relay_status) {
-      case 'ativo':
-        return 'text-green-600';
       case 'erro':
         return 'text-red-600';
       default:
@@ -284,11 +369,12 @@ const RelayRTMP: React.FC = () => {
             <h3 className="text-blue-900 font-medium mb-2">Como funciona o Relay</h3>
             <p className="text-blue-800 mb-3">
               Use esta função para configurar um relay fixo para seu streaming que ficará transmitindo 24 horas por dia.
-              O relay captura um stream externo (RTMP ou M3U8) e retransmite através do seu canal.
+              O relay captura um stream externo (RTMP, SRT ou M3U8) e retransmite através do seu canal.
             </p>
             <ul className="text-blue-800 text-sm space-y-1">
               <li>• <strong>RTMP:</strong> rtmp://servidor.com/live/stream_key</li>
               <li>• <strong>M3U8/HLS:</strong> https://servidor.com/stream/playlist.m3u8</li>
+              <li>• <strong>SRT:</strong> srt://servidor.com:9000?streamid=stream_key</li>
               <li>• O sistema verifica automaticamente se a URL está online antes de ativar</li>
               <li>• O relay funciona independentemente de outros tipos de transmissão</li>
             </ul>
@@ -334,7 +420,7 @@ const RelayRTMP: React.FC = () => {
                 <Activity className="h-5 w-5 text-blue-600 mr-2" />
                 <div>
                   <p className="text-sm text-gray-600">Status</p>
-                  <p className="text-lg font-bold text-green-600">AO VIVO</p>
+                  <p className={`text-lg font-bold ${getStatusColor()}`}>{getStatusText().toUpperCase()}</p>
                 </div>
               </div>
             </div>
@@ -370,11 +456,16 @@ const RelayRTMP: React.FC = () => {
             </div>
           </div>
 
-          {relayStatus.relay_error_details && (
+          {relayStatus.state === 'source-down' && (
             <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-md">
               <p className="text-red-800 text-sm">
-                <strong>Detalhes do erro:</strong> {relayStatus.relay_error_details}
+                <strong>Origem indisponível:</strong> {relayStatus.relay_error_details || 'sem dados da origem'}
               </p>
+              {relayStatus.next_attempt_at && (
+                <p className="text-red-700 text-xs mt-1">
+                  Tentativa {relayStatus.reconnect_attempts} de reconexão às {new Date(relayStatus.next_attempt_at).toLocaleTimeString()}
+                </p>
+              )}
             </div>
           )}
         </div>
@@ -402,7 +493,7 @@ const RelayRTMP: React.FC = () => {
         <div className="space-y-6">
           <div>
             <label htmlFor="relay_url" className="block text-sm font-medium text-gray-700 mb-2">
-              URL RTMP/M3U8 *
+              URL RTMP/SRT/M3U8 *
             </label>
             <div className="relative">
               <input
@@ -414,7 +505,7 @@ const RelayRTMP: React.FC = () => {
                   urlValid === false ? 'border-red-500' : 
                   urlValid === true ? 'border-green-500' : 'border-gray-300'
                 }`}
-                placeholder="rtmp://servidor.com/live/stream_key ou https://servidor.com/stream/playlist.m3u8"
+                placeholder="rtmp://servidor.com/live/stream_key, srt://servidor.com:9000 ou https://servidor.com/stream/playlist.m3u8"
                 disabled={relayStatus?.relay_status === 'ativo'}
               />
               <div className="absolute inset-y-0 right-0 pr-3 flex items-center">
@@ -438,7 +529,7 @@ const RelayRTMP: React.FC = () => {
               </p>
             )}
             <p className="mt-1 text-xs text-gray-500">
-              Deve ser rtmp:// OU https://....m3u8
+              Deve ser rtmp://, srt:// OU https://....m3u8
             </p>
           </div>
 
@@ -450,12 +541,13 @@ const RelayRTMP: React.FC = () => {
               <select
                 id="relay_type"
                 value={formData.relay_type}
-                onChange={(e) => setFormData(prev => ({ ...prev, relay_type: e.target.value as any }))}
+                onChange={(e) => setFormData(prev => ({ ...prev, relay_type: e.target.value as RelayType }))}
                 className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
                 disabled={relayStatus?.relay_status === 'ativo'}
               >
                 <option value="rtmp">RTMP</option>
                 <option value="m3u8">M3U8/HLS</option>
+                <option value="srt">SRT</option>
               </select>
             </div>
 
@@ -504,6 +596,8 @@ const RelayRTMP: React.FC = () => {
         </div>
       </div>
 
+      <RelayAgendamentos />
+
       {/* Informações técnicas */}
       <div className="bg-white rounded-lg shadow-sm p-6">
         <h2 className="text-xl font-semibold text-gray-800 mb-4">Informações Técnicas</h2>
@@ -513,7 +607,7 @@ const RelayRTMP: React.FC = () => {
             <h3 className="text-sm font-medium text-gray-500 mb-2">Seu Stream de Saída</h3>
             <div className="bg-gray-100 p-3 rounded-md">
               <p className="font-mono text-sm">
-                rtmp://samhost.wcore.com.br:1935/samhost/{user?.email?.split('@')[0] || 'usuario'}_live
+                {relayStatus?.output_rtmp || `rtmp://samhost.wcore.com.br:1935/samhost/${user?.email?.split('@')[0] || 'usuario'}_relay.stream`}
               </p>
             </div>
             <p className="text-xs text-gray-500 mt-1">
@@ -525,7 +619,9 @@ const RelayRTMP: React.FC = () => {
             <h3 className="text-sm font-medium text-gray-500 mb-2">URL de Visualização (HLS)</h3>
             <div className="bg-gray-100 p-3 rounded-md">
               <p className="font-mono text-sm">
-                http://samhost.wcore.com.br:1935/samhost/{user?.email?.split('@')[0] || 'usuario'}_live/playlist.m3u8
+                {relayStatus?.output_hls
+                  ? `${relayStatus.output_hls.startsWith('/') ? window.location.origin : ''}${relayStatus.output_hls}`
+                  : 'Disponível com o relay ativo'}
               </p>
             </div>
             <p className="text-xs text-gray-500 mt-1">
@@ -540,7 +636,7 @@ const RelayRTMP: React.FC = () => {
             <li>• O relay funciona 24/7 enquanto estiver ativo</li>
             <li>• Certifique-se de que a URL de origem está sempre online</li>
             <li>• O sistema monitora automaticamente a conexão</li>
-            <li>• Em caso de falha, o relay será automaticamente desativado</li>
+            <li>• Se a origem cair, o relay tenta reconectar automaticamente em intervalos crescentes</li>
             <li>• Apenas um relay pode estar ativo por vez</li>
           </ul>
         </div>
@@ -549,4 +645,409 @@ const RelayRTMP: React.FC = () => {
   );
 };
 
+const formAgendamentoVazio = {
+  relay_url: '',
+  relay_type: 'rtmp' as RelayType,
+  frequencia: 'uma_vez' as FrequenciaRelay,
+  data: new Date().toISOString().slice(0, 10),
+  hora_inicio: '',
+  hora_fim: '',
+  dias_semana: [] as number[]
+};
+
+const RelayAgendamentos: React.FC = () => {
+  const { getToken } = useAuth();
+  const [agendamentos, setAgendamentos] = useState<RelayAgendamento[]>([]);
+  const [historico, setHistorico] = useState<RelayExecucao[]>([]);
+  const [form, setForm] = useState(formAgendamentoVazio);
+  const [editandoId, setEditandoId] = useState<number | null>(null);
+  const [salvando, setSalvando] = useState(false);
+
+  useEffect(() => {
+    carregarDados();
+
+    const interval = setInterval(carregarDados, 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const carregarDados = async () => {
+    try {
+      const token = await getToken();
+      const [agendamentosResponse, historicoResponse] = await Promise.all([
+        fetch('/api/relay/agendamentos', { headers: { Authorization: `Bearer ${token}` } }),
+        fetch('/api/relay/agendamentos/historico', { headers: { Authorization: `Bearer ${token}` } })
+      ]);
+
+      if (agendamentosResponse.ok) {
+        const data = await agendamentosResponse.json();
+        setAgendamentos(data.agendamentos || []);
+      }
+
+      if (historicoResponse.ok) {
+        const data = await historicoResponse.json();
+        setHistorico(data.historico || []);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar agendamentos de relay:', error);
+    }
+  };
+
+  const toggleDia = (dia: number) => {
+    setForm(prev => ({
+      ...prev,
+      dias_semana: prev.dias_semana.includes(dia)
+        ? prev.dias_semana.filter(d => d !== dia)
+        : [...prev.dias_semana, dia].sort()
+    }));
+  };
+
+  const cancelarEdicao = () => {
+    setEditandoId(null);
+    setForm(formAgendamentoVazio);
+  };
+
+  const editar = (agendamento: RelayAgendamento) => {
+    setEditandoId(agendamento.id);
+    setForm({
+      relay_url: agendamento.relay_url,
+      relay_type: agendamento.relay_type || 'rtmp',
+      frequencia: agendamento.frequencia,
+      data: agendamento.data,
+      hora_inicio: agendamento.hora_inicio,
+      hora_fim: agendamento.hora_fim,
+      dias_semana: agendamento.dias_semana
+    });
+  };
+
+  const salvar = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!form.relay_url || !form.hora_inicio || !form.hora_fim) {
+      toast.error('Informe a URL e os horários de início e término');
+      return;
+    }
+
+    if (form.frequencia === 'dias_da_semana' && form.dias_semana.length === 0) {
+      toast.error('Selecione ao menos um dia da semana');
+      return;
+    }
+
+    setSalvando(true);
+    try {
+      const token = await getToken();
+      const response = await fetch(
+        editandoId ? `/api/relay/agendamentos/${editandoId}` : '/api/relay/agendamentos',
+        {
+          method: editandoId ? 'PUT' : 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`
+          },
+          body: JSON.stringify(form)
+        }
+      );
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Erro ao salvar agendamento');
+      }
+
+      toast.success(editandoId ? 'Agendamento atualizado!' : 'Relay agendado!');
+      cancelarEdicao();
+      carregarDados();
+    } catch (error) {
+      toast.error((error as Error).message || 'Erro ao salvar agendamento');
+    } finally {
+      setSalvando(false);
+    }
+  };
+
+  const remover = async (agendamento: RelayAgendamento) => {
+    if (!confirm('Deseja remover este relay agendado?')) return;
+
+    try {
+      const token = await getToken();
+      const response = await fetch(`/api/relay/agendamentos/${agendamento.id}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Erro ao remover agendamento');
+      }
+
+      toast.success('Agendamento removido');
+      if (editandoId === agendamento.id) cancelarEdicao();
+      carregarDados();
+    } catch (error) {
+      toast.error((error as Error).message || 'Erro ao remover agendamento');
+    }
+  };
+
+  const descreverRecorrencia = (agendamento: RelayAgendamento) => {
+    if (agendamento.frequencia === 'uma_vez') {
+      return new Date(`${agendamento.data}T00:00:00`).toLocaleDateString();
+    }
+    if (agendamento.frequencia === 'dias_da_semana') {
+      return agendamento.dias_semana.map(d => diasSemanaLabels[d]).join(', ');
+    }
+    return frequenciaLabels.diariamente;
+  };
+
+  return (
+    <>
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center mb-6">
+          <Calendar className="h-5 w-5 text-primary-600 mr-2" />
+          <h2 className="text-xl font-semibold text-gray-800">Relays Agendados</h2>
+        </div>
+
+        <form onSubmit={salvar} className="space-y-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="md:col-span-2">
+              <label htmlFor="agendamento_url" className="block text-sm font-medium text-gray-700 mb-1">
+                URL de origem *
+              </label>
+              <input
+                id="agendamento_url"
+                type="text"
+                value={form.relay_url}
+                onChange={(e) => setForm(prev => ({ ...prev, relay_url: e.target.value }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                placeholder="rtmp://, srt:// ou https://...m3u8"
+              />
+            </div>
+            <div>
+              <label htmlFor="agendamento_tipo" className="block text-sm font-medium text-gray-700 mb-1">
+                Tipo de Stream
+              </label>
+              <select
+                id="agendamento_tipo"
+                value={form.relay_type}
+                onChange={(e) => setForm(prev => ({ ...prev, relay_type: e.target.value as RelayType }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              >
+                <option value="rtmp">RTMP</option>
+                <option value="m3u8">M3U8/HLS</option>
+                <option value="srt">SRT</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label htmlFor="agendamento_frequencia" className="block text-sm font-medium text-gray-700 mb-1">
+                Frequência
+              </label>
+              <select
+                id="agendamento_frequencia"
+                value={form.frequencia}
+                onChange={(e) => setForm(prev => ({ ...prev, frequencia: e.target.value as FrequenciaRelay }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              >
+                <option value="uma_vez">Uma vez</option>
+                <option value="diariamente">Diariamente</option>
+                <option value="dias_da_semana">Dias da semana</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="agendamento_data" className="block text-sm font-medium text-gray-700 mb-1">
+                {form.frequencia === 'uma_vez' ? 'Data' : 'A partir de'}
+              </label>
+              <input
+                id="agendamento_data"
+                type="date"
+                value={form.data}
+                onChange={(e) => setForm(prev => ({ ...prev, data: e.target.value }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="agendamento_inicio" className="block text-sm font-medium text-gray-700 mb-1">
+                Início *
+              </label>
+              <input
+                id="agendamento_inicio"
+                type="time"
+                value={form.hora_inicio}
+                onChange={(e) => setForm(prev => ({ ...prev, hora_inicio: e.target.value }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="agendamento_fim" className="block text-sm font-medium text-gray-700 mb-1">
+                Término *
+              </label>
+              <input
+                id="agendamento_fim"
+                type="time"
+                value={form.hora_fim}
+                onChange={(e) => setForm(prev => ({ ...prev, hora_fim: e.target.value }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+          </div>
+
+          {form.frequencia === 'dias_da_semana' && (
+            <div className="flex flex-wrap gap-2">
+              {diasSemanaLabels.map((label, dia) => (
+                <button
+                  key={dia}
+                  type="button"
+                  onClick={() => toggleDia(dia)}
+                  className={`px-3 py-1 rounded-md text-sm border ${
+                    form.dias_semana.includes(dia)
+                      ? 'bg-primary-600 text-white border-primary-600'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Horários no fuso da conta. Um término anterior ao início encerra o relay no dia seguinte.
+          </p>
+
+          <div className="flex justify-end space-x-3">
+            {editandoId && (
+              <button
+                type="button"
+                onClick={cancelarEdicao}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+              >
+                Cancelar
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={salvando}
+              className="bg-primary-600 text-white px-6 py-2 rounded-md hover:bg-primary-700 disabled:opacity-50 flex items-center"
+            >
+              <Clock className="h-4 w-4 mr-2" />
+              {salvando ? 'Salvando...' : editandoId ? 'Salvar Alterações' : 'Agendar Relay'}
+            </button>
+          </div>
+        </form>
+
+        {agendamentos.length === 0 ? (
+          <p className="text-sm text-gray-500">Nenhum relay agendado.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Origem</th>
+                  <th className="py-2 pr-4">Quando</th>
+                  <th className="py-2 pr-4">Horário</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {agendamentos.map((agendamento) => (
+                  <tr key={agendamento.id} className="border-b last:border-0">
+                    <td className="py-2 pr-4 font-mono text-xs break-all">{agendamento.relay_url}</td>
+                    <td className="py-2 pr-4">
+                      <span className="text-gray-500">{frequenciaLabels[agendamento.frequencia]}:</span>{' '}
+                      {descreverRecorrencia(agendamento)}
+                    </td>
+                    <td className="py-2 pr-4">{agendamento.hora_inicio} - {agendamento.hora_fim}</td>
+                    <td className="py-2 pr-4">
+                      <span
+                        className={`px-2 py-1 rounded-full text-xs ${
+                          agendamento.status === 'executando'
+                            ? 'bg-green-100 text-green-800'
+                            : agendamento.status === 'concluido'
+                            ? 'bg-gray-100 text-gray-600'
+                            : 'bg-blue-100 text-blue-800'
+                        }`}
+                      >
+                        {agendamento.status === 'executando' ? 'Em execução' : agendamento.status === 'concluido' ? 'Concluído' : 'Aguardando'}
+                      </span>
+                    </td>
+                    <td className="py-2 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => editar(agendamento)}
+                        className="text-primary-600 hover:text-primary-800 mr-3"
+                        title="Editar"
+                      >
+                        <Edit2 className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => remover(agendamento)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Remover"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <History className="h-5 w-5 text-primary-600 mr-2" />
+            <h2 className="text-xl font-semibold text-gray-800">Histórico de Execuções</h2>
+          </div>
+          <button
+            onClick={carregarDados}
+            className="text-primary-600 hover:text-primary-800"
+            title="Atualizar histórico"
+          >
+            <RefreshCw className="h-4 w-4" />
+          </button>
+        </div>
+
+        {historico.length === 0 ? (
+          <p className="text-sm text-gray-500">Nenhuma execução registrada.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Início</th>
+                  <th className="py-2 pr-4">Término</th>
+                  <th className="py-2 pr-4">Origem</th>
+                  <th className="py-2 pr-4">Tipo</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2">Reconexões</th>
+                </tr>
+              </thead>
+              <tbody>
+                {historico.map((execucao) => (
+                  <tr key={execucao.id} className="border-b last:border-0">
+                    <td className="py-2 pr-4 whitespace-nowrap">{new Date(execucao.data_inicio).toLocaleString()}</td>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {execucao.data_fim ? new Date(execucao.data_fim).toLocaleString() : 'Em andamento'}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <p className="font-mono text-xs break-all">{execucao.relay_url}</p>
+                      {execucao.erro && <p className="text-xs text-red-600">{execucao.erro}</p>}
+                    </td>
+                    <td className="py-2 pr-4">{execucao.origem === 'agendado' ? 'Agendado' : 'Manual'}</td>
+                    <td className="py-2 pr-4">{execucaoStatusLabels[execucao.status] || execucao.status}</td>
+                    <td className="py-2">{execucao.reconexoes}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
 export default RelayRTMP;
\ No newline at end of file